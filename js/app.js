@@ -1,89 +1,7 @@
 'use strict';
 
 // ============================================================
-//  2025 TAX CONSTANTS  (IRS / Colorado official figures)
-// ============================================================
-const C = {
-  // Standard deductions
-  STD_SINGLE: 15750,
-  STD_HOH:    23625,
-
-  // 2025 Federal Tax Brackets — Single
-  // Source: IRS 2025 Tax Computation Worksheet, Section A
-  BRACKETS_SINGLE: [
-    { min: 0,       max: 11925,   rate: 0.10, subtraction: 0        },
-    { min: 11925,   max: 48475,   rate: 0.12, subtraction: 238.50   },
-    { min: 48475,   max: 103350,  rate: 0.22, subtraction: 5086.00  },
-    { min: 103350,  max: 197300,  rate: 0.24, subtraction: 7153.00  },
-    { min: 197300,  max: 250525,  rate: 0.32, subtraction: 22937.00 },
-    { min: 250525,  max: 626350,  rate: 0.35, subtraction: 30452.75 },
-    { min: 626350,  max: Infinity,rate: 0.37, subtraction: 42979.75 },
-  ],
-
-  // 2025 Federal Tax Brackets — Head of Household
-  // Source: IRS 2025 Tax Computation Worksheet, Section D
-  // Derived breakpoints: 10%→12% at $17,000; 12%→22% at $64,850
-  BRACKETS_HOH: [
-    { min: 0,       max: 17000,   rate: 0.10, subtraction: 0        },
-    { min: 17000,   max: 64850,   rate: 0.12, subtraction: 340.00   },
-    { min: 64850,   max: 103350,  rate: 0.22, subtraction: 6825.00  },
-    { min: 103350,  max: 197300,  rate: 0.24, subtraction: 8892.00  },
-    { min: 197300,  max: 250500,  rate: 0.32, subtraction: 24676.00 },
-    { min: 250500,  max: 626350,  rate: 0.35, subtraction: 32191.00 },
-    { min: 626350,  max: Infinity,rate: 0.37, subtraction: 44718.00 },
-  ],
-
-  // Long-term capital gains rates — Single (2025)
-  LTCG_BRACKETS_SINGLE: [
-    { max: 48350,   rate: 0.00 },
-    { max: 533400,  rate: 0.15 },
-    { max: Infinity,rate: 0.20 },
-  ],
-  // Long-term capital gains rates — HOH (2025)
-  LTCG_BRACKETS_HOH: [
-    { max: 64750,   rate: 0.00 },
-    { max: 566700,  rate: 0.15 },
-    { max: Infinity,rate: 0.20 },
-  ],
-
-  // Net Investment Income Tax
-  NIIT_THRESHOLD: 200000,
-  NIIT_RATE: 0.038,
-
-  // IRA deductibility phase-out (covered by workplace plan, Single/HOH filer, 2025)
-  IRA_PHASE_OUT_START: 79000,
-  IRA_PHASE_OUT_END:   89000,
-  IRA_MAX_UNDER50: 7000,
-  IRA_MAX_50PLUS:  8000,
-
-  // Student loan interest phase-out (Single, 2025)
-  SLI_PHASE_OUT_START: 85000,
-  SLI_PHASE_OUT_END:   100000,
-  SLI_MAX: 2500,
-
-  // Schedule 1-A phase-outs (Single, 2025)
-  TIPS_PHASE_OUT_START:     150000,
-  TIPS_PHASE_OUT_END:       175000,
-  TIPS_MAX:                 25000,
-  OT_PHASE_OUT_START:       150000,
-  OT_PHASE_OUT_END:         175000,
-  OT_MAX_SINGLE:            12500,
-  CAR_PHASE_OUT_START:      100000,
-  CAR_PHASE_OUT_END:        150000,
-  CAR_MAX:                  10000,
-  SENIOR_PHASE_OUT_START:   75000,
-  SENIOR_PHASE_OUT_END:     175000,
-  SENIOR_MAX:               6000,
-
-  // Colorado
-  CO_TAX_RATE: 0.044,  // 4.4% flat rate for 2025
-
-  // Child tax credit (2025) — not applicable here, included for completeness
-  CTC_PER_CHILD: 2200,
-};
-
-// ============================================================
-//  HELPERS
+//  UI HELPERS
 // ============================================================
 const fmt = (n) => {
   if (n === null || n === undefined || isNaN(n)) return '—';
@@ -109,361 +27,226 @@ const radio = (name) => {
   return el ? el.value : null;
 };
 
-const clamp = (val, min, max) => Math.min(Math.max(val, min), max);
+// Escape user-entered text before it goes into template-literal HTML
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g,
+  (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
 
-// Phase-out helper: linear reduction from full → 0 between start and end thresholds
-function phaseOut(amount, magi, phaseStart, phaseEnd) {
-  if (magi <= phaseStart) return amount;
-  if (magi >= phaseEnd)   return 0;
-  const ratio = (magi - phaseStart) / (phaseEnd - phaseStart);
-  return amount * (1 - ratio);
-}
+const STATUS_LABELS = {
+  single: 'Single',
+  mfj:    'Married Filing Jointly',
+  mfs:    'Married Filing Separately',
+  hoh:    'Head of Household',
+  qss:    'Qualifying Surviving Spouse',
+};
 
-// ============================================================
-//  CORE TAX CALCULATIONS
-// ============================================================
+// Tax Computation Worksheet section for each filing status
+const TCW_SECTIONS = { single: 'A', mfj: 'B', qss: 'B', mfs: 'C', hoh: 'D' };
 
-function calcFederalTax(taxableIncome, brackets) {
-  if (taxableIncome <= 0) return 0;
-  for (let i = brackets.length - 1; i >= 0; i--) {
-    if (taxableIncome > brackets[i].min) {
-      return taxableIncome * brackets[i].rate - brackets[i].subtraction;
-    }
-  }
-  return 0;
-}
-
-function calcStudentLoanDeduction(interest, magi) {
-  const capped = Math.min(interest, C.SLI_MAX);
-  return phaseOut(capped, magi, C.SLI_PHASE_OUT_START, C.SLI_PHASE_OUT_END);
-}
-
-function calcIRADeduction(contribution, age50plus, magi) {
-  const maxContrib = age50plus ? C.IRA_MAX_50PLUS : C.IRA_MAX_UNDER50;
-  const capped = Math.min(contribution, maxContrib);
-  // Phase out for active workplace plan participant
-  return phaseOut(capped, magi, C.IRA_PHASE_OUT_START, C.IRA_PHASE_OUT_END);
-}
-
-function calcSch1ADeductions(magi, tips, overtime, carLoan, isSenior) {
-  const tipsDeduction   = phaseOut(Math.min(tips, C.TIPS_MAX), magi, C.TIPS_PHASE_OUT_START, C.TIPS_PHASE_OUT_END);
-  const otDeduction     = phaseOut(Math.min(overtime, C.OT_MAX_SINGLE), magi, C.OT_PHASE_OUT_START, C.OT_PHASE_OUT_END);
-  const carDeduction    = phaseOut(Math.min(carLoan, C.CAR_MAX), magi, C.CAR_PHASE_OUT_START, C.CAR_PHASE_OUT_END);
-  const seniorDeduction = isSenior ? phaseOut(C.SENIOR_MAX, magi, C.SENIOR_PHASE_OUT_START, C.SENIOR_PHASE_OUT_END) : 0;
-  return { tipsDeduction, otDeduction, carDeduction, seniorDeduction,
-    total: tipsDeduction + otDeduction + carDeduction + seniorDeduction };
-}
-
-// Long-term cap gains tax (uses preferential rates, not ordinary income brackets)
-function calcLTCGTax(ltcgAmount, ordinaryTaxableIncome, brackets) {
-  if (ltcgAmount <= 0) return 0;
-  // The LTCG rate depends on where the gains "stack" on top of ordinary income
-  const stackedIncome = ordinaryTaxableIncome + ltcgAmount;
-  let ltcgTax = 0;
-  let remaining = ltcgAmount;
-  for (const b of brackets) {
-    if (remaining <= 0) break;
-    if (stackedIncome > (brackets.indexOf(b) === 0 ? 0 : brackets[brackets.indexOf(b)-1].max)) {
-      const roomInBracket = b.max - Math.max(ordinaryTaxableIncome, brackets.indexOf(b) === 0 ? 0 : brackets[brackets.indexOf(b)-1].max);
-      const taxableInBracket = Math.min(remaining, Math.max(roomInBracket, 0));
-      ltcgTax += taxableInBracket * b.rate;
-      remaining -= taxableInBracket;
-    }
-  }
-  return ltcgTax;
-}
+// Tax Table column for each filing status — QSS reads the joint column
+const TAX_TABLE_COLUMNS = {
+  single: 'Single', mfj: 'Married filing jointly', qss: 'Married filing jointly',
+  mfs: 'Married filing separately', hoh: 'Head of a household',
+};
+
+// Where the tax on an amount comes from: its Tax Table row under
+// $100,000, the Tax Computation Worksheet section from there up
+const taxMethodNote = (amount, t) => {
+  const row = taxTableRow(amount, t.brackets);
+  const dollars = (n) => `$${n.toLocaleString('en-US')}`;
+  return row
+    ? `Tax Table — at least ${dollars(row.atLeast)} but less than ${dollars(row.lessThan)}, ${TAX_TABLE_COLUMNS[t.status]} column`
+    : `Tax Computation Worksheet, Section ${TCW_SECTIONS[t.status]} (${STATUS_LABELS[t.status]})`;
+};
 
 // ============================================================
-//  FORM 1120-S — S-CORPORATION INCOME CALCULATION
+//  INPUT COLLECTION — DOM → plain input object for computeReturn()
 // ============================================================
-function calc1120S() {
-  const grossReceipts    = num('f1120s-gross-receipts');
-  const returns          = num('f1120s-returns');
-  const cogs             = num('f1120s-cogs');
-  const otherIncome      = num('f1120s-other-income');
-
-  const totalIncome      = grossReceipts - returns - cogs + otherIncome;  // Line 6
-
-  const officerComp      = num('f1120s-officer-comp');     // Line 7
-  const wages            = num('f1120s-wages');            // Line 8
-  const repairs          = num('f1120s-repairs');          // Line 9
-  const rents            = num('f1120s-rents');            // Line 11
-  const taxes            = num('f1120s-taxes');            // Line 12
-  const interest         = num('f1120s-interest');         // Line 13
-  const depreciation     = num('f1120s-depreciation');     // Line 14
-  const advertising      = num('f1120s-advertising');      // Line 16
-  const benefits         = num('f1120s-benefits');         // Line 18
-  const otherDeductions  = num('f1120s-other-deductions'); // Line 19
-
-  const totalDeductions  = officerComp + wages + repairs + rents + taxes
-                         + interest + depreciation + advertising + benefits
-                         + otherDeductions;               // Line 20
-
-  const ordinaryIncome   = totalIncome - totalDeductions; // Line 21
-
-  const ownershipPct     = clamp(num('scorp-ownership-pct') || 100, 0.01, 100);
-  const k1Box1           = ordinaryIncome * (ownershipPct / 100);
-
+function collectInputs() {
+  const yes = (name) => radio(name) === 'yes';
+  const blank = (id) => (document.getElementById(id)?.value ?? '').trim() === '';
   return {
-    grossReceipts, returns, cogs, otherIncome, totalIncome,
-    officerComp, wages, repairs, rents, taxes,
-    interest, depreciation, advertising, benefits, otherDeductions,
-    totalDeductions, ordinaryIncome, ownershipPct, k1Box1,
+    filingStatus: document.getElementById('filing-status')?.value || 'single',
+    mfsSpouseItemizes: yes('mfs-spouse-itemizes'),
+    mfsLivedApart:     yes('mfs-lived-apart'),
+    dependents: readRoster('dependents'),
+    students:   yes('has-education') ? readRoster('students') : [],
+    w2s:        readW2s(),
+    scorp: {
+      grossReceipts:   num('f1120s-gross-receipts'),
+      returns:         num('f1120s-returns'),
+      cogs:            num('f1120s-cogs'),
+      otherIncome:     num('f1120s-other-income'),
+      officerComp:     num('f1120s-officer-comp'),
+      wages:           num('f1120s-wages'),
+      repairs:         num('f1120s-repairs'),
+      rents:           num('f1120s-rents'),
+      taxes:           num('f1120s-taxes'),
+      interest:        num('f1120s-interest'),
+      depreciation:    num('f1120s-depreciation'),
+      advertising:     num('f1120s-advertising'),
+      benefits:        num('f1120s-benefits'),
+      otherDeductions: num('f1120s-other-deductions'),
+      ownershipPct:    num('scorp-ownership-pct') || 100,
+      ubia:            num('f1120s-ubia'),
+      sstb:            yes('scorp-sstb'),
+      mealsNondeductible: num('f1120s-meals-nondeductible'),
+      otherNondeductible: num('f1120s-other-nondeductible'),
+      taxExemptIncome:    num('f1120s-tax-exempt-income'),
+      aaaBegin:           num('f1120s-aaa-begin'),
+      reasonableComp:     num('f1120s-reasonable-comp'),
+      balanceSheet: { begin: readBalanceSheet('begin'), end: readBalanceSheet('end') },
+      scheduleK: {
+        rentalRealEstate:   num('schk-rental'),
+        interest:           num('schk-interest'),
+        ordinaryDividends:  num('schk-ord-div'),
+        qualifiedDividends: num('schk-qual-div'),
+        netShortTermGain:   num('schk-stcg'),
+        netLongTermGain:    num('schk-ltcg'),
+        section1231:        num('schk-1231'),
+        otherIncome:        num('schk-other-income'),
+        section179:         num('schk-179'),
+        charitable:         num('schk-charitable'),
+        distributions:      num('schk-distributions'),
+      },
+      shareholders: yes('has-shareholders') ? readRoster('shareholders') : [],
+    },
+    payroll: yes('has-payroll') ? {
+      // A blank rate is the new-employer default; 0% is a real rate
+      sutaRate:  blank('payroll-suta-rate') ? C.CO_SUTA_DEFAULT_RATE : num('payroll-suta-rate') / 100,
+      employees: readRoster('employees'),
+    } : null,
+    scorpBasis: yes('has-basis') ? {
+      stockBegin:        num('basis-stock-begin'),
+      contributions:     num('basis-contributions'),
+      debtBegin:         num('basis-debt-begin'),
+      loanBegin:         num('basis-loan-begin'),
+      newLoans:          num('basis-new-loans'),
+      repayments:        num('basis-repayments'),
+      // Last year's column (e) carryovers, one per Part III item
+      ...Object.fromEntries(K1_LOSS_ITEMS.map(({ key, field }) => [field, num(`basis-suspended-${key}`)])),
+    } : null,
+    // {} leaves every Schedule C amount at its $0 default
+    schC: yes('has-schedule-c') ? {
+      owner:         radio('schc-owner') || 'taxpayer',
+      grossReceipts: num('schc-gross-receipts'),
+      returns:       num('schc-returns'),
+      cogs:          num('schc-cogs'),
+      otherIncome:   num('schc-other-income'),
+      expenses: {
+        advertising:      num('schc-advertising'),
+        commissions:      num('schc-commissions'),
+        contractLabor:    num('schc-contract-labor'),
+        depreciation:     num('schc-depreciation'),
+        employeeBenefits: num('schc-employee-benefits'),
+        insurance:        num('schc-insurance'),
+        mortgageInterest: num('schc-mortgage-interest'),
+        otherInterest:    num('schc-other-interest'),
+        legal:            num('schc-legal'),
+        office:           num('schc-office'),
+        pension:          num('schc-pension'),
+        vehicleRent:      num('schc-vehicle-rent'),
+        otherRent:        num('schc-other-rent'),
+        repairs:          num('schc-repairs'),
+        supplies:         num('schc-supplies'),
+        taxes:            num('schc-taxes'),
+        travel:           num('schc-travel'),
+        meals:            num('schc-meals'),
+        utilities:        num('schc-utilities'),
+        wages:            num('schc-wages'),
+        other:            num('schc-other'),
+      },
+      vehicle: {
+        method:         radio('schc-vehicle-method') || 'standard',
+        businessMiles:  num('schc-business-miles'),
+        parkingTolls:   num('schc-parking-tolls'),
+        actualExpenses: num('schc-vehicle-actual'),
+      },
+      homeOffice: {
+        method:     radio('schc-home-office-method') || 'simplified',
+        squareFeet: num('schc-office-sqft'),
+        form8829:   num('schc-form8829'),
+      },
+      ubia: num('schc-ubia'),
+      sstb: yes('schc-sstb'),
+    } : {},
+    qbiLossCarryforward: num('qbi-loss-carryforward'),
+    interestPayers: readRoster('interest'),
+    dividendPayers: readRoster('dividends'),
+    capitalGains: yes('has-capital-gains') ? {
+      transactions:       readRoster('sales'),
+      shortTermCarryover: num('cap-loss-carryover-st'),
+      longTermCarryover:  num('cap-loss-carryover-lt'),
+      collectibles:       num('cap-gain-collectibles'),
+      unrecaptured1250:   num('cap-gain-unrecaptured-1250'),
+    } : {},
+    unemployment:   num('unemployment'),
+    stateTaxRefund: num('state-tax-refund'),
+    otherIncome:    num('other-income'),
+    sch1a: {
+      tips:            yes('has-tips')     ? num('qualified-tips')     : 0,
+      overtime:        yes('has-overtime') ? num('qualified-overtime') : 0,
+      carLoanInterest: yes('has-car-loan') ? num('car-loan-interest')  : 0,
+      isSenior:        yes('is-senior'),
+      spouseIsSenior:  yes('spouse-is-senior'),
+    },
+    adjustments: {
+      studentLoanInterest: yes('has-student-loan') ? num('student-loan-interest') : 0,
+    },
+    itemized: {
+      propertyTax:    num('item-property-tax'),
+      charityCash:    num('item-charity-cash'),
+      charityNonCash: num('item-charity-noncash'),
+      medical:        num('item-medical'),
+    },
+    eic: {
+      ageEligible:          radio('eic-age') !== 'no',
+      claimableAsDependent: yes('eic-claimable'),
+    },
+    hsas: yes('has-hsa') ? readRoster('hsas') : [],
+    iras: yes('has-ira') ? readRoster('iras') : [],
+    careProviders: yes('has-childcare') ? readRoster('providers') : [],
+    savers: yes('has-savers') ? {
+      distributions:       num('savers-distributions'),
+      spouseDistributions: num('savers-spouse-distributions'),
+      eligible:            radio('savers-eligible') !== 'no',
+      spouseEligible:      radio('savers-spouse-eligible') !== 'no',
+    } : null,
+    amt: yes('has-amt-items') ? {
+      iso:                  num('amt-iso'),
+      privateActivityBonds: num('amt-pab-interest'),
+      depreciation:         num('amt-depreciation'),
+      other:                num('amt-other'),
+    } : null,
+    marketplace: yes('has-marketplace') ? {
+      familySize:  num('f8962-family-size') || 1,
+      months:      read1095A(),
+      allocations: yes('has-ptc-allocation') ? readRoster('allocations') : [],
+      marriage: yes('ptc-married-in-year') ? {
+        month:              num('ptc-marriage-month'),
+        taxpayerFamilySize: num('ptc-taxpayer-alt-size') || 1,
+        spouseFamilySize:   num('ptc-spouse-alt-size') || 1,
+        taxpayerStart:      num('ptc-taxpayer-alt-start'),
+        taxpayerStop:       num('ptc-taxpayer-alt-stop'),
+        spouseStart:        num('ptc-spouse-alt-start'),
+        spouseStop:         num('ptc-spouse-alt-stop'),
+      } : null,
+      mfsException: !!document.getElementById('ptc-mfs-exception')?.checked,
+    } : null,
+    fedEstimatedPayments: num('fed-estimated-payments'),
+    colorado: {
+      additions:         num('co-additions'),
+      usInterest:        num('co-us-interest'),
+      pension:           num('co-pension'),
+      otherSubtractions: num('co-other-subtractions'),
+      otherCredits:      num('co-other-credits'),
+      estimatedPayments: num('co-estimated-payments'),
+    },
   };
 }
 
-// ============================================================
-//  FORM 8962 — PREMIUM TAX CREDIT CALCULATION
-// ============================================================
-// 2025 HHS Federal Poverty Guidelines (48 contiguous states + DC)
-const FPL_2025 = [0, 15650, 21150, 26650, 32150, 37650, 43150, 48650, 54150];
-const FPL_2025_EXTRA = 5500; // per additional person beyond 8
-
-// IRS Table 2 applicable contribution percentage ranges (2025)
-// Each entry: [lowerFPLpct, upperFPLpct, initialContribPct, finalContribPct]
-const PTC_TABLE2 = [
-  [100, 133, 0.0206, 0.0206],
-  [133, 150, 0.0309, 0.0406],
-  [150, 200, 0.0406, 0.0648],
-  [200, 250, 0.0648, 0.0810],
-  [250, 300, 0.0810, 0.0978],
-  [300, Infinity, 0.0978, 0.0978],  // 2025: IRA extension keeps cap at 9.78% for 400%+
-];
-
-function calcForm8962(magi, familySize, enrollPrem, slcspPrem, aptcPaid) {
-  const size  = Math.max(1, Math.round(familySize || 1));
-  const fpl   = size <= 8 ? FPL_2025[size] : FPL_2025[8] + (size - 8) * FPL_2025_EXTRA;
-  const fplPct = fpl > 0 ? (magi / fpl) * 100 : 0;  // Line 5
-
-  // Look up applicable figure (Line 7) via Table 2 linear interpolation
-  let applicablePct = 0;
-  if (fplPct >= 100) {
-    for (const [lo, hi, init, final] of PTC_TABLE2) {
-      if (fplPct >= lo && fplPct < hi) {
-        const range = hi === Infinity ? 1 : hi - lo;
-        applicablePct = init + ((fplPct - lo) / range) * (final - init);
-        break;
-      }
-    }
-    if (fplPct >= 400) applicablePct = 0.0978; // IRA extension — no cliff above 400%
-  }
-
-  const annualContrib = magi * applicablePct;              // Line 8a
-  const maxPTC        = Math.max(0, slcspPrem - annualContrib); // Line 11d
-  const annualPTC     = Math.min(enrollPrem, maxPTC);      // Line 11e = Line 24
-  const netPTC        = annualPTC - aptcPaid;              // Line 26
-
-  return { fpl, fplPct, applicablePct, annualContrib, enrollPrem, slcspPrem, maxPTC, annualPTC, aptcPaid, netPTC };
-}
-
-// ============================================================
-//  MASTER CALCULATION  — returns a complete tax picture
-// ============================================================
+// The wizard is just one caller of the headless engine (js/engine.js)
 function computeAll() {
-  const status = document.getElementById('filing-status')?.value || 'single';
-  const isHOH  = status === 'hoh';
-  const brackets = isHOH ? C.BRACKETS_HOH : C.BRACKETS_SINGLE;
-  const ltcgBrackets = isHOH ? C.LTCG_BRACKETS_HOH : C.LTCG_BRACKETS_SINGLE;
-  const stdDeduction = isHOH ? C.STD_HOH : C.STD_SINGLE;
-
-  // ── Income ──
-  const wages        = num('w2-box1');
-  const f1120s       = calc1120S();
-  const skorpK1      = f1120s.k1Box1 + num('k1-box2');
-  const taxableInt   = num('interest-taxable') + num('interest-us-govt');
-  const ordDiv       = num('div-ordinary');
-  const qualDiv      = num('div-qualified');
-  const ltcg         = Math.max(0, num('cap-gain-lt'));
-  const stcg         = num('cap-gain-st');
-  const capGainNet   = num('cap-gain-lt') + num('cap-gain-st');
-  const capGain1040  = Math.max(-3000, capGainNet);   // Form 1040 line 7 max loss $3,000
-  const unemployment = num('unemployment');
-  const stateTaxRefund = num('state-tax-refund');
-  const otherIncome  = num('other-income');
-
-  const totalIncome = wages
-    + skorpK1
-    + taxableInt
-    + ordDiv
-    + capGain1040
-    + unemployment
-    + stateTaxRefund
-    + otherIncome;
-
-  // ── Schedule 1-A (new 2025 deductions, above-the-line) ──
-  // Computed using preliminary MAGI (total income before 1-A deductions)
-  const hasTips    = radio('has-tips') === 'yes';
-  const hasOT      = radio('has-overtime') === 'yes';
-  const hasCarLoan = radio('has-car-loan') === 'yes';
-  const isSenior   = radio('is-senior') === 'yes';
-
-  const sch1a = calcSch1ADeductions(
-    totalIncome,
-    hasTips    ? num('qualified-tips')      : 0,
-    hasOT      ? num('qualified-overtime')  : 0,
-    hasCarLoan ? num('car-loan-interest')   : 0,
-    isSenior
-  );
-
-  // ── Other adjustments (Schedule 1, Part II) ──
-  const hasIRA         = radio('has-ira') === 'yes';
-  const hasSLI         = radio('has-student-loan') === 'yes';
-  const hasHSA         = radio('has-hsa') === 'yes';
-
-  const sliRaw         = hasSLI ? num('student-loan-interest') : 0;
-  const iraRaw         = hasIRA ? num('ira-contribution') : 0;
-  const hsaRaw         = hasHSA ? num('hsa-contribution') : 0;
-
-  // Preliminary MAGI for phase-out checks (before Schedule 1-A)
-  const magiPrelim = totalIncome;
-
-  const sliDeduction   = calcStudentLoanDeduction(sliRaw, magiPrelim);
-  const iraDeduction   = calcIRADeduction(iraRaw, false, magiPrelim);  // age handled via UI
-  const hsaDeduction   = Math.min(hsaRaw, 4300);  // self-only HDHP limit
-
-  const totalAdjustments = sch1a.total + sliDeduction + iraDeduction + hsaDeduction;
-
-  // ── AGI ──
-  const agi = totalIncome - totalAdjustments;
-
-  // ── Deductions ──
-  const itemPropertyTax  = num('item-property-tax');
-  const itemCharityCash  = num('item-charity-cash');
-  const itemCharityNC    = num('item-charity-noncash');
-  const itemMedicalTotal = num('item-medical');
-  const medicalFloor     = agi * 0.075;
-  const itemMedical      = Math.max(0, itemMedicalTotal - medicalFloor);
-  const saltCap          = 40000;  // 2025 SALT cap
-  const saltActual       = Math.min(itemPropertyTax, saltCap);
-  const totalItemized    = saltActual + itemCharityCash + itemCharityNC + itemMedical;
-  const useItemized      = totalItemized > stdDeduction;
-  const deduction        = Math.max(totalItemized, stdDeduction);
-
-  // ── Taxable Income ──
-  const taxableIncome = Math.max(0, agi - deduction);
-
-  // ── Split income into ordinary and preferential ──
-  // Qualified dividends and net long-term gains get preferential rates
-  const preferentialIncome = Math.max(0, qualDiv + ltcg);
-  const ordinaryTaxableIncome = Math.max(0, taxableIncome - preferentialIncome);
-
-  // ── Federal Tax ──
-  const ordinaryTax = calcFederalTax(ordinaryTaxableIncome, brackets);
-  // LTCG / qualified dividend tax
-  const prefTax = calcLTCGTax(preferentialIncome, ordinaryTaxableIncome, ltcgBrackets);
-  let federalTax = Math.max(0, ordinaryTax + prefTax);
-
-  // ── Net Investment Income Tax (3.8%) ──
-  const netInvestmentIncome = Math.max(0, taxableInt + ordDiv + capGain1040);
-  const niitBase = Math.min(netInvestmentIncome, Math.max(0, agi - C.NIIT_THRESHOLD));
-  const niit = niitBase * C.NIIT_RATE;
-
-  // ── Credits ──
-  const hasChildCare  = radio('has-childcare') === 'yes';
-  const hasEducation  = radio('has-education') === 'yes';
-  const hasPTC        = radio('has-marketplace') === 'yes';
-
-  // Child & Dependent Care Credit (Form 2441) — simplified
-  let childCareCredit = 0;
-  if (hasChildCare) {
-    const careExpenses = Math.min(num('childcare-expenses'), 3000);
-    const creditPct    = agi > 43000 ? 0.20 : agi > 33000 ? 0.25 : agi > 23000 ? 0.30 : 0.35;
-    childCareCredit    = careExpenses * creditPct;
-  }
-
-  // Education credits (simplified: Lifetime Learning Credit = 20% of expenses, max $2,000)
-  let educationCredit = 0;
-  if (hasEducation) {
-    educationCredit = Math.min(num('education-expenses') * 0.20, 2000);
-  }
-
-  // Premium Tax Credit — Form 8962 (calculated from 1095-A inputs + AGI)
-  const ptc8962 = hasPTC
-    ? calcForm8962(agi, num('f8962-family-size') || 1, num('f1095a-enroll-prem'), num('f1095a-slcsp'), num('f1095a-aptc'))
-    : null;
-  const ptcNet    = ptc8962 ? ptc8962.netPTC : 0;
-  const ptcCredit = Math.max(0, ptcNet);
-  const ptcRepay  = Math.max(0, -ptcNet);
-
-  const totalCredits = childCareCredit + educationCredit + ptcCredit;
-
-  // Tax after credits (non-refundable credits can't below 0)
-  const taxAfterCredits = Math.max(0, federalTax + niit + ptcRepay - totalCredits);
-
-  // ── Social Security / Medicare checks ──
-  const ssTaxed        = num('w2-box4');
-  const medicareTaxed  = num('w2-box6');
-  const ssWagesLimit   = 176100;  // 2025 SS wage base
-  const ssExpected     = Math.min(wages, ssWagesLimit) * 0.062;
-  const ssOverwithheld = Math.max(0, ssTaxed - ssExpected);  // rare; worth noting
-
-  // Additional Medicare Tax (0.9%) on wages over $200,000 (Single)
-  const addlMedicareTax = Math.max(0, wages - 200000) * 0.009;
-
-  const totalTax = taxAfterCredits + addlMedicareTax;
-
-  // ── Payments ──
-  const fedWithheld   = num('w2-box2');
-  const fedEstimated  = num('fed-estimated-payments');
-  const totalPayments = fedWithheld + fedEstimated + ssOverwithheld;
-
-  // ── Federal Refund / Owe ──
-  const fedBalance = totalPayments - totalTax;
-  const fedRefund  = fedBalance >= 0 ?  fedBalance : 0;
-  const fedOwed    = fedBalance < 0  ? -fedBalance : 0;
-
-  // ── Colorado ──
-  const coWithheld       = num('w2-box17');
-  const coEstimated      = num('co-estimated-payments');
-  const coAdditions      = num('co-additions');
-  const coUsInterest     = num('co-us-interest');
-  const coPension        = num('co-pension');
-  const coOtherSub       = num('co-other-subtractions');
-  const coOtherCredits   = num('co-other-credits');
-  const coTotalSub       = coUsInterest + coPension + coOtherSub;
-
-  // Colorado starts from federal taxable income (Form 1040, Line 15)
-  const coTaxableIncome  = Math.max(0, taxableIncome + coAdditions - coTotalSub);
-  const coTax            = coTaxableIncome * C.CO_TAX_RATE;
-  const coTotalPayments  = coWithheld + coEstimated + coOtherCredits;
-  const coBalance        = coTotalPayments - coTax;
-  const coRefund         = coBalance >= 0 ?  coBalance : 0;
-  const coOwed           = coBalance < 0  ? -coBalance : 0;
-
-  return {
-    status, isHOH, stdDeduction, brackets, ltcgBrackets,
-    // Income
-    f1120s, wages, skorpK1, taxableInt, ordDiv, qualDiv,
-    ltcg, stcg, capGainNet, capGain1040,
-    unemployment, stateTaxRefund, otherIncome, totalIncome,
-    // Sch 1-A
-    sch1a,
-    // Adjustments
-    sliDeduction, iraDeduction, hsaDeduction, iraRaw, sliRaw,
-    totalAdjustments,
-    // AGI
-    agi,
-    // Deductions
-    useItemized, deduction, stdDeduction, totalItemized,
-    itemPropertyTax, saltActual, itemCharityCash, itemCharityNC,
-    itemMedical, itemMedicalTotal, medicalFloor,
-    // Taxable Income
-    taxableIncome, ordinaryTaxableIncome, preferentialIncome,
-    // Tax
-    ordinaryTax, prefTax, federalTax, niit, addlMedicareTax,
-    // Credits
-    childCareCredit, educationCredit, ptcCredit, ptcRepay, ptcNet, ptc8962, totalCredits,
-    taxAfterCredits, totalTax,
-    // Payments
-    fedWithheld, fedEstimated, ssTaxed, medicareTaxed,
-    ssOverwithheld, totalPayments,
-    // Federal result
-    fedBalance, fedRefund, fedOwed,
-    // Colorado
-    coWithheld, coEstimated, coAdditions, coUsInterest,
-    coPension, coOtherSub, coTotalSub,
-    coTaxableIncome, coTax, coTotalPayments, coBalance, coRefund, coOwed,
-  };
+  return computeReturn(collectInputs());
 }
 
 // ============================================================
@@ -481,15 +264,15 @@ function recalculate() {
 
     set('rc-wages',       fmt(t.wages));
     set('rc-scorp',       fmt(t.skorpK1));
-    set('rc-other',       fmt(t.taxableInt + t.ordDiv + t.capGain1040 + t.unemployment + t.stateTaxRefund + t.otherIncome));
+    set('rc-other',       fmt(t.taxableInt + t.ordDiv + t.capGain1040 + t.businessIncome + t.unemployment + t.stateTaxRefund + t.otherIncome));
     set('rc-total-income',fmt(t.totalIncome));
     set('rc-adj',         t.totalAdjustments > 0 ? fmt(-t.totalAdjustments) : '—');
     set('rc-agi',         fmt(t.agi));
-    set('rc-deduction',   fmt(-t.deduction));
+    set('rc-deduction',   fmt(-t.totalDeductions));
     set('rc-taxable',     fmt(t.taxableIncome));
-    set('rc-tax',         fmt(t.totalTax));
+    set('rc-tax',         fmt(t.taxBeforeCredits + t.otherTaxes));
     set('rc-credits',     t.totalCredits > 0 ? fmt(-t.totalCredits) : '—');
-    set('rc-withholding', fmt(-t.totalPayments));
+    set('rc-withholding', fmt(-(t.totalPayments - t.refundableCredits)));
 
     const resultLabel = document.getElementById('rc-result-label');
     const resultVal   = document.getElementById('rc-result');
@@ -517,7 +300,7 @@ function recalculate() {
     // Colorado sidebar
     set('rc-co-taxable',    fmt(t.coTaxableIncome));
     set('rc-co-tax',        fmt(t.coTax));
-    set('rc-co-withholding',fmt(-t.coWithheld - t.coEstimated - t.coOtherCredits));
+    set('rc-co-withholding',fmt(-t.coWithheld - t.coEstimated - t.coEitc - t.coOtherCredits));
     const coLabel = document.getElementById('rc-co-result-label');
     const coVal   = document.getElementById('rc-co-result');
     if (coLabel && coVal) {
@@ -538,9 +321,24 @@ function recalculate() {
 
     // Dynamic messages within steps
     updateDeductionComparison(t);
+    updateScheduleCMessage(t);
+    updateQBIMessage(t);
+    updateBasisMessage(t);
     updateIRAMessage(t);
+    updateDependentsDisplay(t);
+    updateEICMessage(t);
+    updateChildCareMessage(t);
+    updateSaversMessage(t);
+    updateAMTMessage(t);
     updateCOPreview(t);
     updateF1120SDisplay(t);
+    updateShareholdersDisplay(t);
+    updateSalaryComparison();
+    updatePayrollDisplay(t);
+    updateW2Display(t);
+    updateInvestmentDisplay(t);
+    updateHSADisplay(t);
+    updateSalesDisplay(t);
     updateForm8962Display(t);
 
     // Persist form data between sessions
@@ -550,6 +348,352 @@ function recalculate() {
   }
 }
 
+// ============================================================
+//  REPEATABLE ROWS (ROSTERS)
+//  A roster is a list of identical field groups the user can add
+//  and remove. Rows are rendered from the field list below; their
+//  inputs carry data-field instead of ids, so each roster is saved
+//  as an array of row objects rather than by element id.
+// ============================================================
+const W2_BOX12_SLOTS = ['a', 'b', 'c', 'd'];
+// Zero-padded keys keep the months in calendar order inside an options object
+const PTC_MONTH_OPTIONS = Object.fromEntries(MONTH_NAMES.map((m, i) => [String(i + 1).padStart(2, '0'), m]));
+
+const ROSTERS = {
+  dependents: {
+    itemLabel: 'Dependent',
+    fields: [
+      { key: 'name',         label: 'Full name', type: 'text', placeholder: 'As shown on their Social Security card' },
+      { key: 'dob',          label: 'Date of birth', type: 'date' },
+      { key: 'tin',          label: 'SSN / ITIN / ATIN', type: 'text', placeholder: 'XXX-XX-XXXX' },
+      { key: 'tinType',      label: 'Type of number', type: 'select',
+        options: { ssn: 'SSN valid for employment', itin: 'ITIN or ATIN' } },
+      { key: 'relationship', label: 'Relationship to you', type: 'select',
+        options: { '': '— Select —', ...DEPENDENT_RELATIONSHIPS } },
+      { key: 'months',       label: 'Months lived in your home in 2025', type: 'number', min: 0, max: 12, step: 1 },
+      { key: 'student',      label: 'Full-time student for some part of 5 months in 2025', type: 'checkbox' },
+      { key: 'disabled',     label: 'Permanently and totally disabled', type: 'checkbox' },
+    ],
+  },
+  w2s: {
+    itemLabel: 'W-2',
+    fields: [
+      { key: 'owner',          label: 'Whose W-2', type: 'select',
+        options: { taxpayer: 'Yours', spouse: "Your spouse's (joint return)" } },
+      { key: 'employer',       label: 'Box c — Employer name', type: 'text' },
+      { key: 'ein',            label: 'Box b — Employer identification number (EIN)', type: 'text', placeholder: 'XX-XXXXXXX' },
+      { key: 'scorp',          label: 'From my own S corporation (officer pay, 1120-S Line 7)', type: 'checkbox' },
+      { key: 'box1',           label: 'Box 1 — Wages, tips, other compensation', type: 'money' },
+      { key: 'box2',           label: 'Box 2 — Federal income tax withheld', type: 'money' },
+      { key: 'box3',           label: 'Box 3 — Social security wages', type: 'money' },
+      { key: 'box4',           label: 'Box 4 — Social security tax withheld', type: 'money' },
+      { key: 'box5',           label: 'Box 5 — Medicare wages and tips', type: 'money' },
+      { key: 'box6',           label: 'Box 6 — Medicare tax withheld', type: 'money' },
+      { key: 'box7',           label: 'Box 7 — Social security tips', type: 'money' },
+      { key: 'box8',           label: 'Box 8 — Allocated tips', type: 'money' },
+      { key: 'box10',          label: 'Box 10 — Dependent care benefits', type: 'money' },
+      { key: 'box11',          label: 'Box 11 — Nonqualified plans', type: 'money' },
+      ...W2_BOX12_SLOTS.flatMap((slot) => [
+        { key: `box12${slot}Code`, label: `Box 12${slot} — Code`, type: 'text', placeholder: slot === 'a' ? 'D' : '' },
+        { key: `box12${slot}`,     label: `Box 12${slot} — Amount`, type: 'money' },
+      ]),
+      { key: 'statutory',      label: 'Box 13 — Statutory employee', type: 'checkbox' },
+      { key: 'retirementPlan', label: 'Box 13 — Retirement plan', type: 'checkbox' },
+      { key: 'sickPay',        label: 'Box 13 — Third-party sick pay', type: 'checkbox' },
+      { key: 'box14Label',     label: 'Box 14 — Other (description)', type: 'text', placeholder: 'CO FAMLI' },
+      { key: 'box14',          label: 'Box 14 — Amount', type: 'money' },
+      { key: 'box15',          label: 'Box 15 — State', type: 'text', placeholder: 'CO' },
+      { key: 'box16',          label: 'Box 16 — State wages, tips, etc.', type: 'money' },
+      { key: 'box17',          label: 'Box 17 — State income tax', type: 'money' },
+      { key: 'box18',          label: 'Box 18 — Local wages, tips, etc.', type: 'money' },
+      { key: 'box19',          label: 'Box 19 — Local income tax', type: 'money' },
+      { key: 'box20',          label: 'Box 20 — Locality name', type: 'text' },
+    ],
+  },
+  providers: {
+    itemLabel: 'Care provider',
+    fields: [
+      { key: 'name',    label: 'Provider name', type: 'text' },
+      { key: 'address', label: 'Address', type: 'text', placeholder: 'Street, city, state, ZIP' },
+      { key: 'tin',     label: 'Taxpayer ID (SSN or EIN)', type: 'text', placeholder: 'XX-XXXXXXX' },
+      { key: 'amount',  label: 'Amount paid in 2025', type: 'money' },
+    ],
+  },
+  students: {
+    itemLabel: 'Student',
+    fields: [
+      { key: 'name',           label: 'Student name', type: 'text', placeholder: 'You, your spouse or a dependent' },
+      { key: 'tin',            label: 'Student SSN', type: 'text', placeholder: 'XXX-XX-XXXX' },
+      { key: 'institution',    label: 'School name and address (Form 1098-T)', type: 'text' },
+      { key: 'box1',           label: '1098-T Box 1 — payments for qualified tuition', type: 'money' },
+      { key: 'box5',           label: '1098-T Box 5 — scholarships or grants', type: 'money' },
+      { key: 'materials',      label: 'Required books, supplies and equipment bought elsewhere', type: 'money' },
+      { key: 'priorAotcYears', label: 'Earlier years the AOTC was claimed for this student', type: 'number', min: 0, max: 4, step: 1 },
+      { key: 'firstFourYears', label: 'Had not finished the first four years of college before 2025', type: 'checkbox' },
+      { key: 'halfTime',       label: 'Enrolled at least half-time for at least one academic period', type: 'checkbox' },
+      { key: 'felonyDrug',     label: 'Has a felony drug conviction', type: 'checkbox' },
+    ],
+  },
+  interest: {
+    itemLabel: '1099-INT',
+    fields: [
+      { key: 'payer', label: 'Payer name', type: 'text', placeholder: 'Bank, brokerage or institution' },
+      { key: 'box1',  label: 'Box 1 — Interest income', type: 'money' },
+      { key: 'box3',  label: 'Box 3 — Interest on U.S. savings bonds and Treasury obligations', type: 'money' },
+      { key: 'box4',  label: 'Box 4 — Federal income tax withheld', type: 'money' },
+      { key: 'box6',  label: 'Box 6 — Foreign tax paid', type: 'money' },
+      { key: 'box8',  label: 'Box 8 — Tax-exempt interest', type: 'money' },
+      { key: 'box9',  label: 'Box 9 — Specified private activity bond interest', type: 'money' },
+    ],
+  },
+  dividends: {
+    itemLabel: '1099-DIV',
+    fields: [
+      { key: 'payer', label: 'Payer name', type: 'text', placeholder: 'Brokerage, fund or company' },
+      { key: 'box1a', label: 'Box 1a — Total ordinary dividends', type: 'money' },
+      { key: 'box1b', label: 'Box 1b — Qualified dividends', type: 'money' },
+      { key: 'box2a', label: 'Box 2a — Total capital gain distributions', type: 'money' },
+      { key: 'box2b', label: 'Box 2b — Unrecaptured section 1250 gain', type: 'money' },
+      { key: 'box2d', label: 'Box 2d — Collectibles (28%) gain', type: 'money' },
+      { key: 'box3',  label: 'Box 3 — Nondividend distributions', type: 'money' },
+      { key: 'box4',  label: 'Box 4 — Federal income tax withheld', type: 'money' },
+      { key: 'box5',  label: 'Box 5 — Section 199A dividends', type: 'money' },
+      { key: 'box7',  label: 'Box 7 — Foreign tax paid', type: 'money' },
+      { key: 'box12', label: 'Box 12 — Exempt-interest dividends', type: 'money' },
+      { key: 'box13', label: 'Box 13 — Specified private activity bond interest dividends', type: 'money' },
+    ],
+  },
+  employees: {
+    itemLabel: 'Employee',
+    fields: [
+      { key: 'name',        label: 'Employee name', type: 'text' },
+      { key: 'ssn',         label: 'SSN', type: 'text', placeholder: 'XXX-XX-XXXX' },
+      { key: 'officer',     label: 'Corporate officer (1120-S Line 7)', type: 'checkbox' },
+      { key: 'q1',          label: 'Wages paid Jan–Mar', type: 'money' },
+      { key: 'q2',          label: 'Wages paid Apr–Jun', type: 'money' },
+      { key: 'q3',          label: 'Wages paid Jul–Sep', type: 'money' },
+      { key: 'q4',          label: 'Wages paid Oct–Dec', type: 'money' },
+      { key: 'deferrals',   label: '401(k) deferrals for the year (W-2 Box 12, Code D)', type: 'money' },
+      { key: 'fedWithheld', label: 'Federal income tax withheld for the year', type: 'money' },
+      { key: 'coWithheld',  label: 'Colorado income tax withheld for the year', type: 'money' },
+    ],
+  },
+  sales: {
+    itemLabel: 'Sale',
+    fields: [
+      { key: 'description', label: '(a) Description of property', type: 'text', placeholder: '100 sh. XYZ Co.' },
+      { key: 'acquired',    label: '(b) Date acquired (blank = various)', type: 'date' },
+      { key: 'sold',        label: '(c) Date sold', type: 'date' },
+      { key: 'term',        label: 'Holding period', type: 'select',
+        options: { '': 'From the dates', short: 'Short-term (1 year or less)', long: 'Long-term (more than 1 year)' } },
+      { key: 'reported',    label: 'Reported on 1099-B', type: 'select',
+        options: { basis: 'Yes — basis reported to the IRS', nobasis: 'Yes — basis not reported', none: 'No 1099-B' } },
+      { key: 'proceeds',    label: '(d) Proceeds', type: 'money' },
+      { key: 'basis',       label: '(e) Cost or other basis', type: 'money' },
+      { key: 'code',        label: '(f) Adjustment code(s)', type: 'text', placeholder: 'W' },
+      { key: 'adjustment',  label: '(g) Adjustment amount', type: 'money', signed: true },
+      { key: 'collectible', label: 'Collectible — art, coins, precious metals or bullion (28% rate gain)', type: 'checkbox' },
+    ],
+  },
+  iras: {
+    itemLabel: 'IRA owner',
+    fields: [
+      { key: 'owner',         label: 'Whose IRAs', type: 'select', options: { taxpayer: 'Yours', spouse: 'Your spouse\'s' } },
+      { key: 'dob',           label: 'Date of birth (50 or older gets the $1,000 catch-up)', type: 'date' },
+      { key: 'traditional',   label: 'Traditional IRA contributions for 2025', type: 'money' },
+      { key: 'roth',          label: 'Roth IRA contributions for 2025', type: 'money' },
+      { key: 'covered',       label: 'Covered by a workplace plan not shown in W-2 Box 13 (SEP, SIMPLE or solo 401(k))', type: 'checkbox' },
+      { key: 'spouseCovered', label: 'Married filing separately — your spouse was covered by a workplace plan', type: 'checkbox' },
+      { key: 'priorBasis',    label: 'Form 8606, Line 2 — Basis from your 2024 Form 8606, Line 14', type: 'money' },
+      { key: 'lateContributions', label: 'Line 4 — Nondeductible contributions for 2025 made Jan 1 – Apr 15, 2026', type: 'money' },
+      { key: 'yearEndValue',  label: 'Line 6 — Value of all traditional, SEP and SIMPLE IRAs on Dec 31, 2025', type: 'money' },
+      { key: 'distributions', label: 'Line 7 — Traditional IRA distributions (1099-R), not rolled over or converted', type: 'money' },
+      { key: 'converted',     label: 'Line 8 — Amount converted to a Roth IRA in 2025', type: 'money' },
+    ],
+  },
+  hsas: {
+    itemLabel: 'HSA',
+    fields: [
+      { key: 'owner',         label: 'Account owner', type: 'select', options: { taxpayer: 'You', spouse: 'Spouse' } },
+      { key: 'selfStart',     label: 'Self-only HDHP coverage — first month', type: 'select', options: { '': 'None', ...PTC_MONTH_OPTIONS } },
+      { key: 'selfStop',      label: 'Self-only HDHP coverage — last month', type: 'select', options: { '': 'December', ...PTC_MONTH_OPTIONS } },
+      { key: 'familyStart',   label: 'Family HDHP coverage — first month', type: 'select', options: { '': 'None', ...PTC_MONTH_OPTIONS } },
+      { key: 'familyStop',    label: 'Family HDHP coverage — last month', type: 'select', options: { '': 'December', ...PTC_MONTH_OPTIONS } },
+      { key: 'lastMonthRule', label: 'Eligible on December 1 — use the last-month rule (must stay eligible through 2026)', type: 'checkbox' },
+      { key: 'age55',         label: 'Age 55 or older at the end of 2025', type: 'checkbox' },
+      { key: 'spouseFamilyShare', label: "Line 6 — % of the family limit given to your spouse's HSA (both of you with family coverage)", type: 'number', min: 0, max: 100, step: 1 },
+      { key: 'contributions', label: 'Line 2 — Your own contributions for 2025 (not through payroll)', type: 'money' },
+      { key: 'fundingDistribution', label: 'Line 10 — Qualified HSA funding distribution from an IRA', type: 'money' },
+      { key: 'distributions', label: 'Line 14a — Distributions (1099-SA Box 1)', type: 'money' },
+      { key: 'rolledOver',    label: 'Line 14b — Rolled over, or excess contributions withdrawn by the due date', type: 'money' },
+      { key: 'medicalExpenses', label: 'Line 15 — Qualified medical expenses paid from the HSA', type: 'money' },
+      { key: 'exception',     label: 'Line 17a — Disabled, age 65 or older, or the account owner died (no 20% additional tax)', type: 'checkbox' },
+      { key: 'testingIncome', label: 'Line 18 — Last-month rule income from a failed 2024 testing period', type: 'money' },
+      { key: 'fundingFailure', label: 'Line 19 — Qualified HSA funding distribution income from a failed testing period', type: 'money' },
+    ],
+  },
+  allocations: {
+    itemLabel: 'Shared policy',
+    fields: [
+      { key: 'policy',     label: '(a) Policy number (Form 1095-A, line 2)', type: 'text' },
+      { key: 'otherTin',   label: '(b) SSN of the other taxpayer', type: 'text', placeholder: 'XXX-XX-XXXX' },
+      { key: 'start',      label: '(c) Allocation start month', type: 'select', options: PTC_MONTH_OPTIONS },
+      { key: 'stop',       label: '(d) Allocation stop month', type: 'select',
+        options: { '': 'December', ...PTC_MONTH_OPTIONS } },
+      { key: 'premiumPct', label: '(e) Premium percentage allocated to you', type: 'number', min: 0, max: 100, step: 1 },
+      { key: 'slcspPct',   label: '(f) SLCSP percentage allocated to you', type: 'number', min: 0, max: 100, step: 1 },
+      { key: 'aptcPct',    label: '(g) Advance PTC percentage allocated to you', type: 'number', min: 0, max: 100, step: 1 },
+    ],
+  },
+  shareholders: {
+    itemLabel: 'Shareholder',
+    fields: [
+      { key: 'name',    label: 'Shareholder name', type: 'text' },
+      { key: 'tin',     label: 'SSN or EIN', type: 'text', placeholder: 'XXX-XX-XXXX' },
+      { key: 'address', label: 'Address', type: 'text', placeholder: 'Street, city, state, ZIP' },
+      { key: 'pct',     label: 'Percentage of stock held', type: 'number', min: 0, max: 100, step: 0.01 },
+      { key: 'from',    label: 'Held from (blank = Jan 1)', type: 'date' },
+      { key: 'to',      label: 'Held through (blank = Dec 31)', type: 'date' },
+      { key: 'mine',    label: 'On this return (my K-1)', type: 'checkbox' },
+    ],
+  },
+};
+
+function rosterFieldHTML(f, value) {
+  const attrs = `data-field="${f.key}"`;
+  if (f.type === 'checkbox') {
+    return `
+      <label class="checkbox-option">
+        <input type="checkbox" ${attrs}${value ? ' checked' : ''} onchange="recalculate()">
+        <div><div class="option-label">${f.label}</div></div>
+      </label>`;
+  }
+  if (f.type === 'select') {
+    const opts = Object.entries(f.options).map(([v, label]) =>
+      `<option value="${v}"${v === (value ?? Object.keys(f.options)[0]) ? ' selected' : ''}>${label}</option>`).join('');
+    return `<div class="field-group"><label>${f.label}</label><select ${attrs} onchange="recalculate()">${opts}</select></div>`;
+  }
+  if (f.type === 'money') {
+    return `
+    <div class="field-group">
+      <label>${f.label}</label>
+      <div class="money-input-wrap">
+        <input type="number" ${attrs} value="${esc(value)}"${f.signed ? '' : ' min="0"'} step="0.01" placeholder="0.00" oninput="recalculate()">
+      </div>
+    </div>`;
+  }
+  const range = f.type === 'number' ? ` min="${f.min}" max="${f.max}" step="${f.step}"` : '';
+  return `
+    <div class="field-group">
+      <label>${f.label}</label>
+      <input type="${f.type}" ${attrs} value="${esc(value)}"${range}${f.placeholder ? ` placeholder="${esc(f.placeholder)}"` : ''} oninput="recalculate()">
+    </div>`;
+}
+
+function rosterRowHTML(name, values = {}) {
+  const def = ROSTERS[name];
+  return `
+    <div class="roster-row">
+      <div class="roster-row-header">
+        <span class="roster-row-title">${def.itemLabel}</span>
+        <button type="button" class="btn btn-ghost" onclick="removeRosterRow(this)">Remove</button>
+      </div>
+      <div class="field-row">${def.fields.map((f) => rosterFieldHTML(f, values[f.key])).join('')}</div>
+      <div class="roster-row-status"></div>
+    </div>`;
+}
+
+function renumberRoster(name) {
+  const list = document.getElementById(`${name}-roster`);
+  if (!list) return;
+  list.querySelectorAll('.roster-row-title').forEach((el, i) => {
+    el.textContent = `${ROSTERS[name].itemLabel} ${i + 1}`;
+  });
+}
+
+function renderRoster(name, rows) {
+  const list = document.getElementById(`${name}-roster`);
+  if (!list) return;
+  list.innerHTML = (rows || []).map((r) => rosterRowHTML(name, r)).join('');
+  renumberRoster(name);
+}
+
+function addRosterRow(name, values) {
+  const list = document.getElementById(`${name}-roster`);
+  if (!list) return;
+  list.insertAdjacentHTML('beforeend', rosterRowHTML(name, values));
+  renumberRoster(name);
+  recalculate();
+}
+
+function removeRosterRow(btn) {
+  const row  = btn.closest('.roster-row');
+  const list = row?.parentElement;
+  if (!row || !list) return;
+  row.remove();
+  renumberRoster(list.id.replace(/-roster$/, ''));
+  recalculate();
+}
+
+// Rows → plain objects, in on-screen order (blank rows included, so
+// result arrays line up with the rows for per-row status messages)
+function readRoster(name) {
+  const def = ROSTERS[name];
+  const rows = document.querySelectorAll(`#${name}-roster .roster-row`);
+  return Array.from(rows).map((row) => {
+    const out = {};
+    def.fields.forEach((f) => {
+      const el = row.querySelector(`[data-field="${f.key}"]`);
+      if (!el) return;
+      out[f.key] = f.type === 'checkbox' ? el.checked
+        : f.type === 'number' || f.type === 'money' ? (parseFloat(el.value) || 0)
+        : el.value;
+    });
+    return out;
+  });
+}
+
+// W-2 rows carry Box 12 as four code/amount pairs; the engine wants { code: amount }
+function readW2s() {
+  return readRoster('w2s').map((w) => {
+    const box12 = {};
+    W2_BOX12_SLOTS.forEach((slot) => {
+      const code = String(w[`box12${slot}Code`] || '').trim().toUpperCase();
+      if (code) box12[code] = (box12[code] || 0) + w[`box12${slot}`];
+    });
+    return { ...w, box12 };
+  });
+}
+
+// Schedule L inputs are id'd sl-<line>-begin / sl-<line>-end
+const BALANCE_SHEET_FIELDS = {
+  cash: 'cash', receivables: 'receivables', otherCurrentAssets: 'other-current-assets',
+  depreciableAssets: 'depreciable-assets', accumDepreciation: 'accum-depreciation',
+  otherAssets: 'other-assets', payables: 'payables', shareholderLoans: 'shareholder-loans',
+  otherLiabilities: 'other-liabilities', capitalStock: 'capital-stock',
+  paidInCapital: 'paid-in-capital', retainedEarnings: 'retained-earnings',
+};
+
+function readBalanceSheet(col) {
+  const out = {};
+  Object.entries(BALANCE_SHEET_FIELDS).forEach(([key, id]) => {
+    out[key] = parseFloat(document.getElementById(`sl-${id}-${col}`)?.value) || 0;
+  });
+  return out;
+}
+
+// Form 1095-A Part III inputs are id'd f1095a-<month>-a / -b / -c / -ineligible
+const F1095A_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function read1095A() {
+  return F1095A_MONTHS.map((m) => ({
+    enrollPrem: num(`f1095a-${m}-a`),
+    slcsp:      num(`f1095a-${m}-b`),
+    aptc:       num(`f1095a-${m}-c`),
+    ineligible: !!document.getElementById(`f1095a-${m}-ineligible`)?.checked,
+  }));
+}
+
 // ============================================================
 //  LOCAL STORAGE PERSISTENCE
 // ============================================================
@@ -566,6 +710,8 @@ function saveFormData() {
         data[el.id] = el.value;
       }
     });
+    data.__rosters = {};
+    Object.keys(ROSTERS).forEach((name) => { data.__rosters[name] = readRoster(name); });
     localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
   } catch(e) {
     // localStorage may be unavailable (private browsing, quota exceeded, etc.)
@@ -577,7 +723,12 @@ function restoreFormData() {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return;
     const data = JSON.parse(raw);
+    // Rebuild roster rows first; their inputs are not addressed by id
+    Object.entries(data.__rosters || {}).forEach(([name, rows]) => {
+      if (ROSTERS[name]) renderRoster(name, rows);
+    });
     Object.entries(data).forEach(([id, value]) => {
+      if (id === '__rosters') return;
       const el = document.getElementById(id);
       if (!el) return;
       if (el.type === 'radio' || el.type === 'checkbox') {
@@ -614,19 +765,191 @@ function updateDeductionComparison(t) {
     </div>`;
 }
 
+function updateScheduleCMessage(t) {
+  const el = document.getElementById('schedule-c-msg');
+  if (!el) return;
+  if (radio('has-schedule-c') !== 'yes') { el.innerHTML = ''; return; }
+  const c = t.schC;
+  if (c.line31 < 0) {
+    el.innerHTML = `<div class="callout callout-info" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">Net loss of ${fmt(-c.line31)} (Schedule C, Line 31). It reduces your other income on Schedule 1, Line 3; there is no self-employment tax.</div></div>`;
+    return;
+  }
+  const se = t.seTax > 0
+    ? `Self-employment tax: <strong>${fmt(t.seTax)}</strong> (Schedule 2, Line 4), of which ${fmt(t.seDeduction)} is deductible (Schedule 1, Line 15).`
+    : `No self-employment tax — net earnings are under ${fmt(C.SE_MINIMUM)}.`;
+  const office = c.line30 < c.homeOfficeClaim
+    ? ` The home office deduction is limited to ${fmt(c.line30)} because it can't create a loss.` : '';
+  el.innerHTML = `<div class="callout callout-info" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">Net profit: <strong>${fmt(c.line31)}</strong> (Schedule C, Line 31). ${se}${office}</div></div>`;
+}
+
+function updateBasisMessage(t) {
+  const el = document.getElementById('basis-msg');
+  if (!el) return;
+  const f = t.f7203;
+  if (!f) { el.innerHTML = ''; return; }
+  const parts = [`Stock basis at year end: <strong>${fmt(f.stockEnd)}</strong>`];
+  if (f.line18 > 0) parts.push(`debt basis: <strong>${fmt(f.debtEnd)}</strong> on ${fmt(f.loanEnd)} of loans`);
+  let msg = parts.join(' · ') + '.';
+  if (f.totalLoss > 0) {
+    msg += f.suspendedLoss > 0
+      ? ` ⚠️ Only ${fmt(f.allowedLoss)} of ${fmt(f.totalLoss)} in losses is deductible — ${fmt(f.suspendedLoss)} is suspended to 2026.`
+      : ` ✅ All ${fmt(f.totalLoss)} of losses is covered by basis.`;
+  }
+  if (f.distributionGain > 0) msg += ` ⚠️ ${fmt(f.distributionGain)} of distributions exceeds your stock basis and is taxed as a long-term capital gain.`;
+  if (f.repaymentGain > 0) msg += ` ⚠️ ${fmt(f.repaymentGain)} of the loan repayment is gain because your debt basis was reduced.`;
+  const cls = f.suspendedLoss > 0 || f.capitalGain > 0 ? 'callout-warn' : 'callout-success';
+  el.innerHTML = `<div class="callout ${cls}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${msg}</div></div>`;
+}
+
+function updateQBIMessage(t) {
+  const el = document.getElementById('qbi-msg');
+  if (!el) return;
+  const q = t.qbi;
+  if (q.businesses.length === 0 && q.carryforwardUsed === 0) { el.innerHTML = ''; return; }
+  let msg;
+  if (q.totalQBI <= 0) {
+    msg = `No QBI deduction — business losses exceed income. ${fmt(q.newCarryforward)} of qualified business loss carries forward to 2026.`;
+  } else if (q.form === '8995') {
+    msg = `✅ QBI deduction: <strong>${fmt(t.qbiDeduction)}</strong> (20% of ${fmt(q.totalQBI)}${t.qbiDeduction < q.component ? `, limited to 20% of taxable income less net capital gain` : ''}). Form 8995 — Form 1040, Line 13a.`;
+  } else {
+    const where = q.phaseIn < 1
+      ? `in the phase-in range (${(q.phaseIn * 100).toFixed(1)}% of the way through)`
+      : 'above the phase-in range';
+    msg = `QBI deduction: <strong>${fmt(t.qbiDeduction)}</strong> on Form 8995-A. Taxable income of ${fmt(q.taxableIncome)} is ${where}, so the W-2 wage / UBIA limit${q.businesses.some((b) => b.sstb) ? ' and SSTB rules' : ''} apply.`;
+  }
+  el.innerHTML = `<div class="callout callout-info" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${msg}</div></div>`;
+}
+
+// Deduction, Roth limit and Form 8606 basis for each IRA owner
 function updateIRAMessage(t) {
+  const people = [...t.iras.people];
+  document.querySelectorAll('#iras-roster .roster-row').forEach((row) => {
+    const el = row.querySelector('.roster-row-status');
+    if (!el) return;
+    if (row.querySelector('[data-field="owner"]')?.value === 'spouse' && !t.isJoint) {
+      el.textContent = '⚠️ Your spouse\'s IRAs are only used on a joint return.';
+      return;
+    }
+    const p = people.shift();
+    if (!p) return;
+    const issues = [];
+    if (p.excessTraditional + p.excessRoth > 0) {
+      issues.push(`${fmt(p.excessTraditional + p.excessRoth)} is over your ${fmt(p.limit)} limit${p.excessRoth > 0 && t.iras.rothMagi > C.ROTH_PHASE_OUT[t.status][0] ? ' (the Roth limit phases out at your income)' : ''} — withdraw it by the due date of your return or owe ${fmt(p.excessTax)} (6%) on Form 5329`);
+    }
+    if (p.earlyDistribution) issues.push('Taxable distributions before age 59½ may also owe the 10% additional tax on Form 5329 unless an exception applies');
+    const parts = [`Limit ${fmt(p.limit)}${p.age50 ? ' (50 or older)' : ''}`];
+    if (p.traditional > 0) {
+      parts.push(`deductible ${fmt(p.deduction)}${p.range ? ` (${p.covered ? 'covered by a workplace plan' : 'spouse covered'}, phase-out ${fmt(p.range[0])}–${fmt(p.range[1])})` : ''}`);
+      if (p.nondeductible > 0) parts.push(`nondeductible ${fmt(p.nondeductible)} (Form 8606, Line 1)`);
+    }
+    if (p.roth > 0 || p.rothLimit < p.limit - p.traditional) parts.push(`Roth limit ${fmt(p.rothLimit)}`);
+    if (p.f8606.line14 > 0) parts.push(`basis carried to 2026 ${fmt(p.f8606.line14)}`);
+    el.textContent = (issues.length ? `⚠️ ${issues.join('. ')}. ` : '') + parts.join(' · ');
+  });
   const el = document.getElementById('ira-deductibility-msg');
   if (!el) return;
-  if (radio('has-ira') !== 'yes') { el.innerHTML = ''; return; }
-  const deductible = t.iraDeduction;
-  const contributed = t.iraRaw;
-  const pct = contributed > 0 ? Math.round((deductible / contributed) * 100) : 0;
-  if (deductible >= contributed && contributed > 0) {
-    el.innerHTML = `<div class="callout callout-success" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">✅ Your full ${fmt(contributed)} IRA contribution appears to be deductible based on your income.</div></div>`;
-  } else if (deductible > 0) {
-    el.innerHTML = `<div class="callout callout-warn" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">⚠️ Only ${fmt(deductible)} (~${pct}%) of your IRA contribution is deductible because your income is in the phase-out range ($${C.IRA_PHASE_OUT_START.toLocaleString()}–$${C.IRA_PHASE_OUT_END.toLocaleString()}). The rest is a non-deductible contribution.</div></div>`;
+  if (radio('has-ira') !== 'yes' || t.iras.people.length === 0) { el.innerHTML = ''; return; }
+  const notes = [`IRA deduction: <strong>${fmt(t.iraDeduction)}</strong> (Schedule 1, Line 20), on modified AGI of ${fmt(t.iras.magi)}.`];
+  if (t.iraDistributions > 0) {
+    notes.push(`IRA distributions: <strong>${fmt(t.iraDistributions)}</strong>, of which ${fmt(t.iraTaxable)} is taxable (Form 1040, Lines 4a–4b).`);
+  }
+  const warn = t.iras.people.some((p) => p.excessTraditional + p.excessRoth > 0 || p.earlyDistribution);
+  el.innerHTML = `<div class="callout ${warn ? 'callout-warn' : 'callout-info'}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${notes.join('<br>')}</div></div>`;
+}
+
+// Per-row verdict under each dependent, plus the Schedule 8812 total
+function updateDependentsDisplay(t) {
+  const s = t.sch8812;
+  const rows = document.querySelectorAll('#dependents-roster .roster-row');
+  rows.forEach((row, i) => {
+    const d  = s.dependents[i];
+    const el = row.querySelector('.roster-row-status');
+    if (!d || !el) return;
+    let msg;
+    if (d.ctc) {
+      msg = `✅ Qualifying child under 17 — ${fmt(C.CTC_PER_CHILD)} child tax credit`;
+    } else if (d.odc) {
+      const why = d.qualifyingChild && d.age >= 17 ? ` (age ${d.age} at year end)`
+        : d.qualifyingChild ? ' (no SSN valid for employment)'
+        : d.age === null && QUALIFYING_CHILD_RELATIONSHIPS.includes(d.relationship) ? ' — enter a date of birth to test for the child tax credit'
+        : '';
+      msg = `✅ Other dependent — ${fmt(C.ODC_PER_DEPENDENT)} credit for other dependents${why}`;
+    } else {
+      msg = d.relationship
+        ? '⚠️ Not a dependent — foster children and unrelated household members must live with you all year'
+        : 'Select a relationship to test this person';
+    }
+    el.textContent = msg;
+  });
+
+  const el = document.getElementById('dependents-msg');
+  if (!el) return;
+  if (s.line8 === 0) { el.innerHTML = ''; return; }
+  const reduced = s.line11 > 0
+    ? ` Your income is over ${fmt(s.line9)}, so it is reduced by ${fmt(s.line11)}.` : '';
+  el.innerHTML = `<div class="callout callout-success" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">✅ ${s.line4} qualifying child${s.line4 === 1 ? '' : 'ren'} and ${s.line6} other dependent${s.line6 === 1 ? '' : 's'}: ${fmt(s.line8)} in credits before the income limit.${reduced} ${fmt(t.ctcCredit)} reduces your tax (Form 1040, Line 19)${t.actc > 0 ? ` and ${fmt(t.actc)} is refundable as the additional child tax credit (Line 28)` : ''}.</div></div>`;
+}
+
+function updateChildCareMessage(t) {
+  const el = document.getElementById('childcare-msg');
+  if (!el) return;
+  if (radio('has-childcare') !== 'yes' || t.careExpenses <= 0) { el.innerHTML = ''; return; }
+  const f = t.f2441;
+  let msg;
+  if (f.persons === 0) {
+    msg = '⚠️ No qualifying person yet — add each child under 13 (or a dependent who can\'t care for themselves) in Step 1.';
+  } else if (!f.allowed) {
+    msg = '⚠️ Married filing separately: the credit is allowed only if you lived apart from your spouse for the last 6 months (Step 1).';
+  } else if (f.line6 < f.line3) {
+    msg = `⚠️ Expenses are capped at the lower earned income of ${fmt(f.line6)}. Credit: ${fmt(t.childCareCredit)} (${Math.round(f.line8 * 100)}%).`;
+  } else {
+    msg = `✅ ${fmt(f.line3)} of expenses × ${Math.round(f.line8 * 100)}% = ${fmt(f.line9a)}${t.childCareCredit < f.line9a ? `, limited to your tax of ${fmt(t.childCareCredit)}` : ''}.`;
+  }
+  el.innerHTML = `<div class="callout callout-info" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${msg}</div></div>`;
+}
+
+function updateAMTMessage(t) {
+  const el = document.getElementById('amt-msg');
+  if (!el) return;
+  const f = t.f6251;
+  if (t.amt === 0 && radio('has-amt-items') !== 'yes') { el.innerHTML = ''; return; }
+  const msg = t.amt > 0
+    ? `⚠️ Alternative minimum tax: <strong>${fmt(t.amt)}</strong> — your tentative minimum tax of ${fmt(f.line9)} is more than your regular tax of ${fmt(f.line10)} (Form 6251, Line 11 → Schedule 2, Line 1).`
+    : `✅ No AMT — tentative minimum tax of ${fmt(f.line9)} on ${fmt(f.line4)} of AMTI is below your regular tax of ${fmt(f.line10)}.`;
+  el.innerHTML = `<div class="callout ${t.amt > 0 ? 'callout-warn' : 'callout-success'}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${msg}</div></div>`;
+}
+
+function updateSaversMessage(t) {
+  const el = document.getElementById('savers-credit-msg');
+  if (!el) return;
+  const f = t.f8880;
+  if (!f) { el.innerHTML = ''; return; }
+  const tiers = C.SAVERS_AGI_TIERS[t.status];
+  let msg, cls = 'callout-info';
+  if (f.line7 === 0) {
+    msg = f.columns.some((c) => c.line3 > 0 && !c.eligible)
+      ? 'No Saver\'s Credit — contributions only count for someone 18 or older who is not a full-time student or a dependent.'
+      : f.columns.some((c) => c.line3 > 0)
+      ? 'No Saver\'s Credit — distributions you received since 2023 cancel out your contributions (Form 8880, Line 4).'
+      : 'Enter your IRA contribution (Step 6) or W-2 Box 12 retirement deferrals (Step 2) to figure the credit.';
+  } else if (f.line9 === 0) {
+    msg = `No Saver's Credit — your AGI of ${fmt(t.agi)} is over the ${fmt(tiers[tiers.length - 1])} limit for ${STATUS_LABELS[t.status]}.`;
   } else {
-    el.innerHTML = `<div class="callout callout-warn" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">⚠️ Your IRA contribution is <strong>not deductible</strong> because your income exceeds $${C.IRA_PHASE_OUT_END.toLocaleString()}. You can still contribute (non-deductible) or consider a Roth IRA instead — but that has its own income limits.</div></div>`;
+    cls = 'callout-success';
+    msg = `✅ ${fmt(f.line7)} of contributions × ${Math.round(f.line9 * 100)}% = ${fmt(f.line10)}${t.saversCredit < f.line10 ? `, limited to your remaining tax of ${fmt(t.saversCredit)}` : ''} (Schedule 3, Line 4).`;
+  }
+  el.innerHTML = `<div class="callout ${cls}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${msg}</div></div>`;
+}
+
+function updateEICMessage(t) {
+  const el = document.getElementById('eic-msg');
+  if (!el) return;
+  const e = t.eicResult;
+  const kids = `${e.kids} qualifying child${e.kids === 1 ? '' : 'ren'}`;
+  if (e.allowed) {
+    el.innerHTML = `<div class="callout callout-success" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">✅ Estimated EITC: <strong>${fmt(t.eic)}</strong> with ${kids} (Form 1040, Line 27). Colorado adds ${fmt(t.coEitc)}. Both are refundable.</div></div>`;
+  } else {
+    el.innerHTML = `<div class="callout callout-info" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">No EITC with ${kids}: ${e.reason}</div></div>`;
   }
 }
 
@@ -645,6 +968,7 @@ function updateCOPreview(t) {
           <tr style="border-top:1px solid var(--gray-200);font-weight:700;"><td>Colorado taxable income</td><td style="text-align:right;">${fmt(t.coTaxableIncome)}</td></tr>
           <tr><td>× 4.4% flat rate</td><td style="text-align:right;">${fmt(t.coTax)}</td></tr>
           <tr><td>− CO withholding (W-2 Box 17)</td><td style="text-align:right;">(${fmt(t.coWithheld)})</td></tr>
+          ${t.coEitc > 0 ? `<tr><td>− Colorado EITC (refundable)</td><td style="text-align:right;">(${fmt(t.coEitc)})</td></tr>` : ''}
           <tr style="border-top:1px solid var(--gray-200);font-weight:700;color:${t.coRefund > 0 ? 'var(--green)' : 'var(--red)'};">
             <td>${t.coRefund > 0 ? 'Colorado refund' : 'Colorado amount owed'}</td>
             <td style="text-align:right;">${fmt(t.coRefund > 0 ? t.coRefund : t.coOwed)}</td>
@@ -671,6 +995,11 @@ function updateF1120SDisplay(t) {
     ordEl.textContent = (s.ordinaryIncome >= 0 ? '' : '(') + fmt(Math.abs(s.ordinaryIncome)) + (s.ordinaryIncome < 0 ? ')' : '');
     ordEl.style.color = s.ordinaryIncome >= 0 ? 'var(--green)' : 'var(--red)';
   }
+  ['begin', 'end'].forEach((col) => {
+    setText(`sl-total-assets-${col}`, fmt(s.schL[col].totalAssets));
+    setText(`sl-total-liabilities-equity-${col}`, fmt(s.schL[col].totalLiabilitiesEquity));
+  });
+  updateScheduleLMessage(s);
   // Sync K-1 Box 1 hidden input and display
   const k1Input = document.getElementById('k1-box1');
   if (k1Input) k1Input.value = s.k1Box1.toFixed(2);
@@ -679,6 +1008,311 @@ function updateF1120SDisplay(t) {
     k1Disp.textContent = (s.k1Box1 < 0 ? '(' : '') + fmt(Math.abs(s.k1Box1)) + (s.k1Box1 < 0 ? ')' : '');
     k1Disp.style.color = s.k1Box1 >= 0 ? '' : 'var(--red)';
   }
+  // The rest of your K-1 — every nonzero box other than Box 1
+  const mineEl = document.getElementById('k1-mine-display');
+  if (mineEl) {
+    const rows = K1_BOXES.filter((b) => b.key !== 'box1' && s.myK1[b.key] !== 0)
+      .map((b) => `<tr><td style="padding:3px 0; color:var(--gray-600);">Box ${b.box}${b.code ? `, Code ${b.code}` : ''} — ${b.label}</td><td style="text-align:right;">${fmtLine(s.myK1[b.key])}</td></tr>`);
+    mineEl.innerHTML = rows.length ? `
+      <div class="callout callout-info" style="margin-top:0.75rem;">
+        <div class="callout-body" style="font-size:0.85rem;">
+          <strong>Other items on your K-1</strong>
+          <table style="width:100%; border-collapse:collapse; margin-top:0.5rem; font-size:0.82rem;">${rows.join('')}</table>
+        </div>
+      </div>` : '';
+  }
+}
+
+// Per-row share under each register entry, plus the daily 100% check
+function updateShareholdersDisplay(t) {
+  const s = t.f1120s;
+  const reg = s.register;
+  const rows = document.querySelectorAll('#shareholders-roster .roster-row');
+  const input = readRoster('shareholders');
+  rows.forEach((row, i) => {
+    const r  = input[i];
+    const el = row.querySelector('.roster-row-status');
+    if (!r || !el) return;
+    const key = (r.tin || '').trim() || (r.name || '').trim();
+    const sh  = reg.shareholders.find((h) => ((h.tin || '').trim() || (h.name || '').trim()) === key);
+    el.textContent = sh && key
+      ? `${(sh.fraction * 100).toFixed(4)}% of the year's items${sh.periods.length > 1 ? ` across ${sh.periods.length} holding periods` : ''}${sh.mine ? ' — on this return' : ''}`
+      : '';
+  });
+  const msgEl = document.getElementById('shareholders-msg');
+  if (!msgEl) return;
+  if (!reg.fromRegister) { msgEl.innerHTML = ''; return; }
+  let cls, msg;
+  if (!reg.fullyAllocated) {
+    const first = new Date(Date.UTC(C.TAX_YEAR, 0, 1 + reg.firstBadDay)).toISOString().slice(0, 10);
+    cls = 'callout-warn';
+    msg = `⚠️ Ownership doesn't add up to 100% on ${reg.badDays} day${reg.badDays === 1 ? '' : 's'} of 2025, starting ${first}. Check the percentages and dates — the K-1s won't add up to Schedule K until every day is fully allocated.`;
+  } else if (!s.k1s.some((k) => k.mine)) {
+    cls = 'callout-warn';
+    msg = `⚠️ ${s.k1s.length} K-1${s.k1s.length === 1 ? '' : 's'} generated, but none is marked "On this return" — nothing flows to your Schedule E.`;
+  } else {
+    cls = 'callout-success';
+    msg = `✅ ${s.k1s.length} K-1${s.k1s.length === 1 ? '' : 's'} generated; every day of 2025 adds up to 100%. Your share: ${s.ownershipPct.toFixed(4)}%.`;
+  }
+  msgEl.innerHTML = `<div class="callout ${cls}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${msg}</div></div>`;
+}
+
+// Employer names for notes: "your Acme W-2" / "your 2 W-2s (Acme, Globex)"
+function w2Employers(t) {
+  return esc([...new Set(t.w2Forms.map((w) => w.employer).filter(Boolean))].join(', '));
+}
+
+function w2Source(t) {
+  const names = w2Employers(t);
+  if (t.w2Forms.length > 1) return `your ${t.w2Forms.length} W-2s${names ? ` (${names})` : ''}`;
+  return names ? `your ${names} W-2` : 'your W-2';
+}
+
+// Per-W-2 checks, plus the wage total and any excess social security
+function updateW2Display(t) {
+  const maxTax = C.SS_WAGE_BASE * C.SS_EMPLOYEE_RATE;
+  const forms = readW2s();
+  document.querySelectorAll('#w2s-roster .roster-row').forEach((row, i) => {
+    const el = row.querySelector('.roster-row-status');
+    if (!el || !forms[i]) return;
+    const w = normalizeW2(forms[i]);
+    const issues = [];
+    if (w.owner === 'spouse' && !t.isJoint) issues.push("Your spouse's W-2 is only used on a joint return");
+    if (w.box4 > maxTax + 0.005) {
+      issues.push(`Box 4 is more than the ${fmt(maxTax)} maximum — the employer, not the IRS, refunds the excess`);
+    } else if (w.box3 > 0 && Math.abs(w.box4 - w.box3 * C.SS_EMPLOYEE_RATE) > 1) {
+      issues.push(`Box 4 should be 6.2% of Box 3 (${fmt(w.box3 * C.SS_EMPLOYEE_RATE)})`);
+    }
+    el.textContent = issues.length
+      ? `⚠️ ${issues.join('. ')}.`
+      : `${w.employer || 'Employer not named'} — wages ${fmt(w.box1)}, federal tax withheld ${fmt(w.box2)}`;
+  });
+  const el = document.getElementById('w2s-msg');
+  if (!el) return;
+  if (t.w2Forms.length === 0) { el.innerHTML = ''; return; }
+  const excess = t.ssOverwithheld > 0
+    ? ` Your employers together withheld more than ${fmt(maxTax)} of social security tax — ${fmt(t.ssOverwithheld)} comes back on Schedule 3, Line 11.`
+    : '';
+  el.innerHTML = `<div class="callout ${excess ? 'callout-success' : 'callout-info'}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">Wages: <strong>${fmt(t.wages)}</strong> (Form 1040, Line 1a) · federal tax withheld: <strong>${fmt(t.fedWithheld)}</strong> (Line 25a).${excess}</div></div>`;
+}
+
+// Form 8889 limit and deduction for each HSA, with anything to fix
+function updateHSADisplay(t) {
+  const forms = [...t.f8889s];
+  document.querySelectorAll('#hsas-roster .roster-row').forEach((row) => {
+    const el = row.querySelector('.roster-row-status');
+    if (!el) return;
+    if (row.querySelector('[data-field="owner"]')?.value === 'spouse' && !t.isJoint) {
+      el.textContent = '⚠️ Your spouse\'s HSA is only used on a joint return.';
+      return;
+    }
+    const f = forms.shift();
+    if (!f) return;
+    const issues = [];
+    if (!f.line1) issues.push('Enter the months of HDHP coverage — without them the limit is $0');
+    if (f.excessContributions > 0) {
+      issues.push(`${fmt(f.excessContributions)} is over the limit — withdraw it by the due date of your return or owe ${fmt(f.excessTax)} (6%) on Form 5329`);
+    }
+    if (f.line17b > 0) issues.push(`${fmt(f.line16)} was not used for medical care — it is income plus a 20% additional tax of ${fmt(f.line17b)}`);
+    el.textContent = (issues.length ? `⚠️ ${issues.join('. ')}. ` : '')
+      + `Limit ${fmt(f.line8)} (${f.line1 === 'family' ? 'family' : 'self-only'} coverage, ${f.lastMonthRule ? 'last-month rule' : `${f.coveredMonths} month${f.coveredMonths === 1 ? '' : 's'}`})`
+      + ` · employer ${fmt(f.line9)} · deduction ${fmt(f.line13)}`;
+  });
+  const el = document.getElementById('hsa-msg');
+  if (!el) return;
+  if (t.f8889s.length === 0) { el.innerHTML = ''; return; }
+  const notes = [`HSA deduction: <strong>${fmt(t.hsaDeduction)}</strong> (Schedule 1, Line 13).`];
+  if (t.hsaIncome > 0) notes.push(`Taxable HSA income: <strong>${fmt(t.hsaIncome)}</strong> (Schedule 1, Line 8f).`);
+  if (t.hsaAdditionalTax + t.hsaTestingTax > 0) {
+    notes.push(`Additional tax: <strong>${fmt(t.hsaAdditionalTax + t.hsaTestingTax)}</strong> (Schedule 2, Lines 17c–17d).`);
+  }
+  const testing = t.f8889s.reduce((s, f) => s + f.testingPeriodAmount, 0);
+  if (testing > 0) {
+    notes.push(`⚠️ The last-month rule adds ${fmt(testing)} to your limit. If you stop being eligible before December 31, 2026, that amount is income on your 2026 return, plus a 10% additional tax.`);
+  }
+  const excess = t.f8889s.some((f) => f.excessContributions > 0);
+  el.innerHTML = `<div class="callout ${excess || testing > 0 ? 'callout-warn' : 'callout-info'}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${notes.join('<br>')}</div></div>`;
+}
+
+// Per-payer Schedule B amounts, plus the Form 1040 lines they add up to
+function updateInvestmentDisplay(t) {
+  const b = t.schB;
+  const status = (name, rows, describe) => {
+    document.querySelectorAll(`#${name}-roster .roster-row`).forEach((row, i) => {
+      const el = row.querySelector('.roster-row-status');
+      if (el && rows[i]) el.textContent = describe(rows[i]);
+    });
+  };
+  status('interest', b.interest, (f) => `Schedule B, Part I: ${fmt(f.box1 + f.box3)}`
+    + (f.box8 > 0 ? ` · tax-exempt ${fmt(f.box8)} (Line 2a)` : ''));
+  status('dividends', b.dividends, (f) => {
+    const issues = [];
+    if (f.box1b > f.box1a) issues.push('Box 1b (qualified) cannot be more than Box 1a');
+    if (f.box2b + f.box2d > f.box2a) issues.push('Boxes 2b and 2d are parts of Box 2a');
+    return issues.length ? `⚠️ ${issues.join('. ')}.`
+      : `Schedule B, Part II: ${fmt(f.box1a)}${f.box2a > 0 ? ` · capital gain distributions ${fmt(f.box2a)} (Schedule D, Line 13)` : ''}`;
+  });
+  const el = document.getElementById('investment-income-msg');
+  if (!el) return;
+  if (b.interest.length + b.dividends.length === 0 || (b.line4 === 0 && b.line6 === 0 && b.withheld === 0 && b.foreignTax === 0)) {
+    el.innerHTML = '';
+    return;
+  }
+  const needsSchB = b.line4 > 1500 || b.line6 > 1500;
+  const withheld = b.withheld > 0 ? ` · withheld: <strong>${fmt(b.withheld)}</strong> (Line 25b)` : '';
+  const foreign = t.foreignTaxNeeds1116
+    ? ` ⚠️ Foreign tax of ${fmt(t.foreignTaxPaid)} is over the ${fmt(C.FOREIGN_TAX_ELECTION_LIMIT[t.status])} limit for claiming it without Form 1116, which this app does not prepare — no credit is included.`
+    : t.foreignTaxPaid > 0 ? ` Foreign tax credit: <strong>${fmt(t.foreignTaxCredit)}</strong> (Schedule 3, Line 1).` : '';
+  el.innerHTML = `<div class="callout ${t.foreignTaxNeeds1116 ? 'callout-warn' : 'callout-info'}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">Taxable interest: <strong>${fmt(b.line4)}</strong> (Form 1040, Line 2b) · ordinary dividends: <strong>${fmt(b.line6)}</strong> (Line 3b)${withheld}. Schedule B is ${needsSchB ? '<strong>required</strong>' : 'not required'}.${foreign}</div></div>`;
+}
+
+// Per-sale Form 8949 box and gain, plus the Schedule D totals
+function updateSalesDisplay(t) {
+  const f = t.f8949;
+  document.querySelectorAll('#sales-roster .roster-row').forEach((row, i) => {
+    const el = row.querySelector('.roster-row-status');
+    const r  = f.rows[i];
+    if (!el || !r) return;
+    const gain = r.gain < 0 ? `loss of ${fmt(-r.gain)}` : `gain of ${fmt(r.gain)}`;
+    el.textContent = r.issues.length
+      ? `⚠️ ${r.issues.join('. ')}.`
+      : `Box ${r.box} (${r.term}-term) — ${gain}${r.direct ? ', reported in total on Schedule D' : ''}`;
+  });
+  const el = document.getElementById('capital-gains-msg');
+  if (!el) return;
+  const d = t.schD;
+  if (radio('has-capital-gains') !== 'yes' || (f.rows.length === 0 && d.line6 + d.line14 === 0)) { el.innerHTML = ''; return; }
+  const cls = f.issues.length ? 'callout-warn' : 'callout-info';
+  const warn = f.issues.length ? ` ⚠️ ${f.issues.length} sale${f.issues.length === 1 ? ' needs' : 's need'} attention.` : '';
+  const cl = t.capLossCarryover;
+  const carry = cl.shortTerm + cl.longTerm > 0
+    ? ` Only ${fmt(-cl.line21)} of the loss is deductible this year — ${fmt(cl.shortTerm)} short-term and ${fmt(cl.longTerm)} long-term carry over to 2026.`
+    : '';
+  el.innerHTML = `<div class="callout ${cls}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">Net short-term: <strong>${fmt(d.line7)}</strong> (Schedule D, Line 7) · net long-term: <strong>${fmt(d.line15)}</strong> (Line 15) · combined: <strong>${fmt(d.line16)}</strong>.${carry}${warn}</div></div>`;
+}
+
+// Appends the sales from a broker's CSV export to the Form 8949 list
+function importSalesCSV(input) {
+  const file = input.files && input.files[0];
+  const msgEl = document.getElementById('sales-import-msg');
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    const { transactions, skipped } = parseBrokerCSV(reader.result);
+    if (transactions.length > 0) renderRoster('sales', readRoster('sales').concat(transactions));
+    if (msgEl) {
+      msgEl.innerHTML = transactions.length > 0
+        ? `<div class="callout callout-success" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">✅ Imported ${transactions.length} sale${transactions.length === 1 ? '' : 's'} from ${esc(file.name)}${skipped ? ` (skipped ${skipped} row${skipped === 1 ? '' : 's'} without a sale date or proceeds)` : ''}. Check the holding period and 1099-B status on each.</div></div>`
+        : `<div class="callout callout-warn" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">⚠️ No sales found in ${esc(file.name)}. The file needs a header row with proceeds and cost basis columns.</div></div>`;
+    }
+    input.value = '';
+    recalculate();
+  };
+  reader.readAsText(file);
+}
+
+// Per-employee W-2 wages, plus the payroll tax totals and the 1120-S tie-out
+function updatePayrollDisplay(t) {
+  const p = t.payroll;
+  // Unpaid rows get no W-2, so match W-2s to rows in order, skipping those
+  const rows = document.querySelectorAll('#employees-roster .roster-row');
+  const input = readRoster('employees');
+  let next = 0;
+  rows.forEach((row, i) => {
+    const el = row.querySelector('.roster-row-status');
+    const paid = input[i] && ['q1', 'q2', 'q3', 'q4'].some((q) => input[i][q] > 0);
+    const w = p && !p.estimated && paid ? p.w2s[next++] : null;
+    if (el) el.textContent = w ? `W-2: Box 1 ${fmt(w.box1)} · Box 3 ${fmt(w.box3)} · Box 5 ${fmt(w.box5)}` : '';
+  });
+  const el = document.getElementById('payroll-msg');
+  if (!el) return;
+  if (!p) { el.innerHTML = ''; return; }
+  const taxes = `Employer payroll taxes: <strong>${fmt(p.employerTaxes)}</strong> — ${fmt(p.employerFica)} social security and Medicare, ${fmt(p.futa)} FUTA, ${fmt(p.suta)} Colorado unemployment.`;
+  const est = p.estimated ? ' Estimated from Lines 7 and 8 — add your employees for exact wage bases and W-2s.' : '';
+  const issues = p.mismatches.map((m) => `<li>${m.label}: payroll shows ${fmt(m.expected)}, the return has ${fmt(m.actual)}</li>`).join('');
+  el.innerHTML = issues
+    ? `<div class="callout callout-warn" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${taxes}${est}<br>⚠️ Doesn't reconcile:<ul style="margin:4px 0 0 18px;">${issues}</ul></div></div>`
+    : `<div class="callout callout-success" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${taxes}${est} ✅ Lines 7, 8 and 12 agree with the payroll filings.</div></div>`;
+}
+
+// Officer salary sweep — reruns the return at each salary, so it only
+// runs while the comparison is switched on
+function updateSalaryComparison() {
+  const el = document.getElementById('salary-comparison');
+  if (!el) return;
+  if (radio('has-salary-comparison') !== 'yes') { el.innerHTML = ''; return; }
+  const cmp = calcSalaryComparison(collectInputs());
+  const { best, rows } = cmp;
+  const low = rows[0];
+  const fmtSigned = (n) => (n < 0 ? `(${fmt(-n)})` : fmt(n));
+
+  let why;
+  if (cmp.maxSalary <= cmp.floor) {
+    why = `The S-corp's profit can't cover a ${fmt(cmp.floor)} salary plus its payroll tax — any salary at the floor puts Line 21 at a loss.`;
+  } else if (best.salary === low.salary) {
+    why = `Every dollar of salary above ${fmt(low.salary)} costs up to 15.3% in payroll tax and saves less than that in income tax, so the rest is better paid as distributions.`;
+  } else if (best.qbiDeduction > low.qbiDeduction) {
+    why = `Your taxable income is above the QBI threshold, so the deduction is capped at 50% of W-2 wages. Raising salary to ${fmt(best.salary)} lifts the QBI deduction from ${fmt(low.qbiDeduction)} to ${fmt(best.qbiDeduction)} — worth more than the extra payroll tax. Past that point the salary only shrinks the QBI income itself.`;
+  } else if (best.salary > C.SS_WAGE_BASE) {
+    why = `Past ${fmt(C.SS_WAGE_BASE)} of wages, salary only costs 2.9% Medicare, and the deduction against your K-1 income makes a higher salary come out ahead.`;
+  } else {
+    why = `Up to ${fmt(best.salary)} the salary saves more in income tax — through the deduction against your K-1 income and credits based on earned income — than it costs in payroll tax.`;
+  }
+  let vsCurrent = '';
+  if (cmp.belowFloor) {
+    vsCurrent = ` ⚠️ Your current salary of ${fmt(cmp.current)} is below the reasonable compensation floor — the IRS can recharacterize distributions as wages and assess payroll tax and penalties.`;
+  } else if (cmp.atCurrent && cmp.gain > 0.5) {
+    vsCurrent = ` That is ${fmt(cmp.gain)} more than at your current salary of ${fmt(cmp.current)}.`;
+  } else if (cmp.atCurrent) {
+    vsCurrent = ' Your current salary is already at the best point.';
+  }
+
+  const body = rows.map((r) => `
+    <tr class="${r === best ? 'best' : r.salary === cmp.current ? 'current' : ''}">
+      <td>${fmt(r.salary)}${r.salary === cmp.current ? ' (current)' : ''}</td>
+      <td>${fmt(r.employeeFica + r.employerFica)}</td>
+      <td>${fmtSigned(r.k1Box1)}</td>
+      <td>${fmt(r.qbiDeduction)}</td>
+      <td>${fmt(r.federalTax)}</td>
+      <td>${fmt(r.coloradoTax)}</td>
+      <td>${fmtSigned(r.afterTax)}</td>
+    </tr>`).join('');
+  el.innerHTML = `
+    <div class="callout ${cmp.belowFloor ? 'callout-warn' : 'callout-info'}" style="margin-top:8px;">
+      <div class="callout-body" style="font-size:0.85rem;">
+        <strong>Recommended salary: ${fmt(best.salary)}</strong> — ${fmtSigned(best.afterTax)} after tax.${vsCurrent}
+        <div style="margin-top:4px;">${why}</div>
+        <table class="salary-table">
+          <thead><tr><th>Officer salary</th><th>FICA (both halves)</th><th>Your K-1 Box 1</th><th>QBI deduction</th><th>Federal tax</th><th>Colorado tax</th><th>After-tax cash</th></tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+        <div class="field-hint" style="margin-top:6px;">After-tax cash = salary − your FICA + your share of the profit − federal and Colorado tax on the whole return. Other income is held fixed, so compare rows rather than reading any one as take-home pay.</div>
+      </div>
+    </div>`;
+}
+
+function updateScheduleLMessage(s) {
+  const el = document.getElementById('f1120s-schedules-msg');
+  if (!el) return;
+  const { schL, m2 } = s;
+  const notes = [];
+  ['begin', 'end'].forEach((col) => {
+    const c = schL[col];
+    if (!c.balances) {
+      notes.push(`⚠️ The ${col === 'begin' ? 'beginning' : 'end'}-of-year balance sheet is off by ${fmt(Math.abs(c.difference))} — total assets (Line 15) must equal total liabilities and equity (Line 27).`);
+    }
+  });
+  if (schL.end.totalAssets > 0 && !schL.retainedEarningsTie) {
+    notes.push(`Retained earnings at year end would be ${fmt(schL.expectedRetainedEarnings)} (beginning balance + book income − distributions); you entered ${fmt(schL.end.retainedEarnings)}. Check for unrecorded items.`);
+  }
+  if (m2.excessDistributions > 0) {
+    notes.push(`⚠️ ${fmt(m2.excessDistributions)} of distributions exceeds the AAA. With no accumulated earnings and profits it is a return of stock basis (Form 7203).`);
+  }
+  const ok = schL.balances && schL.begin.totalAssets + schL.end.totalAssets > 0
+    ? `✅ Schedule L balances. AAA at year end: <strong>${fmt(m2.line8)}</strong>.`
+    : `AAA at year end: <strong>${fmt(m2.line8)}</strong>.`;
+  const cls = notes.some((n) => n.startsWith('⚠️')) ? 'callout-warn' : 'callout-info';
+  el.innerHTML = `<div class="callout ${cls}" style="margin-top:8px;"><div class="callout-body" style="font-size:0.85rem;">${[ok, ...notes].join('<br>')}</div></div>`;
 }
 
 function updateForm8962Display(t) {
@@ -694,7 +1328,12 @@ function updateForm8962Display(t) {
     const el = document.getElementById(id);
     if (el) el.textContent = val;
   };
-  setText('f8962-magi',       fmt(t.agi));
+  // 1095-A line 33: the statement's own totals, before any Part IV allocation
+  const months = read1095A();
+  [['a', 'enrollPrem'], ['b', 'slcsp'], ['c', 'aptc']].forEach(([col, key]) =>
+    setText(`f1095a-total-${col}`, fmt(months.reduce((s, m) => s + m[key], 0))));
+  setText('f8962-method',     p.method === 'annual' ? 'Annual (Line 11)' : 'Monthly (Lines 12–23)');
+  setText('f8962-magi',       fmt(p.magi));
   setText('f8962-fpl',        fmt(p.fpl));
   setText('f8962-fpl-pct',    p.fplPct.toFixed(1) + '%');
   setText('f8962-app-pct',    (p.applicablePct * 100).toFixed(2) + '%');
@@ -736,10 +1375,9 @@ function goToStep(n) {
 function validateAndGo(nextStep) {
   // W-2 basic validation
   if (currentStep === 2) {
-    const wages = num('w2-box1');
-    if (wages === 0) {
+    if (!readW2s().some((w) => w.box1 > 0)) {
       const msg = document.getElementById('w2-validation-msg');
-      if (msg) msg.innerHTML = `<div class="callout callout-error"><div class="callout-icon">❌</div><div class="callout-body">Please enter your wages from Box 1 of your W-2. This is required.</div></div>`;
+      if (msg) msg.innerHTML = `<div class="callout callout-error"><div class="callout-icon">❌</div><div class="callout-body">Please enter your wages from Box 1 of at least one W-2. This is required.</div></div>`;
       return;
     }
     const msg = document.getElementById('w2-validation-msg');
@@ -771,20 +1409,65 @@ function updateSidebarNav() {
   });
 }
 
+// ============================================================
+//  FILING STATUS
+// ============================================================
+// Married and surviving-spouse answers set the status directly; an
+// unmarried filer falls through to the Head of Household test below.
+function updateFilingStatus() {
+  const marital  = radio('marital-status') || 'unmarried';
+  const hohTest  = document.getElementById('hoh-test-section');
+  if (hohTest) hohTest.classList.toggle('visible', marital === 'unmarried');
+  if (marital === 'unmarried') { updateHOHTest(); return; }
+
+  const resultEl = document.getElementById('filing-status-result');
+  setFilingStatus(marital);
+  const notes = {
+    mfj: 'Both spouses\' income, deductions and credits go on one return. Enter your spouse\'s W-2 in Step 2.',
+    mfs: 'You report only your own income and deductions. Several benefits are reduced or unavailable — student loan interest, the new tips/overtime/senior deductions, and (with limited exceptions) the Premium Tax Credit.',
+    qss: 'You use the joint tax brackets and standard deduction for up to two years after your spouse\'s death, as long as a dependent child lives with you.',
+  };
+  if (resultEl) resultEl.innerHTML = `
+    <div class="callout callout-success">
+      <div class="callout-icon">✅</div>
+      <div class="callout-body">
+        <div class="callout-title">Filing status: ${STATUS_LABELS[marital]}</div>
+        <p>Your standard deduction is <strong>${fmt(C.STD_DEDUCTION[marital])}</strong>. ${notes[marital]}</p>
+      </div>
+    </div>`;
+  recalculate();
+}
+
+// Store the status and show only the inputs that apply to it
+function setFilingStatus(status) {
+  const fsInput = document.getElementById('filing-status');
+  if (fsInput && fsInput.value !== status) {
+    fsInput.value = status;
+    fsInput.dispatchEvent(new Event('change'));
+  }
+  const show = (id, on) => document.getElementById(id)?.classList.toggle('visible', on);
+  show('spouse-senior-section',  status === 'mfj');
+  show('schc-owner-section',     status === 'mfj');
+  show('savers-spouse-section',  status === 'mfj');
+  show('mfs-options-section',    status === 'mfs');
+  show('ptc-mfs-section',        status === 'mfs');
+  show('ptc-marriage-section',   status === 'mfj');
+}
+
 // ============================================================
 //  HOH DETERMINATION
 // ============================================================
 function updateHOHTest() {
+  if ((radio('marital-status') || 'unmarried') !== 'unmarried') return;
   const nightsVal   = radio('nights-test');
   const homeCostGrp = document.getElementById('home-cost-group');
   const resultEl    = document.getElementById('filing-status-result');
-  const fsInput     = document.getElementById('filing-status');
 
   if (nightsVal === 'yes') {
     if (homeCostGrp) homeCostGrp.style.display = 'block';
     const costVal = radio('home-cost');
     if (costVal === 'yes') {
-      fsInput.value = 'hoh';
+      setFilingStatus('hoh');
       resultEl.innerHTML = `
         <div class="callout callout-success">
           <div class="callout-icon">✅</div>
@@ -798,7 +1481,7 @@ function updateHOHTest() {
           </div>
         </div>`;
     } else if (costVal === 'no') {
-      fsInput.value = 'single';
+      setFilingStatus('single');
       resultEl.innerHTML = `
         <div class="callout callout-warn">
           <div class="callout-icon">⚠️</div>
@@ -812,7 +1495,7 @@ function updateHOHTest() {
     }
   } else {
     if (homeCostGrp) homeCostGrp.style.display = 'none';
-    fsInput.value = 'single';
+    setFilingStatus('single');
     resultEl.innerHTML = `
       <div class="callout callout-info">
         <div class="callout-icon">ℹ️</div>
@@ -833,6 +1516,11 @@ function toggleCapGains() {
   if (s) s.classList.toggle('visible', radio('has-capital-gains') === 'yes');
   recalculate();
 }
+function toggleScheduleC() {
+  const s = document.getElementById('schedule-c-section');
+  if (s) s.classList.toggle('visible', radio('has-schedule-c') === 'yes');
+  recalculate();
+}
 function toggleTips() {
   const s = document.getElementById('tips-section');
   if (s) s.classList.toggle('visible', radio('has-tips') === 'yes');
@@ -873,11 +1561,51 @@ function toggleEducation() {
   if (s) s.classList.toggle('visible', radio('has-education') === 'yes');
   recalculate();
 }
+function toggleSavers() {
+  const s = document.getElementById('savers-section');
+  if (s) s.classList.toggle('visible', radio('has-savers') === 'yes');
+  recalculate();
+}
+function toggleAMT() {
+  const s = document.getElementById('amt-section');
+  if (s) s.classList.toggle('visible', radio('has-amt-items') === 'yes');
+  recalculate();
+}
+function toggleShareholders() {
+  const s = document.getElementById('shareholders-section');
+  if (s) s.classList.toggle('visible', radio('has-shareholders') === 'yes');
+  recalculate();
+}
+function toggleSalaryComparison() {
+  const s = document.getElementById('salary-comparison-section');
+  if (s) s.classList.toggle('visible', radio('has-salary-comparison') === 'yes');
+  recalculate();
+}
+function togglePayroll() {
+  const s = document.getElementById('payroll-section');
+  if (s) s.classList.toggle('visible', radio('has-payroll') === 'yes');
+  recalculate();
+}
+function toggleBasis() {
+  const s = document.getElementById('basis-section');
+  if (s) s.classList.toggle('visible', radio('has-basis') === 'yes');
+  recalculate();
+}
 function toggleMarketplace() {
   const s = document.getElementById('marketplace-section');
   if (s) s.classList.toggle('visible', radio('has-marketplace') === 'yes');
   recalculate();
 }
+function togglePolicyAllocation() {
+  const s = document.getElementById('ptc-allocation-section');
+  if (s) s.classList.toggle('visible', radio('has-ptc-allocation') === 'yes');
+  recalculate();
+}
+function toggleMarriageAlternative() {
+  const s = document.getElementById('ptc-marriage-fields');
+  if (s) s.classList.toggle('visible', radio('ptc-married-in-year') === 'yes');
+  recalculate();
+}
 
 // ============================================================
 //  REVIEW PAGE (Step 10)
@@ -893,23 +1621,27 @@ function buildReviewPage() {
   el.innerHTML = `
     <div class="section-label">Income Summary</div>
     <div style="background:var(--gray-50);border-radius:6px;padding:12px 16px;margin-bottom:16px;">
-      ${row('Filing status', t.isHOH ? 'Head of Household' : 'Single')}
-      ${row('W-2 wages (Minerva)', fmt(t.wages))}
+      ${row('Filing status', STATUS_LABELS[t.status])}
+      ${row(`W-2 wages${w2Employers(t) ? ` (${w2Employers(t)})` : ''}`, fmt(t.wages))}
       ${row('S-Corp K-1 income (loss)', fmt(t.skorpK1))}
+      ${t.f7203 && t.f7203.suspendedLoss > 0 ? row('S-Corp loss suspended by basis (Form 7203)', fmt(t.f7203.suspendedLoss)) : ''}
       ${row('Interest income', fmt(t.taxableInt))}
       ${row('Dividend income', fmt(t.ordDiv))}
       ${row('Capital gain (loss)', fmt(t.capGain1040))}
+      ${t.businessIncome !== 0 ? row('Schedule C net profit (loss)', fmt(t.businessIncome)) : ''}
       ${row('Other income', fmt(t.unemployment + t.stateTaxRefund + t.otherIncome))}
       ${row('<strong>Total income</strong>', `<strong>${fmt(t.totalIncome)}</strong>`)}
-      ${row('Adjustments (Schedule 1 + 1-A)', fmt(-t.totalAdjustments))}
+      ${row('Adjustments (Schedule 1)', fmt(-t.totalAdjustments))}
       ${row('<strong>Adjusted Gross Income (AGI)</strong>', `<strong>${fmt(t.agi)}</strong>`)}
     </div>
     <div class="section-label">Deductions &amp; Tax</div>
     <div style="background:var(--gray-50);border-radius:6px;padding:12px 16px;margin-bottom:16px;">
       ${row(t.useItemized ? 'Itemized deduction (Schedule A)' : 'Standard deduction', fmt(-t.deduction))}
+      ${t.qbiDeduction > 0 ? row('QBI deduction (Form 8995)', fmt(-t.qbiDeduction)) : ''}
+      ${t.sch1a.total > 0 ? row('Schedule 1-A deductions', fmt(-t.sch1a.total)) : ''}
       ${row('<strong>Federal taxable income</strong>', `<strong>${fmt(t.taxableIncome)}</strong>`)}
       ${row('Federal income tax', fmt(t.totalTax))}
-      ${row('Federal withholding (W-2 Box 2)', fmt(-t.fedWithheld))}
+      ${row('Federal withholding', fmt(-t.totalWithheld))}
       ${row('Other payments', fmt(-t.fedEstimated))}
       ${row('<strong>Federal ' + (t.fedRefund > 0 ? 'Refund' : 'Amount Owed') + '</strong>',
         `<strong style="color:${t.fedRefund > 0 ? 'var(--green)' : 'var(--red)'};">${fmt(t.fedRefund > 0 ? t.fedRefund : -t.fedOwed)}</strong>`)}
@@ -933,7 +1665,7 @@ function generateAndShowSummary() {
   const el = document.getElementById('summary-content');
   if (!el) return;
 
-  const statusLabel = t.isHOH ? 'Head of Household' : 'Single';
+  const statusLabel = STATUS_LABELS[t.status];
 
   // ── Result boxes at top ──
   const fedBox = t.fedRefund > 0
@@ -963,13 +1695,19 @@ function generateAndShowSummary() {
       ${tableRow('Top', 'Filing Status box to check', statusLabel)}
       ${tableRow('Top', 'Digital Assets question', 'Answer Yes/No based on whether you used cryptocurrency')}
       ${sectionRow('Income')}
-      ${tableRow('1a', 'Wages, salaries, tips (W-2 Box 1)', fmtLine(t.wages), 'From your Minerva University W-2')}
-      ${t.taxableInt > 0 ? tableRow('2b', 'Taxable interest', fmtLine(t.taxableInt)) : skipRow('Line 2b — Taxable interest (none entered)')}
-      ${t.ordDiv > 0 ? tableRow('3b', 'Ordinary dividends', fmtLine(t.ordDiv)) : skipRow('Line 3b — Ordinary dividends (none entered)')}
+      ${tableRow('1a', 'Wages, salaries, tips (W-2 Box 1)', fmtLine(t.wages), `From ${w2Source(t)}`)}
+      ${t.dcbTaxable > 0 ? tableRow('1e', 'Taxable dependent care benefits (Form 2441, Line 26)', fmtLine(t.dcbTaxable)) : ''}
+      ${t.taxExemptInt > 0 ? tableRow('2a', 'Tax-exempt interest', fmtLine(t.taxExemptInt), '1099-INT Box 8 and 1099-DIV Box 12 — reported, not taxed') : ''}
+      ${t.taxableInt > 0 ? tableRow('2b', 'Taxable interest', fmtLine(t.taxableInt), 'Schedule B, Line 4') : skipRow('Line 2b — Taxable interest (none entered)')}
+      ${t.ordDiv > 0 ? tableRow('3b', 'Ordinary dividends', fmtLine(t.ordDiv), 'Schedule B, Line 6') : skipRow('Line 3b — Ordinary dividends (none entered)')}
       ${t.qualDiv > 0 ? tableRow('3a', 'Qualified dividends', fmtLine(t.qualDiv), 'Subset of 3b; taxed at lower rates') : skipRow('Line 3a — Qualified dividends (none entered)')}
+      ${t.iraDistributions > 0
+        ? tableRow('4a', 'IRA distributions', fmtLine(t.iraDistributions), 'Form 1099-R, including Roth conversions')
+          + tableRow('4b', 'IRA distributions — taxable amount', fmtLine(t.iraTaxable), t.iras.people.some((p) => p.f8606.line3 > 0) ? 'Form 8606, Lines 15c and 18' : 'No basis — the whole amount is taxable')
+        : skipRow('Lines 4a–4b — IRA distributions (none)')}
       ${t.capGain1040 !== 0 ? tableRow('7', 'Capital gain or (loss)', fmtLine(t.capGain1040), 'Attach Schedule D if you have transactions') : skipRow('Line 7 — Capital gain or loss (none entered)')}
-      ${t.skorpK1 !== 0 || t.unemployment !== 0 || t.stateTaxRefund !== 0 || t.otherIncome !== 0
-        ? tableRow('8', 'Additional income from Schedule 1, Line 10', fmtLine(t.skorpK1 + t.unemployment + t.stateTaxRefund + t.otherIncome), 'See Schedule 1 detail below')
+      ${t.sch1PartI !== 0
+        ? tableRow('8', 'Additional income from Schedule 1, Line 10', fmtLine(t.sch1PartI), 'See Schedule 1 detail below')
         : skipRow('Line 8 — Additional income from Schedule 1 (none)')}
       ${tableRow('9', 'Total income (add Lines 1a through 8)', fmtLine(t.totalIncome))}
       ${sectionRow('Adjusted Gross Income')}
@@ -980,25 +1718,60 @@ function generateAndShowSummary() {
       ${sectionRow('Tax and Credits')}
       ${tableRow('12', t.useItemized ? 'Itemized deductions (Schedule A)' : 'Standard deduction', fmtLine(t.deduction),
         t.useItemized ? 'See Schedule A detail below' : `Standard deduction for ${statusLabel}`)}
+      ${t.qbiDeduction > 0
+        ? tableRow('13a', `Qualified business income deduction (Form ${t.qbi.form})`, fmtLine(t.qbiDeduction), `See Form ${t.qbi.form} below`)
+        : skipRow('Line 13a — Qualified business income deduction (none)')}
       ${t.sch1a.total > 0
-        ? tableRow('13', 'Qualified deductions from Schedule 1-A', fmtLine(t.sch1a.total), 'New for 2025 — see Schedule 1-A below')
-        : skipRow('Line 13 — Schedule 1-A deductions (none)')}
-      ${tableRow('15', 'Taxable income (Line 11 − Line 12 − Line 13)', fmtLine(t.taxableIncome), '', 'highlight')}
+        ? tableRow('13b', 'Deductions from Schedule 1-A', fmtLine(t.sch1a.total), 'New for 2025 — see Schedule 1-A below')
+        : skipRow('Line 13b — Schedule 1-A deductions (none)')}
+      ${tableRow('14', 'Add Lines 12, 13a and 13b', fmtLine(t.totalDeductions))}
+      ${tableRow('15', 'Taxable income (Line 11 − Line 14)', fmtLine(t.taxableIncome), '', 'highlight')}
       ${tableRow('16', 'Tax (from Tax Table or Computation Worksheet)', fmtLine(t.federalTax),
-        `Use the 2025 Tax Computation Worksheet, Section ${t.isHOH ? 'D (HOH)' : 'A (Single)'} if taxable income ≥ $100,000`)}
-      ${(t.niit + t.ptcRepay + t.addlMedicareTax) > 0
-        ? tableRow('17', 'Other taxes from Schedule 2, Line 10', fmtLine(t.niit + t.ptcRepay + t.addlMedicareTax),
-            `Includes: ${[t.niit > 0 ? `NIIT ${fmt(t.niit)}` : '', t.ptcRepay > 0 ? `excess PTC repayment ${fmt(t.ptcRepay)}` : '', t.addlMedicareTax > 0 ? `add\'l Medicare tax ${fmt(t.addlMedicareTax)}` : ''].filter(Boolean).join(', ')} — see Schedule 2 below`, 'owe')
-        : skipRow('Line 17 — Other taxes from Schedule 2 (none)')}
-      ${tableRow('18', 'Add Lines 16 and 17', fmtLine(t.federalTax + t.niit + t.ptcRepay + t.addlMedicareTax))}
-      ${t.childCareCredit > 0 ? tableRow('19', 'Child & dependent care credit (Form 2441, Line 11)', fmtLine(t.childCareCredit), 'See Form 2441 detail below') : skipRow('Line 19 — Child & dependent care credit (none)')}
-      ${t.educationCredit > 0 ? tableRow('20', 'Education credits (Form 8863)', fmtLine(t.educationCredit), 'See Form 8863 detail below') : skipRow('Line 20 — Education credits (none)')}
-      ${t.totalCredits > 0 ? tableRow('24', 'Other nonrefundable credits from Schedule 3, Line 8', fmtLine(t.totalCredits), 'See Schedule 3 detail below') : skipRow('Line 24 — Other nonrefundable credits (none)')}
-      ${t.ptcCredit > 0 ? tableRow('30', 'Other payments / refundable credits from Schedule 3, Line 15', fmtLine(t.ptcCredit), 'Net Premium Tax Credit — see Form 8962 and Schedule 3 below', 'refund') : skipRow('Line 30 — Refundable credits from Schedule 3 (none)')}
+        t.capGainWorksheet
+          ? `Figured on the ${t.capGainWorksheet.form === 'schD' ? 'Schedule D Tax Worksheet' : 'Qualified Dividends and Capital Gain Tax Worksheet'} — see it below`
+          : taxMethodNote(t.taxableIncome, t))}
+      ${t.sch2PartI > 0
+        ? tableRow('17', 'Amount from Schedule 2, Line 3', fmtLine(t.sch2PartI),
+            `${[t.amt > 0 ? `AMT ${fmt(t.amt)}` : '', t.ptcRepay > 0 ? `excess advance PTC repayment ${fmt(t.ptcRepay)}` : ''].filter(Boolean).join(', ')} — see Schedule 2 below`, 'owe')
+        : skipRow('Line 17 — Schedule 2, Part I (none)')}
+      ${tableRow('18', 'Add Lines 16 and 17', fmtLine(t.taxBeforeCredits))}
+      ${t.ctcCredit > 0
+        ? tableRow('19', 'Child tax credit or credit for other dependents (Schedule 8812, Line 14)', fmtLine(t.ctcCredit), 'See Schedule 8812 detail below', 'refund')
+        : skipRow('Line 19 — Child tax credit / credit for other dependents (none)')}
+      ${t.sch3PartI > 0
+        ? tableRow('20', 'Amount from Schedule 3, Line 8', fmtLine(t.sch3PartI), 'Nonrefundable credits — see Schedule 3 detail below', 'refund')
+        : skipRow('Line 20 — Nonrefundable credits from Schedule 3 (none)')}
+      ${tableRow('21', 'Add Lines 19 and 20', fmtLine(t.nonrefundableCredits))}
+      ${tableRow('22', 'Subtract Line 21 from Line 18 (not less than zero)', fmtLine(t.taxAfterCredits))}
+      ${t.otherTaxes > 0
+        ? tableRow('23', 'Other taxes from Schedule 2, Line 21', fmtLine(t.otherTaxes),
+            `Includes: ${[t.seTax > 0 ? `SE tax ${fmt(t.seTax)}` : '', t.niit > 0 ? `NIIT ${fmt(t.niit)}` : '', t.addlMedicareTax > 0 ? `add\'l Medicare tax ${fmt(t.addlMedicareTax)}` : ''].filter(Boolean).join(', ')} — see Schedule 2 below`, 'owe')
+        : skipRow('Line 23 — Other taxes from Schedule 2 (none)')}
+      ${tableRow('24', 'Total tax (add Lines 22 and 23)', fmtLine(t.totalTax), '', 'highlight')}
       ${sectionRow('Payments')}
-      ${tableRow('25a', 'Federal income tax withheld (W-2 Box 2)', fmtLine(t.fedWithheld), 'From your Minerva University W-2')}
+      ${tableRow('25a', 'Federal income tax withheld (W-2 Box 2)', fmtLine(t.fedWithheld), `From ${w2Source(t)}`)}
+      ${t.withheld1099 > 0
+        ? tableRow('25b', 'Federal income tax withheld (Form 1099)', fmtLine(t.withheld1099), '1099-INT and 1099-DIV Box 4')
+        : skipRow('Line 25b — Withholding on Forms 1099 (none)')}
+      ${t.addlMedicareWithheld > 0
+        ? tableRow('25c', 'Other forms — Additional Medicare Tax withheld (Form 8959, Line 24)', fmtLine(t.addlMedicareWithheld), 'Box 6 beyond 1.45% of Box 5', 'refund')
+        : skipRow('Line 25c — Withholding from other forms (none)')}
+      ${tableRow('25d', 'Total withholding (add Lines 25a through 25c)', fmtLine(t.totalWithheld))}
       ${t.fedEstimated > 0 ? tableRow('26', 'Estimated tax payments (Form 1040-ES)', fmtLine(t.fedEstimated)) : skipRow('Line 26 — Estimated tax payments (none)')}
-      ${tableRow('33', 'Total payments (add Lines 25a + 26 + others)', fmtLine(t.totalPayments))}
+      ${t.eic > 0
+        ? tableRow('27', 'Earned income credit (EIC)', fmtLine(t.eic), t.eicChildren.length > 0 ? 'Attach Schedule EIC — see detail below' : 'No qualifying child — no Schedule EIC needed', 'refund')
+        : skipRow('Line 27 — Earned income credit (not eligible)')}
+      ${t.actc > 0
+        ? tableRow('28', 'Additional child tax credit (Schedule 8812, Line 27)', fmtLine(t.actc), 'Refundable — paid even if it exceeds your tax', 'refund')
+        : skipRow('Line 28 — Additional child tax credit (none)')}
+      ${t.aotcRefundable > 0
+        ? tableRow('29', 'American opportunity credit (Form 8863, Line 8)', fmtLine(t.aotcRefundable), 'Refundable 40% of the AOTC — see Form 8863 below', 'refund')
+        : skipRow('Line 29 — Refundable American opportunity credit (none)')}
+      ${t.sch3PartII > 0
+        ? tableRow('31', 'Amount from Schedule 3, Line 15', fmtLine(t.sch3PartII), 'Net Premium Tax Credit and excess social security — see Schedule 3 below', 'refund')
+        : skipRow('Line 31 — Refundable credits from Schedule 3 (none)')}
+      ${tableRow('32', 'Total other payments and refundable credits', fmtLine(t.eic + t.actc + t.aotcRefundable + t.sch3PartII))}
+      ${tableRow('33', 'Total payments (add Lines 25d, 26 and 32)', fmtLine(t.totalPayments))}
       ${sectionRow('Refund / Amount Owed')}
       ${t.fedRefund > 0
         ? tableRow('34', 'Amount overpaid (refund)', fmtLine(t.fedRefund), 'Enter routing/account number on Lines 35a–35d for direct deposit', 'refund')
@@ -1011,8 +1784,8 @@ function generateAndShowSummary() {
     </table>`;
 
   // ── SCHEDULE 1 ──
-  const hasSch1Income = t.skorpK1 !== 0 || t.unemployment !== 0 || t.stateTaxRefund !== 0 || t.otherIncome !== 0;
-  const hasSch1Adj    = t.sliDeduction > 0 || t.iraDeduction > 0 || t.hsaDeduction > 0;
+  const hasSch1Income = t.businessIncome !== 0 || t.skorpK1 !== 0 || t.unemployment !== 0 || t.stateTaxRefund !== 0 || t.otherIncome !== 0;
+  const hasSch1Adj    = t.sch1PartII > 0;
 
   const sch1 = `
     <table class="form-line-table">
@@ -1021,28 +1794,38 @@ function generateAndShowSummary() {
       ${t.stateTaxRefund > 0
         ? tableRow('1', 'Taxable state tax refund (from 2024 CO return, if you itemized in 2024)', fmtLine(t.stateTaxRefund))
         : skipRow('Line 1 — State tax refund (not taxable if you took the standard deduction in 2024)')}
+      ${t.businessIncome !== 0
+        ? tableRow('3', 'Business income (loss) from Schedule C, Line 31', fmtLine(t.businessIncome), 'Attach Schedule C — see detail below')
+        : skipRow('Line 3 — Business income (no Schedule C)')}
       ${t.skorpK1 !== 0
         ? tableRow('5', 'S-corporation income (loss) from Schedule E, Part II', fmtLine(t.skorpK1), 'Attach Schedule E')
         : skipRow('Line 5 — S-corp income/loss (zero — check your K-1)')}
       ${t.unemployment > 0
         ? tableRow('7', 'Unemployment compensation', fmtLine(t.unemployment))
         : skipRow('Line 7 — Unemployment compensation (none)')}
+      ${t.hsaIncome > 0
+        ? tableRow('8f', 'Income from Form 8889', fmtLine(t.hsaIncome), 'HSA distributions not used for medical care, or a failed testing period')
+        : skipRow('Line 8f — Income from Form 8889 (none)')}
       ${t.otherIncome > 0
         ? tableRow('8z', 'Other income (prizes, awards, etc.)', fmtLine(t.otherIncome))
         : skipRow('Line 8z — Other income (none)')}
-      ${tableRow('10', 'Total additional income (add Part I lines)', fmtLine(t.skorpK1 + t.unemployment + t.stateTaxRefund + t.otherIncome))}
+      ${tableRow('10', 'Total additional income (add Part I lines)', fmtLine(t.sch1PartI))}
       ${sectionRow('Part II — Adjustments to Income')}
       ${t.sliDeduction > 0
         ? tableRow('21', 'Student loan interest deduction', fmtLine(t.sliDeduction),
           t.sliRaw > t.sliDeduction ? `Your full ${fmt(t.sliRaw)} phases out; only ${fmt(t.sliDeduction)} is deductible` : '')
         : skipRow('Line 21 — Student loan interest (none or phase-out eliminated it)')}
       ${t.iraDeduction > 0
-        ? tableRow('20', 'IRA deduction', fmtLine(t.iraDeduction))
+        ? tableRow('20', 'IRA deduction', fmtLine(t.iraDeduction),
+          t.iraRaw > t.iraDeduction ? `${fmt(t.iraRaw - t.iraDeduction)} of your traditional contributions is not deductible — see Form 8606` : '')
         : skipRow('Line 20 — IRA deduction (none or income too high)')}
       ${t.hsaDeduction > 0
         ? tableRow('13', 'HSA deduction (Form 8889)', fmtLine(t.hsaDeduction))
         : skipRow('Line 13 — HSA deduction (none)')}
-      ${tableRow('26', 'Total adjustments (add Part II lines)', fmtLine(t.sliDeduction + t.iraDeduction + t.hsaDeduction))}
+      ${t.seDeduction > 0
+        ? tableRow('15', 'Deductible part of self-employment tax (Schedule SE, Line 13)', fmtLine(t.seDeduction))
+        : skipRow('Line 15 — Deductible part of SE tax (none)')}
+      ${tableRow('26', 'Total adjustments (add Part II lines)', fmtLine(t.sch1PartII))}
     </table>`;
 
   // ── SCHEDULE 1-A ──
@@ -1062,13 +1845,93 @@ function generateAndShowSummary() {
       ${t.sch1a.seniorDeduction > 0
         ? tableRow('Part II, Line 4', 'Enhanced senior deduction', fmtLine(t.sch1a.seniorDeduction))
         : skipRow('Senior deduction — not applicable')}
-      ${tableRow('Total', 'Total Schedule 1-A deductions → Form 1040, Line 13', fmtLine(t.sch1a.total))}
+      ${tableRow('Total', 'Total Schedule 1-A deductions → Form 1040, Line 13b', fmtLine(t.sch1a.total))}
     </table>` : '';
 
+  // ── FORM 8995 / 8995-A ──
+  const q = t.qbi;
+  const hasQBIForm = q.businesses.length > 0 || q.carryforwardUsed > 0 || q.reitDividends > 0;
+  const qbiBizRows = q.businesses.map((b, i) => tableRow(
+    `1${'abcde'[i] || ''}`, `${b.name}${b.sstb ? ' (SSTB)' : ''}`, fmtLine(b.qbi),
+    b.sstb && b.pct < 1 ? `${(b.pct * 100).toFixed(1)}% applicable percentage` : '')).join('');
+  const qbiSummary = !hasQBIForm ? '' : q.form === '8995' ? `
+    <table class="form-line-table">
+      ${sectionRow('Form 8995 — Qualified Business Income Deduction Simplified Computation')}
+      ${qbiBizRows}
+      ${tableRow('2', 'Total qualified business income (loss)', fmtLine(q.totalQBI + q.carryforwardUsed))}
+      ${q.carryforwardUsed > 0
+        ? tableRow('3', 'Qualified business net loss carryforward from 2024', fmtLine(-q.carryforwardUsed))
+        : skipRow('Line 3 — Prior-year loss carryforward (none)')}
+      ${tableRow('4', 'Total qualified business income (Line 2 + Line 3)', fmtLine(q.totalQBI))}
+      ${tableRow('5', 'QBI component (20% of Line 4)', fmtLine(q.qbiComponent))}
+      ${q.reitDividends > 0 ? `
+        ${tableRow('6', 'Qualified REIT dividends (1099-DIV Box 5)', fmtLine(q.reitDividends))}
+        ${tableRow('8', 'Total qualified REIT dividends', fmtLine(q.reitDividends))}
+        ${tableRow('9', 'REIT component (20% of Line 8)', fmtLine(q.reitComponent))}` : skipRow('Lines 6–9 — Qualified REIT dividends and PTP income (none)')}
+      ${tableRow('10', 'QBI deduction before income limitation (Line 5 + Line 9)', fmtLine(q.component))}
+      ${tableRow('11', 'Taxable income before QBI deduction', fmtLine(q.taxableIncome))}
+      ${tableRow('12', 'Net capital gain (qualified dividends + net long-term gain)', fmtLine(q.netCapitalGain))}
+      ${tableRow('13', 'Line 11 − Line 12', fmtLine(Math.max(0, q.taxableIncome - q.netCapitalGain)))}
+      ${tableRow('14', 'Income limitation (20% of Line 13)', fmtLine(q.incomeLimit))}
+      ${tableRow('15', 'QBI deduction (smaller of Line 10 or Line 14) → Form 1040, Line 13a', fmtLine(q.deduction), '', 'highlight')}
+      ${q.newCarryforward > 0
+        ? tableRow('16', 'Qualified business net loss carryforward to 2026', fmtLine(-q.newCarryforward), 'Enter on next year\'s Form 8995, Line 3')
+        : skipRow('Line 16 — Loss carryforward (none)')}
+    </table>` : `
+    <table class="form-line-table">
+      ${sectionRow(`Form 8995-A — Qualified Business Income Deduction (taxable income above ${fmt(q.threshold)})`)}
+      ${q.businesses.some((b) => b.sstb)
+        ? tableRow('Sch. A', 'Specified service trade or business', 'Complete Schedule A — SSTB income, wages and UBIA are reduced to the applicable percentage')
+        : skipRow('Schedule A — No specified service trades or businesses')}
+      ${q.carryforwardUsed > 0 || q.businesses.some((b) => b.qbi < 0)
+        ? tableRow('Sch. C', 'Loss netting', 'Complete Schedule C — losses are allocated to the profitable businesses in proportion to their QBI')
+        : skipRow('Schedule C — No losses to net')}
+      ${q.businesses.map((b) => `
+        ${sectionRow(`Part II — ${b.name}`)}
+        ${tableRow('2', 'Qualified business income', fmtLine(b.adjustedQBI))}
+        ${tableRow('3', '20% of Line 2', fmtLine(b.line3))}
+        ${tableRow('4', 'W-2 wages allocable to QBI', fmtLine(b.w2Wages))}
+        ${tableRow('5', '50% of W-2 wages', fmtLine(b.line5))}
+        ${tableRow('6', '25% of W-2 wages', fmtLine(b.line6))}
+        ${tableRow('7', 'UBIA of qualified property', fmtLine(b.ubia))}
+        ${tableRow('8', '2.5% of UBIA', fmtLine(b.line8))}
+        ${tableRow('9', 'Line 6 + Line 8', fmtLine(b.line9))}
+        ${tableRow('10', 'Greater of Line 5 or Line 9', fmtLine(b.line10))}
+        ${tableRow('11', 'W-2 wage and UBIA limitation (smaller of Line 3 or Line 10)', fmtLine(b.line11))}
+        ${q.phaseIn < 1
+          ? tableRow('12', 'Phased-in reduction (Part III, Line 26)', fmtLine(b.line12))
+          : skipRow('Line 12 — Phased-in reduction (taxable income above the phase-in range)')}
+        ${tableRow('13', 'QBI component (greater of Line 11 or Line 12)', fmtLine(b.component))}`).join('')}
+      ${q.phaseIn < 1 ? `
+        ${sectionRow('Part III — Phased-in Reduction')}
+        ${tableRow('20', 'Taxable income before QBI deduction', fmtLine(q.taxableIncome))}
+        ${tableRow('21', 'Threshold', fmtLine(q.threshold))}
+        ${tableRow('22', 'Line 20 − Line 21', fmtLine(q.taxableIncome - q.threshold))}
+        ${tableRow('23', 'Phase-in range', fmtLine(q.range))}
+        ${tableRow('24', 'Phase-in percentage (Line 22 ÷ Line 23)', `${(q.phaseIn * 100).toFixed(2)}%`)}` : ''}
+      ${sectionRow('Part IV — Determining Your QBI Deduction')}
+      ${tableRow('27', 'Total QBI component (all businesses)', fmtLine(q.qbiComponent))}
+      ${q.reitDividends > 0 ? `
+        ${tableRow('28', 'Qualified REIT dividends (1099-DIV Box 5)', fmtLine(q.reitDividends))}
+        ${tableRow('31', 'REIT component (20% of Line 30)', fmtLine(q.reitComponent))}` : skipRow('Lines 28–31 — Qualified REIT dividends and PTP income (none)')}
+      ${tableRow('32', 'QBI deduction before income limitation (Line 27 + Line 31)', fmtLine(q.component))}
+      ${tableRow('33', 'Taxable income before QBI deduction', fmtLine(q.taxableIncome))}
+      ${tableRow('34', 'Net capital gain (qualified dividends + net long-term gain)', fmtLine(q.netCapitalGain))}
+      ${tableRow('35', 'Line 33 − Line 34', fmtLine(Math.max(0, q.taxableIncome - q.netCapitalGain)))}
+      ${tableRow('36', 'Income limitation (20% of Line 35)', fmtLine(q.incomeLimit))}
+      ${tableRow('39', 'QBI deduction → Form 1040, Line 13a', fmtLine(q.deduction), '', 'highlight')}
+      ${q.newCarryforward > 0
+        ? tableRow('40', 'Qualified business net loss carryforward to 2026', fmtLine(-q.newCarryforward))
+        : skipRow('Line 40 — Loss carryforward (none)')}
+    </table>`;
+
   // ── FORM 1120-S ──
   const scorpName = document.getElementById('scorp-name')?.value || 'Your S-Corporation';
   const scorpEIN  = document.getElementById('scorp-ein')?.value  || 'XX-XXXXXXX';
   const fs = t.f1120s;
+  const schL = fs.schL;
+  // Schedule K line for a K-1 box — the section 199A items go on line 17d
+  const schKLine = (b) => (b.box === '17' ? '17d' : `${b.box}${b.code ? b.code.toLowerCase() : ''}`);
   const f1120sSummary = `
     <table class="form-line-table">
       ${sectionRow(`Form 1120-S — U.S. Income Tax Return for an S Corporation (${scorpName}, EIN ${scorpEIN})`)}
@@ -1088,9 +1951,9 @@ function generateAndShowSummary() {
       ${fs.wages > 0 ? tableRow('8', 'Salaries and wages (non-officer)', fmtLine(fs.wages)) : skipRow('Line 8 — Salaries and wages (none)')}
       ${fs.repairs > 0 ? tableRow('9', 'Repairs and maintenance', fmtLine(fs.repairs)) : skipRow('Line 9 — Repairs and maintenance (none)')}
       ${fs.rents > 0 ? tableRow('11', 'Rents', fmtLine(fs.rents)) : skipRow('Line 11 — Rents (none)')}
-      ${fs.taxes > 0 ? tableRow('12', 'Taxes and licenses', fmtLine(fs.taxes), 'Include employer payroll taxes, state biz taxes, licenses') : skipRow('Line 12 — Taxes and licenses (none)')}
+      ${fs.taxes > 0 ? tableRow('12', 'Taxes and licenses', fmtLine(fs.taxes), t.payroll ? `Includes ${fmt(t.payroll.employerTaxes)} of employer payroll taxes (Forms 941, 940, UITR-1)` : 'Include employer payroll taxes, state biz taxes, licenses') : skipRow('Line 12 — Taxes and licenses (none)')}
       ${fs.interest > 0 ? tableRow('13', 'Interest expense', fmtLine(fs.interest)) : skipRow('Line 13 — Interest expense (none)')}
-      ${fs.depreciation > 0 ? tableRow('14', 'Depreciation (including Section 179, from Form 4562)', fmtLine(fs.depreciation)) : skipRow('Line 14 — Depreciation (none)')}
+      ${fs.depreciation > 0 ? tableRow('14', 'Depreciation not claimed elsewhere (from Form 4562)', fmtLine(fs.depreciation), 'Section 179 goes on Schedule K, Line 11') : skipRow('Line 14 — Depreciation (none)')}
       ${fs.advertising > 0 ? tableRow('16', 'Advertising', fmtLine(fs.advertising)) : skipRow('Line 16 — Advertising (none)')}
       ${fs.benefits > 0 ? tableRow('18', 'Employee benefit programs', fmtLine(fs.benefits)) : skipRow('Line 18 — Employee benefit programs (none)')}
       ${fs.otherDeductions > 0 ? tableRow('19', 'Other deductions (phone, internet, software, professional fees, etc.)', fmtLine(fs.otherDeductions), 'Attach a statement listing each category') : skipRow('Line 19 — Other deductions (none)')}
@@ -1098,32 +1961,174 @@ function generateAndShowSummary() {
       ${fs.ordinaryIncome >= 0
         ? tableRow('21', 'Ordinary business income', fmtLine(fs.ordinaryIncome), 'Goes to Schedule K, Line 1 → K-1 Box 1', 'highlight')
         : tableRow('21', 'Ordinary business loss', fmtLine(fs.ordinaryIncome), 'Goes to Schedule K, Line 1 → K-1 Box 1 (negative)', 'owe')}
-      ${sectionRow('Schedule K — Shareholders\' Pro Rata Share Items (selected lines)')}
-      ${tableRow('K-1', 'Ordinary business income (loss)', fmtLine(fs.ordinaryIncome), 'Line 1 of Schedule K — flows to each shareholder\'s K-1 Box 1 proportionally')}
-      ${tableRow('K-16d', 'Distributions (Box 16, Code D)', fmtLine(num('k1-box16d')), 'Track against basis — not reported as income if basis is sufficient')}
+      ${sectionRow('Schedule K — Shareholders\' Pro Rata Share Items')}
+      ${K1_BOXES.map((b) => {
+        const v = fs.scheduleK[b.key];
+        const line = `K-${schKLine(b)}`;
+        if (b.key === 'box1') return tableRow(line, b.label, fmtLine(v), 'Page 1, Line 21 — flows to each shareholder\'s K-1 Box 1 by their share of the year');
+        if (b.key === 'box16d') return tableRow(line, b.label, fmtLine(v), 'Track against basis — not reported as income if basis is sufficient');
+        if (b.key === 'box16c' && v > 0) return tableRow(line, b.label, fmtLine(v), 'Meals (50%), penalties and other expenses from Schedule M-1, Line 3');
+        if (b.key === 'box5b') return v > 0 ? tableRow(line, b.label, fmtLine(v), 'Included in Line 5a') : '';
+        if (b.box === '17') return v !== 0 ? tableRow(line, b.label, fmtLine(v), 'Statement attached to each K-1') : '';
+        return v !== 0 ? tableRow(line, b.label, fmtLine(v)) : '';
+      }).join('')}
+      ${skipRow('Lines 3, 6, 13, 14 and 15 — Other rental income, royalties, credits, foreign transactions and AMT items (not supported)')}
+      ${tableRow('K-18', 'Income (loss) reconciliation (Lines 1–10 less Lines 11–12)', fmtLine(fs.line18), 'Must equal Schedule M-1, Line 8')}
+      ${sectionRow('Schedule B — Question 11')}
+      ${schL.required
+        ? tableRow('B-11', 'Receipts and assets both under $250,000?', 'No — complete Schedules L and M-1')
+        : tableRow('B-11', 'Receipts and assets both under $250,000?', 'Yes — Schedules L and M-1 are optional; Schedule M-2 is still required')}
+      ${sectionRow('Schedule L — Balance Sheets per Books (beginning / end of year)')}
+      ${[
+        ['1', 'Cash', 'cash'], ['2a', 'Trade notes and accounts receivable', 'receivables'],
+        ['6', 'Other current assets', 'otherCurrentAssets'], ['10a', 'Buildings and other depreciable assets', 'depreciableAssets'],
+        ['10b', 'Less accumulated depreciation', 'accumDepreciation'], ['14', 'Other assets', 'otherAssets'],
+        ['15', 'Total assets', 'totalAssets'],
+        ['16', 'Accounts payable', 'payables'], ['19', 'Loans from shareholders', 'shareholderLoans'],
+        ['17–21', 'Other liabilities', 'otherLiabilities'], ['22', 'Capital stock', 'capitalStock'],
+        ['23', 'Additional paid-in capital', 'paidInCapital'], ['24', 'Retained earnings', 'retainedEarnings'],
+        ['27', 'Total liabilities and shareholders\' equity', 'totalLiabilitiesEquity'],
+      ].map(([line, desc, key]) => (schL.begin[key] !== 0 || schL.end[key] !== 0 || key.startsWith('total')
+        ? tableRow(line, desc, `${fmtLine(schL.begin[key])} / ${fmtLine(schL.end[key])}`, '', key.startsWith('total') ? 'highlight' : '')
+        : '')).join('')}
+      ${schL.balances
+        ? tableRow('✓', 'Balance check', 'Line 15 equals Line 27 in both columns')
+        : tableRow('⚠️', 'Balance check', `Out of balance by ${fmt(schL.begin.difference)} (beginning) / ${fmt(schL.end.difference)} (end)`, 'Fix before filing — the IRS rejects unbalanced Schedule L', 'owe')}
+      ${sectionRow('Schedule M-1 — Reconciliation of Income (Loss) per Books With Income (Loss) per Return')}
+      ${tableRow('1', 'Net income (loss) per books', fmtLine(fs.m1.line1))}
+      ${fs.m1.line3b > 0 ? tableRow('3b', 'Travel and entertainment (nondeductible 50% of meals)', fmtLine(fs.m1.line3b)) : ''}
+      ${fs.m1.otherNondeductible > 0 ? tableRow('3', 'Other expenses on books not on Schedule K', fmtLine(fs.m1.otherNondeductible), 'Attach a statement') : ''}
+      ${tableRow('4', 'Add Lines 1 through 3', fmtLine(fs.m1.line4))}
+      ${fs.m1.line5a > 0 ? tableRow('5a', 'Tax-exempt interest', fmtLine(fs.m1.line5a)) : ''}
+      ${tableRow('7', 'Add Lines 5 and 6', fmtLine(fs.m1.line7))}
+      ${tableRow('8', 'Income (loss) (Schedule K, Line 18) — Line 4 less Line 7', fmtLine(fs.m1.line8), '', 'highlight')}
+      ${sectionRow('Schedule M-2 — Accumulated Adjustments Account, column (a)')}
+      ${tableRow('1', 'Balance at beginning of tax year', fmtLine(fs.m2.line1))}
+      ${fs.m2.line2 > 0 ? tableRow('2', 'Ordinary income from page 1, Line 21', fmtLine(fs.m2.line2)) : ''}
+      ${fs.m2.line4 > 0 ? tableRow('4', 'Loss from page 1, Line 21', fmtLine(-fs.m2.line4)) : ''}
+      ${fs.m2.line3 > 0 ? tableRow('3', 'Other additions (separately stated income)', fmtLine(fs.m2.line3)) : ''}
+      ${fs.m2.line5 > 0 ? tableRow('5', 'Other reductions (nondeductible expenses, separately stated losses and deductions)', fmtLine(-fs.m2.line5)) : ''}
+      ${tableRow('6', 'Combine Lines 1 through 5', fmtLine(fs.m2.line6))}
+      ${tableRow('7', 'Distributions', fmtLine(-fs.m2.line7), fs.m2.netNegative ? 'Net negative adjustment year — distributions are limited by the beginning AAA' : '')}
+      ${tableRow('8', 'Balance at end of tax year → 2026 Schedule M-2, Line 1', fmtLine(fs.m2.line8), '', 'highlight')}
+      ${fs.m2.excessDistributions > 0
+        ? tableRow('—', 'Distributions in excess of AAA', fmtLine(fs.m2.excessDistributions), 'No accumulated E&P — a return of stock basis; taxable only beyond basis (Form 7203)')
+        : ''}
+      ${fs.m1.line5a > 0 ? tableRow('3 (d)', 'Other adjustments account — tax-exempt income', fmtLine(fs.m1.line5a), 'Column (d), not AAA') : ''}
     </table>`;
 
   // ── SCHEDULE K-1 + SCHEDULE E (Part II — S-Corp) ──
   const k1Box1 = fs.k1Box1;
+  const myK1 = fs.myK1;
+  // Where each of your K-1 boxes goes on the 1040
+  const k1Flows = {
+    box1: `1120-S Line 21 × ${fs.ownershipPct.toFixed(4).replace(/\.?0+$/, '')}% of the stock`,
+    box2: 'Schedule E, Part II', box4: 'Form 1040, Line 2b', box5a: 'Form 1040, Line 3b', box5b: 'Form 1040, Line 3a',
+    box7: 'Schedule D, Line 5', box8a: 'Schedule D, Line 12', box9: 'Form 4797, Part I', box10: 'Schedule E, Part II',
+    box11: 'Schedule E, Part II (limited by basis)', box12a: 'Schedule A, Line 11 (if itemizing)',
+    box16a: 'Not taxable — raises stock basis', box16c: 'Not deductible — lowers stock basis',
+    box16d: 'Not income unless they exceed stock basis', box17vQBI: 'Form 8995 / 8995-A',
+    box17vWages: 'Form 8995-A', box17vUBIA: 'Form 8995-A', box17ac: 'Informational unless gross receipts ≥ $31M',
+  };
+  const k1OtherLoss = t.skorpOrdinary + Math.max(0, t.k1Box2) + Math.max(0, myK1.box10)
+    - t.skorpSec179 - t.skorpK1;
   const schE = `
     <table class="form-line-table">
       ${sectionRow('Schedule K-1 (Form 1120-S) — Your Share')}
-      ${tableRow('Box 1', 'Ordinary business income (loss)', fmtLine(k1Box1), `1120-S Line 21 × ${fs.ownershipPct}% ownership`)}
-      ${num('k1-box2') !== 0 ? tableRow('Box 2', 'Net rental real estate income (loss)', fmtLine(num('k1-box2'))) : skipRow('Box 2 — Net rental real estate income (none)')}
-      ${tableRow('Box 17, Code AC', 'Gross receipts for Sec. 448(c)', fmtLine(fs.grossReceipts), 'Required if gross receipts ≥ $27M; otherwise informational only')}
+      ${K1_BOXES.map((b) => (b.key === 'box1' || myK1[b.key] !== 0
+        ? tableRow(`Box ${b.box}${b.code ? `, Code ${b.code}` : ''}`, b.label, fmtLine(myK1[b.key]), k1Flows[b.key])
+        : '')).join('')}
       ${sectionRow('Schedule E (Form 1040), Part II — S-Corporation Income')}
       ${tableRow('28, Col A', 'Name of S-corporation', scorpName)}
       ${tableRow('28, Col B', 'Employer Identification Number (EIN)', scorpEIN)}
       ${tableRow('28, Col D', 'Materially participated?', radio('material-participation') === 'yes' ? 'Yes — check the box' : 'No — do not check')}
-      ${k1Box1 >= 0
-        ? tableRow('28, Col E', 'Nonpassive income from K-1 Box 1', fmtLine(k1Box1))
-        : tableRow('28, Col F', 'Allowable loss from K-1 Box 1', fmtLine(Math.abs(k1Box1)))}
+      ${k1Box1 > 0 ? tableRow('28, Col K', 'Nonpassive income from K-1 Box 1', fmtLine(k1Box1)) : ''}
+      ${t.skorpOrdinary < Math.max(0, k1Box1)
+        ? tableRow('28, Col I', 'Nonpassive loss allowed (Form 7203)', fmtLine(Math.max(0, k1Box1) - t.skorpOrdinary), t.f7203 ? 'Includes any 2024 loss carried over on Form 7203' : '')
+        : ''}
+      ${t.k1Box2 > 0 ? tableRow('28, Col K', 'Nonpassive income from K-1 Box 2', fmtLine(t.k1Box2)) : ''}
+      ${myK1.box10 > 0 ? tableRow('28, Col K', 'Nonpassive income from K-1 Box 10', fmtLine(myK1.box10)) : ''}
+      ${k1OtherLoss > 0.005 ? tableRow('28, Col I', 'Nonpassive loss allowed from K-1 Boxes 2 and 10', fmtLine(k1OtherLoss)) : ''}
+      ${t.skorpSec179 > 0 ? tableRow('28, Col J', 'Section 179 expense deduction (K-1 Box 11)', fmtLine(t.skorpSec179), t.f7203 && t.skorpSec179 < myK1.box11 ? 'Limited by basis on Form 7203' : '') : ''}
       ${tableRow('32 / 34', 'Total income (loss) from all S-corps', fmtLine(t.skorpK1))}
       ${tableRow('41', 'Total Schedule E income (loss) → Schedule 1, Line 5', fmtLine(t.skorpK1))}
-      ${t.skorpK1 < 0 ? `${sectionRow('Basis limitation reminder')}
-      ${tableRow('—', 'Deductible only up to basis', 'Loss limited to your investment in the corp. See IRS Pub. 3402 if losses exceed your contributions.')}` : ''}
+      ${t.f7203
+        ? (t.f7203.required ? tableRow('28, Col E', 'Basis computation attached?', 'Yes — check the box and attach Form 7203') : '')
+        : (t.skorpK1 < 0 ? `${sectionRow('Basis limitation reminder')}
+      ${tableRow('—', 'Deductible only up to basis', 'Loss limited to your investment in the corp. Track your basis on Form 7203 (Step 3) to apply the limit.')}` : '')}
     </table>`;
 
+  // ── SCHEDULES K-1 FOR EVERY SHAREHOLDER ──
+  const k1sSummary = fs.register.fromRegister ? `
+    <table class="form-line-table">
+      ${fs.k1s.map((k) => `
+        ${sectionRow(`Schedule K-1 — ${esc(k.name || 'Unnamed shareholder')}${k.mine ? ' (on this return)' : ''}`)}
+        ${tableRow('Part II, E', 'Shareholder\'s identifying number', esc(k.tin) || '—')}
+        ${tableRow('Part II, F1', 'Shareholder\'s address', esc(k.address) || '—')}
+        ${tableRow('Part II, G', 'Percentage of stock ownership for the tax year', `${(k.fraction * 100).toFixed(4)}%`,
+          k.periods.length > 1 ? `Weighted by day across ${k.periods.length} holding periods` : '')}
+        ${K1_BOXES.map((b) => (k.items[b.key] !== 0
+          ? tableRow(`Box ${b.box}${b.code ? `, Code ${b.code}` : ''}`, b.label, fmtLine(k.items[b.key]))
+          : '')).join('')}`).join('')}
+      ${sectionRow('Allocation Check — K-1s Add Up to Schedule K')}
+      ${fs.register.fullyAllocated
+        ? ''
+        : tableRow('⚠️', 'Register', `Ownership is not 100% on ${fs.register.badDays} day${fs.register.badDays === 1 ? '' : 's'}`, 'Fix the shareholder register before issuing K-1s', 'owe')}
+      ${fs.allocationsTie
+        ? tableRow('✓', 'Every box', 'The K-1s add up to Schedule K to the cent')
+        : K1_BOXES.filter((b) => !fs.allocationCheck[b.key].ties).map((b) =>
+          tableRow(`Box ${b.box}${b.code ? `, Code ${b.code}` : ''}`, b.label,
+            `${fmtLine(fs.allocationCheck[b.key].allocated)} of ${fmtLine(fs.allocationCheck[b.key].total)}`, '', 'owe')).join('')}
+    </table>` : '';
+
+  // ── FORM 7203 ──
+  const f7 = t.f7203;
+  const f7203Summary = f7 ? `
+    <table class="form-line-table">
+      ${sectionRow(`Form 7203 — S Corporation Shareholder Stock and Debt Basis Limitations (${scorpName})`)}
+      ${sectionRow('Part I — Shareholder Stock Basis')}
+      ${tableRow('1', 'Stock basis at the beginning of the year', fmtLine(f7.stockBegin))}
+      ${f7.contributions > 0 ? tableRow('2', 'Basis from capital contributions', fmtLine(f7.contributions)) : skipRow('Line 2 — Capital contributions (none)')}
+      ${f7.incomeLines.map(([line, desc, amount]) => tableRow(line, desc, fmtLine(amount))).join('')}
+      ${tableRow('3m', 'Add Lines 3a through 3l', fmtLine(f7.line3m))}
+      ${tableRow('4', 'Stock basis before distributions', fmtLine(f7.line4))}
+      ${tableRow('5', 'Distributions (K-1 Box 16, Code D)', fmtLine(f7.line5))}
+      ${f7.distributionGain > 0
+        ? tableRow('—', 'Distributions in excess of stock basis → Form 8949, Part II', fmtLine(f7.distributionGain), 'Long-term capital gain', 'owe')
+        : ''}
+      ${tableRow('6', 'Stock basis after distributions', fmtLine(f7.line6))}
+      ${f7.nondeductible > 0 ? tableRow('7', 'Nondeductible expenses (K-1 Box 16, Code C)', fmtLine(f7.nondeductible)) : skipRow('Line 7 — Nondeductible expenses (none)')}
+      ${tableRow('10', 'Stock basis before loss and deduction items', fmtLine(f7.line10))}
+      ${tableRow('11', 'Allowable loss and deduction items (Line 47, column c)', fmtLine(f7.line11))}
+      ${f7.line12 > 0 ? tableRow('12', 'Debt basis restoration (Line 23)', fmtLine(f7.line12)) : ''}
+      ${tableRow('15', 'Stock basis at end of year', fmtLine(f7.stockEnd), 'Enter on your 2026 Form 7203, Line 1', 'highlight')}
+      ${f7.line18 > 0 || f7.debtBegin > 0 ? `
+        ${sectionRow('Part II — Shareholder Debt Basis')}
+        ${tableRow('16', 'Loan balance at the beginning of the year', fmtLine(f7.loanBegin))}
+        ${tableRow('17', 'Additional loans', fmtLine(f7.newLoans))}
+        ${tableRow('18', 'Loan balance before repayment', fmtLine(f7.line18))}
+        ${tableRow('19', 'Principal portion of debt repayment', fmtLine(f7.line19))}
+        ${tableRow('20', 'Loan balance at end of year', fmtLine(f7.loanEnd))}
+        ${tableRow('21', 'Debt basis at the beginning of the year', fmtLine(f7.debtBegin))}
+        ${tableRow('22', 'Additional loans', fmtLine(f7.newLoans))}
+        ${tableRow('23', 'Debt basis restoration', fmtLine(f7.restoration))}
+        ${tableRow('24', 'Debt basis before repayment', fmtLine(f7.line24))}
+        ${tableRow('26', 'Nontaxable debt repayment (Line 19 × Line 24 ÷ Line 18)', fmtLine(f7.line26))}
+        ${tableRow('27', 'Debt basis before losses and deductions', fmtLine(f7.line27))}
+        ${tableRow('28', 'Allowable losses in excess of stock basis (Line 47, column d)', fmtLine(f7.fromDebt))}
+        ${tableRow('29', 'Debt basis at end of year', fmtLine(f7.debtEnd), 'Enter on your 2026 Form 7203, Line 21', 'highlight')}
+        ${f7.repaymentGain > 0
+          ? tableRow('34', 'Reportable gain on loan repayment → Form 8949, Part II', fmtLine(f7.repaymentGain), 'Capital gain for a note; ordinary income for an open-account loan', 'owe')
+          : skipRow('Lines 30–34 — No gain on loan repayment')}` : skipRow('Part II — No loans to the corporation')}
+      ${sectionRow('Part III — Shareholder Allowable Loss and Deduction Items')}
+      ${f7.totalLoss > 0 ? f7.lossItems.filter((l) => l.current + l.carryover > 0).map((l) => `
+        ${tableRow(l.line, `${l.label} — current year (a) + carryover (b)`, fmtLine(l.current + l.carryover))}
+        ${tableRow('', 'Allowed from stock basis (c) / debt basis (d)', `${fmtLine(l.fromStock)} / ${fmtLine(l.fromDebt)}`,
+          { capital: 'Flows to Schedule D', section1231: 'Flows to Form 4797', charitable: 'Flows to Schedule A' }[l.key] || 'Flows to Schedule E, Part II')}
+        ${l.suspended > 0 ? tableRow('', 'Carryover to 2026 (e)', fmtLine(l.suspended), '', 'owe') : ''}`).join('') : skipRow('Lines 35–47 — No losses this year or carried over')}
+    </table>` : '';
+
+
   // ── SCHEDULE A (only if itemizing) ──
   const schA = t.useItemized ? `
     <table class="form-line-table">
@@ -1133,7 +2138,7 @@ function generateAndShowSummary() {
       ${tableRow('4', 'Deductible medical (Line 1 minus Line 3)', fmtLine(t.itemMedical))}
       ${tableRow('5b', 'State and local income taxes withheld (W-2 Box 17)', fmtLine(t.coWithheld), 'Enter your Colorado withholding here')}
       ${tableRow('5c', 'Real estate taxes', fmtLine(t.itemPropertyTax))}
-      ${tableRow('5e', 'Total SALT (capped at $40,000)', fmtLine(t.saltActual))}
+      ${tableRow('5e', `Total SALT (capped at ${fmt(t.saltCap)})`, fmtLine(t.saltActual))}
       ${tableRow('16', 'Cash charitable contributions', fmtLine(t.itemCharityCash))}
       ${tableRow('17', 'Non-cash charitable contributions (attach Form 8283 if > $500)', fmtLine(t.itemCharityNC))}
       ${tableRow('17', 'Total gifts to charity', fmtLine(t.itemCharityCash + t.itemCharityNC))}
@@ -1174,6 +2179,9 @@ function generateAndShowSummary() {
       ${t.coEstimated > 0
         ? tableRow('37', 'Colorado estimated tax payments', fmtLine(t.coEstimated))
         : skipRow('CO estimated payments — none entered')}
+      ${t.coEitc > 0
+        ? tableRow('DR 0104CR', `Colorado earned income tax credit (${C.CO_EITC_RATE * 100}% of federal EIC ${fmt(t.eic)})`, fmtLine(t.coEitc), 'Refundable', 'refund')
+        : skipRow('Colorado EITC — no federal EIC')}
       ${t.coOtherCredits > 0
         ? tableRow('DR 0104CR', 'Other Colorado credits', fmtLine(t.coOtherCredits))
         : skipRow('Other CO credits — none entered')}
@@ -1187,76 +2195,192 @@ function generateAndShowSummary() {
   // ── FORM 8962 ──
   const hasF8962 = t.ptc8962 !== null;
   const p = t.ptc8962;
+  // Part V coverage months stop the month before the marriage
+  const altMonths = (sp) => sp.start && sp.start < p.marriage.month
+    ? `${MONTH_NAMES[sp.start - 1]}–${MONTH_NAMES[Math.min(sp.stop, p.marriage.month - 1) - 1]}` : 'None';
   const f8962Summary = hasF8962 ? `
     <table class="form-line-table">
       ${sectionRow('Form 8962 — Premium Tax Credit (PTC)')}
       ${sectionRow('Part I — Annual and Monthly Contribution Amount')}
-      ${tableRow('1', 'Family size', String(Math.max(1, Math.round(num('f8962-family-size') || 1))))}
-      ${tableRow('3', 'Household income (MAGI)', fmtLine(t.agi), 'Same as your Form 1040 AGI (Line 11)')}
+      ${tableRow('1', 'Family size', String(p.familySize))}
+      ${tableRow('3', 'Household income (MAGI)', fmtLine(p.magi), t.taxExemptInt > 0 ? 'Form 1040 AGI (Line 11) plus tax-exempt interest (Line 2a)' : 'Same as your Form 1040 AGI (Line 11)')}
       ${tableRow('4', 'Federal poverty line', fmtLine(p.fpl), '2025 HHS guidelines for your household size')}
       ${tableRow('5', 'Federal poverty line percentage', p.fplPct.toFixed(1) + '%', 'Line 3 ÷ Line 4 × 100')}
       ${tableRow('7', 'Applicable figure (Table 2)', (p.applicablePct * 100).toFixed(2) + '%', 'Contribution percentage from IRS Table 2 based on Line 5')}
       ${tableRow('8a', 'Annual contribution amount', fmtLine(p.annualContrib), 'Line 3 × Line 7 — the amount you are expected to pay toward premiums')}
-      ${tableRow('8b', 'Monthly contribution amount', fmtLine(p.annualContrib / 12), 'Line 8a ÷ 12')}
-      ${sectionRow('Part II — Reconciliation of Advance Payment of PTC (annual method, all months same plan)')}
-      ${tableRow('11a', 'Annual enrollment premium (1095-A Col A)', fmtLine(p.enrollPrem))}
+      ${tableRow('8b', 'Monthly contribution amount', fmtLine(p.monthlyContrib), 'Line 8a ÷ 12')}
+      ${tableRow('9', 'Shared policy allocation or alternative calculation for year of marriage?', p.allocations.length || p.marriage ? 'Yes' : 'No', p.allocations.length || p.marriage ? 'Complete Part IV or Part V, then lines 12–23' : '')}
+      ${tableRow('10', 'Computing using the annual method (all months the same)?', p.method === 'annual' ? 'Yes' : 'No', p.method === 'annual' ? 'Every month has the same eligible coverage — use line 11' : 'Premiums, SLCSP or eligibility change during the year — use lines 12–23')}
+      ${p.method === 'annual' ? `
+      ${sectionRow('Part II — Premium Tax Credit Claim and Reconciliation (annual method)')}
+      ${tableRow('11a', 'Annual enrollment premiums (1095-A Col A)', fmtLine(p.enrollPrem))}
       ${tableRow('11b', 'Annual SLCSP premium (1095-A Col B)', fmtLine(p.slcspPrem), 'Benchmark Second Lowest Cost Silver Plan for your area')}
-      ${tableRow('11c', 'Annual advance PTC paid (1095-A Col C)', fmtLine(p.aptcPaid), 'Government subsidy paid directly to Connect for Health Colorado')}
-      ${tableRow('11d', 'Maximum annual PTC', fmtLine(p.maxPTC), 'Line 11b minus Line 8a (cannot be less than $0)')}
-      ${tableRow('11e', 'Annual PTC', fmtLine(p.annualPTC), 'Smaller of Line 11a or Line 11d')}
+      ${tableRow('11c', 'Annual contribution amount', fmtLine(p.annualContrib), 'From Line 8a')}
+      ${tableRow('11d', 'Annual maximum premium assistance', fmtLine(p.maxPTC), 'Line 11b minus Line 11c (cannot be less than $0)')}
+      ${tableRow('11e', 'Annual premium tax credit allowed', fmtLine(p.annualPTC), 'Smaller of Line 11a or Line 11d')}
+      ${tableRow('11f', 'Annual advance PTC (1095-A Col C)', fmtLine(p.aptcPaid), 'Government subsidy paid directly to Connect for Health Colorado')}` : `
+      ${sectionRow('Part II — Premium Tax Credit Claim and Reconciliation (monthly method)')}
+      ${p.months.map((m) => m.covered
+        ? tableRow(String(11 + m.month), `${m.name} — premium tax credit allowed (e)`, fmtLine(m.e),
+            `(a) premium ${fmt(m.a)} · (b) SLCSP ${fmt(m.b)} · (c) contribution ${fmt(m.c)} · (d) maximum assistance ${fmt(m.d)} · (f) advance PTC ${fmt(m.f)}`
+            + (m.ineligible ? ' · not eligible this month' : ''))
+        : skipRow(`Line ${11 + m.month} — ${m.name}: no Marketplace coverage`)).join('')}`}
       ${sectionRow('Part III — Repayment of Excess Advance PTC')}
-      ${tableRow('24', 'Total Premium Tax Credit', fmtLine(p.annualPTC), 'From Line 11e')}
-      ${tableRow('25', 'Advance PTC already paid', fmtLine(p.aptcPaid), 'From Line 11c')}
+      ${tableRow('24', 'Total Premium Tax Credit', fmtLine(p.annualPTC), p.method === 'annual' ? 'From Line 11e' : 'Total of Lines 12–23, column (e)')}
+      ${tableRow('25', 'Advance PTC already paid', fmtLine(p.aptcPaid), p.method === 'annual' ? 'From Line 11f' : 'Total of Lines 12–23, column (f)')}
       ${p.netPTC >= 0
         ? tableRow('26', 'Net Premium Tax Credit (credit — you get more back)', fmtLine(p.netPTC), 'Line 24 minus Line 25. Enter on Schedule 3, Line 9.', 'refund')
         : tableRow('27', 'Excess advance PTC to repay', fmtLine(-p.netPTC), 'Line 25 minus Line 24. Enter on Schedule 2, Line 2.', 'owe')}
+      ${p.allocations.length ? `
+      ${sectionRow('Part IV — Allocation of Policy Amounts')}
+      ${p.allocations.map((a, i) => tableRow(String(30 + i),
+        `Policy ${esc(a.policy) || '(number not entered)'}${a.otherTin ? ` shared with SSN ending ${esc(a.otherTin.slice(-4))}` : ''}`,
+        `${MONTH_NAMES[a.start - 1]}–${MONTH_NAMES[a.stop - 1]}`,
+        `(e) premium ${a.premiumPct}% · (f) SLCSP ${a.slcspPct}% · (g) advance PTC ${a.aptcPct}%`)).join('')}` : ''}
+      ${p.marriage ? `
+      ${sectionRow('Part V — Alternative Calculation for Year of Marriage')}
+      ${tableRow('34a', 'Your alternative family size', String(p.marriage.taxpayer.familySize))}
+      ${tableRow('34b', 'Your alternative monthly contribution amount', fmtLine(p.marriage.taxpayer.monthlyContrib), `Half of Line 3 (${fmt(p.marriage.altIncome)}) × ${(p.marriage.taxpayer.applicablePct * 100).toFixed(2)}% ÷ 12`)}
+      ${tableRow('34c–d', 'Your alternative coverage months', altMonths(p.marriage.taxpayer))}
+      ${tableRow('35a', "Spouse's alternative family size", String(p.marriage.spouse.familySize))}
+      ${tableRow('35b', "Spouse's alternative monthly contribution amount", fmtLine(p.marriage.spouse.monthlyContrib), `Half of Line 3 (${fmt(p.marriage.altIncome)}) × ${(p.marriage.spouse.applicablePct * 100).toFixed(2)}% ÷ 12`)}
+      ${tableRow('35c–d', "Spouse's alternative coverage months", altMonths(p.marriage.spouse))}
+      ${p.marriage.used
+        ? tableRow('', 'Alternative calculation used', 'Yes', `Lines 34b and 35b replace Line 8b in column (c) for months before ${MONTH_NAMES[p.marriage.month - 1]}`)
+        : skipRow('Alternative calculation not used — it would not increase your credit')}` : ''}
     </table>` : '';
 
   // ── SCHEDULE B ──
+  const sb = t.schB;
   const totalInterest = t.taxableInt;
   const totalDivs     = t.ordDiv;
   const needsSchB     = totalInterest > 1500 || totalDivs > 1500;
+  const payerRows = (line, rows, what) => rows.length
+    ? rows.map((r, i) => tableRow(i === 0 ? line : '', esc(r.payer) || `${what} (payer not named)`, fmtLine(r.amount))).join('')
+    : skipRow(`Line ${line} — No ${what} payers`);
   const schBSummary   = (totalInterest > 0 || totalDivs > 0) ? `
     <table class="form-line-table">
       ${sectionRow('Schedule B (Form 1040) — Interest and Ordinary Dividends')}
       ${needsSchB ? sectionRow('Schedule B is REQUIRED because your interest or dividends exceed $1,500') : sectionRow('Schedule B is recommended (required if interest or dividends exceed $1,500)')}
       ${sectionRow('Part I — Interest')}
-      ${tableRow('1', 'Payer(s) and amounts', 'List each 1099-INT payer separately in Free File Fillable Forms', 'Enter each bank, brokerage, or institution name and the interest amount from Box 1 of each 1099-INT')}
-      ${tableRow('2', 'Total taxable interest', fmtLine(num('interest-taxable')), 'Flows to Form 1040, Line 2b')}
-      ${num('interest-us-govt') > 0 ? tableRow('3', 'U.S. savings bond / Treasury interest (Box 3)', fmtLine(num('interest-us-govt')), 'Also included in Line 2 total; separately tracked for Colorado subtraction') : skipRow('Line 3 — U.S. bond interest (none)')}
-      ${tableRow('4', 'Total (Line 2)', fmtLine(num('interest-taxable')), 'This is your total taxable interest')}
+      ${payerRows('1', sb.line1, '1099-INT')}
+      ${tableRow('2', 'Add the amounts on Line 1', fmtLine(sb.line2))}
+      ${t.interestUsGovt > 0 ? tableRow('—', 'Of which U.S. savings bond / Treasury interest (1099-INT Box 3)', fmtLine(t.interestUsGovt), 'Subtracted on your Colorado return') : ''}
+      ${skipRow('Line 3 — Excludable savings bond interest from Form 8815 (none)')}
+      ${tableRow('4', 'Line 2 − Line 3 → Form 1040, Line 2b', fmtLine(sb.line4), '', 'highlight')}
       ${sectionRow('Part II — Ordinary Dividends')}
-      ${tableRow('5', 'Payer(s) and amounts', 'List each 1099-DIV payer separately', 'Enter each brokerage or company name and Box 1a of each 1099-DIV')}
-      ${tableRow('6', 'Total ordinary dividends', fmtLine(t.ordDiv), 'Flows to Form 1040, Line 3b')}
+      ${payerRows('5', sb.line5, '1099-DIV')}
+      ${tableRow('6', 'Add the amounts on Line 5 → Form 1040, Line 3b', fmtLine(sb.line6), '', 'highlight')}
       ${sectionRow('Part III — Foreign Accounts and Trusts')}
       ${tableRow('7a', 'Foreign financial account?', 'Answer Yes or No', 'Check "Yes" only if you had a financial interest in or signature authority over a foreign bank, securities, or other financial account')}
     </table>` : '';
 
   // ── SCHEDULE D + FORM 8949 ──
-  const hasCapGains = radio('has-capital-gains') === 'yes';
+  const hasCapGains = radio('has-capital-gains') === 'yes' || t.capGainNet !== 0;
+  const f89 = t.f8949;
+  const d = t.schD;
+  const cl = t.capLossCarryover;
+  const f8949Boxes = Object.entries(F8949_BOXES).filter(([box]) => f89.boxes[box].count > 0);
+  const schDLine = (line, desc, amount, note) => (amount !== 0 ? tableRow(line, desc, fmtLine(amount), note) : '');
   const schDSummary = hasCapGains ? `
     <table class="form-line-table">
-      ${sectionRow('Form 8949 — Sales and Other Dispositions of Capital Assets')}
-      ${sectionRow('Part I — Short-Term (held 1 year or less) — taxed as ordinary income')}
-      ${tableRow('Col A', 'Description of property', 'e.g., "100 sh Apple Inc" — enter each transaction from your 1099-B')}
-      ${tableRow('Col B', 'Date acquired', 'MM/DD/YYYY format')}
-      ${tableRow('Col C', 'Date sold', 'MM/DD/YYYY format')}
-      ${tableRow('Col D', 'Proceeds (sales price)', 'From 1099-B Box 1d')}
-      ${tableRow('Col E', 'Cost or other basis', 'From 1099-B Box 1e — your purchase price + commissions')}
-      ${tableRow('Col H', 'Gain or (loss)', 'Col D minus Col E. Totals flow to Schedule D, Line 1 or Line 2.')}
-      ${sectionRow('Part II — Long-Term (held more than 1 year) — preferential tax rates')}
-      ${tableRow('Col H', 'Gain or (loss)', 'Totals flow to Schedule D, Line 8 or Line 9.')}
-      ${sectionRow('Schedule D — Capital Gains and Losses')}
-      ${sectionRow('Part I — Short-Term Capital Gains and Losses')}
-      ${t.stcg !== 0 ? tableRow('7', 'Net short-term capital gain (loss)', fmtLine(t.stcg), 'Enter here; taxed at ordinary income rates') : skipRow('Lines 1–7 — No short-term transactions entered')}
-      ${sectionRow('Part II — Long-Term Capital Gains and Losses')}
-      ${t.ltcg !== 0 ? tableRow('15', 'Net long-term capital gain (loss)', fmtLine(t.ltcg), 'Enter here; taxed at 0%, 15%, or 20% depending on your income') : skipRow('Lines 8–15 — No long-term transactions entered')}
+      ${f8949Boxes.length === 0 ? skipRow('Form 8949 — Not needed; every sale goes on Schedule D Line 1a or 8a') : ''}
+      ${f8949Boxes.map(([box, def]) => {
+        const b = f89.boxes[box];
+        return `
+        ${sectionRow(`Form 8949, Part ${def.term === 'short' ? 'I' : 'II'} — Box ${box}: ${def.label}`)}
+        ${b.rows.map((r) => tableRow(`(a)–(c)`, `${esc(r.description) || 'Sale'} · acquired ${r.acquired ? esc(r.acquired) : 'VARIOUS'} · sold ${esc(r.sold)}`,
+          fmtLine(r.gain), `(d) ${fmt(r.proceeds)} · (e) ${fmt(r.basis)}${r.code ? ` · (f) ${r.code} · (g) ${fmt(r.adjustment)}` : ''}`)).join('')}
+        ${tableRow('2', `Totals — (d) ${fmt(b.proceeds)} · (e) ${fmt(b.basis)} · (g) ${fmt(b.adjustment)}`, fmtLine(b.gain), `→ Schedule D, Line ${def.line}`, 'highlight')}`;
+      }).join('')}
+      ${sectionRow('Schedule D — Part I: Short-Term Capital Gains and Losses (held 1 year or less)')}
+      ${f89.line1a.count > 0 || d.line1a !== 0 ? tableRow('1a', `Box A sales with no adjustments (${f89.line1a.count}) — (d) ${fmt(f89.line1a.proceeds)} · (e) ${fmt(f89.line1a.basis)}`, fmtLine(d.line1a)) : ''}
+      ${schDLine('1b', 'Form 8949, Box A', d.line1b)}
+      ${schDLine('2', 'Form 8949, Box B', d.line2)}
+      ${schDLine('3', 'Form 8949, Box C', d.line3)}
+      ${schDLine('5', 'Net short-term gain (loss) from S corporations (K-1 Box 7)', d.line5)}
+      ${schDLine('6', 'Short-term capital loss carryover', -d.line6)}
+      ${tableRow('7', 'Net short-term capital gain (loss)', fmtLine(d.line7), 'Taxed at ordinary income rates', 'highlight')}
+      ${sectionRow('Schedule D — Part II: Long-Term Capital Gains and Losses (held more than 1 year)')}
+      ${f89.line8a.count > 0 || d.line8a !== 0 ? tableRow('8a', `Box D sales with no adjustments (${f89.line8a.count}) — (d) ${fmt(f89.line8a.proceeds)} · (e) ${fmt(f89.line8a.basis)}`, fmtLine(d.line8a)) : ''}
+      ${schDLine('8b', 'Form 8949, Box D', d.line8b)}
+      ${schDLine('9', 'Form 8949, Box E', d.line9)}
+      ${schDLine('10', 'Form 8949, Box F', d.line10, t.basisGain > 0 ? `Includes ${fmt(t.basisGain)} of S-corp distributions / loan repayments beyond basis (Form 7203)` : '')}
+      ${schDLine('11', 'Gain from Form 4797, Part I (K-1 Box 9)', d.line11)}
+      ${schDLine('12', 'Net long-term gain (loss) from S corporations (K-1 Box 8a)', d.line12)}
+      ${schDLine('13', 'Capital gain distributions', d.line13)}
+      ${schDLine('14', 'Long-term capital loss carryover', -d.line14)}
+      ${tableRow('15', 'Net long-term capital gain (loss)', fmtLine(d.line15), 'Taxed at 0%, 15%, or 20% depending on your income', 'highlight')}
       ${sectionRow('Part III — Summary')}
-      ${tableRow('16', 'Combined net capital gain (loss)', fmtLine(t.capGainNet))}
-      ${t.capGainNet < -3000
-        ? tableRow('21', 'Capital loss deduction limit', fmtLine(-3000), `You have ${fmt(Math.abs(t.capGainNet) - 3000)} in losses that carry forward to 2026`, 'owe')
+      ${tableRow('16', 'Combined net capital gain (loss) (Line 7 + Line 15)', fmtLine(d.line16))}
+      ${d.line16 < 0
+        ? tableRow('21', 'Net capital loss allowed → Form 1040, Line 7', fmtLine(cl.line21), `Limited to ${fmt(C.CAPITAL_LOSS_LIMIT[t.status])}${t.status === 'mfs' ? ' when married filing separately' : ''}`)
         : tableRow('17 / 19', 'Net capital gain (loss) → Form 1040, Line 7', fmtLine(t.capGain1040))}
-      ${t.ltcg > 0 ? tableRow('—', 'LTCG tax rates (28% rate gain worksheet if assets include collectibles or Sec. 1202 stock)', 'Taxed at 0% (if taxable income ≤ $48,350), 15% (≤ $533,400), or 20% (above $533,400)') : ''}
+      ${cl.shortTerm + cl.longTerm > 0 ? `
+        ${sectionRow('Capital Loss Carryover Worksheet — carryover to 2026')}
+        ${tableRow('1', 'Taxable income before the loss limit (Form 1040, Line 11 minus Line 14)', fmtLine(cl.line1))}
+        ${tableRow('2', 'Loss from Schedule D, Line 21', fmtLine(cl.line2))}
+        ${tableRow('4', 'Loss used this year (smaller of Line 2 or Line 1 + Line 2, not below zero)', fmtLine(cl.line4))}
+        ${d.line7 < 0 ? `
+          ${tableRow('5', 'Short-term loss, Schedule D Line 7', fmtLine(cl.line5))}
+          ${tableRow('6', 'Long-term gain, Schedule D Line 15', fmtLine(cl.line6))}
+          ${tableRow('8', 'Short-term capital loss carryover to 2026', fmtLine(cl.line8), '2026 Schedule D, Line 6', 'highlight')}` : ''}
+        ${d.line15 < 0 ? `
+          ${tableRow('9', 'Long-term loss, Schedule D Line 15', fmtLine(cl.line9))}
+          ${tableRow('10', 'Short-term gain, Schedule D Line 7', fmtLine(cl.line10))}
+          ${tableRow('11', 'Loss used beyond the short-term loss (Line 4 minus Line 5)', fmtLine(cl.line11))}
+          ${tableRow('13', 'Long-term capital loss carryover to 2026', fmtLine(cl.line13), '2026 Schedule D, Line 14', 'highlight')}` : ''}` : ''}
+      ${d.line17 ? `
+        ${tableRow('17', 'Are Lines 15 and 16 both gains?', 'Yes')}
+        ${tableRow('18', '28% rate gain (28% Rate Gain Worksheet, Line 7)', fmtLine(d.line18), d.line18 > 0 ? 'Collectibles' : '')}
+        ${tableRow('19', 'Unrecaptured section 1250 gain', fmtLine(d.line19))}
+        ${tableRow('20', 'Are Lines 18 and 19 both zero?', d.line20 ? 'Yes — Qualified Dividends and Capital Gain Tax Worksheet' : 'No — Schedule D Tax Worksheet')}` : ''}
+    </table>` : '';
+
+  // ── QDCGT / SCHEDULE D TAX WORKSHEET ──
+  const ws = t.capGainWorksheet;
+  const QDCGT_LINES = [
+    [1, 'Taxable income (Form 1040, Line 15)'], [2, 'Qualified dividends (Form 1040, Line 3a)'],
+    [3, 'Smaller of Schedule D Line 15 or 16 (zero if either is a loss)'], [4, 'Add Lines 2 and 3'],
+    [5, 'Line 1 − Line 4 (ordinary income)'], [6, 'Top of the 0% capital gain rate'],
+    [7, 'Smaller of Line 1 or Line 6'], [8, 'Smaller of Line 5 or Line 7'],
+    [9, 'Line 7 − Line 8 (taxed at 0%)'], [10, 'Smaller of Line 1 or Line 4'], [11, 'Amount from Line 9'],
+    [12, 'Line 10 − Line 11'], [13, 'Top of the 15% capital gain rate'], [14, 'Smaller of Line 1 or Line 13'],
+    [15, 'Add Lines 5 and 9'], [16, 'Line 14 − Line 15'], [17, 'Smaller of Line 12 or Line 16 (taxed at 15%)'],
+    [18, 'Line 17 × 15%'], [19, 'Add Lines 9 and 17'], [20, 'Line 10 − Line 19 (taxed at 20%)'],
+    [21, 'Line 20 × 20%'], [22, 'Tax on Line 5'], [23, 'Add Lines 18, 21 and 22'], [24, 'Tax on Line 1'],
+    [25, 'Smaller of Line 23 or Line 24 → Form 1040, Line 16'],
+  ];
+  const SCHD_TAX_LINES = [
+    [1, 'Taxable income (Form 1040, Line 15)'], [2, 'Qualified dividends (Form 1040, Line 3a)'],
+    [3, 'Form 4952, Line 4g (no investment interest election)'], [4, 'Form 4952, Line 4e'],
+    [5, 'Line 3 − Line 4'], [6, 'Line 2 − Line 5'], [7, 'Smaller of Schedule D Line 15 or 16'],
+    [8, 'Smaller of Line 3 or Line 4'], [9, 'Line 7 − Line 8'], [10, 'Add Lines 6 and 9'],
+    [11, 'Add Schedule D Lines 18 and 19'], [12, 'Smaller of Line 9 or Line 11'], [13, 'Line 10 − Line 12'],
+    [14, 'Line 1 − Line 13'], [15, 'Top of the 0% capital gain rate'], [16, 'Smaller of Line 1 or Line 15'],
+    [17, 'Smaller of Line 14 or Line 16'], [18, 'Line 1 − Line 10'], [19, 'Smaller of Line 1 or the top of the 24% bracket'],
+    [20, 'Smaller of Line 14 or Line 19'], [21, 'Larger of Line 18 or Line 20 (taxed at regular rates)'],
+    [22, 'Line 16 − Line 17 (taxed at 0%)'], [23, 'Smaller of Line 1 or Line 13'], [24, 'Amount from Line 22'],
+    [25, 'Line 23 − Line 24'], [26, 'Top of the 15% capital gain rate'], [27, 'Smaller of Line 1 or Line 26'],
+    [28, 'Add Lines 21 and 22'], [29, 'Line 27 − Line 28'], [30, 'Smaller of Line 25 or Line 29 (taxed at 15%)'],
+    [31, 'Line 30 × 15%'], [32, 'Add Lines 24 and 30'], [33, 'Line 23 − Line 32 (taxed at 20%)'],
+    [34, 'Line 33 × 20%'], [35, 'Smaller of Line 9 or Schedule D Line 19'], [36, 'Add Lines 10 and 21'],
+    [37, 'Amount from Line 1'], [38, 'Line 36 − Line 37'], [39, 'Line 35 − Line 38 (taxed at 25%)'],
+    [40, 'Line 39 × 25%'], [41, 'Add Lines 21, 22, 30, 33 and 39'], [42, 'Line 1 − Line 41 (taxed at 28%)'],
+    [43, 'Line 42 × 28%'], [44, 'Tax on Line 21'], [45, 'Add Lines 31, 34, 40, 43 and 44'],
+    [46, 'Tax on Line 1'], [47, 'Smaller of Line 45 or Line 46 → Form 1040, Line 16'],
+  ];
+  // "Tax on Line N" rows → N
+  const WS_TAX_ON = { qdcgt: { 22: 5, 24: 1 }, schD: { 44: 21, 46: 1 } };
+  const wsTitle = ws && ws.form === 'schD' ? 'Schedule D Tax Worksheet' : 'Qualified Dividends and Capital Gain Tax Worksheet';
+  const wsLast = ws && ws.form === 'schD' ? 47 : 25;
+  const capGainWsSummary = ws ? `
+    <table class="form-line-table">
+      ${sectionRow(`${wsTitle} — Form 1040, Line 16`)}
+      ${(ws.form === 'schD' ? SCHD_TAX_LINES : QDCGT_LINES)
+        .filter(([n]) => !(ws.form === 'schD' && n >= 41 && n <= 43 && t.schD.line18 === 0))
+        .map(([n, desc]) => tableRow(String(n), desc, fmtLine(ws[`line${n}`]),
+          WS_TAX_ON[ws.form][n] ? taxMethodNote(ws[`line${WS_TAX_ON[ws.form][n]}`], t) : '', n === wsLast ? 'highlight' : '')).join('')}
     </table>` : '';
 
   // ── FORM 8960 ──
@@ -1273,108 +2397,475 @@ function generateAndShowSummary() {
       ${tableRow('8', 'Net investment income (add lines 1–7)', fmtLine(netInvIncome))}
       ${sectionRow('Part II — Net Investment Income Tax')}
       ${tableRow('9a', 'Modified adjusted gross income (MAGI)', fmtLine(t.agi))}
-      ${tableRow('9b', 'Threshold for your filing status (Single)', fmtLine(200000))}
-      ${tableRow('9c', 'MAGI exceeding threshold (Line 9a − Line 9b)', fmtLine(Math.max(0, t.agi - 200000)))}
-      ${tableRow('10', 'Smaller of Line 8 or Line 9c', fmtLine(Math.min(netInvIncome, Math.max(0, t.agi - 200000))))}
+      ${tableRow('9b', `Threshold for your filing status (${statusLabel})`, fmtLine(t.niitThreshold))}
+      ${tableRow('9c', 'MAGI exceeding threshold (Line 9a − Line 9b)', fmtLine(Math.max(0, t.agi - t.niitThreshold)))}
+      ${tableRow('10', 'Smaller of Line 8 or Line 9c', fmtLine(Math.min(netInvIncome, Math.max(0, t.agi - t.niitThreshold))))}
       ${tableRow('12', 'Net Investment Income Tax (Line 10 × 3.8%) → Form 1040 via Schedule 2', fmtLine(t.niit), '', 'owe')}
     </table>` : '';
 
+  // ── SCHEDULE C ──
+  const c = t.schC;
+  const hasSchC = radio('has-schedule-c') === 'yes' && (c.line7 !== 0 || c.line28 !== 0);
+  const schCName = esc(document.getElementById('schc-name')?.value) || 'Sole proprietorship';
+  const expenseLines = [
+    ['8', 'Advertising', c.line8], ['9', 'Car and truck expenses', c.line9],
+    ['10', 'Commissions and fees', c.line10], ['11', 'Contract labor', c.line11],
+    ['13', 'Depreciation and section 179 (Form 4562)', c.line13], ['14', 'Employee benefit programs', c.line14],
+    ['15', 'Insurance (other than health)', c.line15], ['16a', 'Mortgage interest', c.line16a],
+    ['16b', 'Other interest', c.line16b], ['17', 'Legal and professional services', c.line17],
+    ['18', 'Office expense', c.line18], ['19', 'Pension and profit-sharing plans', c.line19],
+    ['20a', 'Rent or lease — vehicles, machinery, equipment', c.line20a], ['20b', 'Rent or lease — other business property', c.line20b],
+    ['21', 'Repairs and maintenance', c.line21], ['22', 'Supplies', c.line22],
+    ['23', 'Taxes and licenses', c.line23], ['24a', 'Travel', c.line24a],
+    ['24b', 'Deductible meals (50%)', c.line24b], ['25', 'Utilities', c.line25],
+    ['26', 'Wages (less employment credits)', c.line26], ['27a', 'Other expenses (Part V)', c.line27a],
+  ];
+  const vehicleNote = radio('schc-vehicle-method') === 'actual'
+    ? 'Actual expenses — complete Part IV'
+    : `${num('schc-business-miles').toLocaleString('en-US')} business miles × ${C.SCH_C_MILEAGE_RATE * 100}¢ plus parking and tolls — complete Part IV`;
+  const schCSummary = hasSchC ? `
+    <table class="form-line-table">
+      ${sectionRow(`Schedule C (Form 1040) — ${schCName}${t.schCSpouse ? ' (spouse)' : ''}`)}
+      ${sectionRow('Part I — Income')}
+      ${tableRow('1', 'Gross receipts or sales', fmtLine(c.line1))}
+      ${c.line2 > 0 ? tableRow('2', 'Returns and allowances', fmtLine(c.line2)) : skipRow('Line 2 — Returns and allowances (none)')}
+      ${tableRow('3', 'Subtract Line 2 from Line 1', fmtLine(c.line3))}
+      ${c.line4 > 0 ? tableRow('4', 'Cost of goods sold (Part III)', fmtLine(c.line4)) : skipRow('Line 4 — Cost of goods sold (none)')}
+      ${tableRow('5', 'Gross profit', fmtLine(c.line5))}
+      ${c.line6 !== 0 ? tableRow('6', 'Other income', fmtLine(c.line6)) : skipRow('Line 6 — Other income (none)')}
+      ${tableRow('7', 'Gross income', fmtLine(c.line7))}
+      ${sectionRow('Part II — Expenses')}
+      ${expenseLines.filter(([, , amt]) => amt > 0).map(([line, desc, amt]) =>
+        tableRow(line, desc, fmtLine(amt), line === '9' ? vehicleNote : line === '24b' ? `Half of ${fmt(amt * 2)} spent on business meals` : '')).join('')}
+      ${tableRow('28', 'Total expenses', fmtLine(c.line28))}
+      ${tableRow('29', 'Tentative profit (loss)', fmtLine(c.line29))}
+      ${c.line30 > 0
+        ? tableRow('30', 'Business use of home', fmtLine(c.line30),
+            radio('schc-home-office-method') === 'regular' ? 'From Form 8829, Line 36' : `Simplified method: ${Math.min(num('schc-office-sqft'), C.HOME_OFFICE_MAX_SQFT)} sq ft × ${fmt(C.HOME_OFFICE_RATE)}${c.line30 < c.homeOfficeClaim ? ' — limited to Line 29' : ''}`)
+        : skipRow('Line 30 — Business use of home (none)')}
+      ${tableRow('31', 'Net profit (loss) → Schedule 1, Line 3 and Schedule SE, Line 2', fmtLine(c.line31), '', 'highlight')}
+    </table>` : '';
+
+  // ── SCHEDULE SE ──
+  const se = t.schSE;
+  const hasSchSE = t.seTax > 0;
+  const schSESummary = hasSchSE ? `
+    <table class="form-line-table">
+      ${sectionRow(`Schedule SE (Form 1040) — Self-Employment Tax${t.schCSpouse ? ' (spouse)' : ''}`)}
+      ${sectionRow('Part I — Self-Employment Tax')}
+      ${tableRow('2', 'Net profit from Schedule C, Line 31', fmtLine(se.line2))}
+      ${tableRow('3', 'Combine Lines 1a, 1b and 2', fmtLine(se.line3))}
+      ${tableRow('4a', `Line 3 × ${(C.SE_EARNINGS_RATE * 100).toFixed(2)}%`, fmtLine(se.line4a))}
+      ${tableRow('6', 'Net earnings from self-employment', fmtLine(se.line6))}
+      ${tableRow('7', 'Maximum earnings subject to social security tax (2025)', fmtLine(se.line7))}
+      ${tableRow('8a', 'Social security wages (W-2 Box 3)', fmtLine(se.line8a), se.line8a > 0 ? 'Boxes 3 and 7 of the owner\'s W-2s (Box 4 ÷ 6.2% where Box 3 is blank)' : '')}
+      ${tableRow('9', 'Line 7 minus Line 8d', fmtLine(se.line9))}
+      ${tableRow('10', 'Smaller of Line 6 or Line 9 × 12.4% (social security)', fmtLine(se.line10))}
+      ${tableRow('11', 'Line 6 × 2.9% (Medicare)', fmtLine(se.line11))}
+      ${tableRow('12', 'Self-employment tax → Schedule 2, Line 4', fmtLine(se.line12), '', 'owe')}
+      ${tableRow('13', 'Deduction for one-half of SE tax → Schedule 1, Line 15', fmtLine(se.line13), '', 'refund')}
+    </table>` : '';
+
+  // ── FORM 6251 ──
+  const a6 = t.f6251;
+  const hasF6251 = t.amt > 0 || radio('has-amt-items') === 'yes';
+  const p3 = a6.partIII;
+  const f6251Summary = hasF6251 ? `
+    <table class="form-line-table">
+      ${sectionRow('Part I — Alternative Minimum Taxable Income')}
+      ${tableRow('1', 'Taxable income (Form 1040, Line 15; Line 11 minus Line 14 if zero)', fmtLine(a6.line1))}
+      ${tableRow('2a', t.useItemized ? 'Taxes from Schedule A, Line 7' : 'Standard deduction (Form 1040, Line 12)', fmtLine(a6.line2a))}
+      ${a6.line2b !== 0 ? tableRow('2b', 'State tax refund (Schedule 1, Line 1)', fmtLine(a6.line2b)) : ''}
+      ${a6.line2g !== 0 ? tableRow('2g', 'Interest from specified private activity bonds', fmtLine(a6.line2g)) : ''}
+      ${a6.line2i !== 0 ? tableRow('2i', 'Incentive stock options — bargain element at exercise', fmtLine(a6.line2i)) : ''}
+      ${a6.line2l !== 0 ? tableRow('2l', 'Depreciation on assets placed in service after 1986', fmtLine(a6.line2l)) : ''}
+      ${a6.line3 !== 0 ? tableRow('3', 'Other adjustments', fmtLine(a6.line3)) : ''}
+      ${tableRow('4', `Alternative minimum taxable income${a6.mfsAddBack > 0 ? ` (includes the ${fmt(a6.mfsAddBack)} filing-separately add-back)` : ''}`, fmtLine(a6.line4), '', 'highlight')}
+      ${sectionRow('Part II — Alternative Minimum Tax')}
+      ${tableRow('5', 'Exemption', fmtLine(a6.line5),
+        a6.reduction > 0 ? `${fmt(a6.exemption)} less 25% of AMTI over ${fmt(a6.start)}` : `${statusLabel}; phase-out starts at ${fmt(a6.start)} of AMTI`)}
+      ${tableRow('6', 'Line 4 − Line 5', fmtLine(a6.line6))}
+      ${tableRow('7', p3 ? 'Tax from Part III, Line 40' : '26% (28% above the rate threshold) of Line 6', fmtLine(a6.line7))}
+      ${tableRow('9', 'Tentative minimum tax', fmtLine(a6.line9))}
+      ${tableRow('10', 'Regular tax (Form 1040, Line 16)', fmtLine(a6.line10))}
+      ${tableRow('11', 'AMT (Line 9 − Line 10) → Schedule 2, Line 1', fmtLine(a6.line11), '', a6.line11 > 0 ? 'owe' : 'highlight')}
+      ${p3 ? `
+        ${sectionRow('Part III — Tax Computation Using Maximum Capital Gains Rates')}
+        ${[
+          [12, 'Amount from Line 6'], [13, `${ws.form === 'schD' ? 'Schedule D Tax Worksheet, Line 13' : 'QDCGT Worksheet, Line 4'}`],
+          [14, 'Schedule D, Line 19'], [15, ws.form === 'schD' ? 'Smaller of Line 13 + Line 14 or Schedule D Tax Worksheet Line 10' : 'Amount from Line 13'],
+          [16, 'Smaller of Line 12 or Line 15'], [17, 'Line 12 − Line 16'], [18, '26% / 28% of Line 17'],
+          [19, 'Top of the 0% capital gain rate'], [20, ws.form === 'schD' ? 'Schedule D Tax Worksheet, Line 14' : 'QDCGT Worksheet, Line 5'],
+          [21, 'Line 19 − Line 20'], [22, 'Smaller of Line 12 or Line 13'], [23, 'Smaller of Line 21 or Line 22 (taxed at 0%)'],
+          [24, 'Line 22 − Line 23'], [25, 'Top of the 15% capital gain rate'], [26, 'Amount from Line 21'],
+          [27, ws.form === 'schD' ? 'Schedule D Tax Worksheet, Line 21' : 'QDCGT Worksheet, Line 5'], [28, 'Add Lines 26 and 27'],
+          [29, 'Line 25 − Line 28'], [30, 'Smaller of Line 24 or Line 29 (taxed at 15%)'], [31, 'Line 30 × 15%'],
+          [32, 'Add Lines 23 and 30'], [33, 'Line 22 − Line 32 (taxed at 20%)'], [34, 'Line 33 × 20%'],
+          ...(p3.line14 > 0 ? [[35, 'Add Lines 17, 32 and 33'], [36, 'Line 12 − Line 35'], [37, 'Line 36 × 25%']] : []),
+          [38, 'Add Lines 18, 31, 34 and 37'], [39, '26% / 28% of Line 12'], [40, 'Smaller of Line 38 or Line 39 → Line 7'],
+        ].map(([n, desc]) => tableRow(String(n), desc, fmtLine(p3[`line${n}`]), '', n === 40 ? 'highlight' : '')).join('')}` : ''}
+    </table>` : '';
+
+  // ── FORM 8959 ──
+  const m = t.f8959;
+  // Filed when the tax is owed or the employer withheld it (Part V)
+  const hasF8959 = m.line18 > 0 || m.line24 > 0;
+  const f8959Summary = hasF8959 ? `
+    <table class="form-line-table">
+      ${sectionRow('Part I — Additional Medicare Tax on Medicare Wages')}
+      ${tableRow('1', 'Medicare wages and tips (W-2 Box 5)', fmtLine(m.line1), `From ${w2Source(t)}`)}
+      ${skipRow('Lines 2–3 — Unreported tips (Form 4137) and wages (Form 8919) (none)')}
+      ${tableRow('4', 'Add Lines 1 through 3', fmtLine(m.line4))}
+      ${tableRow('5', 'Threshold', fmtLine(m.line5), statusLabel)}
+      ${tableRow('6', 'Line 4 − Line 5', fmtLine(m.line6))}
+      ${tableRow('7', 'Additional Medicare Tax on Medicare wages (Line 6 × 0.9%)', fmtLine(m.line7))}
+      ${sectionRow('Part II — Additional Medicare Tax on Self-Employment Income')}
+      ${m.line8 > 0 ? `
+        ${tableRow('8', 'Self-employment income (Schedule SE, Line 6)', fmtLine(m.line8))}
+        ${tableRow('9', 'Threshold', fmtLine(m.line9))}
+        ${tableRow('10', 'Amount from Line 4', fmtLine(m.line10))}
+        ${tableRow('11', 'Line 9 − Line 10', fmtLine(m.line11), 'Threshold left after wages')}
+        ${tableRow('12', 'Line 8 − Line 11', fmtLine(m.line12))}
+        ${tableRow('13', 'Additional Medicare Tax on self-employment income (Line 12 × 0.9%)', fmtLine(m.line13))}` : skipRow('Lines 8–13 — No self-employment income')}
+      ${skipRow('Part III — Railroad retirement (RRTA) compensation (none)')}
+      ${sectionRow('Part IV — Total Additional Medicare Tax')}
+      ${tableRow('18', 'Add Lines 7, 13 and 17 → Schedule 2, Line 11', fmtLine(m.line18), '', m.line18 > 0 ? 'owe' : 'highlight')}
+      ${sectionRow('Part V — Withholding Reconciliation')}
+      ${tableRow('19', 'Medicare tax withheld (W-2 Box 6)', fmtLine(m.line19))}
+      ${tableRow('20', 'Amount from Line 1', fmtLine(m.line20))}
+      ${tableRow('21', 'Regular Medicare tax withholding (Line 20 × 1.45%)', fmtLine(m.line21))}
+      ${tableRow('22', 'Additional Medicare Tax withholding on Medicare wages (Line 19 − Line 21)', fmtLine(m.line22),
+        m.line22 > 0 ? 'Employers withhold 0.9% on wages over $200,000 whatever your filing status' : '')}
+      ${tableRow('24', 'Total Additional Medicare Tax withholding → Form 1040, Line 25c', fmtLine(m.line24), '', m.line24 > 0 ? 'refund' : '')}
+    </table>` : '';
+
   // ── SCHEDULE 2 ──
-  const hasSch2 = (t.niit + t.ptcRepay + t.addlMedicareTax) > 0;
+  const hasSch2 = (t.sch2PartI + t.otherTaxes) > 0;
   const sch2Summary = hasSch2 ? `
     <table class="form-line-table">
       ${sectionRow('Schedule 2 (Form 1040) — Additional Taxes')}
-      ${sectionRow('Part I — Alternative Minimum Tax')}
-      ${skipRow('Line 1 — Alternative Minimum Tax (AMT) — does not apply based on your income profile')}
-      ${sectionRow('Part II — Other Taxes')}
+      ${sectionRow('Part I — Tax')}
+      ${t.amt > 0
+        ? tableRow('1', 'Alternative minimum tax (Form 6251, Line 11)', fmtLine(t.amt), 'See Form 6251 below', 'owe')
+        : skipRow('Line 1 — Alternative minimum tax (none — tentative minimum tax is below your regular tax)')}
       ${t.ptcRepay > 0
         ? tableRow('2', 'Excess advance premium tax credit repayment (Form 8962, Line 27)', fmtLine(t.ptcRepay), 'You received more in advance PTC than you qualified for — this is the repayment', 'owe')
         : skipRow('Line 2 — Excess advance PTC repayment (none — you had a net credit)')}
+      ${tableRow('3', 'Add Lines 1 and 2 → Form 1040, Line 17', fmtLine(t.sch2PartI), '', t.sch2PartI > 0 ? 'owe' : '')}
+      ${sectionRow('Part II — Other Taxes')}
+      ${t.seTax > 0
+        ? tableRow('4', 'Self-employment tax (Schedule SE, Line 12)', fmtLine(t.seTax), 'See Schedule SE below', 'owe')
+        : skipRow('Line 4 — Self-employment tax (none)')}
+      ${t.addlMedicareTax > 0
+        ? tableRow('11', 'Additional Medicare Tax (Form 8959, Line 18)', fmtLine(t.addlMedicareTax), `Medicare wages and SE earnings over ${fmt(t.addlMedicareThreshold)} (${statusLabel}) — see Form 8959 below`, 'owe')
+        : skipRow('Line 11 — Additional Medicare Tax (none)')}
       ${t.niit > 0
         ? tableRow('12', 'Net investment income tax (Form 8960, Line 12)', fmtLine(t.niit), '', 'owe')
         : skipRow('Line 12 — NIIT (none — income below threshold)')}
-      ${t.addlMedicareTax > 0
-        ? tableRow('11', 'Additional Medicare Tax (Form 8959)', fmtLine(t.addlMedicareTax), 'Wages over $200,000 subject to extra 0.9%', 'owe')
-        : skipRow('Line 11 — Additional Medicare Tax (none)')}
-      ${tableRow('10', 'Total additional taxes → Form 1040, Line 17', fmtLine(t.niit + t.ptcRepay + t.addlMedicareTax), '', 'owe')}
+      ${t.hsaAdditionalTax > 0
+        ? tableRow('17c', 'Additional tax on HSA distributions (Form 8889, Line 17b)', fmtLine(t.hsaAdditionalTax), '', 'owe')
+        : ''}
+      ${t.hsaTestingTax > 0
+        ? tableRow('17d', 'Additional tax on an HSA because you didn\'t remain an eligible individual (Form 8889, Line 21)', fmtLine(t.hsaTestingTax), '', 'owe')
+        : ''}
+      ${tableRow('21', 'Total other taxes → Form 1040, Line 23', fmtLine(t.otherTaxes), '', t.otherTaxes > 0 ? 'owe' : '')}
     </table>` : '';
 
   // ── SCHEDULE 3 ──
-  const hasSch3 = (t.childCareCredit + t.educationCredit + t.ptcCredit) > 0;
+  const hasSch3 = (t.sch3PartI + t.sch3PartII) > 0;
   const sch3Summary = hasSch3 ? `
     <table class="form-line-table">
       ${sectionRow('Schedule 3 (Form 1040) — Additional Credits and Payments')}
       ${sectionRow('Part I — Nonrefundable Credits')}
+      ${t.foreignTaxCredit > 0
+        ? tableRow('1', 'Foreign tax credit', fmtLine(t.foreignTaxCredit), `Foreign tax from 1099-INT Box 6 and 1099-DIV Box 7, no more than ${fmt(C.FOREIGN_TAX_ELECTION_LIMIT[t.status])} — no Form 1116 needed`, 'refund')
+        : t.foreignTaxNeeds1116
+          ? tableRow('1', 'Foreign tax credit — Form 1116 required', fmtLine(0), `${fmt(t.foreignTaxPaid)} of foreign tax is over the ${fmt(C.FOREIGN_TAX_ELECTION_LIMIT[t.status])} limit; not figured here`, 'owe')
+          : skipRow('Line 1 — Foreign tax credit (none)')}
       ${t.childCareCredit > 0
         ? tableRow('2', 'Child and dependent care credit (Form 2441, Line 11)', fmtLine(t.childCareCredit), 'See Form 2441 below for calculation detail', 'refund')
         : skipRow('Line 2 — Child and dependent care credit (none)')}
       ${t.educationCredit > 0
-        ? tableRow('3', 'Education credits (Form 8863)', fmtLine(t.educationCredit), 'See Form 8863 below for calculation detail', 'refund')
+        ? tableRow('3', 'Education credits (Form 8863, Line 19)', fmtLine(t.educationCredit), 'See Form 8863 below for calculation detail', 'refund')
         : skipRow('Line 3 — Education credits (none)')}
-      ${tableRow('8', 'Total nonrefundable credits (Part I) → Form 1040, Line 24', fmtLine(t.childCareCredit + t.educationCredit), '', 'refund')}
+      ${t.saversCredit > 0
+        ? tableRow('4', 'Retirement savings contributions credit (Form 8880, Line 12)', fmtLine(t.saversCredit), 'See Form 8880 below for calculation detail', 'refund')
+        : skipRow('Line 4 — Retirement savings contributions credit (none)')}
+      ${tableRow('8', 'Total nonrefundable credits (Part I) → Form 1040, Line 20', fmtLine(t.sch3PartI), '', 'refund')}
       ${sectionRow('Part II — Other Payments and Refundable Credits')}
       ${t.ptcCredit > 0
         ? tableRow('9', 'Net premium tax credit (Form 8962, Line 26)', fmtLine(t.ptcCredit), 'Refundable — can increase your refund beyond tax owed', 'refund')
         : skipRow('Line 9 — Net premium tax credit (none — or repayment applies)')}
-      ${tableRow('15', 'Total other payments / refundable credits → Form 1040, Line 30', fmtLine(t.ptcCredit), '', 'refund')}
+      ${t.ssOverwithheld > 0
+        ? tableRow('11', 'Excess social security tax withheld', fmtLine(t.ssOverwithheld), `Box 4 from two or more employers above ${fmt(C.SS_WAGE_BASE * C.SS_EMPLOYEE_RATE)} (6.2% of the ${fmt(C.SS_WAGE_BASE)} wage base)`, 'refund')
+        : skipRow('Line 11 — Excess social security tax withheld (none)')}
+      ${tableRow('15', 'Total other payments / refundable credits → Form 1040, Line 31', fmtLine(t.sch3PartII), '', 'refund')}
     </table>` : '';
 
-  // ── FORM 8889 ──
-  const hasHSA = radio('has-hsa') === 'yes';
-  const hsaContrib = num('hsa-contribution');
-  const w2Box12W   = num('w2-box12-w');
-  const f8889Summary = hasHSA ? `
+  // ── SCHEDULE 8812 ──
+  const s8812 = t.sch8812;
+  const hasSch8812 = s8812.line8 > 0;
+  const dependentRows = s8812.dependents.filter((d) => d.isDependent).map((d) =>
+    tableRow('Dep.', `${esc(d.name) || 'Unnamed dependent'} — ${DEPENDENT_RELATIONSHIPS[d.relationship]}${d.age !== null ? `, age ${d.age}` : ''}`,
+      d.ctc ? 'Child tax credit' : 'Other dependent',
+      `Enter on Form 1040, Dependents section: name, ${d.tinType === 'ssn' ? 'SSN' : 'ITIN/ATIN'}${d.tin ? ` ${esc(d.tin)}` : ' (required)'}, relationship, and check the ${d.ctc ? 'child tax credit' : 'credit for other dependents'} box`)
+  ).join('');
+  const sch8812Summary = hasSch8812 ? `
+    <table class="form-line-table">
+      ${sectionRow('Schedule 8812 (Form 1040) — Credits for Qualifying Children and Other Dependents')}
+      ${dependentRows}
+      ${sectionRow('Part I — Child Tax Credit and Credit for Other Dependents')}
+      ${tableRow('3', 'Modified adjusted gross income (Form 1040, Line 11)', fmtLine(t.agi))}
+      ${tableRow('4', 'Qualifying children under 17 with an SSN', String(s8812.line4))}
+      ${tableRow('5', `Line 4 × ${fmt(C.CTC_PER_CHILD)}`, fmtLine(s8812.line5))}
+      ${tableRow('6', 'Other dependents', String(s8812.line6))}
+      ${tableRow('7', `Line 6 × ${fmt(C.ODC_PER_DEPENDENT)}`, fmtLine(s8812.line7))}
+      ${tableRow('8', 'Add Lines 5 and 7', fmtLine(s8812.line8))}
+      ${tableRow('9', `Threshold for your filing status (${statusLabel})`, fmtLine(s8812.line9))}
+      ${tableRow('10', 'Line 3 minus Line 9, rounded up to the next $1,000', fmtLine(s8812.line10))}
+      ${tableRow('11', 'Line 10 × 5%', fmtLine(s8812.line11), '', s8812.line11 > 0 ? 'owe' : '')}
+      ${tableRow('12', 'Line 8 minus Line 11', fmtLine(s8812.line12))}
+      ${tableRow('13', 'Credit Limit Worksheet A (tax left after Schedule 3 credits)', fmtLine(s8812.line13))}
+      ${tableRow('14', 'Smaller of Line 12 or Line 13 → Form 1040, Line 19', fmtLine(s8812.line14), '', 'refund')}
+      ${sectionRow('Part II-A — Additional Child Tax Credit for All Filers')}
+      ${s8812.line4 > 0 && s8812.line16a > 0 ? `
+        ${tableRow('16a', 'Line 12 minus Line 14', fmtLine(s8812.line16a))}
+        ${tableRow('16b', `Line 4 × ${fmt(C.ACTC_MAX_PER_CHILD)}`, fmtLine(s8812.line16b))}
+        ${tableRow('17', 'Smaller of Line 16a or Line 16b', fmtLine(s8812.line17))}
+        ${tableRow('18a', 'Earned income', fmtLine(s8812.line18a))}
+        ${tableRow('19', `Line 18a minus ${fmt(C.ACTC_EARNED_FLOOR)}`, fmtLine(s8812.line19))}
+        ${tableRow('20', 'Line 19 × 15%', fmtLine(s8812.line20))}
+        ${s8812.usePartIIB ? `
+          ${sectionRow('Part II-B — Certain Filers Who Have Three or More Qualifying Children')}
+          ${tableRow('23', 'Social security and Medicare tax withheld (W-2 Boxes 4 and 6)', fmtLine(s8812.line23))}
+          ${tableRow('24', 'Excess social security tax withheld (and EIC)', fmtLine(s8812.line24))}
+          ${tableRow('25', 'Line 23 minus Line 24', fmtLine(s8812.line25))}
+          ${tableRow('26', 'Larger of Line 20 or Line 25', fmtLine(s8812.line26))}` : ''}
+        ${tableRow('27', 'Additional child tax credit → Form 1040, Line 28', fmtLine(s8812.line27), 'Refundable', 'refund')}`
+      : skipRow('Lines 16a–27 — No additional child tax credit (the full credit was used on Line 14, or no qualifying children)')}
+    </table>` : '';
+
+  // ── SCHEDULE EIC ──
+  const hasSchEIC = t.eic > 0 && t.eicChildren.length > 0;
+  const schEICSummary = hasSchEIC ? `
     <table class="form-line-table">
-      ${sectionRow('Form 8889 — Health Savings Accounts (HSAs)')}
-      ${tableRow('1', 'Coverage type', 'Self-only HDHP (check box for self-only or family based on your plan)')}
-      ${tableRow('2', 'HSA contributions you made (not including employer)', fmtLine(hsaContrib))}
-      ${w2Box12W > 0 ? tableRow('9', 'Employer contributions (W-2 Box 12, Code W)', fmtLine(w2Box12W)) : skipRow('Line 9 — Employer HSA contributions (none or not entered)')}
-      ${tableRow('5', '2025 HSA contribution limit (self-only)', fmtLine(4300), 'Or $8,550 for family coverage; add $1,000 if age 55+')}
-      ${tableRow('13', 'HSA deduction', fmtLine(t.hsaDeduction), 'Smaller of Line 2 and Line 8. Flows to Schedule 1, Line 13.', 'refund')}
-      ${sectionRow('Part II — HSA Distributions (if you took money out)')}
-      ${tableRow('—', 'Qualified medical expenses', 'Distributions for qualified medical expenses are tax-free. Non-qualified distributions are taxable + 20% penalty. Report on Lines 14a–17.')}
+      ${sectionRow('Schedule EIC (Form 1040) — Earned Income Credit, Qualifying Child Information')}
+      ${t.eicChildren.slice(0, 3).map((d, i) => `
+        ${sectionRow(`Child ${i + 1}`)}
+        ${tableRow('1', 'Child\'s name', esc(d.name) || '—')}
+        ${tableRow('2', 'Child\'s SSN', d.tin ? esc(d.tin) : 'Required — enter from the Social Security card')}
+        ${tableRow('3', 'Year of birth', d.dob ? d.dob.slice(0, 4) : '—')}
+        ${d.age >= 19 ? tableRow('4a', 'Under 24 and a full-time student?', d.student ? 'Yes' : 'No') : ''}
+        ${d.age >= 19 && !d.student ? tableRow('4b', 'Permanently and totally disabled?', d.disabled ? 'Yes' : 'No') : ''}
+        ${tableRow('5', 'Relationship to you', DEPENDENT_RELATIONSHIPS[d.relationship])}
+        ${tableRow('6', 'Months the child lived with you in the United States', String(d.months))}`).join('')}
+      ${sectionRow('EIC Worksheet A')}
+      ${tableRow('1', 'Earned income', fmtLine(t.eicResult.earnedIncome))}
+      ${tableRow('2', 'EIC Table amount for Line 1', fmtLine(t.eicResult.line2))}
+      ${tableRow('3', 'Adjusted gross income (Form 1040, Line 11)', fmtLine(t.agi))}
+      ${t.eicResult.line6 !== t.eicResult.line2 ? tableRow('6', 'EIC Table amount for Line 3 (AGI)', fmtLine(t.eicResult.line6)) : ''}
+      ${tableRow('—', `Investment income (limit ${fmt(C.EIC_INVESTMENT_LIMIT)})`, fmtLine(t.investmentIncome))}
+      ${tableRow('27', 'Earned income credit → Form 1040, Line 27', fmtLine(t.eic), '', 'refund')}
     </table>` : '';
 
+  // ── FORM 8606 ──
+  const f8606s = t.iras.people.filter((p) => p.f8606.required);
+  const hasF8606 = f8606s.length > 0;
+  const f8606Summary = f8606s.map((p) => {
+    const f = p.f8606;
+    return `
+    <table class="form-line-table">
+      ${sectionRow(`Form 8606 — Nondeductible IRAs${t.isJoint ? ` — ${p.owner === 'spouse' ? 'Spouse' : 'Taxpayer'}` : ''}`)}
+      ${sectionRow('Part I — Nondeductible Contributions to Traditional IRAs and Distributions')}
+      ${tableRow('1', 'Nondeductible contributions for 2025', fmtLine(f.line1), p.traditional > 0 ? `${fmt(p.traditional)} contributed less the ${fmt(p.deduction)} deducted on Schedule 1, Line 20` : '')}
+      ${tableRow('2', 'Total basis in traditional IRAs', fmtLine(f.line2), 'From your 2024 Form 8606, Line 14')}
+      ${tableRow('3', 'Add Lines 1 and 2', fmtLine(f.line3))}
+      ${f.line7 + f.line8 > 0 ? `
+      ${tableRow('4', 'Contributions on Line 1 made Jan 1 – Apr 15, 2026', fmtLine(f.line4))}
+      ${tableRow('5', 'Line 3 minus Line 4', fmtLine(f.line5))}
+      ${tableRow('6', 'Value of all traditional, SEP and SIMPLE IRAs on Dec 31, 2025', fmtLine(f.line6))}
+      ${tableRow('7', 'Distributions in 2025 (not rollovers or conversions)', fmtLine(f.line7))}
+      ${tableRow('8', 'Net amount converted to Roth IRAs in 2025', fmtLine(f.line8))}
+      ${tableRow('9', 'Add Lines 6, 7 and 8', fmtLine(f.line9))}
+      ${tableRow('10', 'Line 5 ÷ Line 9 (not more than 1.000)', f.line10.toFixed(3), 'The nontaxable share of every dollar out')}
+      ${tableRow('11', 'Nontaxable part of the conversion (Line 8 × Line 10)', fmtLine(f.line11))}
+      ${tableRow('12', 'Nontaxable part of distributions (Line 7 × Line 10)', fmtLine(f.line12))}
+      ${tableRow('13', 'Add Lines 11 and 12', fmtLine(f.line13))}
+      ${tableRow('14', 'Total basis for 2025 and earlier years', fmtLine(f.line14), 'Carry to your 2026 Form 8606, Line 2', 'highlight')}
+      ${f.line7 > 0 ? tableRow('15c', 'Taxable distributions', fmtLine(f.line15c), 'Line 7 minus Line 12. Include on Form 1040, Line 4b.') : ''}`
+      : tableRow('14', 'Total basis for 2025 and earlier years', fmtLine(f.line14), 'No distributions or conversions — carry Line 3 to your 2026 Form 8606, Line 2', 'highlight')}
+      ${f.line8 > 0 ? `
+      ${sectionRow('Part II — 2025 Conversions From Traditional, SEP or SIMPLE IRAs to Roth IRAs')}
+      ${tableRow('16', 'Amount converted', fmtLine(f.line16))}
+      ${tableRow('17', 'Basis in the amount converted (Line 11)', fmtLine(f.line17))}
+      ${tableRow('18', 'Taxable amount of the conversion', fmtLine(f.line18), 'Line 16 minus Line 17. Include on Form 1040, Line 4b.', f.line18 > 0 ? 'owe' : '')}` : ''}
+      ${p.roth > 0 ? tableRow('—', 'Roth IRA contributions for 2025', fmtLine(p.roth), `Allowed up to ${fmt(p.rothLimit)} at modified AGI of ${fmt(t.iras.rothMagi)}`) : ''}
+    </table>`;
+  }).join('');
+
+  // ── FORM 8889 ──
+  const hasHSA = t.f8889s.length > 0;
+  const hsaOwner = (f) => (f.owner === 'spouse' ? 'Spouse' : 'Taxpayer');
+  const f8889Summary = t.f8889s.map((f) => `
+    <table class="form-line-table">
+      ${sectionRow(`Form 8889 — Health Savings Accounts (HSAs)${t.isJoint ? ` — ${hsaOwner(f)}` : ''}`)}
+      ${sectionRow('Part I — HSA Contributions and Deduction')}
+      ${tableRow('1', 'HDHP coverage', f.line1 === 'family' ? 'Family' : f.line1 ? 'Self-only' : 'None',
+        f.lastMonthRule ? 'Eligible on December 1 — last-month rule' : `${f.coveredMonths} month${f.coveredMonths === 1 ? '' : 's'} of coverage`)}
+      ${tableRow('2', 'HSA contributions you made for 2025 (not including employer)', fmtLine(f.line2))}
+      ${tableRow('3', 'Contribution limit', fmtLine(f.line3), f.lastMonthRule
+        ? `Full-year ${f.line1 === 'family' ? 'family' : 'self-only'} limit for your December coverage`
+        : `Line 3 Limitation Chart — ${fmt(C.HSA_LIMIT.self)} self-only or ${fmt(C.HSA_LIMIT.family)} family, ÷ 12 for each month`)}
+      ${skipRow('Line 4 — Archer MSA contributions (none)')}
+      ${tableRow('5', 'Line 3 minus Line 4', fmtLine(f.line5))}
+      ${tableRow('6', 'Your share of the limit', fmtLine(f.line6), f.spouseFamilyShare > 0 && f.line1 === 'family' ? `${f.spouseFamilyShare}% of the family limit allocated to your spouse's HSA` : '')}
+      ${f.line7 > 0 ? tableRow('7', 'Additional contribution amount (age 55 or older)', fmtLine(f.line7)) : skipRow('Line 7 — Additional contribution (under 55)')}
+      ${tableRow('8', 'Add Lines 6 and 7', fmtLine(f.line8))}
+      ${f.line9 > 0 ? tableRow('9', 'Employer contributions (W-2 Box 12, Code W)', fmtLine(f.line9)) : skipRow('Line 9 — Employer HSA contributions (none)')}
+      ${f.line10 > 0 ? tableRow('10', 'Qualified HSA funding distribution', fmtLine(f.line10)) : skipRow('Line 10 — Qualified HSA funding distribution (none)')}
+      ${tableRow('11', 'Add Lines 9 and 10', fmtLine(f.line11))}
+      ${tableRow('12', 'Line 8 minus Line 11', fmtLine(f.line12))}
+      ${tableRow('13', 'HSA deduction', fmtLine(f.line13), 'Smaller of Line 2 and Line 12. Flows to Schedule 1, Line 13.', 'refund')}
+      ${f.excessContributions > 0
+        ? tableRow('—', 'Excess contributions — Form 5329, Part VII', fmtLine(f.excessContributions), `Withdraw the excess and its earnings by the due date of your return, or owe a 6% excise tax (${fmt(f.excessTax)}) each year it stays in the account`, 'owe')
+        : ''}
+      ${sectionRow('Part II — HSA Distributions')}
+      ${f.line14a > 0 ? `
+      ${tableRow('14a', 'Total distributions (Form 1099-SA, Box 1)', fmtLine(f.line14a))}
+      ${tableRow('14b', 'Rollovers and excess contributions withdrawn', fmtLine(f.line14b))}
+      ${tableRow('14c', 'Line 14a minus Line 14b', fmtLine(f.line14c))}
+      ${tableRow('15', 'Qualified medical expenses paid from the HSA', fmtLine(f.line15))}
+      ${tableRow('16', 'Taxable HSA distributions', fmtLine(f.line16), 'Line 14c minus Line 15. Include on Schedule 1, Line 8f.', f.line16 > 0 ? 'owe' : '')}
+      ${f.line16 > 0
+        ? tableRow('17b', 'Additional 20% tax', fmtLine(f.line17b), f.exception ? 'Line 17a checked — disabled, 65 or older, or the owner died' : 'Include on Schedule 2, Line 17c', f.line17b > 0 ? 'owe' : '')
+        : ''}` : skipRow('Lines 14a–17b — No HSA distributions')}
+      ${sectionRow('Part III — Income and Additional Tax for Failure to Maintain HDHP Coverage')}
+      ${f.line20 > 0 ? `
+      ${tableRow('18', 'Last-month rule', fmtLine(f.line18))}
+      ${tableRow('19', 'Qualified HSA funding distribution', fmtLine(f.line19))}
+      ${tableRow('20', 'Total income', fmtLine(f.line20), 'Include on Schedule 1, Line 8f', 'owe')}
+      ${tableRow('21', 'Additional tax (Line 20 × 10%)', fmtLine(f.line21), 'Include on Schedule 2, Line 17d', 'owe')}` : skipRow('Lines 18–21 — No failed testing period')}
+      ${f.testingPeriodAmount > 0
+        ? tableRow('—', 'Testing period', fmtLine(f.testingPeriodAmount), 'Deducted under the last-month rule. Stay HSA-eligible through December 31, 2026, or report it on your 2026 Form 8889, Part III.')
+        : ''}
+    </table>`).join('');
+
   // ── FORM 2441 ──
-  const hasChildCareForm = radio('has-childcare') === 'yes';
+  const f2441 = t.f2441;
+  const dcb   = t.dcb;
+  const hasChildCareForm = t.careExpenses > 0 || dcb.line12 > 0;
+  const providers = radio('has-childcare') === 'yes' ? readRoster('providers') : [];
+  const providerRows = providers.map((p) =>
+    tableRow('1', `${esc(p.name) || 'Unnamed provider'}${p.address ? ` — ${esc(p.address)}` : ''}`, fmtLine(p.amount),
+      p.tin ? `TIN ${esc(p.tin)}` : 'TIN required — get it from the provider (Form W-10)')).join('');
+  const personRows = t.careQualifying.map((d) =>
+    tableRow('2', `${esc(d.name) || 'Unnamed dependent'}${d.tin ? ` — ${esc(d.tin)}` : ''}`, 'Qualifying person')).join('');
   const f2441Summary = hasChildCareForm ? `
     <table class="form-line-table">
       ${sectionRow('Form 2441 — Child and Dependent Care Expenses')}
       ${sectionRow('Part I — Persons or Organizations Who Provided the Care')}
-      ${tableRow('1', 'Provider name', 'Enter each care provider name (daycare center, nanny, etc.)')}
-      ${tableRow('1', 'Provider address', 'Street address of the care provider')}
-      ${tableRow('1', 'Provider TIN / SSN / EIN', 'Required — the IRS will verify this. Get it from the provider.')}
-      ${tableRow('1', 'Amount paid', fmtLine(num('childcare-expenses')))}
-      ${sectionRow('Part II — Credit Calculation')}
-      ${tableRow('2', 'Qualifying persons', 'Enter name and SSN of each qualifying child or dependent under age 13')}
-      ${tableRow('3', 'Qualifying expenses incurred (maximum $3,000 for 1 child / $6,000 for 2+)', fmtLine(Math.min(num('childcare-expenses'), 3000)))}
-      ${tableRow('8', 'Applicable credit percentage', t.agi > 43000 ? '20%' : t.agi > 33000 ? '25%' : t.agi > 23000 ? '30%' : '35%', `Based on your AGI of ${fmt(t.agi)}`)}
-      ${tableRow('11', 'Child and dependent care credit → Form 1040, Line 19 / Schedule 3, Line 2', fmtLine(t.childCareCredit), '', 'refund')}
+      ${providerRows || skipRow('Line 1 — No care providers entered')}
+      ${sectionRow('Part II — Credit for Child and Dependent Care Expenses')}
+      ${personRows || skipRow('Line 2 — No qualifying persons: add children under 13 (or a disabled dependent) in Step 1')}
+      ${tableRow('3', `Qualified expenses (limit ${fmt(f2441.limit)} for ${f2441.persons} qualifying person${f2441.persons === 1 ? '' : 's'})`, fmtLine(f2441.line3),
+        dcb.line25 > 0 ? `Reduced by ${fmt(dcb.line25)} of excluded dependent care benefits (Part III, Line 31)` : '')}
+      ${tableRow('4', 'Your earned income', fmtLine(f2441.line4))}
+      ${t.isJoint ? tableRow('5', 'Spouse\'s earned income', fmtLine(f2441.line5), f2441.line5 === 0 ? 'No earned income — no credit unless your spouse was a full-time student or disabled' : '') : ''}
+      ${tableRow('6', 'Smallest of Line 3, 4 or 5', fmtLine(f2441.line6))}
+      ${tableRow('7', 'Adjusted gross income', fmtLine(f2441.line7))}
+      ${tableRow('8', 'Decimal from the AGI table', f2441.line8.toFixed(2))}
+      ${tableRow('9a', 'Line 6 × Line 8', fmtLine(f2441.line9a), f2441.allowed ? '' : 'Not allowed when married filing separately unless you lived apart from your spouse', f2441.allowed ? '' : 'owe')}
+      ${tableRow('10', 'Credit Limit Worksheet (tax on Form 1040, Line 18)', fmtLine(t.taxBeforeCredits))}
+      ${tableRow('11', 'Credit for child and dependent care expenses → Schedule 3, Line 2', fmtLine(t.childCareCredit), '', 'refund')}
+      ${dcb.line12 > 0 ? `
+        ${sectionRow('Part III — Dependent Care Benefits')}
+        ${tableRow('12', 'Dependent care benefits (W-2 Box 10)', fmtLine(dcb.line12))}
+        ${tableRow('16', 'Qualified expenses incurred in 2025', fmtLine(dcb.line16))}
+        ${tableRow('17', 'Smaller of Line 15 or 16', fmtLine(dcb.line17))}
+        ${tableRow('18', 'Your earned income', fmtLine(dcb.line18))}
+        ${tableRow('19', t.isJoint ? 'Spouse\'s earned income' : 'Line 18 amount', fmtLine(dcb.line19))}
+        ${tableRow('20', 'Smallest of Line 17, 18 or 19', fmtLine(dcb.line20))}
+        ${tableRow('21', `Exclusion limit (${statusLabel})`, fmtLine(dcb.line21))}
+        ${tableRow('25', 'Excluded benefits', fmtLine(dcb.line25), '', 'refund')}
+        ${tableRow('26', 'Taxable benefits → Form 1040, Line 1e', fmtLine(dcb.line26), '', dcb.line26 > 0 ? 'owe' : '')}
+        ${tableRow('27', 'Expense limit for the credit', fmtLine(f2441.line27))}
+        ${tableRow('29', 'Line 27 minus excluded benefits', fmtLine(f2441.line29))}
+        ${tableRow('31', 'Expenses left for the credit → Line 3', fmtLine(f2441.line3))}` : ''}
       ${sectionRow('Note on Free File Fillable Forms')}
       ${tableRow('—', 'In Free File Fillable Forms', 'Add Form 2441 using the "Add" button from Form 1040. Complete the provider information in Part I before Part II.')}
     </table>` : '';
 
   // ── FORM 8863 ──
-  const hasEducationForm = radio('has-education') === 'yes';
+  const f8863 = t.f8863;
+  const hasEducationForm = f8863.students.length > 0;
+  const phaseNote = f8863.range
+    ? `Phase-out for ${statusLabel}: ${fmt(f8863.range[0])} – ${fmt(f8863.range[1])} MAGI`
+    : 'Not allowed when married filing separately';
+  const f8863Students = f8863.students.map((st, i) => `
+      ${sectionRow(`Part III — Student ${i + 1}: ${esc(st.name) || 'Unnamed student'}`)}
+      ${tableRow('20', 'Student name and SSN', `${esc(st.name) || '—'}${st.tin ? ` — ${esc(st.tin)}` : ''}`)}
+      ${tableRow('22', 'Educational institution (Form 1098-T)', esc(st.institution) || '—', `Box 1 ${fmt(st.box1 || 0)} · Box 5 ${fmt(st.box5 || 0)}`)}
+      ${tableRow('23', 'AOTC claimed for 4 earlier tax years?', (st.priorAotcYears || 0) >= C.AOTC_MAX_YEARS ? 'Yes' : 'No')}
+      ${tableRow('24', 'At least half-time in a degree program?', st.halfTime ? 'Yes' : 'No')}
+      ${tableRow('25', 'Completed first 4 years of postsecondary education before 2025?', st.firstFourYears ? 'No' : 'Yes')}
+      ${tableRow('26', 'Felony drug conviction?', st.felonyDrug ? 'Yes' : 'No')}
+      ${st.aotcEligible ? `
+        ${tableRow('27', 'Adjusted qualified education expenses (max $4,000)', fmtLine(st.line27), 'Box 1 + required materials − Box 5')}
+        ${tableRow('28', 'Line 27 minus $2,000', fmtLine(st.line28))}
+        ${tableRow('29', 'Line 28 × 25%', fmtLine(st.line29))}
+        ${tableRow('30', 'Tentative AOTC for this student → Part I, Line 1', fmtLine(st.line30))}`
+      : tableRow('31', 'Adjusted qualified expenses for the lifetime learning credit → Part II, Line 10', fmtLine(st.line31), 'Not eligible for the AOTC (Lines 23–26)')}`).join('');
   const f8863Summary = hasEducationForm ? `
     <table class="form-line-table">
       ${sectionRow('Form 8863 — Education Credits (American Opportunity and Lifetime Learning Credits)')}
       ${sectionRow('IMPORTANT: In Free File Fillable Forms, complete Part III BEFORE Parts I and II')}
-      ${sectionRow('Part III — Student and Educational Institution Information')}
-      ${tableRow('20', 'Student name', 'Your name (or qualifying student\'s name)')}
-      ${tableRow('20', 'Student SSN', 'Your Social Security Number')}
-      ${tableRow('20', 'Educational institution name and address', 'From your Form 1098-T')}
-      ${tableRow('20', 'Qualified expenses from 1098-T', fmtLine(num('education-expenses')), 'Box 1 of your Form 1098-T (adjusted for tax-free assistance)')}
-      ${tableRow('20', 'First 4 years of higher education?', 'Answer Yes/No — determines AOTC vs. Lifetime Learning Credit eligibility')}
-      ${sectionRow('Part II — Lifetime Learning Credit (if not eligible for AOTC)')}
-      ${tableRow('10', 'Adjusted qualified education expenses', fmtLine(num('education-expenses')))}
-      ${tableRow('14', 'Lifetime Learning Credit (20% of expenses, max $2,000)', fmtLine(t.educationCredit), 'Nonrefundable — flows to Schedule 3, Line 3', 'refund')}
-      ${sectionRow('Phase-out information')}
-      ${tableRow('—', 'LLC phase-out range (Single)', '$80,000 – $90,000 MAGI', 'Credit is reduced for income in this range and eliminated above $90,000')}
+      ${f8863Students}
+      ${sectionRow('Part I — Refundable American Opportunity Credit')}
+      ${tableRow('1', 'Total of all students\' Line 30', fmtLine(f8863.line1))}
+      ${tableRow('3', 'Modified adjusted gross income', fmtLine(t.agi), phaseNote)}
+      ${tableRow('6', 'Phase-out ratio', f8863.line6.toFixed(3))}
+      ${tableRow('7', 'Line 1 × Line 6', fmtLine(f8863.line7))}
+      ${tableRow('8', 'Refundable American opportunity credit (40% of Line 7) → Form 1040, Line 29', fmtLine(f8863.line8), '', 'refund')}
+      ${sectionRow('Part II — Nonrefundable Education Credits')}
+      ${tableRow('9', 'Line 7 minus Line 8 (nonrefundable AOTC)', fmtLine(f8863.line9))}
+      ${tableRow('10', 'Total of all students\' Line 31', fmtLine(f8863.line10))}
+      ${tableRow('11', 'Smaller of Line 10 or $10,000', fmtLine(f8863.line11))}
+      ${tableRow('12', 'Line 11 × 20%', fmtLine(f8863.line12))}
+      ${tableRow('17', 'Phase-out ratio', f8863.line17.toFixed(3))}
+      ${tableRow('18', 'Lifetime learning credit (Line 12 × Line 17)', fmtLine(f8863.line18))}
+      ${tableRow('19', 'Nonrefundable education credits (Credit Limit Worksheet) → Schedule 3, Line 3', fmtLine(t.educationCredit),
+        t.educationCredit < f8863.nonrefundable ? `Limited to your remaining tax — ${fmt(f8863.nonrefundable - t.educationCredit)} is lost` : '', 'refund')}
+    </table>` : '';
+
+  // ── FORM 8880 ──
+  const f8880 = t.f8880;
+  const hasSaversForm = !!f8880 && f8880.line7 > 0;
+  const saverCols = hasSaversForm ? f8880.columns : [];
+  const byColumn = (line) => saverCols.map((c) => fmt(c[line])).join(' / ');
+  const colNote = saverCols.length > 1 ? '(a) You / (b) Spouse' : '';
+  const tiers = C.SAVERS_AGI_TIERS[t.status];
+  const f8880Summary = hasSaversForm ? `
+    <table class="form-line-table">
+      ${sectionRow('Form 8880 — Credit for Qualified Retirement Savings Contributions')}
+      ${tableRow('1', 'Traditional and Roth IRA contributions', byColumn('line1'), colNote)}
+      ${tableRow('2', 'Elective deferrals (W-2 Box 12, Codes D, E, G, AA)', byColumn('line2'), colNote)}
+      ${tableRow('3', 'Add Lines 1 and 2', byColumn('line3'))}
+      ${tableRow('4', 'Distributions received in 2023 through the due date of the 2025 return', byColumn('line4'))}
+      ${tableRow('5', 'Line 3 minus Line 4', byColumn('line5'))}
+      ${tableRow('6', `Smaller of Line 5 or ${fmt(C.SAVERS_CONTRIBUTION_MAX)}`, byColumn('line6'),
+        saverCols.some((c) => !c.eligible) ? 'Zero for anyone under 18, a full-time student or claimable as a dependent' : '')}
+      ${tableRow('7', 'Add Line 6 columns (a) and (b)', fmtLine(f8880.line7))}
+      ${tableRow('8', 'Adjusted gross income (Form 1040, Line 11)', fmtLine(f8880.line8))}
+      ${tableRow('9', 'Credit rate for your AGI', `× ${f8880.line9.toFixed(1)}`,
+        `${statusLabel}: 50% up to ${fmt(tiers[0])}, 20% up to ${fmt(tiers[1])}, 10% up to ${fmt(tiers[2])}`)}
+      ${tableRow('10', 'Line 7 × Line 9', fmtLine(f8880.line10))}
+      ${tableRow('12', 'Credit (smaller of Line 10 or the Credit Limit Worksheet) → Schedule 3, Line 4', fmtLine(t.saversCredit),
+        t.saversCredit < f8880.line10 ? `Limited to your remaining tax — ${fmt(f8880.line10 - t.saversCredit)} is lost` : '', 'refund')}
     </table>` : '';
 
   // ── FORM 4562 (depreciation in 1120-S) ──
-  const hasDepreciation = t.f1120s.depreciation > 0;
+  const sec179 = t.f1120s.scheduleK.box11;
+  const hasDepreciation = t.f1120s.depreciation > 0 || sec179 > 0;
   const f4562Summary = hasDepreciation ? `
     <table class="form-line-table">
       ${sectionRow('Form 4562 — Depreciation and Amortization (attached to Form 1120-S)')}
@@ -1382,28 +2873,99 @@ function generateAndShowSummary() {
       ${sectionRow('Part I — Election to Expense Certain Property (Section 179)')}
       ${tableRow('1', 'Maximum Section 179 deduction (2025)', fmtLine(1220000), 'Total Section 179 deduction for all property cannot exceed $1,220,000 in 2025')}
       ${tableRow('6', 'Listed property Section 179 (vehicles, computers)', 'Enter from Part V if applicable')}
-      ${tableRow('12', 'Section 179 expense deduction', fmtLine(t.f1120s.depreciation), 'Enter the portion claimed under Section 179')}
+      ${sec179 > 0
+        ? tableRow('12', 'Section 179 expense deduction → Schedule K, Line 11', fmtLine(sec179), 'Separately stated — not included on page 1, Line 14')
+        : skipRow('Line 12 — Section 179 expense deduction (none)')}
       ${sectionRow('Part II — MACRS Depreciation (for multi-year property not expensed under Sec. 179)')}
       ${tableRow('14b–g', 'MACRS property', 'Enter each asset: classification (5-yr, 7-yr, etc.), basis, recovery period, convention, method, and deduction')}
-      ${tableRow('22', 'Total MACRS depreciation', 'Subtotal of all MACRS deductions')}
-      ${tableRow('22+12', 'Total depreciation → Form 1120-S, Line 14', fmtLine(t.f1120s.depreciation))}
+      ${tableRow('22', 'Total depreciation → Form 1120-S, Line 14', fmtLine(t.f1120s.depreciation), 'Line 12 is excluded for an S corporation')}
+    </table>` : '';
+
+  // ── PAYROLL — FORMS 941, 940, W-2, W-3 ──
+  const pr = t.payroll;
+  const payrollSummary = pr ? `
+    <table class="form-line-table">
+      ${pr.estimated ? sectionRow('Estimated from 1120-S Lines 7 and 8 — list your employees in Step 3 for exact figures') : ''}
+      ${pr.f941.map((f) => `
+        ${sectionRow(`Form 941 — Quarter ${f.quarter} (due ${['April 30, 2025', 'July 31, 2025', 'October 31, 2025', 'February 2, 2026'][f.quarter - 1]})`)}
+        ${tableRow('1', 'Number of employees paid', String(f.line1))}
+        ${tableRow('2', 'Wages, tips and other compensation', fmtLine(f.line2))}
+        ${tableRow('3', 'Federal income tax withheld', fmtLine(f.line3))}
+        ${tableRow('5a', `Taxable social security wages ${fmt(f.line5aWages)} × 12.4%`, fmtLine(f.line5a))}
+        ${tableRow('5c', `Taxable Medicare wages ${fmt(f.line5cWages)} × 2.9%`, fmtLine(f.line5c))}
+        ${f.line5d > 0 ? tableRow('5d', `Wages subject to Additional Medicare Tax withholding ${fmt(f.line5dWages)} × 0.9%`, fmtLine(f.line5d)) : ''}
+        ${tableRow('5e', 'Total social security and Medicare taxes', fmtLine(f.line5e))}
+        ${tableRow('6', 'Total taxes before adjustments', fmtLine(f.line6))}
+        ${tableRow('12', 'Total taxes after adjustments and credits', fmtLine(f.line12), 'Deposit by EFTPS; Line 14 balance due is $0 if deposited', 'highlight')}`).join('')}
+      ${sectionRow('Form 940 — Employer\'s Annual Federal Unemployment (FUTA) Tax Return (due February 2, 2026)')}
+      ${tableRow('1a', 'State where you paid state unemployment tax', 'CO')}
+      ${tableRow('3', 'Total payments to all employees', fmtLine(pr.f940.line3))}
+      ${tableRow('5', `Payments over ${fmt(C.FUTA_WAGE_BASE)} per employee`, fmtLine(pr.f940.line5))}
+      ${tableRow('6', 'Subtotal (Line 4 + Line 5)', fmtLine(pr.f940.line6))}
+      ${tableRow('7', 'Total taxable FUTA wages', fmtLine(pr.f940.line7))}
+      ${tableRow('8', 'FUTA tax before adjustments (Line 7 × 0.6%)', fmtLine(pr.f940.line8))}
+      ${tableRow('12', 'Total FUTA tax after adjustments', fmtLine(pr.f940.line12), '', 'highlight')}
+      ${pr.f940.part5Required
+        ? pr.f940.quarterly.map((x, i) => tableRow(`16${'abcd'[i]}`, `FUTA liability, quarter ${i + 1}`, fmtLine(x))).join('')
+          + tableRow('17', 'Total tax liability for the year', fmtLine(pr.f940.line12))
+        : skipRow(`Part 5 — Not required; FUTA tax is ${fmt(C.FUTA_QUARTERLY_DEPOSIT)} or less`)}
+      ${sectionRow('Colorado Form UITR-1 — Unemployment Insurance Premiums')}
+      ${pr.f941.map((f) => tableRow(`Q${f.quarter}`, `Taxable wages ${fmt(f.sutaWages)} × ${(pr.sutaRate * 100).toFixed(2)}%`, fmtLine(f.suta))).join('')}
+      ${tableRow('Total', 'Colorado unemployment premiums for 2025', fmtLine(pr.suta), `First ${fmt(C.CO_SUTA_WAGE_BASE)} of each employee's wages`, 'highlight')}
+      ${pr.w2s.map((w) => `
+        ${sectionRow(`Form W-2 — ${esc(w.name) || 'Employee'}${w.officer ? ' (officer)' : ''}${w.ssn ? `, ${esc(w.ssn)}` : ''}`)}
+        ${tableRow('1', 'Wages, tips, other compensation', fmtLine(w.box1))}
+        ${tableRow('2', 'Federal income tax withheld', fmtLine(w.box2))}
+        ${tableRow('3', 'Social security wages', fmtLine(w.box3))}
+        ${tableRow('4', 'Social security tax withheld', fmtLine(w.box4))}
+        ${tableRow('5', 'Medicare wages and tips', fmtLine(w.box5))}
+        ${tableRow('6', 'Medicare tax withheld', fmtLine(w.box6))}
+        ${w.box12D > 0 ? tableRow('12, Code D', 'Elective deferrals to a 401(k)', fmtLine(w.box12D)) : ''}
+        ${tableRow('15 / 16', 'State (CO) wages', fmtLine(w.box16))}
+        ${tableRow('17', 'State income tax', fmtLine(w.box17))}`).join('')}
+      ${sectionRow('Form W-3 — Transmittal of Wage and Tax Statements')}
+      ${tableRow('b', 'Kind of payer / kind of employer', '941 / None apply')}
+      ${tableRow('c', 'Total number of Forms W-2', String(pr.w3.count))}
+      ${tableRow('1', 'Wages, tips, other compensation', fmtLine(pr.w3.box1))}
+      ${tableRow('2', 'Federal income tax withheld', fmtLine(pr.w3.box2))}
+      ${tableRow('3', 'Social security wages', fmtLine(pr.w3.box3))}
+      ${tableRow('4', 'Social security tax withheld', fmtLine(pr.w3.box4))}
+      ${tableRow('5', 'Medicare wages and tips', fmtLine(pr.w3.box5))}
+      ${tableRow('6', 'Medicare tax withheld', fmtLine(pr.w3.box6))}
+      ${pr.w3.box12D > 0 ? tableRow('12a', 'Deferred compensation', fmtLine(pr.w3.box12D)) : ''}
+      ${tableRow('16', 'State wages', fmtLine(pr.w3.box16))}
+      ${tableRow('17', 'State income tax', fmtLine(pr.w3.box17))}
+      ${sectionRow('Reconciliation')}
+      ${pr.reconciliation.map((r) => (r.ok
+        ? tableRow('✓', r.label, fmtLine(r.actual))
+        : tableRow('⚠️', r.label, `${fmtLine(r.actual)} — payroll shows ${fmtLine(r.expected)}`, 'Fix before filing', 'owe'))).join('')}
     </table>` : '';
 
   // ── Next Steps — Free File Fillable Forms ──
   const formEntryOrder = [
-    hasCapGains ? 'Form 8949 (each transaction)' : '',
+    f8949Boxes.length > 0 ? `Form 8949 (Box ${f8949Boxes.map(([box]) => box).join(', ')})` : '',
     hasCapGains ? 'Schedule D' : '',
     (totalInterest > 1500 || totalDivs > 1500) ? 'Schedule B' : '',
+    hasSchC     ? 'Schedule C' : '',
+    hasSchSE    ? 'Schedule SE' : '',
     hasF8962    ? 'Form 8962' : '',
+    hasF6251    ? 'Form 6251' : '',
+    hasF8959    ? 'Form 8959' : '',
     hasSch2     ? 'Schedule 2' : '',
     hasSch3     ? 'Schedule 3' : '',
+    hasSch8812  ? 'Schedule 8812' : '',
+    hasSchEIC   ? 'Schedule EIC' : '',
     hasChildCareForm ? 'Form 2441' : '',
     hasEducationForm ? 'Form 8863' : '',
+    hasF8606    ? 'Form 8606' : '',
+    hasSaversForm    ? 'Form 8880' : '',
     hasHSA      ? 'Form 8889' : '',
     hasNIIT     ? 'Form 8960' : '',
     t.sch1a.total > 0 ? 'Schedule 1-A' : '',
+    hasQBIForm  ? `Form ${q.form}` : '',
+    t.f7203?.required ? 'Form 7203' : '',
     'Schedule E (K-1 data from your finalized 1120-S)',
-    t.sliDeduction > 0 || t.iraDeduction > 0 || t.hsaDeduction > 0 || t.skorpK1 !== 0 ? 'Schedule 1' : '',
+    hasSch1Income || hasSch1Adj ? 'Schedule 1' : '',
     t.useItemized ? 'Schedule A' : '',
     'Form 1040 (last — it pulls from all other forms)',
   ].filter(Boolean).join(' → ');
@@ -1447,6 +3009,24 @@ function generateAndShowSummary() {
       ${tableRow('State link', 'IRS.gov/FreeFile resources', 'Program limitations and available forms: IRS.gov/e-file-providers/free-file-fillable-forms-program-limitations-and-available-forms')}
     </table>`;
 
+  // ── Carryforward to 2026 ──
+  const cf = t.carryforward;
+  const carryforwardSummary = `
+    <table class="form-line-table">
+      ${sectionRow('Keep these with your records — next year\'s returns start from them')}
+      ${tableRow('1120-S', 'Accumulated adjustments account (AAA)', fmtLine(cf.aaaBegin), '2026 Schedule M-2, Line 1')}
+      ${tableRow('1120-S', 'Total assets at year end', fmtLine(schL.end.totalAssets), '2026 Schedule L, beginning-of-year column')}
+      ${tableRow('1120-S', 'Retained earnings at year end', fmtLine(schL.end.retainedEarnings), '2026 Schedule L, Line 24, column (b)')}
+      ${cf.scorpBasis ? `
+        ${tableRow('7203', 'Stock basis', fmtLine(cf.scorpBasis.stockBegin), '2026 Form 7203, Line 1')}
+        ${cf.scorpBasis.loanBegin > 0 ? tableRow('7203', 'Debt basis / loan balance', `${fmtLine(cf.scorpBasis.debtBegin)} / ${fmtLine(cf.scorpBasis.loanBegin)}`, '2026 Form 7203, Lines 21 and 16') : ''}
+        ${K1_LOSS_ITEMS.filter((i) => cf.scorpBasis[i.field] > 0).map((i) =>
+          tableRow('7203', `Suspended: ${i.label}`, fmtLine(cf.scorpBasis[i.field]), `2026 Form 7203, Line ${i.line}, column (b)`)).join('')}` : ''}
+      ${cf.capitalGains.shortTermCarryover > 0 ? tableRow('Sch D', 'Short-term capital loss carryover', fmtLine(cf.capitalGains.shortTermCarryover), '2026 Schedule D, Line 6') : ''}
+      ${cf.capitalGains.longTermCarryover > 0 ? tableRow('Sch D', 'Long-term capital loss carryover', fmtLine(cf.capitalGains.longTermCarryover), '2026 Schedule D, Line 14') : ''}
+      ${cf.qbiLossCarryforward > 0 ? tableRow('8995', 'Qualified business loss carryforward', fmtLine(cf.qbiLossCarryforward), '2026 Form 8995, Line 3') : ''}
+    </table>`;
+
   // ── Assemble final output ──
   el.innerHTML = `
     ${fedBox}${coBox}
@@ -1459,6 +3039,11 @@ function generateAndShowSummary() {
     ${(totalInterest > 0 || totalDivs > 0) ? `<div class="summary-section"><div class="summary-section-title">Schedule B — Interest and Ordinary Dividends${needsSchB ? ' (REQUIRED — exceeds $1,500 threshold)' : ''}</div>${schBSummary}</div>` : ''}
 
     ${hasCapGains ? `<div class="summary-section"><div class="summary-section-title">Form 8949 &amp; Schedule D — Capital Gains and Losses</div>${schDSummary}</div>` : ''}
+    ${ws ? `<div class="summary-section"><div class="summary-section-title">${wsTitle}</div>${capGainWsSummary}</div>` : ''}
+
+    ${hasSchC ? `<div class="summary-section"><div class="summary-section-title">Schedule C — Profit or Loss From Business</div>${schCSummary}</div>` : ''}
+
+    ${hasSchSE ? `<div class="summary-section"><div class="summary-section-title">Schedule SE — Self-Employment Tax</div>${schSESummary}</div>` : ''}
 
     <div class="summary-section">
       <div class="summary-section-title">Schedule 1 — Additional Income &amp; Adjustments</div>
@@ -1467,10 +3052,20 @@ function generateAndShowSummary() {
 
     ${hasSch1A ? `<div class="summary-section"><div class="summary-section-title">Schedule 1-A — New 2025 Deductions</div>${sch1a}</div>` : ''}
 
+    ${hasQBIForm ? `<div class="summary-section"><div class="summary-section-title">Form ${q.form} — Qualified Business Income Deduction</div>${qbiSummary}</div>` : ''}
+
     ${hasF8962 ? `<div class="summary-section"><div class="summary-section-title">Form 8962 — Premium Tax Credit (Connect for Health Colorado)</div>${f8962Summary}</div>` : ''}
 
+    ${hasF6251 ? `<div class="summary-section"><div class="summary-section-title">Form 6251 — Alternative Minimum Tax</div>${f6251Summary}</div>` : ''}
+
+    ${hasF8959 ? `<div class="summary-section"><div class="summary-section-title">Form 8959 — Additional Medicare Tax</div>${f8959Summary}</div>` : ''}
+
     ${hasSch2 ? `<div class="summary-section"><div class="summary-section-title">Schedule 2 — Additional Taxes</div>${sch2Summary}</div>` : ''}
 
+    ${hasSch8812 ? `<div class="summary-section"><div class="summary-section-title">Schedule 8812 — Child Tax Credit and Credit for Other Dependents</div>${sch8812Summary}</div>` : ''}
+
+    ${hasSchEIC ? `<div class="summary-section"><div class="summary-section-title">Schedule EIC — Earned Income Credit</div>${schEICSummary}</div>` : ''}
+
     ${hasSch3 ? `<div class="summary-section"><div class="summary-section-title">Schedule 3 — Additional Credits and Payments</div>${sch3Summary}</div>` : ''}
 
     ${hasNIIT ? `<div class="summary-section"><div class="summary-section-title">Form 8960 — Net Investment Income Tax</div>${f8960Summary}</div>` : ''}
@@ -1479,7 +3074,11 @@ function generateAndShowSummary() {
 
     ${hasEducationForm ? `<div class="summary-section"><div class="summary-section-title">Form 8863 — Education Credits</div>${f8863Summary}</div>` : ''}
 
-    ${hasHSA ? `<div class="summary-section"><div class="summary-section-title">Form 8889 — Health Savings Account</div>${f8889Summary}</div>` : ''}
+    ${hasF8606 ? `<div class="summary-section"><div class="summary-section-title">Form 8606 — Nondeductible IRAs</div>${f8606Summary}</div>` : ''}
+
+    ${hasSaversForm ? `<div class="summary-section"><div class="summary-section-title">Form 8880 — Saver's Credit</div>${f8880Summary}</div>` : ''}
+
+    ${hasHSA ? `<div class="summary-section"><div class="summary-section-title">Form 8889 — Health Savings Account${t.f8889s.length > 1 ? 's' : ''}</div>${f8889Summary}</div>` : ''}
 
     <div class="summary-section">
       <div class="summary-section-title">Form 1120-S — S-Corporation Return (${scorpName})</div>
@@ -1491,6 +3090,12 @@ function generateAndShowSummary() {
       ${schE}
     </div>
 
+    ${k1sSummary ? `<div class="summary-section"><div class="summary-section-title">Schedules K-1 — All Shareholders</div>${k1sSummary}</div>` : ''}
+
+    ${f7 ? `<div class="summary-section"><div class="summary-section-title">Form 7203 — Shareholder Stock and Debt Basis</div>${f7203Summary}</div>` : ''}
+
+    ${pr ? `<div class="summary-section"><div class="summary-section-title">Payroll Returns — Forms 941, 940, W-2 and W-3</div>${payrollSummary}</div>` : ''}
+
     ${hasDepreciation ? `<div class="summary-section"><div class="summary-section-title">Form 4562 — Depreciation and Amortization</div>${f4562Summary}</div>` : ''}
 
     <div class="summary-section">
@@ -1503,6 +3108,11 @@ function generateAndShowSummary() {
       ${coDR0104}
     </div>
 
+    <div class="summary-section">
+      <div class="summary-section-title">Carryforward to Your 2026 Return</div>
+      ${carryforwardSummary}
+    </div>
+
     <div class="summary-section">
       <div class="summary-section-title">Free File Fillable Forms — How to File &amp; Next Steps</div>
       ${nextSteps}
@@ -1514,16 +3124,25 @@ function generateAndShowSummary() {
 // ============================================================
 document.addEventListener('DOMContentLoaded', () => {
   restoreFormData();
+  if (!document.querySelector('#w2s-roster .roster-row')) renderRoster('w2s', [{}]);
+
+  // The hidden filing-status field is what persists — point the picker back at it
+  const savedStatus = document.getElementById('filing-status')?.value || 'single';
+  const marital     = ['mfj', 'mfs', 'qss'].includes(savedStatus) ? savedStatus : 'unmarried';
+  const maritalEl   = document.querySelector(`input[name="marital-status"][value="${marital}"]`);
+  if (maritalEl) maritalEl.checked = true;
+  document.getElementById('hoh-test-section')?.classList.toggle('visible', marital === 'unmarried');
+  setFilingStatus(savedStatus);
   goToStep(0);
   recalculate();
 
-  // Sync CO U.S. interest field from Step 4 automatically
-  const usGovtField = document.getElementById('interest-us-govt');
-  const coUsField   = document.getElementById('co-us-interest');
-  if (usGovtField && coUsField) {
-    usGovtField.addEventListener('input', () => {
+  // Sync CO U.S. interest field from the 1099-INT Box 3 amounts in Step 4
+  const interestList = document.getElementById('interest-roster');
+  const coUsField    = document.getElementById('co-us-interest');
+  if (interestList && coUsField) {
+    interestList.addEventListener('input', () => {
       if (!coUsField._manuallyEdited) {
-        coUsField.value = usGovtField.value;
+        coUsField.value = readRoster('interest').reduce((sum, f) => sum + f.box3, 0) || '';
         recalculate();
       }
     });
@@ -1549,9 +3168,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const stdDeductEl = document.getElementById('standard-deduction-amount');
   if (stdDeductEl) {
     const update = () => {
-      const fs = document.getElementById('filing-status')?.value;
-      const std = fs === 'hoh' ? C.STD_HOH : C.STD_SINGLE;
-      stdDeductEl.textContent = `For your filing status (${fs === 'hoh' ? 'Head of Household' : 'Single'}), the 2025 standard deduction is ${fmt(std)}.`;
+      const fs = document.getElementById('filing-status')?.value || 'single';
+      const std = C.STD_DEDUCTION[fs];
+      stdDeductEl.textContent = `For your filing status (${STATUS_LABELS[fs]}), the 2025 standard deduction is ${fmt(std)}.`;
     };
     document.getElementById('filing-status')?.addEventListener('change', update);
     update();
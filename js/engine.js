@@ -0,0 +1,3024 @@
+'use strict';
+
+// ============================================================
+//  HEADLESS TAX ENGINE
+//  Pure calculation layer — no DOM access. The wizard (app.js)
+//  collects the form into a plain input object and calls
+//  computeReturn(); the Node test suite in tests/ does the same.
+// ============================================================
+
+// ============================================================
+//  2025 TAX CONSTANTS  (IRS / Colorado official figures)
+// ============================================================
+const C = {
+  // Standard deductions (QSS gets the joint amount)
+  STD_DEDUCTION: { single: 15750, mfj: 31500, mfs: 15750, hoh: 23625, qss: 31500 },
+
+  // 2025 Federal Tax Brackets — Single
+  // Source: IRS 2025 Tax Computation Worksheet, Section A
+  BRACKETS_SINGLE: [
+    { min: 0,       max: 11925,   rate: 0.10, subtraction: 0        },
+    { min: 11925,   max: 48475,   rate: 0.12, subtraction: 238.50   },
+    { min: 48475,   max: 103350,  rate: 0.22, subtraction: 5086.00  },
+    { min: 103350,  max: 197300,  rate: 0.24, subtraction: 7153.00  },
+    { min: 197300,  max: 250525,  rate: 0.32, subtraction: 22937.00 },
+    { min: 250525,  max: 626350,  rate: 0.35, subtraction: 30452.75 },
+    { min: 626350,  max: Infinity,rate: 0.37, subtraction: 42979.75 },
+  ],
+
+  // 2025 Federal Tax Brackets — Married Filing Jointly / Qualifying Surviving Spouse
+  // Source: IRS 2025 Tax Computation Worksheet, Section B
+  BRACKETS_MFJ: [
+    { min: 0,       max: 23850,   rate: 0.10, subtraction: 0        },
+    { min: 23850,   max: 96950,   rate: 0.12, subtraction: 477.00   },
+    { min: 96950,   max: 206700,  rate: 0.22, subtraction: 10172.00 },
+    { min: 206700,  max: 394600,  rate: 0.24, subtraction: 14306.00 },
+    { min: 394600,  max: 501050,  rate: 0.32, subtraction: 45874.00 },
+    { min: 501050,  max: 751600,  rate: 0.35, subtraction: 60905.50 },
+    { min: 751600,  max: Infinity,rate: 0.37, subtraction: 75937.50 },
+  ],
+
+  // 2025 Federal Tax Brackets — Married Filing Separately
+  // Source: IRS 2025 Tax Computation Worksheet, Section C
+  // Same as Single except the 37% bracket starts at $375,800
+  BRACKETS_MFS: [
+    { min: 0,       max: 11925,   rate: 0.10, subtraction: 0        },
+    { min: 11925,   max: 48475,   rate: 0.12, subtraction: 238.50   },
+    { min: 48475,   max: 103350,  rate: 0.22, subtraction: 5086.00  },
+    { min: 103350,  max: 197300,  rate: 0.24, subtraction: 7153.00  },
+    { min: 197300,  max: 250525,  rate: 0.32, subtraction: 22937.00 },
+    { min: 250525,  max: 375800,  rate: 0.35, subtraction: 30452.75 },
+    { min: 375800,  max: Infinity,rate: 0.37, subtraction: 37968.75 },
+  ],
+
+  // 2025 Federal Tax Brackets — Head of Household
+  // Source: IRS 2025 Tax Computation Worksheet, Section D
+  // Derived breakpoints: 10%→12% at $17,000; 12%→22% at $64,850
+  BRACKETS_HOH: [
+    { min: 0,       max: 17000,   rate: 0.10, subtraction: 0        },
+    { min: 17000,   max: 64850,   rate: 0.12, subtraction: 340.00   },
+    { min: 64850,   max: 103350,  rate: 0.22, subtraction: 6825.00  },
+    { min: 103350,  max: 197300,  rate: 0.24, subtraction: 8892.00  },
+    { min: 197300,  max: 250500,  rate: 0.32, subtraction: 24676.00 },
+    { min: 250500,  max: 626350,  rate: 0.35, subtraction: 32191.00 },
+    { min: 626350,  max: Infinity,rate: 0.37, subtraction: 44718.00 },
+  ],
+
+  // Tax Table (Form 1040 instructions) — required for amounts under
+  // $100,000. Rows are $5, then $10, then $25 wide below $3,000 and $50
+  // wide from there.
+  TAX_TABLE_LIMIT:     100000,
+  TAX_TABLE_ROW:       50,
+  TAX_TABLE_SMALL_ROW: 25,
+  TAX_TABLE_SMALL_MAX: 3000,
+
+  // Long-term capital gains rates — Single (2025)
+  LTCG_BRACKETS_SINGLE: [
+    { max: 48350,   rate: 0.00 },
+    { max: 533400,  rate: 0.15 },
+    { max: Infinity,rate: 0.20 },
+  ],
+  // Long-term capital gains rates — MFJ / QSS (2025)
+  LTCG_BRACKETS_MFJ: [
+    { max: 96700,   rate: 0.00 },
+    { max: 600050,  rate: 0.15 },
+    { max: Infinity,rate: 0.20 },
+  ],
+  // Long-term capital gains rates — MFS (2025)
+  LTCG_BRACKETS_MFS: [
+    { max: 48350,   rate: 0.00 },
+    { max: 300000,  rate: 0.15 },
+    { max: Infinity,rate: 0.20 },
+  ],
+  // Long-term capital gains rates — HOH (2025)
+  LTCG_BRACKETS_HOH: [
+    { max: 64750,   rate: 0.00 },
+    { max: 566700,  rate: 0.15 },
+    { max: Infinity,rate: 0.20 },
+  ],
+
+  // Schedule D Tax Worksheet rates on unrecaptured section 1250 gain
+  // (Schedule D line 19) and 28% rate gain — collectibles (line 18)
+  UNRECAPTURED_1250_RATE: 0.25,
+  COLLECTIBLES_RATE:      0.28,
+
+  // ── Status-keyed thresholds ──
+  // Keys: single, mfj (married filing jointly), mfs (married filing
+  // separately), hoh (head of household), qss (qualifying surviving spouse).
+  // Phase-out ranges are [start, end]; null means "not allowed".
+
+  // Net Investment Income Tax (Form 8960, line 9b)
+  NIIT_THRESHOLD: { single: 200000, mfj: 250000, mfs: 125000, hoh: 200000, qss: 250000 },
+  NIIT_RATE: 0.038,
+
+  // Additional Medicare Tax (Form 8959) — QSS uses the single threshold here
+  ADDL_MEDICARE_THRESHOLD: { single: 200000, mfj: 250000, mfs: 125000, hoh: 200000, qss: 200000 },
+  ADDL_MEDICARE_RATE: 0.009,
+
+  // Social security wage base and employee rate (2025). The employer
+  // pays the same FICA rates again on top of wages.
+  SS_WAGE_BASE:     176100,
+  SS_EMPLOYEE_RATE: 0.062,
+  MEDICARE_EMPLOYEE_RATE: 0.0145,
+  // Employers withhold Additional Medicare Tax on each employee's wages
+  // over $200,000 regardless of filing status (Form 941, line 5d)
+  ADDL_MEDICARE_WITHHOLDING_THRESHOLD: 200000,
+
+  // Federal unemployment tax (Form 940) — 6.0% less the 5.4% credit for
+  // paying state unemployment on time, on each employee's first $7,000
+  FUTA_RATE:      0.006,
+  FUTA_WAGE_BASE: 7000,
+  FUTA_QUARTERLY_DEPOSIT: 500,  // Part 5 is required above this liability
+
+  // Colorado unemployment insurance premium (2025). The rate is on the
+  // employer's annual rate notice; new employers start at the standard rate.
+  CO_SUTA_WAGE_BASE:    27200,
+  CO_SUTA_DEFAULT_RATE: 0.017,
+
+  // Salary comparison — officer salaries tried between the floor and the
+  // largest salary the S-corp's profit can pay
+  SALARY_SWEEP_STEPS: 20,
+  SALARY_SWEEP_MIN_STEP: 1000,
+
+  // Schedule D line 21 — net capital loss allowed against other income;
+  // the rest carries over (Capital Loss Carryover Worksheet)
+  CAPITAL_LOSS_LIMIT: { single: 3000, mfj: 3000, mfs: 1500, hoh: 3000, qss: 3000 },
+
+  // Schedule 3 line 1 without Form 1116: foreign tax shown on 1099s up to this
+  FOREIGN_TAX_ELECTION_LIMIT: { single: 300, mfj: 600, mfs: 300, hoh: 300, qss: 300 },
+
+  // Schedule SE (2025)
+  SE_EARNINGS_RATE: 0.9235,  // Line 4a
+  SE_MINIMUM:          400,  // Line 4c — no SE tax below this
+  SE_SS_RATE:        0.124,  // Line 10
+  SE_MEDICARE_RATE:  0.029,  // Line 11
+
+  // Qualified business income deduction (2025) — Forms 8995 / 8995-A.
+  // Above the threshold the W-2 wage / UBIA limit and the SSTB rules phase
+  // in over the range; past the top of the range they apply in full.
+  QBI_RATE:           0.20,
+  QBI_THRESHOLD:      { single: 197300, mfj: 394600, mfs: 197300, hoh: 197300, qss: 197300 },
+  QBI_PHASE_IN_RANGE: { single: 50000,  mfj: 100000, mfs: 50000,  hoh: 50000,  qss: 50000 },
+  QBI_WAGE_RATE:      0.50,   // 8995-A line 5
+  QBI_ALT_WAGE_RATE:  0.25,   // 8995-A line 6
+  QBI_UBIA_RATE:      0.025,  // 8995-A line 8
+
+  // Form 1120-S Schedule B, question 11: below both, Schedules L and M-1
+  // are not required
+  SCH_L_THRESHOLD: 250000,
+
+  // Schedule C (2025)
+  SCH_C_MILEAGE_RATE: 0.70,  // Line 9, standard mileage rate per business mile
+  SCH_C_MEALS_RATE:   0.50,  // Line 24b, deductible share of business meals
+  HOME_OFFICE_RATE:      5,  // Line 30, simplified method per square foot
+  HOME_OFFICE_MAX_SQFT: 300,
+
+  // IRA deductibility phase-out (covered by workplace plan, 2025)
+  IRA_PHASE_OUT: {
+    single: [79000, 89000],  mfj: [126000, 146000], mfs: [0, 10000],
+    hoh:    [79000, 89000],  qss: [126000, 146000],
+  },
+  // …and when you aren't covered but your spouse is
+  IRA_SPOUSE_COVERED_PHASE_OUT: { single: null, mfj: [236000, 246000], mfs: [0, 10000], hoh: null, qss: null },
+  IRA_PHASE_OUT_ROUNDING: 10,   // reduced limits round up to the next $10…
+  IRA_PHASE_OUT_MINIMUM: 200,   // …and are at least $200 inside the range
+  // Contribution limit — no more than taxable compensation either
+  IRA_MAX_UNDER50: 7000,
+  IRA_MAX_50PLUS:  8000,
+  IRA_CATCH_UP_AGE:  50,
+  IRA_EXCESS_TAX_RATE: 0.06,    // Form 5329 Parts III and IV, excess contributions
+  // Roth IRA contribution phase-out (2025)
+  ROTH_PHASE_OUT: {
+    single: [150000, 165000], mfj: [236000, 246000], mfs: [0, 10000],
+    hoh:    [150000, 165000], qss: [236000, 246000],
+  },
+
+  // Student loan interest phase-out (2025) — not allowed when filing separately
+  SLI_PHASE_OUT: {
+    single: [85000, 100000], mfj: [170000, 200000], mfs: null,
+    hoh:    [85000, 100000], qss: [85000, 100000],
+  },
+  SLI_MAX: 2500,
+
+  // Health savings accounts (Form 8889, 2025)
+  HSA_LIMIT: { self: 4300, family: 8550 },  // Line 3, by HDHP coverage
+  HSA_CATCH_UP: 1000,                       // Line 7, age 55 or older at year end
+  HSA_ADDITIONAL_TAX_RATE: 0.20,            // Line 17b, distributions not used for medical care
+  HSA_TESTING_TAX_RATE:    0.10,            // Line 21, failed testing period
+  HSA_EXCESS_TAX_RATE:     0.06,            // Form 5329 Part VII, excess contributions
+
+  // Schedule 1-A (2025). Each deduction drops by a statutory amount per
+  // $1,000 of MAGI over a threshold that doubles on a joint return. The caps
+  // don't all double, so neither does where a deduction runs out. Tips,
+  // overtime and the senior deduction require a joint return if married
+  // (null threshold → not allowed).
+  TIPS_THRESHOLD: {
+    single: 150000, mfj: 300000, mfs: null, hoh: 150000, qss: 150000,
+  },
+  TIPS_MAX:                 25000,
+  TIPS_REDUCTION:           100,    // per $1,000 over the threshold
+  OT_THRESHOLD: {
+    single: 150000, mfj: 300000, mfs: null, hoh: 150000, qss: 150000,
+  },
+  OT_MAX: { single: 12500, mfj: 25000, mfs: 0, hoh: 12500, qss: 12500 },
+  OT_REDUCTION:             100,
+  CAR_THRESHOLD: {
+    single: 100000, mfj: 200000, mfs: 100000, hoh: 100000, qss: 100000,
+  },
+  CAR_MAX:                  10000,
+  CAR_REDUCTION:            200,    // per $1,000 or part of $1,000 over
+  // Per qualifying individual (each spouse age 65+ on a joint return)
+  SENIOR_THRESHOLD: {
+    single: 75000, mfj: 150000, mfs: null, hoh: 75000, qss: 75000,
+  },
+  SENIOR_MAX:               6000,
+  SENIOR_REDUCTION:         60,     // 6% of MAGI over the threshold
+
+  // SALT cap (Schedule A, line 5e) — halved when filing separately
+  SALT_CAP: { single: 40000, mfj: 40000, mfs: 20000, hoh: 40000, qss: 40000 },
+
+  // Alternative minimum tax (Form 6251, 2025). The exemption shrinks by 25%
+  // of AMTI over the phase-out start; 28% applies above the rate threshold,
+  // less 2% of the threshold so the two rates meet.
+  AMT_EXEMPTION:        { single: 88100,  mfj: 137000,  mfs: 68500,  hoh: 88100,  qss: 137000 },
+  AMT_PHASE_OUT_START:  { single: 626350, mfj: 1252700, mfs: 626350, hoh: 626350, qss: 1252700 },
+  AMT_PHASE_OUT_RATE:   0.25,
+  AMT_RATE_THRESHOLD:   { single: 239100, mfj: 239100,  mfs: 119550, hoh: 239100, qss: 239100 },
+  AMT_RATE_LOW:         0.26,
+  AMT_RATE_HIGH:        0.28,
+
+  // Form 8863 education credits (2025) — the phase-out ranges are not indexed
+  AOTC_FULL_EXPENSES:   2000,   // 100% of the first $2,000 …
+  AOTC_PARTIAL_RATE:    0.25,   // … plus 25% of the next $2,000
+  AOTC_EXPENSE_MAX:     4000,   // Line 27 cap, per student
+  AOTC_REFUNDABLE_RATE: 0.40,   // Line 8
+  AOTC_MAX_YEARS:          4,
+  LLC_EXPENSE_MAX:     10000,   // Line 11, per return
+  LLC_RATE:             0.20,
+  EDUCATION_PHASE_OUT: {
+    single: [80000, 90000], mfj: [160000, 180000], mfs: null,
+    hoh:    [80000, 90000], qss: [80000, 90000],
+  },
+
+  // Earned income credit (2025) — arrays are indexed by the number of
+  // qualifying children: 0, 1, 2, 3 or more
+  EIC_MAX_CREDIT:     [649, 4328, 7152, 8046],
+  EIC_PHASE_IN_RATE:  [0.0765, 0.34, 0.40, 0.45],
+  EIC_PHASE_OUT_RATE: [0.0765, 0.1598, 0.2106, 0.2106],
+  // Phase-out starts; joint returns use the higher row
+  EIC_PHASE_OUT_START: {
+    single: [10620, 23350, 23350, 23350], mfj: [17730, 30470, 30470, 30470],
+    mfs:    [10620, 23350, 23350, 23350], hoh: [10620, 23350, 23350, 23350],
+    qss:    [10620, 23350, 23350, 23350],
+  },
+  EIC_INVESTMENT_LIMIT: 11950,
+  EIC_TABLE_BAND:          50,  // EIC Table rows are $50 wide; credit figured at the midpoint
+
+  // Form 2441 child and dependent care credit (2025)
+  CDCC_EXPENSE_LIMIT: [0, 3000, 6000],  // by qualifying persons: none, one, two or more
+  CDCC_MAX_RATE:  0.35,
+  CDCC_MIN_RATE:  0.20,
+  CDCC_RATE_AGI:  15000,  // rate drops 1% for each $2,000 (or part) of AGI over this
+  CDCC_RATE_STEP: 2000,
+  // Excludable dependent care benefits (W-2 box 10), Part III line 21
+  DCB_EXCLUSION: { single: 5000, mfj: 5000, mfs: 2500, hoh: 5000, qss: 5000 },
+
+  // Form 8880 retirement savings contributions credit (2025)
+  SAVERS_CONTRIBUTION_MAX: 2000,          // Line 6, per person
+  SAVERS_RATES: [0.50, 0.20, 0.10],       // Line 9, by AGI tier
+  // Top AGI of each tier; above the last one the rate is 0
+  SAVERS_AGI_TIERS: {
+    single: [23750, 25500, 39500], mfj: [47500, 51000, 79000], mfs: [23750, 25500, 39500],
+    hoh:    [35625, 38250, 59250], qss: [23750, 25500, 39500],
+  },
+
+  // Colorado
+  CO_TAX_RATE: 0.044,  // 4.4% flat rate for 2025
+  // Colorado EITC as a share of the federal credit, refundable on DR 0104CR.
+  // The rate is set by C.R.S. 39-22-123.5 for each tax year (50% for 2024).
+  CO_EITC_RATE: 0.35,  // 2025
+
+  // Schedule 8812 — child tax credit / credit for other dependents (2025)
+  CTC_PER_CHILD:        2200,   // Line 5, per qualifying child under 17 with an SSN
+  ODC_PER_DEPENDENT:     500,   // Line 7, per other dependent
+  CTC_PHASE_OUT_THRESHOLD: { single: 200000, mfj: 400000, mfs: 200000, hoh: 200000, qss: 200000 },
+  CTC_PHASE_OUT_RATE:   0.05,   // $50 per $1,000 (or part) of MAGI over the threshold
+  ACTC_MAX_PER_CHILD:   1700,   // Line 16b, refundable portion cap
+  ACTC_EARNED_FLOOR:    2500,   // Line 19
+  ACTC_RATE:            0.15,   // Line 20
+
+  TAX_YEAR: 2025,
+  TAX_YEAR_DAYS: 365,  // K-1 per-share, per-day allocation
+};
+
+// Status-keyed views of the bracket tables (QSS uses the joint tables)
+C.BRACKETS = {
+  single: C.BRACKETS_SINGLE, mfj: C.BRACKETS_MFJ, mfs: C.BRACKETS_MFS,
+  hoh:    C.BRACKETS_HOH,    qss: C.BRACKETS_MFJ,
+};
+C.LTCG_BRACKETS = {
+  single: C.LTCG_BRACKETS_SINGLE, mfj: C.LTCG_BRACKETS_MFJ, mfs: C.LTCG_BRACKETS_MFS,
+  hoh:    C.LTCG_BRACKETS_HOH,    qss: C.LTCG_BRACKETS_MFJ,
+};
+
+const FILING_STATUSES = ['single', 'mfj', 'mfs', 'hoh', 'qss'];
+
+// ============================================================
+//  HELPERS
+// ============================================================
+const clamp = (val, min, max) => Math.min(Math.max(val, min), max);
+
+// Phase-out helper: linear reduction from full → 0 between start and end thresholds
+function phaseOut(amount, magi, phaseStart, phaseEnd) {
+  if (magi <= phaseStart) return amount;
+  if (magi >= phaseEnd)   return 0;
+  const ratio = (magi - phaseStart) / (phaseEnd - phaseStart);
+  return amount * (1 - ratio);
+}
+
+// Same, for the status-keyed [start, end] ranges in C (null range → not allowed)
+function phaseOutRange(amount, magi, range) {
+  if (!range) return 0;
+  return phaseOut(amount, magi, range[0], range[1]);
+}
+
+// Form 1120-S Schedule L lines, one column (beginning or end of year).
+// `otherLiabilities` covers lines 17, 18, 20 and 21.
+const EMPTY_BALANCE_SHEET = {
+  cash: 0, receivables: 0, otherCurrentAssets: 0,               // Lines 1, 2a, 6
+  depreciableAssets: 0, accumDepreciation: 0, otherAssets: 0,   // Lines 10a, 10b, 14
+  payables: 0, shareholderLoans: 0, otherLiabilities: 0,        // Lines 16, 19
+  capitalStock: 0, paidInCapital: 0, retainedEarnings: 0,       // Lines 22–24
+};
+
+// ============================================================
+//  INPUT SHAPE
+//  Every field computeReturn() reads, with its default. Amounts
+//  for optional sections (tips, IRA, child care …) are simply 0
+//  when the section does not apply; `marketplace` is null when
+//  no Form 1095-A was received.
+// ============================================================
+const DEFAULT_INPUTS = {
+  filingStatus: 'single',   // single | mfj | mfs | hoh | qss
+  mfsSpouseItemizes: false,  // MFS: spouse itemizes → standard deduction is $0
+  mfsLivedApart: false,      // MFS: lived apart from spouse for the last 6 months (EIC, Form 2441)
+  // Each: { name, dob: 'YYYY-MM-DD', tin, tinType: 'ssn' | 'itin',
+  //         relationship, months, student, disabled }
+  dependents: [],
+  // Each: { owner: 'taxpayer' | 'spouse', employer, ein, scorp, box1 … box11,
+  //         box12: { code: amount }, statutory, retirementPlan, sickPay,
+  //         box14Label, box14, box15 (state), box16 … box20 } — see normalizeW2.
+  // When empty, the single-W-2 `w2` and `spouseW2` totals below are read instead.
+  w2s: [],
+  // box12: elective deferrals by code (401(k) D, 403(b) E, 457(b) G, Roth 401(k) AA)
+  w2: { box1: 0, box2: 0, box4: 0, box6: 0, box10: 0, box12: { D: 0, E: 0, G: 0, AA: 0 }, box17: 0 },
+  spouseW2: { box1: 0, box2: 0, box4: 0, box6: 0, box10: 0, box12: { D: 0, E: 0, G: 0, AA: 0 }, box17: 0 },  // MFJ only
+  scorp: {
+    grossReceipts: 0, returns: 0, cogs: 0, otherIncome: 0,
+    officerComp: 0, wages: 0, repairs: 0, rents: 0, taxes: 0,
+    interest: 0, depreciation: 0, advertising: 0, benefits: 0,
+    otherDeductions: 0, ownershipPct: 100,
+    // Form 8995: unadjusted basis of qualified property (UBIA) and whether
+    // the business is a specified service trade or business (SSTB)
+    ubia: 0, sstb: false,
+    // Schedule M-1: book items that never reach page 1. Meals are the 50%
+    // not deducted on line 19; taxExemptIncome is also K-1 box 16, code A.
+    mealsNondeductible: 0, otherNondeductible: 0, taxExemptIncome: 0,
+    aaaBegin: 0,  // Schedule M-2, line 1 — last year's line 8
+    reasonableComp: 0,  // salary floor for the salary comparison
+    balanceSheet: { begin: { ...EMPTY_BALANCE_SHEET }, end: { ...EMPTY_BALANCE_SHEET } },
+    // Schedule K items stated outside page 1, corporation totals
+    scheduleK: {
+      rentalRealEstate: 0, interest: 0, ordinaryDividends: 0, qualifiedDividends: 0,  // Lines 2, 4, 5a, 5b
+      netShortTermGain: 0, netLongTermGain: 0, section1231: 0, otherIncome: 0,       // Lines 7, 8a, 9, 10
+      section179: 0, charitable: 0, distributions: 0,                                // Lines 11, 12a, 16d
+    },
+    // Shareholder register, one row per holding period:
+    //   { name, tin, address, pct, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', mine }
+    // `mine` marks K-1s that belong on this return. Empty → you alone hold
+    // `ownershipPct` all year.
+    shareholders: [],
+  },
+  // Forms 1099-INT: { payer, box1 (interest), box3 (U.S. savings bonds and
+  // Treasury), box4 (federal tax withheld), box6 (foreign tax paid),
+  // box8 (tax-exempt interest), box9 (private activity bond interest) }
+  interestPayers: [],
+  // Forms 1099-DIV: { payer, box1a, box1b (qualified), box2a (capital gain
+  // distributions), box2b (unrecaptured §1250 gain), box2d (collectibles
+  // gain), box3 (nondividend distributions), box4 (withheld), box5 (§199A
+  // dividends), box7 (foreign tax paid), box12 (exempt-interest dividends),
+  // box13 (private activity bond interest dividends) }
+  dividendPayers: [],
+  // Totals not itemized by payer above
+  interest:  { taxable: 0, usGovt: 0 },
+  dividends: { ordinary: 0, qualified: 0 },
+  // Form 8949 sales, one per lot: { description, acquired, sold (YYYY-MM-DD;
+  // acquired blank = various), term: '' | 'short' | 'long' (blank = from the
+  // dates), reported: 'basis' | 'nobasis' | 'none' (1099-B with basis
+  // reported to the IRS, 1099-B without, no 1099-B), proceeds, basis,
+  // code (column f letters), adjustment (column g, + adds to gain),
+  // collectible (art, coins, bullion — 28% rate gain when long-term) }.
+  // longTerm / shortTerm are net amounts entered without transactions.
+  // collectibles is 28% rate gain from K-1s (box 8b) and 1099-DIVs (box 2d);
+  // unrecaptured1250 is line 18 of the Unrecaptured Section 1250 Gain
+  // Worksheet (K-1 box 8c, 1099-DIV box 2b, Form 4797 sales).
+  // The carryovers are last year's unused losses (2024 Capital Loss
+  // Carryover Worksheet lines 8 and 13), entered as positive amounts.
+  capitalGains: {
+    longTerm: 0, shortTerm: 0, transactions: [], shortTermCarryover: 0, longTermCarryover: 0,
+    collectibles: 0, unrecaptured1250: 0,
+  },
+  unemployment: 0,
+  stateTaxRefund: 0,
+  otherIncome: 0,
+  // Schedule C sole proprietorship — all zero when there is none. `owner`
+  // is whose business it is on a joint return ('taxpayer' | 'spouse').
+  schC: {
+    owner: 'taxpayer',
+    grossReceipts: 0, returns: 0, cogs: 0, otherIncome: 0,  // Lines 1, 2, 4, 6
+    // Part II. `meals` is the full amount spent; Line 24b takes half
+    expenses: {
+      advertising: 0, commissions: 0, contractLabor: 0, depreciation: 0,
+      employeeBenefits: 0, insurance: 0, mortgageInterest: 0, otherInterest: 0,
+      legal: 0, office: 0, pension: 0, vehicleRent: 0, otherRent: 0,
+      repairs: 0, supplies: 0, taxes: 0, travel: 0, meals: 0,
+      utilities: 0, wages: 0, other: 0,
+    },
+    // Line 9: standard mileage (plus parking and tolls) or actual business-use costs
+    vehicle: { method: 'standard', businessMiles: 0, parkingTolls: 0, actualExpenses: 0 },
+    // Line 30: simplified square-footage method, or Form 8829 line 36
+    homeOffice: { method: 'simplified', squareFeet: 0, form8829: 0 },
+    ubia: 0, sstb: false,  // Form 8995, as for the S-corp
+  },
+  qbiLossCarryforward: 0,  // prior-year qualified business loss carryforward, entered as a positive amount
+  sch1a: { tips: 0, overtime: 0, carLoanInterest: 0, isSenior: false, spouseIsSenior: false },
+  adjustments: { iraContribution: 0, studentLoanInterest: 0, hsaContribution: 0 },
+  // Form 8889, one per HSA owner: { owner: 'taxpayer' | 'spouse',
+  //   selfStart, selfStop, familyStart, familyStop (HDHP months, 1–12),
+  //   lastMonthRule, age55, spouseFamilyShare (% of the family limit given
+  //   to the other spouse's HSA, line 6),
+  //   contributions, fundingDistribution, distributions, rolledOver,
+  //   medicalExpenses, exception, testingIncome, fundingFailure }.
+  // Without any, adjustments.hsaContribution is a full year of self-only coverage.
+  hsas: [],
+  // IRAs, one per owner: { owner: 'taxpayer' | 'spouse', dob, traditional,
+  //   roth (2025 contributions), covered (workplace plan not shown in W-2
+  //   box 13), spouseCovered (MFS only), and for Form 8606: priorBasis
+  //   (2024 line 14), lateContributions (made in 2026 for 2025),
+  //   yearEndValue, distributions, converted (to Roth) }.
+  // Without any, adjustments.iraContribution is the taxpayer's, plan-covered.
+  iras: [],
+  itemized: { propertyTax: 0, charityCash: 0, charityNonCash: 0, medical: 0 },
+  // Form 2441 Part I, one per care provider: { name, address, tin, amount }
+  careProviders: [],
+  // Form 8863, one per student: { name, tin, institution, box1, box5,
+  //   materials, priorAotcYears, firstFourYears, halfTime, felonyDrug }
+  students: [],
+  // EIC eligibility answers the return itself can't show
+  eic: {
+    ageEligible: true,           // no qualifying child: you (or spouse) were 25–64 at year end
+    claimableAsDependent: false, // someone else can claim you as a dependent / qualifying child
+  },
+  // Form 8880: null when no retirement contributions are claimed. Line 4
+  // distributions per person; `eligible` is false for anyone under 18, a
+  // full-time student or claimable as someone else's dependent
+  savers: null,  // { distributions, spouseDistributions, eligible, spouseEligible }
+  // Form 6251 adjustments and preferences beyond the SALT / standard
+  // deduction add-back: incentive stock option bargain element (line 2i),
+  // private activity bond interest (2g), depreciation difference (2l) and
+  // other adjustments (3). Depreciation and other may be negative.
+  amt: null,  // { iso, privateActivityBonds, depreciation, other }
+  // Form 1095-A: annual totals, or `months` — 12 rows of { enrollPrem, slcsp,
+  // aptc, ineligible } that take over from the totals when entered.
+  // `allocations` are Form 8962 Part IV shared policies ({ policy, otherTin,
+  // start, stop, premiumPct, slcspPct, aptcPct }); `marriage` is the Part V
+  // year-of-marriage record ({ month, taxpayerFamilySize, spouseFamilySize,
+  // taxpayerStart, taxpayerStop, spouseStart, spouseStop }) or null.
+  marketplace: null,  // { familySize, enrollPrem, slcsp, aptc, months, allocations, marriage, mfsException }
+  // Form 7203: null when S-corp basis is not tracked (K-1 losses are then
+  // taken in full). Beginning figures are last year's ending figures;
+  // suspended losses are last year's column (e) carryovers, as positive amounts.
+  scorpBasis: null,  // { stockBegin, contributions, debtBegin, loanBegin, newLoans,
+                     //   repayments, suspendedOrdinary, suspendedRental, suspendedCapital,
+                     //   suspendedSection1231, suspendedOther, suspendedSection179,
+                     //   suspendedCharitable }
+  // S-corp payroll (Forms 941, 940, W-2, W-3): null when not prepared.
+  // sutaRate is a fraction (0.017); each employee's q1–q4 are gross wages
+  // paid in the quarter, deferrals are pre-tax 401(k) (W-2 box 12, code D).
+  payroll: null,  // { sutaRate, employees: [{ name, ssn, officer, q1, q2, q3, q4,
+                  //   deferrals, fedWithheld, coWithheld }] }
+  fedEstimatedPayments: 0,
+  colorado: {
+    additions: 0, usInterest: 0, pension: 0, otherSubtractions: 0,
+    otherCredits: 0, estimatedPayments: 0,
+  },
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Fill any missing fields from DEFAULT_INPUTS so callers (and tests) can
+// pass only what they care about. Arrays and null replace the default.
+function normalizeInputs(inputs, defaults = DEFAULT_INPUTS) {
+  const out = {};
+  for (const [key, def] of Object.entries(defaults)) {
+    const v = inputs ? inputs[key] : undefined;
+    if (v === undefined) {
+      out[key] = isPlainObject(def) ? normalizeInputs({}, def) : def;
+    } else if (isPlainObject(def) && isPlainObject(v)) {
+      out[key] = normalizeInputs(v, def);
+    } else {
+      out[key] = v;
+    }
+  }
+  return out;
+}
+
+// ============================================================
+//  CORE TAX CALCULATIONS
+// ============================================================
+
+function calcFederalTax(taxableIncome, brackets) {
+  if (taxableIncome <= 0) return 0;
+  for (let i = brackets.length - 1; i >= 0; i--) {
+    if (taxableIncome > brackets[i].min) {
+      return taxableIncome * brackets[i].rate - brackets[i].subtraction;
+    }
+  }
+  return 0;
+}
+
+// The Tax Table row an amount under $100,000 falls in. Each row's tax is
+// the Computation Worksheet tax on the row's midpoint, rounded to the
+// dollar, which is how the IRS builds the table from the brackets.
+function taxTableRow(taxableIncome, brackets) {
+  if (taxableIncome >= C.TAX_TABLE_LIMIT) return null;
+  const income = Math.max(0, taxableIncome);
+  let atLeast;
+  let lessThan;
+  if (income < 5) [atLeast, lessThan] = [0, 5];
+  else if (income < 25) { atLeast = 5 + Math.floor((income - 5) / 10) * 10; lessThan = atLeast + 10; }
+  else if (income < C.TAX_TABLE_SMALL_MAX) {
+    atLeast = Math.floor(income / C.TAX_TABLE_SMALL_ROW) * C.TAX_TABLE_SMALL_ROW;
+    lessThan = atLeast + C.TAX_TABLE_SMALL_ROW;
+  } else {
+    atLeast = Math.floor(income / C.TAX_TABLE_ROW) * C.TAX_TABLE_ROW;
+    lessThan = atLeast + C.TAX_TABLE_ROW;
+  }
+  const midpointTax = calcFederalTax((atLeast + lessThan) / 2, brackets);
+  return { atLeast, lessThan, tax: Math.round(Math.round(midpointTax * 100) / 100) };
+}
+
+// Tax on an amount as the 1040 instructions prescribe — the Tax Table
+// below $100,000, the Tax Computation Worksheet from there up
+function calcTax(taxableIncome, brackets) {
+  const row = taxTableRow(taxableIncome, brackets);
+  return row ? row.tax : calcFederalTax(taxableIncome, brackets);
+}
+
+function calcStudentLoanDeduction(interest, magi, status = 'single') {
+  const capped = Math.min(interest, C.SLI_MAX);
+  return phaseOutRange(capped, magi, C.SLI_PHASE_OUT[status]);
+}
+
+// `range` is the phase-out that applies: C.IRA_PHASE_OUT when you are
+// covered by a workplace plan, the spouse-covered range, or null for none
+function calcIRADeduction(contribution, age50plus, magi, status = 'single', range = C.IRA_PHASE_OUT[status]) {
+  const maxContrib = age50plus ? C.IRA_MAX_50PLUS : C.IRA_MAX_UNDER50;
+  return Math.min(contribution, iraPhaseOut(maxContrib, magi, range));
+}
+
+// Schedule 1-A reduction: `perThousand` off the capped amount for each
+// $1,000 of MAGI over the threshold — or part of $1,000 when `partCounts`
+function reduceOverThreshold(amount, magi, threshold, perThousand, partCounts = false) {
+  if (threshold == null) return 0;
+  const over = Math.max(0, magi - threshold) / 1000;
+  return Math.max(0, amount - (partCounts ? Math.ceil(over) : over) * perThousand);
+}
+
+function calcSch1ADeductions(magi, tips, overtime, carLoan, isSenior, status = 'single', spouseIsSenior = false) {
+  const seniors = (isSenior ? 1 : 0) + (status === 'mfj' && spouseIsSenior ? 1 : 0);
+  const tipsDeduction   = reduceOverThreshold(Math.min(tips, C.TIPS_MAX), magi, C.TIPS_THRESHOLD[status], C.TIPS_REDUCTION);
+  const otDeduction     = reduceOverThreshold(Math.min(overtime, C.OT_MAX[status]), magi, C.OT_THRESHOLD[status], C.OT_REDUCTION);
+  const carDeduction    = reduceOverThreshold(Math.min(carLoan, C.CAR_MAX), magi, C.CAR_THRESHOLD[status], C.CAR_REDUCTION, true);
+  const seniorDeduction = seniors * reduceOverThreshold(C.SENIOR_MAX, magi, C.SENIOR_THRESHOLD[status], C.SENIOR_REDUCTION);
+  return { tipsDeduction, otDeduction, carDeduction, seniorDeduction, seniors,
+    total: tipsDeduction + otDeduction + carDeduction + seniorDeduction };
+}
+
+// Qualified Dividends and Capital Gain Tax Worksheet (Form 1040
+// instructions, line 16). `netCapitalGain` is line 3: the smaller of
+// Schedule D lines 15 and 16, or zero if either is a loss. The 0% and 15%
+// thresholds are the tops of the first two `ltcgBrackets`.
+function calcQDCGTWorksheet(taxableIncome, qualifiedDividends, netCapitalGain, brackets, ltcgBrackets) {
+  const line1  = taxableIncome;
+  const line2  = qualifiedDividends;
+  const line3  = Math.max(0, netCapitalGain);
+  const line4  = line2 + line3;
+  const line5  = Math.max(0, line1 - line4);
+  const line6  = ltcgBrackets[0].max;
+  const line7  = Math.min(line1, line6);
+  const line8  = Math.min(line5, line7);
+  const line9  = line7 - line8;                       // taxed at 0%
+  const line10 = Math.min(line1, line4);
+  const line11 = line9;
+  const line12 = line10 - line11;
+  const line13 = ltcgBrackets[1].max;
+  const line14 = Math.min(line1, line13);
+  const line15 = line5 + line9;
+  const line16 = Math.max(0, line14 - line15);
+  const line17 = Math.min(line12, line16);
+  const line18 = line17 * ltcgBrackets[1].rate;
+  const line19 = line9 + line17;
+  const line20 = line10 - line19;
+  const line21 = line20 * ltcgBrackets[2].rate;
+  const line22 = calcTax(line5, brackets);
+  const line23 = line18 + line21 + line22;
+  const line24 = calcTax(line1, brackets);
+  const line25 = Math.min(line23, line24);
+  return {
+    line1, line2, line3, line4, line5, line6, line7, line8, line9, line10, line11, line12, line13,
+    line14, line15, line16, line17, line18, line19, line20, line21, line22, line23, line24, line25,
+    ordinaryIncome: line5, ordinaryTax: line22, tax: line25,
+  };
+}
+
+// Schedule D Tax Worksheet — used instead of the QDCGT Worksheet when
+// Schedule D line 18 (28% rate gain) or line 19 (unrecaptured section 1250
+// gain) has an amount. Lines 3–4 are the Form 4952 investment interest
+// election, which this app does not make. Ordinary income keeps regular
+// rates through the top of the 24% bracket (line 19), so 25% and 28% gain
+// only pays those rates above it.
+function calcScheduleDTaxWorksheet(taxableIncome, qualifiedDividends, schD, brackets, ltcgBrackets) {
+  const line1  = taxableIncome;
+  const line2  = qualifiedDividends;
+  const line3  = 0;
+  const line4  = 0;
+  const line5  = Math.max(0, line3 - line4);
+  const line6  = Math.max(0, line2 - line5);
+  const line7  = Math.max(0, Math.min(schD.line15, schD.line16));
+  const line8  = Math.min(line3, line4);
+  const line9  = Math.max(0, line7 - line8);
+  const line10 = line6 + line9;
+  const line11 = schD.line18 + schD.line19;
+  const line12 = Math.min(line9, line11);
+  const line13 = line10 - line12;
+  const line14 = Math.max(0, line1 - line13);
+  const line15 = ltcgBrackets[0].max;
+  const line16 = Math.min(line1, line15);
+  const line17 = Math.min(line14, line16);
+  const line18 = Math.max(0, line1 - line10);
+  const line19 = Math.min(line1, brackets.find((b) => b.rate === 0.24).max);
+  const line20 = Math.min(line14, line19);
+  const line21 = Math.max(line18, line20);
+  const line22 = line16 - line17;                     // taxed at 0%
+  const line23 = Math.min(line1, line13);
+  const line24 = line22;
+  const line25 = Math.max(0, line23 - line24);
+  const line26 = ltcgBrackets[1].max;
+  const line27 = Math.min(line1, line26);
+  const line28 = line21 + line22;
+  const line29 = Math.max(0, line27 - line28);
+  const line30 = Math.min(line25, line29);
+  const line31 = line30 * ltcgBrackets[1].rate;
+  const line32 = line24 + line30;
+  const line33 = line23 - line32;
+  const line34 = line33 * ltcgBrackets[2].rate;
+  // Unrecaptured section 1250 gain
+  const line35 = Math.min(line9, schD.line19);
+  const line36 = line10 + line21;
+  const line37 = line1;
+  const line38 = Math.max(0, line36 - line37);
+  const line39 = Math.max(0, line35 - line38);
+  const line40 = line39 * C.UNRECAPTURED_1250_RATE;
+  // 28% rate gain — whatever taxable income is left
+  const line41 = schD.line18 > 0 ? line21 + line22 + line30 + line33 + line39 : 0;
+  const line42 = schD.line18 > 0 ? line1 - line41 : 0;
+  const line43 = line42 * C.COLLECTIBLES_RATE;
+  const line44 = calcTax(line21, brackets);
+  const line45 = line31 + line34 + line40 + line43 + line44;
+  const line46 = calcTax(line1, brackets);
+  const line47 = Math.min(line45, line46);
+  return {
+    line1, line2, line3, line4, line5, line6, line7, line8, line9, line10, line11, line12,
+    line13, line14, line15, line16, line17, line18, line19, line20, line21, line22, line23,
+    line24, line25, line26, line27, line28, line29, line30, line31, line32, line33, line34,
+    line35, line36, line37, line38, line39, line40, line41, line42, line43, line44, line45,
+    line46, line47,
+    ordinaryIncome: line21, ordinaryTax: line44, tax: line47,
+  };
+}
+
+// ============================================================
+//  FORM 6251 — ALTERNATIVE MINIMUM TAX
+// ============================================================
+
+// 26% / 28% on an amount of AMTI (Form 6251 lines 7, 18 and 39)
+function amtRegularRate(amount, status) {
+  const threshold = C.AMT_RATE_THRESHOLD[status];
+  return amount <= threshold
+    ? amount * C.AMT_RATE_LOW
+    : amount * C.AMT_RATE_HIGH - threshold * (C.AMT_RATE_HIGH - C.AMT_RATE_LOW);
+}
+
+// Form 6251. `taxableIncome` is Form 1040 line 15 before the floor at zero;
+// `addBack` is line 2a — Schedule A taxes when itemizing, otherwise the
+// standard deduction. Part III applies the capital gain rates whenever line
+// 16 was figured on the QDCGT or Schedule D Tax Worksheet (`ws`), reusing
+// that worksheet's lines.
+function calcForm6251({ taxableIncome, addBack, taxRefund = 0, adjustments, regularTax, ws, schD, status, ltcgBrackets }) {
+  const a = adjustments || {};
+  const line1  = taxableIncome;
+  const line2a = addBack;
+  const line2b = -Math.max(0, taxRefund);
+  const line2g = Math.max(0, a.privateActivityBonds || 0);
+  const line2i = Math.max(0, a.iso || 0);
+  const line2l = a.depreciation || 0;
+  const line3  = a.other || 0;
+  const exemption = C.AMT_EXEMPTION[status];
+  const start     = C.AMT_PHASE_OUT_START[status];
+  // Filing separately, AMTI past the end of the phase-out also adds the
+  // smaller of 25% of the excess or the exemption
+  const amti      = line1 + line2a + line2b + line2g + line2i + line2l + line3;
+  const mfsEnd    = start + exemption / C.AMT_PHASE_OUT_RATE;
+  const mfsAddBack = status === 'mfs' ? Math.min(exemption, Math.max(0, amti - mfsEnd) * C.AMT_PHASE_OUT_RATE) : 0;
+  const line4  = amti + mfsAddBack;                          // AMTI
+
+  // Exemption Worksheet
+  const reduction = Math.max(0, line4 - start) * C.AMT_PHASE_OUT_RATE;
+  const line5  = Math.max(0, exemption - reduction);
+  const line6  = Math.max(0, line4 - line5);
+
+  let partIII = null;
+  if (ws && line6 > 0) {
+    const schDWs = ws.form === 'schD';
+    const line12 = line6;
+    const line13 = schDWs ? ws.line13 : ws.line4;
+    const line14 = schD.line19;
+    const line15 = schDWs ? Math.min(line13 + line14, ws.line10) : line13;
+    const line16 = Math.min(line12, line15);
+    const line17 = line12 - line16;
+    const line18 = amtRegularRate(line17, status);
+    const line19 = ltcgBrackets[0].max;
+    const line20 = Math.max(0, schDWs ? ws.line14 : ws.line5);
+    const line21 = Math.max(0, line19 - line20);
+    const line22 = Math.min(line12, line13);
+    const line23 = Math.min(line21, line22);                 // taxed at 0%
+    const line24 = line22 - line23;
+    const line25 = ltcgBrackets[1].max;
+    const line26 = line21;
+    const line27 = schDWs ? ws.line21 : ws.line5;
+    const line28 = line26 + line27;
+    const line29 = Math.max(0, line25 - line28);
+    const line30 = Math.min(line24, line29);                 // taxed at 15%
+    const line31 = line30 * ltcgBrackets[1].rate;
+    const line32 = line23 + line30;
+    const line33 = line22 - line32;                          // taxed at 20%
+    const line34 = line33 * ltcgBrackets[2].rate;
+    // Unrecaptured section 1250 gain
+    const line35 = line14 > 0 ? line17 + line32 + line33 : 0;
+    const line36 = line14 > 0 ? line12 - line35 : 0;
+    const line37 = line36 * C.UNRECAPTURED_1250_RATE;
+    const line38 = line18 + line31 + line34 + line37;
+    const line39 = amtRegularRate(line12, status);
+    const line40 = Math.min(line38, line39);
+    partIII = {
+      line12, line13, line14, line15, line16, line17, line18, line19, line20, line21, line22, line23,
+      line24, line25, line26, line27, line28, line29, line30, line31, line32, line33, line34, line35,
+      line36, line37, line38, line39, line40,
+    };
+  }
+
+  const line7  = partIII ? partIII.line40 : amtRegularRate(line6, status);
+  const line8  = 0;                                          // AMT foreign tax credit
+  const line9  = line7 - line8;                              // tentative minimum tax
+  const line10 = regularTax;
+  const line11 = Math.max(0, line9 - line10);                // → Schedule 2, line 1
+  return {
+    line1, line2a, line2b, line2g, line2i, line2l, line3, line4,
+    exemption, start, reduction, mfsAddBack, line5, line6, partIII,
+    line7, line8, line9, line10, line11,
+  };
+}
+
+// ============================================================
+//  FORM 1120-S — S-CORPORATION INCOME CALCULATION
+// ============================================================
+function calc1120S(s) {
+  const grossReceipts    = s.grossReceipts;
+  const returns          = s.returns;
+  const cogs             = s.cogs;
+  const otherIncome      = s.otherIncome;
+
+  const totalIncome      = grossReceipts - returns - cogs + otherIncome;  // Line 6
+
+  const officerComp      = s.officerComp;      // Line 7
+  const wages            = s.wages;            // Line 8
+  const repairs          = s.repairs;          // Line 9
+  const rents            = s.rents;            // Line 11
+  const taxes            = s.taxes;            // Line 12
+  const interest         = s.interest;         // Line 13
+  const depreciation     = s.depreciation;     // Line 14
+  const advertising      = s.advertising;      // Line 16
+  const benefits         = s.benefits;         // Line 18
+  const otherDeductions  = s.otherDeductions;  // Line 19
+
+  const totalDeductions  = officerComp + wages + repairs + rents + taxes
+                         + interest + depreciation + advertising + benefits
+                         + otherDeductions;               // Line 20
+
+  const ordinaryIncome   = totalIncome - totalDeductions; // Line 21
+
+  const bs = s.balanceSheet || {};
+  const schL = calcScheduleL(bs.begin || {}, bs.end || {});
+  schL.required = grossReceipts + otherIncome >= C.SCH_L_THRESHOLD
+    || schL.end.totalAssets >= C.SCH_L_THRESHOLD;
+  const sk = { ...DEFAULT_INPUTS.scorp.scheduleK, ...s.scheduleK };
+  const distributions = sk.distributions;
+  // Schedule K line 18 — lines 1 through 10 less lines 11 and 12
+  const separateIncome = [sk.rentalRealEstate, sk.interest, sk.ordinaryDividends,
+    sk.netShortTermGain, sk.netLongTermGain, sk.section1231, sk.otherIncome];
+  const line18 = ordinaryIncome + separateIncome.reduce((sum, x) => sum + x, 0)
+    - sk.section179 - sk.charitable;
+  const m1 = calcScheduleM1(line18, s.mealsNondeductible || 0,
+    s.otherNondeductible || 0, s.taxExemptIncome || 0);
+  // AAA: separately stated income is an other addition, separately stated
+  // losses and deductions an other reduction
+  const m2 = calcScheduleM2(s.aaaBegin || 0, ordinaryIncome, m1.line3, distributions,
+    separateIncome.reduce((sum, x) => sum + Math.max(0, x), 0),
+    separateIncome.reduce((sum, x) => sum + Math.max(0, -x), 0) + sk.section179 + sk.charitable);
+  // Schedule L line 24 should move by book income less distributions
+  schL.expectedRetainedEarnings = schL.begin.retainedEarnings + m1.line1 - distributions;
+  schL.retainedEarningsTie = Math.abs(schL.end.retainedEarnings - schL.expectedRetainedEarnings) < 0.005;
+
+  // Schedule K, keyed like the K-1 boxes it is allocated into
+  const scheduleK = {
+    box1: ordinaryIncome, box2: sk.rentalRealEstate, box4: sk.interest,
+    box5a: sk.ordinaryDividends, box5b: sk.qualifiedDividends,
+    box7: sk.netShortTermGain, box8a: sk.netLongTermGain, box9: sk.section1231,
+    box10: sk.otherIncome, box11: sk.section179, box12a: sk.charitable,
+    box16a: m1.line5a, box16c: m1.line3, box16d: distributions,
+    box17vQBI: ordinaryIncome - sk.section179, box17vWages: officerComp + wages,
+    box17vUBIA: s.ubia || 0, box17ac: grossReceipts,
+  };
+  const alloc = calcShareholderAllocation(s.shareholders || [], s.ownershipPct);
+  const k1s = alloc.shareholders.map((sh) => ({ ...sh, items: {} }));
+  const allocationCheck = {};
+  for (const [box, total] of Object.entries(scheduleK)) {
+    // Round each K-1 to the cent; a fully allocated box puts the rounding
+    // difference on the largest holder so the K-1s add up to Schedule K
+    k1s.forEach((k) => { k.items[box] = Math.round(total * k.fraction * 100) / 100; });
+    const allocated = () => k1s.reduce((sum, k) => sum + k.items[box], 0);
+    if (alloc.fullyAllocated && k1s.length > 0) {
+      const largest = k1s.reduce((a, b) => (b.fraction > a.fraction ? b : a));
+      largest.items[box] = Math.round((largest.items[box] + total - allocated()) * 100) / 100;
+    }
+    allocationCheck[box] = { total, allocated: allocated(), ties: Math.abs(allocated() - total) < 0.005 };
+  }
+  const allocationsTie = Object.values(allocationCheck).every((c) => c.ties);
+
+  // The K-1s that belong on this return, added together
+  const myK1 = Object.fromEntries(Object.keys(scheduleK).map((box) =>
+    [box, k1s.filter((k) => k.mine).reduce((sum, k) => sum + k.items[box], 0)]));
+  const ownershipPct = k1s.filter((k) => k.mine).reduce((sum, k) => sum + k.fraction, 0) * 100;
+  const k1Box1 = myK1.box1;
+
+  return {
+    grossReceipts, returns, cogs, otherIncome, totalIncome,
+    officerComp, wages, repairs, rents, taxes,
+    interest, depreciation, advertising, benefits, otherDeductions,
+    totalDeductions, ordinaryIncome, ownershipPct, k1Box1,
+    distributions, schL, m1, m2, line18,
+    scheduleK, register: alloc, k1s, allocationCheck, allocationsTie, myK1,
+  };
+}
+
+// Shareholder register → each shareholder's share of the year. Rows with
+// the same TIN (or name) are one shareholder holding different percentages
+// over different periods; items are allocated per share, per day.
+function calcShareholderAllocation(rows, ownershipPct = 100) {
+  const days = C.TAX_YEAR_DAYS;
+  if (rows.length === 0) {
+    const pct = clamp(ownershipPct || 100, 0.01, 100);
+    return {
+      fromRegister: false, fullyAllocated: false, badDays: 0, firstBadDay: null,
+      shareholders: [{ name: 'You', tin: '', address: '', mine: true, fraction: pct / 100, periods: [] }],
+    };
+  }
+  const yearStart = Date.UTC(C.TAX_YEAR, 0, 1);
+  const dayIndex = (iso, fallback) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || '');
+    if (!m) return fallback;
+    const d = Math.round((Date.UTC(+m[1], +m[2] - 1, +m[3]) - yearStart) / 86400000);
+    return clamp(d, 0, days - 1);
+  };
+  const daily = new Array(days).fill(0);
+  const byKey = new Map();
+  rows.forEach((r) => {
+    const pct  = Number(r.pct) || 0;
+    const from = dayIndex(r.from, 0);
+    const to   = dayIndex(r.to, days - 1);
+    const held = Math.max(0, to - from + 1);
+    for (let d = from; d <= to; d++) daily[d] += pct;
+    const key = (r.tin || '').trim() || (r.name || '').trim() || `row${byKey.size}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { name: r.name || '', tin: r.tin || '', address: r.address || '',
+        mine: false, shareDays: 0, periods: [] });
+    }
+    const sh = byKey.get(key);
+    sh.mine = sh.mine || !!r.mine;
+    sh.shareDays += (pct / 100) * held;
+    sh.periods.push({ pct, from, to, days: held });
+  });
+  const shareholders = Array.from(byKey.values()).map(({ shareDays, ...sh }) =>
+    ({ ...sh, fraction: shareDays / days }));
+  const bad = daily.map((p, d) => (Math.abs(p - 100) > 0.005 ? d : -1)).filter((d) => d >= 0);
+  return {
+    fromRegister: true, shareholders, fullyAllocated: bad.length === 0,
+    badDays: bad.length, firstBadDay: bad.length ? bad[0] : null,
+  };
+}
+
+// Schedule K lines / K-1 boxes, in form order. `code` is the K-1 code
+// letter for boxes that need one.
+const K1_BOXES = [
+  { key: 'box1',        box: '1',   label: 'Ordinary business income (loss)' },
+  { key: 'box2',        box: '2',   label: 'Net rental real estate income (loss)' },
+  { key: 'box4',        box: '4',   label: 'Interest income' },
+  { key: 'box5a',       box: '5a',  label: 'Ordinary dividends' },
+  { key: 'box5b',       box: '5b',  label: 'Qualified dividends' },
+  { key: 'box7',        box: '7',   label: 'Net short-term capital gain (loss)' },
+  { key: 'box8a',       box: '8a',  label: 'Net long-term capital gain (loss)' },
+  { key: 'box9',        box: '9',   label: 'Net section 1231 gain (loss)' },
+  { key: 'box10',       box: '10',  label: 'Other income (loss)' },
+  { key: 'box11',       box: '11',  label: 'Section 179 deduction' },
+  { key: 'box12a',      box: '12',  code: 'A',  label: 'Charitable contributions (cash)' },
+  { key: 'box16a',      box: '16',  code: 'A',  label: 'Tax-exempt interest income' },
+  { key: 'box16c',      box: '16',  code: 'C',  label: 'Nondeductible expenses' },
+  { key: 'box16d',      box: '16',  code: 'D',  label: 'Distributions' },
+  { key: 'box17vQBI',   box: '17',  code: 'V',  label: 'Section 199A qualified business income' },
+  { key: 'box17vWages', box: '17',  code: 'V',  label: 'Section 199A W-2 wages' },
+  { key: 'box17vUBIA',  box: '17',  code: 'V',  label: 'Section 199A unadjusted basis of qualified property' },
+  { key: 'box17ac',     box: '17',  code: 'AC', label: 'Gross receipts for section 448(c)' },
+];
+
+// Schedule L — totals for each column and whether assets equal
+// liabilities plus equity
+function calcScheduleL(begin, end) {
+  const column = (c) => {
+    const v = { ...EMPTY_BALANCE_SHEET, ...c };
+    const totalAssets = v.cash + v.receivables + v.otherCurrentAssets
+      + v.depreciableAssets - v.accumDepreciation + v.otherAssets;          // Line 15
+    const totalLiabilitiesEquity = v.payables + v.shareholderLoans + v.otherLiabilities
+      + v.capitalStock + v.paidInCapital + v.retainedEarnings;             // Line 27
+    const difference = totalAssets - totalLiabilitiesEquity;
+    return { ...v, totalAssets, totalLiabilitiesEquity, difference,
+      balances: Math.abs(difference) < 0.005 };
+  };
+  const b = column(begin);
+  const e = column(end);
+  return { begin: b, end: e, balances: b.balances && e.balances };
+}
+
+// Schedule M-1 — book income is worked back from Schedule K, line 18: add back income the books carry that the return
+// does not, and subtract expenses the books deduct that the return does not.
+function calcScheduleM1(kIncome, mealsNondeductible, otherNondeductible, taxExemptIncome) {
+  const line2  = 0;                                        // Income on Schedule K not on books
+  const line3b = mealsNondeductible;                       // Travel and entertainment
+  const line3  = mealsNondeductible + otherNondeductible;  // Expenses on books not on Schedule K
+  const line5a = taxExemptIncome;                          // Tax-exempt interest
+  const line6  = 0;                                        // Deductions on Schedule K not on books
+  const line8  = kIncome;
+  const line1  = line8 - line2 - line3 + line5a + line6;   // Net income (loss) per books
+  const line4  = line1 + line2 + line3;
+  const line7  = line5a + line6;
+  return { line1, line2, line3b, otherNondeductible, line3, line4, line5a, line7, line8 };
+}
+
+// Schedule M-2, column (a) — Accumulated Adjustments Account. Distributions
+// cannot take AAA below zero; in a year when reductions exceed income they
+// come out before the net negative adjustment (section 1368(e)(1)(C)).
+function calcScheduleM2(aaaBegin, ordinaryIncome, nondeductible, distributions,
+  otherAdditions = 0, otherReductions = 0) {
+  const line1 = aaaBegin;
+  const line2 = Math.max(0, ordinaryIncome);   // Ordinary income from page 1, line 21
+  const line3 = otherAdditions;                // Separately stated income items
+  const line4 = Math.max(0, -ordinaryIncome);  // Loss from page 1, line 21
+  const line5 = nondeductible + otherReductions;  // Other reductions
+  const line6 = line1 + line2 + line3 - line4 - line5;
+  const netNegative = line4 + line5 > line2 + line3;
+  const available = netNegative ? line1 : line6;
+  const line7 = Math.min(Math.max(0, distributions), Math.max(0, available));
+  const line8 = line6 - line7;
+  return { line1, line2, line3, line4, line5, line6, line7, line8, netNegative,
+    excessDistributions: Math.max(0, distributions - line7) };
+}
+
+// ============================================================
+//  FORM 7203 — S CORPORATION SHAREHOLDER STOCK AND DEBT BASIS
+// ============================================================
+// Income items raise stock basis, then distributions, nondeductible
+// expenses and losses lower it in that order. Losses past stock basis use
+// debt basis, and whatever neither covers is suspended to next year. A net
+// increase in basis first restores debt basis reduced in earlier years.
+
+// Part III loss and deduction items, from the K-1 boxes (positive amounts).
+// field names the item's suspended carryover in the scorpBasis inputs.
+const K1_LOSS_ITEMS = [
+  { key: 'ordinary',    field: 'suspendedOrdinary',    line: '35', label: 'Ordinary business loss (box 1)',           amount: (k) => -k.box1 },
+  { key: 'rental',      field: 'suspendedRental',      line: '36', label: 'Net rental real estate loss (box 2)',      amount: (k) => -k.box2 },
+  { key: 'capital',     field: 'suspendedCapital',     line: '38', label: 'Net capital loss (boxes 7 and 8a)',
+    amount: (k) => Math.max(0, -k.box7) + Math.max(0, -k.box8a) },
+  { key: 'section1231', field: 'suspendedSection1231', line: '39', label: 'Net section 1231 loss (box 9)',            amount: (k) => -k.box9 },
+  { key: 'other',       field: 'suspendedOther',       line: '40', label: 'Other loss (box 10)',                      amount: (k) => -k.box10 },
+  { key: 'section179',  field: 'suspendedSection179',  line: '41', label: 'Section 179 deduction (box 11)',           amount: (k) => k.box11 },
+  { key: 'charitable',  field: 'suspendedCharitable',  line: '42', label: 'Charitable contributions (box 12, code A)', amount: (k) => k.box12a },
+];
+
+function calcForm7203(k1In, basis) {
+  // Missing K-1 boxes count as zero
+  const k1 = Object.fromEntries(K1_BOXES.map(({ key }) => [key, Number(k1In[key]) || 0]));
+  const {
+    stockBegin = 0, contributions = 0,
+    debtBegin = 0, loanBegin = 0, newLoans = 0, repayments = 0,
+  } = basis;
+
+  // Part III columns (a) + (b) — this year's losses plus carryovers
+  const lossItems = K1_LOSS_ITEMS.map(({ key, field, line, label, amount }) => ({
+    key, field, line, label, current: Math.max(0, amount(k1)), carryover: Math.max(0, Number(basis[field]) || 0),
+  }));
+  const totalLoss = lossItems.reduce((sum, l) => sum + l.current + l.carryover, 0);
+
+  // Part I, lines 3a–3k — income items
+  const incomeLines = [
+    ['3a', 'Ordinary business income', Math.max(0, k1.box1)],
+    ['3b', 'Net rental real estate income', Math.max(0, k1.box2)],
+    ['3d', 'Interest income', Math.max(0, k1.box4)],
+    ['3e', 'Ordinary dividends', Math.max(0, k1.box5a)],
+    ['3g', 'Net capital gains', Math.max(0, k1.box7) + Math.max(0, k1.box8a)],
+    ['3h', 'Net section 1231 gain', Math.max(0, k1.box9)],
+    ['3i', 'Other income', Math.max(0, k1.box10)],
+    ['3k', 'Tax-exempt income', Math.max(0, k1.box16a)],
+  ].filter(([, , amount]) => amount > 0);
+  const line3m = incomeLines.reduce((sum, [, , amount]) => sum + amount, 0);
+  const nondeductible = Math.max(0, k1.box16c);
+  const distributions = Math.max(0, k1.box16d);
+
+  // Debt basis restoration (line 12 → line 23) — the year's net increase,
+  // up to the amount earlier losses took out of the loans
+  const netIncrease = Math.max(0, line3m - distributions - nondeductible - totalLoss);
+  const restoration = Math.min(netIncrease, Math.max(0, loanBegin - debtBegin));
+
+  // Part I — stock basis
+  const line4  = stockBegin + contributions + line3m;
+  const line5  = distributions;
+  const distributionGain = Math.max(0, line5 - line4);  // excess over basis → Form 8949 / Schedule D
+  const line6  = Math.max(0, line4 - line5);
+  const line10 = Math.max(0, line6 - nondeductible);
+
+  // Part II — debt basis. A repayment returns basis in proportion to what
+  // is left of the loan; the rest of it is gain.
+  const line18 = loanBegin + newLoans;                  // loan balance before repayment
+  const line24 = debtBegin + newLoans + restoration;
+  const line19 = Math.min(Math.max(0, repayments), line18);
+  const line26 = line18 > 0 ? line19 * Math.min(1, line24 / line18) : 0;  // nontaxable repayment
+  const repaymentGain = line19 - line26;
+  const line27 = Math.max(0, line24 - line26);
+
+  // Part III — losses take stock basis first, then debt basis, pro rata by item
+  const fromStock = Math.min(line10, totalLoss);
+  const fromDebt  = Math.min(line27, totalLoss - fromStock);
+  const allowed = {};
+  lossItems.forEach((l) => {
+    const share = totalLoss > 0 ? (l.current + l.carryover) / totalLoss : 0;
+    l.fromStock = fromStock * share;                      // column (c)
+    l.fromDebt  = fromDebt * share;                       // column (d)
+    l.allowed   = l.fromStock + l.fromDebt;
+    l.suspended = l.current + l.carryover - l.allowed;    // column (e)
+    allowed[l.key] = l.allowed;
+  });
+
+  return {
+    stockBegin, contributions, incomeLines, line3m, line4, line5, line6,
+    nondeductible, line10, line11: fromStock, line12: restoration,
+    stockEnd: line10 - fromStock - restoration,
+    debtBegin, loanBegin, newLoans, line18, line19, line24, line26, line27,
+    debtEnd: line27 - fromDebt, loanEnd: line18 - line19, restoration,
+    lossItems, allowed, totalLoss, fromStock, fromDebt, allowedLoss: fromStock + fromDebt,
+    suspendedLoss: totalLoss - fromStock - fromDebt,
+    distributionGain, repaymentGain, capitalGain: distributionGain + repaymentGain,
+    required: totalLoss > 0 || distributions > 0 || line19 > 0,
+  };
+}
+
+// ============================================================
+//  S-CORP PAYROLL — FORMS 941, 940, W-2 AND W-3
+// ============================================================
+// Each wage base is per employee and per year, so a quarter's taxable
+// wages are what the year-to-date total adds below the base. Income tax
+// withheld and 401(k) deferrals are entered for the year and spread over
+// the quarters by wages.
+// With no employees listed, 1120-S lines 7 and 8 stand in as one officer
+// and one other employee paid evenly through the year.
+
+const QUARTERS = ['q1', 'q2', 'q3', 'q4'];
+
+function calcPayroll(payroll, scorp) {
+  const sutaRate = payroll.sutaRate ?? C.CO_SUTA_DEFAULT_RATE;
+  let employees = (payroll.employees || []).filter((e) => QUARTERS.some((q) => (Number(e[q]) || 0) > 0));
+  const estimated = employees.length === 0;
+  if (estimated) {
+    employees = [
+      { name: 'Officer', officer: true, total: scorp.officerComp },
+      { name: 'Other employees', officer: false, total: scorp.wages },
+    ].filter((e) => e.total > 0).map(({ total, ...e }) =>
+      ({ ...e, ...Object.fromEntries(QUARTERS.map((q) => [q, total / 4])) }));
+  }
+
+  const taxableInQuarter = (ytdBefore, paid, base) =>
+    Math.max(0, Math.min(ytdBefore + paid, base) - Math.min(ytdBefore, base));
+  const quarters = QUARTERS.map(() => ({
+    employees: 0, wages: 0, fedWithheld: 0, ssWages: 0, medicareWages: 0, addlMedicareWages: 0,
+    futaWages: 0, sutaWages: 0,
+  }));
+
+  const w2s = employees.map((e) => {
+    const paid = QUARTERS.map((q) => Math.max(0, Number(e[q]) || 0));
+    const total = paid.reduce((sum, x) => sum + x, 0);
+    const deferrals = Math.min(Math.max(0, Number(e.deferrals) || 0), total);
+    const fedWithheld = Math.max(0, Number(e.fedWithheld) || 0);
+    let ytd = 0;
+    paid.forEach((x, i) => {
+      const q = quarters[i];
+      if (x > 0) q.employees += 1;
+      const share = total > 0 ? x / total : 0;
+      q.wages             += x - deferrals * share;  // income tax wages, as in W-2 box 1
+      q.fedWithheld       += fedWithheld * share;
+      q.ssWages           += taxableInQuarter(ytd, x, C.SS_WAGE_BASE);
+      q.medicareWages     += x;
+      q.addlMedicareWages += taxableInQuarter(ytd, x, Infinity) - taxableInQuarter(ytd, x, C.ADDL_MEDICARE_WITHHOLDING_THRESHOLD);
+      q.futaWages         += taxableInQuarter(ytd, x, C.FUTA_WAGE_BASE);
+      q.sutaWages         += taxableInQuarter(ytd, x, C.CO_SUTA_WAGE_BASE);
+      ytd += x;
+    });
+    const box3 = Math.min(total, C.SS_WAGE_BASE);
+    const addlMedicare = Math.max(0, total - C.ADDL_MEDICARE_WITHHOLDING_THRESHOLD) * C.ADDL_MEDICARE_RATE;
+    return {
+      name: e.name || '', ssn: e.ssn || '', officer: !!e.officer, quarters: paid, total,
+      box1: total - deferrals, box2: fedWithheld,
+      box3, box4: box3 * C.SS_EMPLOYEE_RATE,
+      box5: total, box6: total * C.MEDICARE_EMPLOYEE_RATE + addlMedicare,
+      box12D: deferrals, box16: total - deferrals, box17: Math.max(0, Number(e.coWithheld) || 0),
+    };
+  });
+
+  // Form 941 — one per quarter. Line 5a–5d are both halves of FICA.
+  const f941 = quarters.map((q, i) => {
+    const line5a = q.ssWages * C.SS_EMPLOYEE_RATE * 2;
+    const line5c = q.medicareWages * C.MEDICARE_EMPLOYEE_RATE * 2;
+    const line5d = q.addlMedicareWages * C.ADDL_MEDICARE_RATE;
+    const line5e = line5a + line5c + line5d;
+    const line6  = q.fedWithheld + line5e;
+    return {
+      quarter: i + 1, line1: q.employees, line2: q.wages, line3: q.fedWithheld,
+      line5aWages: q.ssWages, line5a, line5cWages: q.medicareWages, line5c,
+      line5dWages: q.addlMedicareWages, line5d, line5e, line6,
+      line10: line6, line12: line6,
+      employerShare: (q.ssWages * C.SS_EMPLOYEE_RATE) + (q.medicareWages * C.MEDICARE_EMPLOYEE_RATE),
+      futaWages: q.futaWages, suta: q.sutaWages * sutaRate, sutaWages: q.sutaWages,
+    };
+  });
+
+  // Form 940 — the year's FUTA, with the quarterly liability in Part 5
+  const line3  = w2s.reduce((sum, w) => sum + w.total, 0);
+  const line7  = quarters.reduce((sum, q) => sum + q.futaWages, 0);
+  const line5  = line3 - line7;              // payments over $7,000 per employee
+  const line8  = line7 * C.FUTA_RATE;
+  const f940 = {
+    line3, line4: 0, line5, line6: line5, line7, line8, line12: line8,
+    quarterly: quarters.map((q) => q.futaWages * C.FUTA_RATE),  // Lines 16a–16d
+    part5Required: line8 > C.FUTA_QUARTERLY_DEPOSIT,
+  };
+
+  // Form W-3 — the W-2s added up
+  const sumOf = (key) => w2s.reduce((sum, w) => sum + w[key], 0);
+  const w3 = {
+    count: w2s.length,
+    box1: sumOf('box1'), box2: sumOf('box2'), box3: sumOf('box3'), box4: sumOf('box4'),
+    box5: sumOf('box5'), box6: sumOf('box6'), box12D: sumOf('box12D'),
+    box16: sumOf('box16'), box17: sumOf('box17'),
+  };
+
+  const sum941 = (key) => f941.reduce((sum, f) => sum + f[key], 0);
+  const employerFica = sum941('employerShare');
+  const suta = sum941('suta');
+  const employerTaxes = employerFica + f940.line8 + suta;
+  const officerWages = w2s.filter((w) => w.officer).reduce((sum, w) => sum + w.total, 0);
+  const staffWages   = line3 - officerWages;
+
+  // Reconciliation — each check ties one figure to another to the cent
+  const check = (label, expected, actual, atLeast = false) => ({
+    label, expected, actual,
+    ok: atLeast ? actual >= expected - 0.005 : Math.abs(actual - expected) < 0.005,
+  });
+  const reconciliation = [
+    check('1120-S line 7 — compensation of officers', officerWages, scorp.officerComp),
+    check('1120-S line 8 — salaries and wages', staffWages, scorp.wages),
+    check('1120-S line 12 — includes employer payroll taxes', employerTaxes, scorp.taxes, true),
+    check('W-3 box 1 vs. Forms 941 line 2', sum941('line2'), w3.box1),
+    check('W-3 box 2 vs. Forms 941 line 3', sum941('line3'), w3.box2),
+    check('W-3 box 3 vs. Forms 941 line 5a wages', sum941('line5aWages'), w3.box3),
+    check('W-3 box 5 vs. Forms 941 line 5c wages', sum941('line5cWages'), w3.box5),
+  ];
+
+  return {
+    estimated, sutaRate, w2s, f941, f940, w3,
+    employerFica, futa: f940.line8, suta, employerTaxes, officerWages, staffWages,
+    reconciliation, mismatches: reconciliation.filter((r) => !r.ok),
+  };
+}
+
+// ============================================================
+//  SCHEDULE B — INTEREST AND ORDINARY DIVIDENDS
+// ============================================================
+// Part I lists each payer's taxable interest (1099-INT boxes 1 and 3),
+// Part II each payer's ordinary dividends (1099-DIV box 1a). The other
+// boxes are totalled for the lines they feed elsewhere on the return.
+
+const INT_1099_BOXES = ['box1', 'box3', 'box4', 'box6', 'box8', 'box9'];
+const DIV_1099_BOXES = ['box1a', 'box1b', 'box2a', 'box2b', 'box2d', 'box3', 'box4', 'box5', 'box7', 'box12', 'box13'];
+
+function normalize1099(form, boxes) {
+  return {
+    payer: String(form.payer || '').trim(),
+    ...Object.fromEntries(boxes.map((k) => [k, Number(form[k]) || 0])),
+  };
+}
+
+function calcScheduleB(interestPayers, dividendPayers) {
+  const interest  = interestPayers.map((f) => normalize1099(f, INT_1099_BOXES));
+  const dividends = dividendPayers.map((f) => normalize1099(f, DIV_1099_BOXES));
+  const sum = (list, k) => list.reduce((total, f) => total + f[k], 0);
+  const line1 = interest.map((f) => ({ payer: f.payer, amount: f.box1 + f.box3 })).filter((r) => r.amount !== 0);
+  const line2 = line1.reduce((total, r) => total + r.amount, 0);
+  const line3 = 0;              // Form 8815 savings bond exclusion — not supported
+  const line4 = line2 - line3;  // → Form 1040, line 2b
+  const line5 = dividends.map((f) => ({ payer: f.payer, amount: f.box1a })).filter((r) => r.amount !== 0);
+  const line6 = line5.reduce((total, r) => total + r.amount, 0);  // → Form 1040, line 3b
+  return {
+    interest, dividends, line1, line2, line3, line4, line5, line6,
+    taxableInterest:   sum(interest, 'box1'),
+    usGovtInterest:    sum(interest, 'box3'),
+    taxExemptInterest: sum(interest, 'box8') + sum(dividends, 'box12'),  // Form 1040, line 2a
+    qualifiedDividends: sum(dividends, 'box1b'),                         // Form 1040, line 3a
+    capitalGainDistributions: sum(dividends, 'box2a'),                   // Schedule D, line 13
+    unrecaptured1250: sum(dividends, 'box2b'),
+    collectibles:     sum(dividends, 'box2d'),
+    nondividendDistributions: sum(dividends, 'box3'),                    // not taxed; reduces basis
+    section199ADividends: sum(dividends, 'box5'),                        // Form 8995, line 6
+    foreignTax:       sum(interest, 'box6') + sum(dividends, 'box7'),    // Schedule 3, line 1
+    privateActivityBondInterest: sum(interest, 'box9') + sum(dividends, 'box13'),  // Form 6251, line 2g
+    withheld:         sum(interest, 'box4') + sum(dividends, 'box4'),    // Form 1040, line 25b
+  };
+}
+
+// ============================================================
+//  FORM 8949 / SCHEDULE D — CAPITAL GAINS AND LOSSES
+// ============================================================
+// Each sale lands in one Form 8949 box: A–C short-term, D–F long-term, by
+// whether a 1099-B reported it and its basis to the IRS. Box A and D sales
+// with no adjustments can skip Form 8949 and go on Schedule D lines 1a / 8a
+// as totals.
+
+const F8949_BOXES = {
+  A: { term: 'short', reported: 'basis',   line: '1b', label: 'Short-term, basis reported to the IRS' },
+  B: { term: 'short', reported: 'nobasis', line: '2',  label: 'Short-term, basis not reported to the IRS' },
+  C: { term: 'short', reported: 'none',    line: '3',  label: 'Short-term, not reported on a 1099-B' },
+  D: { term: 'long',  reported: 'basis',   line: '8b', label: 'Long-term, basis reported to the IRS' },
+  E: { term: 'long',  reported: 'nobasis', line: '9',  label: 'Long-term, basis not reported to the IRS' },
+  F: { term: 'long',  reported: 'none',    line: '10', label: 'Long-term, not reported on a 1099-B' },
+};
+
+// Held more than one year: sold after the anniversary of the purchase
+function holdingTerm(acquired, sold) {
+  const a = /^(\d{4})-(\d{2})-(\d{2})$/.exec(acquired || '');
+  const b = /^(\d{4})-(\d{2})-(\d{2})$/.exec(sold || '');
+  if (!a || !b) return null;
+  return Date.UTC(+b[1], +b[2] - 1, +b[3]) > Date.UTC(+a[1] + 1, +a[2] - 1, +a[3]) ? 'long' : 'short';
+}
+
+function calcForm8949(transactions) {
+  const totals = () => ({ count: 0, proceeds: 0, basis: 0, adjustment: 0, gain: 0 });
+  const add = (t, r) => {
+    t.count += 1; t.proceeds += r.proceeds; t.basis += r.basis;
+    t.adjustment += r.adjustment; t.gain += r.gain;
+  };
+  const boxes = Object.fromEntries(Object.keys(F8949_BOXES).map((k) => [k, { ...totals(), rows: [] }]));
+  const line1a = totals();
+  const line8a = totals();
+
+  const rows = (transactions || []).map((tx, i) => {
+    const proceeds   = Number(tx.proceeds) || 0;
+    const basis      = Number(tx.basis) || 0;
+    const code       = String(tx.code || '').toUpperCase().replace(/[^A-Z]/g, '');
+    const adjustment = Number(tx.adjustment) || 0;
+    const term = tx.term === 'short' || tx.term === 'long' ? tx.term : holdingTerm(tx.acquired, tx.sold);
+    const reported = ['basis', 'nobasis', 'none'].includes(tx.reported) ? tx.reported : 'basis';
+    const gain = proceeds - basis + adjustment;   // column (h)
+    const issues = [];
+    if (!term) issues.push('Enter both dates or choose the holding period');
+    if (adjustment !== 0 && !code) issues.push('An adjustment needs a code in column (f)');
+    // A wash sale only disallows a loss — it can't turn the sale into a gain
+    if (code.includes('W') && (adjustment <= 0 || proceeds - basis + adjustment > 0.005)) {
+      issues.push('A wash sale (W) adjustment is the disallowed loss: positive, and no more than the loss');
+    }
+    const box = Object.keys(F8949_BOXES).find((k) =>
+      F8949_BOXES[k].term === (term || 'short') && F8949_BOXES[k].reported === reported);
+    const row = { index: i, description: tx.description || '', acquired: tx.acquired || '', sold: tx.sold || '',
+      term: term || 'short', reported, box, proceeds, basis, code, adjustment, gain, issues,
+      collectible: !!tx.collectible };
+    // Box A / D with nothing to adjust goes straight to Schedule D
+    const direct = (box === 'A' || box === 'D') && !code && adjustment === 0;
+    row.direct = direct;
+    if (direct) add(box === 'A' ? line1a : line8a, row);
+    else { add(boxes[box], row); boxes[box].rows.push(row); }
+    return row;
+  });
+  // 28% Rate Gain Worksheet, line 1 — long-term collectibles only
+  const collectiblesGain = rows.reduce((sum, r) => sum + (r.collectible && r.term === 'long' ? r.gain : 0), 0);
+  return { rows, boxes, line1a, line8a, collectiblesGain, issues: rows.filter((r) => r.issues.length > 0) };
+}
+
+// Schedule D, lines 1a–20. `other` items are gains (losses) that arrive
+// already netted: K-1 boxes 7 / 8a, section 1231 gain, gain from S-corp
+// distributions or loan repayments beyond basis (box F on Form 8949) and
+// 1099-DIV capital gain distributions, plus last year's loss carryovers as
+// positive amounts, other 28% rate gain and unrecaptured section 1250 gain.
+function calcScheduleD(f8949, other) {
+  const { shortTerm = 0, longTerm = 0, k1ShortTerm = 0, k1LongTerm = 0,
+    form4797 = 0, basisGain = 0, distributions = 0, shortTermCarryover = 0, longTermCarryover = 0,
+    collectibles = 0, unrecaptured1250 = 0 } = other;
+  const b = f8949.boxes;
+  const line1a = f8949.line1a.gain + shortTerm;   // net amounts entered without transactions
+  const line5  = k1ShortTerm;
+  const line6  = Math.max(0, shortTermCarryover);
+  const line7  = line1a + b.A.gain + b.B.gain + b.C.gain + line5 - line6;
+  const line8a = f8949.line8a.gain + longTerm;
+  const line10 = b.F.gain + basisGain;
+  const line11 = form4797;
+  const line12 = k1LongTerm;
+  const line13 = distributions;                    // 1099-DIV box 2a
+  const line14 = Math.max(0, longTermCarryover);
+  const line15 = line8a + b.D.gain + b.E.gain + line10 + line11 + line12 + line13 - line14;
+  const line16 = line7 + line15;
+  // Lines 18–19 only count when lines 15 and 16 are both gains
+  const line17 = line15 > 0 && line16 > 0;
+  // 28% Rate Gain Worksheet: collectibles less carryover and short-term losses
+  const rateGain28 = f8949.collectiblesGain + collectibles - line14 + Math.min(0, line7);
+  const line18 = line17 ? Math.max(0, rateGain28) : 0;
+  const line19 = line17 ? Math.max(0, unrecaptured1250) : 0;
+  // No 28% or 25% gain → the QDCGT Worksheet; otherwise the Schedule D Tax Worksheet
+  const line20 = line18 === 0 && line19 === 0;
+  return {
+    line1a, line1b: b.A.gain, line2: b.B.gain, line3: b.C.gain, line5, line6, line7,
+    line8a, line8b: b.D.gain, line9: b.E.gain, line10, line11, line12, line13, line14, line15, line16,
+    line17, rateGain28, line18, line19, line20,
+  };
+}
+
+// Capital Loss Carryover Worksheet — the part of a net capital loss not
+// used this year, split short-term / long-term for next year's Schedule D
+// lines 6 and 14. `taxableIncome` is Form 1040 line 15 before the floor at
+// zero (line 11 minus line 14), so a loss that only shrank an already
+// negative taxable income still carries over. Line 21 is the loss allowed
+// on Form 1040 line 7 this year.
+function calcCapitalLossCarryover(schD, taxableIncome, limit) {
+  const line21 = schD.line16 < 0 ? Math.max(schD.line16, -limit) : 0;
+  const line1  = taxableIncome;
+  const line2  = -line21;
+  const line3  = Math.max(0, line1 + line2);
+  const line4  = Math.min(line2, line3);
+  // Lines 5–8 only when Schedule D line 7 is a loss
+  const line5  = Math.max(0, -schD.line7);
+  const line6  = Math.max(0, schD.line15);
+  const line7  = line4 + line6;
+  const line8  = schD.line7 < 0 ? Math.max(0, line5 - line7) : 0;
+  // Lines 9–13 only when Schedule D line 15 is a loss
+  const line9  = Math.max(0, -schD.line15);
+  const line10 = Math.max(0, schD.line7);
+  const line11 = Math.max(0, line4 - line5);
+  const line12 = line10 + line11;
+  const line13 = schD.line15 < 0 ? Math.max(0, line9 - line12) : 0;
+  return {
+    line21, line1, line2, line3, line4, line5, line6, line7, line8,
+    line9, line10, line11, line12, line13,
+    shortTerm: line8, longTerm: line13,
+  };
+}
+
+// ============================================================
+//  1099-B CSV IMPORT
+// ============================================================
+// Broker exports differ in column names and order, so each header is
+// matched to a Form 8949 field by pattern, most specific first. Rows
+// without a sale date or proceeds (totals, notes) are skipped.
+
+const CSV_COLUMNS = [
+  ['adjustment',  /wash/],
+  ['reported',    /covered|reported to irs|basis reported/],
+  ['term',        /term|holding/],
+  ['acquired',    /acquired|acquisition|open(ed)? date|purchase date|date opened/],
+  ['sold',        /date sold|sold|sale date|close(d)? date|disposed/],
+  ['proceeds',    /proceeds/],
+  ['basis',       /cost|basis/],
+  ['code',        /code/],
+  ['description', /description|security|symbol|name/],
+];
+
+function splitCSVLine(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { out.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out.map((c) => c.trim());
+}
+
+// "$1,234.56" → 1234.56, "(50.00)" → -50; blank or text → null
+function parseMoney(text) {
+  const t = String(text || '').replace(/[$,\s]/g, '');
+  const m = /^(\()?(-)?(\d+(?:\.\d+)?)\)?$/.exec(t);
+  if (!m) return null;
+  return (m[1] || m[2] ? -1 : 1) * parseFloat(m[3]);
+}
+
+// MM/DD/YYYY, MM/DD/YY or YYYY-MM-DD → YYYY-MM-DD; anything else → ''
+function parseDate(text) {
+  const t = String(text || '').trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(t);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(t);
+  if (!m) return '';
+  const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+  return `${year}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+}
+
+function parseBrokerCSV(text) {
+  const lines = String(text || '').split(/\r?\n/).filter((l) => l.trim() !== '');
+  const norm = (h) => h.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  // The header is the first line naming both proceeds and cost / basis
+  const headerAt = lines.findIndex((l) => {
+    const cells = splitCSVLine(l).map(norm);
+    return cells.some((c) => /proceeds/.test(c)) && cells.some((c) => /cost|basis/.test(c));
+  });
+  if (headerAt < 0) return { transactions: [], skipped: lines.length, columns: {} };
+  const columns = {};
+  splitCSVLine(lines[headerAt]).map(norm).forEach((h, i) => {
+    const match = CSV_COLUMNS.find(([field, re]) => !(field in columns) && re.test(h));
+    if (match) columns[match[0]] = i;
+  });
+
+  const transactions = [];
+  let skipped = 0;
+  lines.slice(headerAt + 1).forEach((line) => {
+    const cells = splitCSVLine(line);
+    const cell = (field) => (field in columns ? cells[columns[field]] || '' : '');
+    const sold = parseDate(cell('sold'));
+    const proceeds = parseMoney(cell('proceeds'));
+    if (!sold || proceeds === null) { skipped += 1; return; }
+    const termText = cell('term').toLowerCase();
+    const reportedText = cell('reported').toLowerCase();
+    const wash = Math.abs(parseMoney(cell('adjustment')) || 0);
+    transactions.push({
+      description: cell('description'),
+      acquired: parseDate(cell('acquired')),
+      sold,
+      term: /short/.test(termText) ? 'short' : /long/.test(termText) ? 'long' : '',
+      reported: !reportedText ? 'basis'
+        : /non|^no?$|false|not/.test(reportedText) ? 'nobasis' : 'basis',
+      proceeds,
+      basis: parseMoney(cell('basis')) || 0,
+      code: wash > 0 ? 'W' : cell('code').toUpperCase(),
+      adjustment: wash,
+    });
+  });
+  return { transactions, skipped, columns };
+}
+
+// ============================================================
+//  SCHEDULE C — PROFIT OR LOSS FROM BUSINESS
+// ============================================================
+function calcScheduleC(s) {
+  const e = s.expenses;
+  // Part I — Income
+  const line1 = s.grossReceipts;
+  const line2 = s.returns;
+  const line3 = line1 - line2;
+  const line4 = s.cogs;
+  const line5 = line3 - line4;           // Gross profit
+  const line6 = s.otherIncome;
+  const line7 = line5 + line6;           // Gross income
+
+  // Part II — Expenses
+  const v = s.vehicle;
+  const line9 = v.method === 'actual'
+    ? v.actualExpenses
+    : v.businessMiles * C.SCH_C_MILEAGE_RATE + v.parkingTolls;
+  const line24b = e.meals * C.SCH_C_MEALS_RATE;
+  const lines = {
+    line8: e.advertising, line9, line10: e.commissions, line11: e.contractLabor,
+    line13: e.depreciation, line14: e.employeeBenefits, line15: e.insurance,
+    line16a: e.mortgageInterest, line16b: e.otherInterest, line17: e.legal,
+    line18: e.office, line19: e.pension, line20a: e.vehicleRent, line20b: e.otherRent,
+    line21: e.repairs, line22: e.supplies, line23: e.taxes, line24a: e.travel,
+    line24b, line25: e.utilities, line26: e.wages, line27a: e.other,
+  };
+  const line28 = Object.values(lines).reduce((sum, x) => sum + x, 0);
+  const line29 = line7 - line28;         // Tentative profit (loss)
+
+  // Line 30 — business use of home, never more than the tentative profit
+  const h = s.homeOffice;
+  const homeOfficeClaim = h.method === 'regular'
+    ? h.form8829
+    : Math.min(h.squareFeet, C.HOME_OFFICE_MAX_SQFT) * C.HOME_OFFICE_RATE;
+  const line30 = Math.min(Math.max(0, homeOfficeClaim), Math.max(0, line29));
+  const line31 = line29 - line30;        // Net profit (loss) → Schedule 1, line 3 and Schedule SE, line 2
+
+  return {
+    line1, line2, line3, line4, line5, line6, line7,
+    ...lines, line28, line29, homeOfficeClaim, line30, line31,
+  };
+}
+
+// ============================================================
+//  SCHEDULE SE — SELF-EMPLOYMENT TAX
+// ============================================================
+// `ssWages` is the owner's social security wages (W-2 box 3): they use up
+// the wage base before self-employment earnings do (lines 8a–9).
+function calcScheduleSE(netProfit, ssWages = 0) {
+  const line2  = netProfit;
+  const line3  = line2;
+  const line4a = line3 > 0 ? line3 * C.SE_EARNINGS_RATE : line3;
+  const line4c = line4a >= C.SE_MINIMUM ? line4a : 0;
+  const line6  = line4c;
+  const line7  = C.SS_WAGE_BASE;
+  const line8a = Math.max(0, ssWages);
+  const line8d = line8a;
+  const line9  = Math.max(0, line7 - line8d);
+  const line10 = Math.min(line6, line9) * C.SE_SS_RATE;
+  const line11 = line6 * C.SE_MEDICARE_RATE;
+  const line12 = line10 + line11;        // → Schedule 2, line 4
+  const line13 = line12 * 0.5;           // → Schedule 1, line 15
+  return { line2, line3, line4a, line4c, line6, line7, line8a, line8d, line9, line10, line11, line12, line13 };
+}
+
+// ============================================================
+//  FORM 8959 — ADDITIONAL MEDICARE TAX
+// ============================================================
+// 0.9% on Medicare wages (W-2 box 5) over the filing-status threshold,
+// then on SE earnings over whatever threshold the wages left. Employers
+// withhold it on wages above $200,000 whatever the filing status; Part V
+// finds that withholding in box 6 — everything above 1.45% of box 5 — and
+// it is a payment on Form 1040, line 25c. Railroad (RRTA) compensation,
+// Part III, is not supported.
+
+// Medicare wages and tips (box 5); a blank box 5 is taken as box 1
+const medicareWagesOf = (w) => (w.box5 > 0 ? w.box5 : w.box1);
+
+function calcForm8959({ medicareWages, seEarnings, medicareWithheld, status }) {
+  const threshold = C.ADDL_MEDICARE_THRESHOLD[status];
+  // Part I — Medicare wages (lines 2 and 3, Forms 4137 and 8919, are not collected)
+  const line1 = Math.max(0, medicareWages);
+  const line4 = line1;
+  const line5 = threshold;
+  const line6 = Math.max(0, line4 - line5);
+  const line7 = line6 * C.ADDL_MEDICARE_RATE;
+  // Part II — Self-employment income (Schedule SE, line 6)
+  const line8  = Math.max(0, seEarnings);
+  const line9  = threshold;
+  const line10 = line4;
+  const line11 = Math.max(0, line9 - line10);
+  const line12 = Math.max(0, line8 - line11);
+  const line13 = line12 * C.ADDL_MEDICARE_RATE;
+  // Part IV — Total → Schedule 2, line 11
+  const line18 = line7 + line13;
+  // Part V — Withholding reconciliation → Form 1040, line 25c
+  const line19 = Math.max(0, medicareWithheld);
+  const line20 = line1;
+  const line21 = line20 * C.MEDICARE_EMPLOYEE_RATE;
+  const line22 = Math.max(0, line19 - line21);
+  const line24 = line22;
+  return {
+    line1, line4, line5, line6, line7, line8, line9, line10, line11, line12, line13,
+    line18, line19, line20, line21, line22, line24,
+  };
+}
+
+// ============================================================
+//  FORM 8995 / 8995-A — QUALIFIED BUSINESS INCOME DEDUCTION
+// ============================================================
+// `businesses`: [{ name, qbi, w2Wages, ubia, sstb }]. `taxableIncome` is
+// taxable income before the QBI deduction; `carryforward` is last year's
+// qualified business loss (positive); `reitDividends` is 1099-DIV box 5.
+// Below the threshold this is Form 8995; above it, Form 8995-A with
+// Schedule A (SSTB) and Schedule C (loss netting).
+function calcQBI(businesses, taxableIncome, netCapitalGain, status = 'single', carryforward = 0, reitDividends = 0) {
+  const threshold = C.QBI_THRESHOLD[status];
+  const range     = C.QBI_PHASE_IN_RANGE[status];
+  const useFormA  = taxableIncome > threshold;
+  // Part III line 24 — how far into the phase-in range taxable income is
+  const phaseIn   = useFormA ? Math.min(1, (taxableIncome - threshold) / range) : 0;
+
+  // Schedule A — an SSTB keeps only the applicable percentage of its QBI,
+  // wages and UBIA, and nothing once past the range
+  const applicable = 1 - phaseIn;
+  const rows = businesses.map((b) => {
+    const pct = b.sstb ? applicable : 1;
+    return { ...b, pct, qbi: b.qbi * pct, w2Wages: b.w2Wages * pct, ubia: b.ubia * pct };
+  });
+
+  // Schedule C — losses (this year's and the carryforward) are spread over
+  // the businesses with positive QBI in proportion to their income
+  const positive = rows.reduce((sum, r) => sum + Math.max(0, r.qbi), 0);
+  const losses   = rows.reduce((sum, r) => sum + Math.min(0, r.qbi), 0) - Math.max(0, carryforward);
+  const totalQBI = positive + losses;  // 8995 lines 2 + 3
+  rows.forEach((r) => {
+    r.adjustedQBI = r.qbi > 0 && totalQBI > 0 ? r.qbi + losses * (r.qbi / positive) : 0;
+  });
+
+  // Part II — per-business component
+  rows.forEach((r) => {
+    r.line3  = r.adjustedQBI * C.QBI_RATE;
+    r.line5  = r.w2Wages * C.QBI_WAGE_RATE;
+    r.line6  = r.w2Wages * C.QBI_ALT_WAGE_RATE;
+    r.line8  = r.ubia * C.QBI_UBIA_RATE;
+    r.line9  = r.line6 + r.line8;
+    r.line10 = Math.max(r.line5, r.line9);
+    r.line11 = Math.min(r.line3, r.line10);
+    // Part III — in the phase-in range the excess over the limit is cut back gradually
+    r.line12 = phaseIn < 1 && r.line3 > r.line10 ? r.line3 - phaseIn * (r.line3 - r.line10) : 0;
+    r.component = useFormA ? Math.max(r.line11, r.line12) : r.line3;  // 8995-A line 13 / 8995 line 5 share
+  });
+
+  const qbiComponent = rows.reduce((sum, r) => sum + r.component, 0);   // 8995 line 5 / 8995-A line 27
+  // Qualified REIT dividends carry no wage or UBIA limit (8995 lines 6–9,
+  // 8995-A lines 28–31)
+  const reit          = Math.max(0, reitDividends);
+  const reitComponent = reit * C.QBI_RATE;
+  const component   = qbiComponent + reitComponent;                     // 8995 line 10 / 8995-A line 32
+  const incomeLimit = Math.max(0, taxableIncome - netCapitalGain) * C.QBI_RATE;  // 8995 line 14
+  const deduction   = Math.min(component, incomeLimit);                 // 8995 line 15
+  return {
+    form: useFormA ? '8995-A' : '8995', businesses: rows, threshold, range, phaseIn,
+    totalQBI, carryforwardUsed: Math.max(0, carryforward),
+    qbiComponent, reitDividends: reit, reitComponent, component, taxableIncome, netCapitalGain, incomeLimit, deduction,
+    newCarryforward: Math.max(0, -totalQBI),  // 8995 line 16, as a positive amount
+  };
+}
+
+// ============================================================
+//  FORMS W-2 — WAGE AND TAX STATEMENTS
+// ============================================================
+// One entry per W-2 received, by either spouse. Box 12 is keyed by code;
+// the per-person totals have the shape of the single `w2` input, so the
+// rest of the return reads either.
+
+const W2_AMOUNT_BOXES = ['box1', 'box2', 'box3', 'box4', 'box5', 'box6', 'box7', 'box8',
+  'box10', 'box11', 'box16', 'box17', 'box18', 'box19'];
+
+function normalizeW2(w) {
+  const num = (v) => Number(v) || 0;
+  const box12 = {};
+  Object.entries(w.box12 || {}).forEach(([code, amount]) => {
+    const key = String(code).trim().toUpperCase();
+    if (key) box12[key] = (box12[key] || 0) + num(amount);
+  });
+  return {
+    owner: w.owner === 'spouse' ? 'spouse' : 'taxpayer',
+    employer: String(w.employer || '').trim(),
+    ein: String(w.ein || '').replace(/[^0-9]/g, ''),
+    scorp: !!w.scorp,  // from your own S corporation (reasonable compensation)
+    ...Object.fromEntries(W2_AMOUNT_BOXES.map((k) => [k, num(w[k])])),
+    box12,
+    statutory: !!w.statutory, retirementPlan: !!w.retirementPlan, sickPay: !!w.sickPay,  // Box 13
+    box14Label: String(w.box14Label || '').trim(), box14: num(w.box14),
+    box15: String(w.box15 || '').trim().toUpperCase(),
+    box20: String(w.box20 || '').trim(),
+  };
+}
+
+// The W-2s as entered: the list, else the single `w2` and `spouseW2`
+// inputs, leaving out one that is blank
+function w2List(inp) {
+  return inp.w2s.length
+    ? inp.w2s
+    : [inp.w2, { ...inp.spouseW2, owner: 'spouse' }].filter((w) => W2_AMOUNT_BOXES.some((k) => Number(w[k]) > 0));
+}
+
+function sumW2s(forms) {
+  const total = Object.fromEntries(W2_AMOUNT_BOXES.map((k) => [k, 0]));
+  total.box12 = { D: 0, E: 0, G: 0, AA: 0, W: 0 };
+  forms.forEach((w) => {
+    W2_AMOUNT_BOXES.forEach((k) => { total[k] += w[k]; });
+    Object.entries(w.box12).forEach(([code, amount]) => { total.box12[code] = (total.box12[code] || 0) + amount; });
+  });
+  return total;
+}
+
+// Schedule 3, line 11. Each employer withholds on its own wage base, so
+// only someone with two or more employers can have too much social
+// security withheld. One employer withholding more than the maximum must
+// refund it — that part is not a credit on the return.
+function calcExcessSocialSecurity(forms) {
+  const maxTax = C.SS_WAGE_BASE * C.SS_EMPLOYEE_RATE;
+  const byEmployer = new Map();
+  forms.forEach((w, i) => {
+    const key = w.ein || w.employer.toLowerCase() || `#${i}`;
+    byEmployer.set(key, (byEmployer.get(key) || 0) + w.box4);
+  });
+  const withheld = Array.from(byEmployer.values());
+  const allowed = withheld.reduce((sum, x) => sum + Math.min(x, maxTax), 0);
+  return {
+    employers: withheld.length,
+    withheld: withheld.reduce((sum, x) => sum + x, 0),
+    maxTax,
+    employerOverwithheld: withheld.reduce((sum, x) => sum + Math.max(0, x - maxTax), 0),
+    excess: withheld.length > 1 ? Math.max(0, allowed - maxTax) : 0,
+  };
+}
+
+// Social security wages and tips (boxes 3 and 7); a blank box 3 is read
+// back from box 4, which is exactly 6.2% of it, or else box 1
+const ssWagesOf = (w) => {
+  if (w.box3 > 0) return w.box3 + (w.box7 || 0);
+  return w.box4 > 0 ? w.box4 / C.SS_EMPLOYEE_RATE : w.box1;
+};
+
+// ============================================================
+//  FORM 8962 — PREMIUM TAX CREDIT CALCULATION
+// ============================================================
+// 2025 HHS Federal Poverty Guidelines (48 contiguous states + DC)
+const FPL_2025 = [0, 15650, 21150, 26650, 32150, 37650, 43150, 48650, 54150];
+const FPL_2025_EXTRA = 5500; // per additional person beyond 8
+
+// IRS Table 2 applicable contribution percentage ranges (2025) — the
+// enhanced schedule of IRC §36B(b)(3)(A)(iii), extended through 2025 by the
+// Inflation Reduction Act: 0% up to 150% FPL, 8.5% at 400% and above
+// Each entry: [lowerFPLpct, upperFPLpct, initialContribPct, finalContribPct]
+const PTC_TABLE2 = [
+  [100, 150, 0,    0],
+  [150, 200, 0,    0.02],
+  [200, 250, 0.02, 0.04],
+  [250, 300, 0.04, 0.06],
+  [300, 400, 0.06, 0.085],
+];
+
+// Poverty line for a family size (Form 8962 line 4)
+function fplFor(familySize) {
+  const size = Math.max(1, Math.round(familySize || 1));
+  return size <= 8 ? FPL_2025[size] : FPL_2025[8] + (size - 8) * FPL_2025_EXTRA;
+}
+
+// Applicable figure (line 7) via Table 2 linear interpolation
+function applicableFigure(fplPct) {
+  if (fplPct < 100) return 0;
+  if (fplPct >= 400) return 0.085; // no cliff above 400% through 2025
+  for (const [lo, hi, init, final] of PTC_TABLE2) {
+    if (fplPct >= lo && fplPct < hi) return init + ((fplPct - lo) / (hi - lo)) * (final - init);
+  }
+  return 0;
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Month number 1–12, or 0 when blank / out of range
+const monthNum = (v) => { const n = Math.round(Number(v) || 0); return n >= 1 && n <= 12 ? n : 0; };
+const inMonths = (m, start, stop) => start > 0 && m >= start && m <= (stop || 12);
+
+// Form 1095-A Part III (lines 21–32): columns A (enrollment premium),
+// B (SLCSP premium) and C (advance payment), plus a flag for months the
+// taxpayer couldn't take the credit (e.g. offered affordable employer
+// coverage). Without a monthly table the annual totals (line 33) are spread
+// evenly, which is what the annual method assumes anyway.
+function normalize1095AMonths(coverage) {
+  const rows = Array.isArray(coverage.months) ? coverage.months : [];
+  const entered = rows.some(r => r && ((r.enrollPrem || 0) || (r.slcsp || 0) || (r.aptc || 0)));
+  return MONTH_NAMES.map((name, i) => {
+    const r = entered ? (rows[i] || {}) : {
+      enrollPrem: (coverage.enrollPrem || 0) / 12,
+      slcsp:      (coverage.slcsp || 0) / 12,
+      aptc:       (coverage.aptc || 0) / 12,
+    };
+    return {
+      month: i + 1, name,
+      enrollPrem: Math.max(0, r.enrollPrem || 0),
+      slcsp:      Math.max(0, r.slcsp || 0),
+      aptc:       Math.max(0, r.aptc || 0),
+      ineligible: !!r.ineligible,
+    };
+  });
+}
+
+// Part IV (lines 30–33): a policy shared with another tax family. Each
+// allocation applies the given percentages to columns A, B and C for the
+// months from `start` through `stop`.
+function normalizePolicyAllocation(a) {
+  const pct = (v) => clamp(Number(v) || 0, 0, 100);
+  const start = monthNum(a.start);
+  return {
+    policy:     String(a.policy || '').trim(),
+    otherTin:   String(a.otherTin || '').replace(/\D/g, ''),
+    start,
+    stop:       Math.max(start, monthNum(a.stop) || 12),
+    premiumPct: pct(a.premiumPct),
+    slcspPct:   pct(a.slcspPct),
+    aptcPct:    pct(a.aptcPct),
+  };
+}
+
+// Part V (lines 34–35): alternative calculation for year of marriage. Each
+// spouse's pre-marriage contribution uses half of household income and that
+// spouse's own family size; the result only applies to months before the
+// month of marriage in which that spouse's family was enrolled.
+function calcMarriageAlternative(magi, m) {
+  const altIncome = magi / 2;
+  const side = (familySize, start, stop) => {
+    const fpl = fplFor(familySize);
+    const fplPct = fpl > 0 ? (altIncome / fpl) * 100 : 0;
+    const applicablePct = applicableFigure(fplPct);
+    return {
+      familySize: Math.max(1, Math.round(familySize || 1)), fpl, fplPct, applicablePct,
+      monthlyContrib: altIncome * applicablePct / 12,   // Lines 34b / 35b
+      start: monthNum(start), stop: monthNum(stop) || (monthNum(start) ? 12 : 0),
+    };
+  };
+  return {
+    month: monthNum(m.month) || 1,
+    altIncome,
+    taxpayer: side(m.taxpayerFamilySize, m.taxpayerStart, m.taxpayerStop),
+    spouse:   side(m.spouseFamilySize, m.spouseStart, m.spouseStop),
+  };
+}
+
+// Lines 12–23, one row per month. `alt` (Part V) replaces column (c) for
+// months before the month of marriage.
+function ptcMonthlyRows(months, monthlyContrib, eligible, alt) {
+  return months.map(r => {
+    const covered = r.enrollPrem > 0 || r.aptc > 0;
+    let contrib = monthlyContrib;
+    if (alt && r.month < alt.month) {
+      contrib = (inMonths(r.month, alt.taxpayer.start, alt.taxpayer.stop) ? alt.taxpayer.monthlyContrib : 0)
+              + (inMonths(r.month, alt.spouse.start, alt.spouse.stop) ? alt.spouse.monthlyContrib : 0);
+    }
+    const c = covered ? contrib : 0;
+    const d = covered ? Math.max(0, r.slcsp - c) : 0;
+    const e = covered && eligible && !r.ineligible ? Math.min(r.enrollPrem, d) : 0;
+    return { month: r.month, name: r.name, covered, ineligible: r.ineligible,
+      a: r.enrollPrem, b: r.slcsp, c, d, e, f: r.aptc };
+  });
+}
+
+// `coverage` carries the Form 1095-A figures: annual totals (enrollPrem,
+// slcsp, aptc) or a 12-entry `months` table, plus optional Part IV
+// `allocations` and a Part V `marriage` record. The annual method (line 11)
+// is used when every month has the same eligible coverage and premiums;
+// otherwise lines 12–23 are computed month by month.
+// `eligible` is false for married-filing-separately filers who do not meet
+// the domestic abuse / spousal abandonment exception: their PTC is $0 and
+// every dollar of advance credit must be repaid.
+function calcForm8962(magi, familySize, coverage = {}, eligible = true) {
+  const size   = Math.max(1, Math.round(familySize || 1));
+  const fpl    = fplFor(size);
+  const fplPct = fpl > 0 ? (magi / fpl) * 100 : 0;  // Line 5
+  const applicablePct  = applicableFigure(fplPct);   // Line 7
+  const annualContrib  = magi * applicablePct;       // Line 8a
+  const monthlyContrib = annualContrib / 12;         // Line 8b
+
+  // Part IV: apply the shared-policy percentages before anything else
+  const allocations = (coverage.allocations || []).map(normalizePolicyAllocation).filter(a => a.start > 0);
+  const months = normalize1095AMonths(coverage).map(r => {
+    const a = allocations.find(x => inMonths(r.month, x.start, x.stop));
+    if (!a) return r;
+    return { ...r,
+      enrollPrem: r.enrollPrem * a.premiumPct / 100,
+      slcsp:      r.slcsp * a.slcspPct / 100,
+      aptc:       r.aptc * a.aptcPct / 100 };
+  });
+  const total = (k) => months.reduce((s, r) => s + r[k], 0);
+  const enrollPrem = total('enrollPrem');   // Line 11a
+  const slcspPrem  = total('slcsp');        // Line 11b
+  const aptcPaid   = total('aptc');         // Line 11f = Line 25
+
+  // Line 9 / 10: the annual method only fits a full year of identical,
+  // eligible coverage with nothing to allocate
+  const same = (x, y) => Math.abs(x - y) < 0.005;
+  const marriage = coverage.marriage ? calcMarriageAlternative(magi, coverage.marriage) : null;
+  const method = !allocations.length && !marriage
+    && months.every(r => r.enrollPrem > 0 && !r.ineligible
+      && same(r.enrollPrem, months[0].enrollPrem) && same(r.slcsp, months[0].slcsp))
+    ? 'annual' : 'monthly';
+
+  let maxPTC, annualPTC, rows = null;
+  if (method === 'annual') {
+    maxPTC    = Math.max(0, slcspPrem - annualContrib);       // Line 11d
+    annualPTC = eligible ? Math.min(enrollPrem, maxPTC) : 0;  // Line 11e = Line 24
+  } else {
+    // Part V is optional: use it only when it produces a larger credit
+    rows = ptcMonthlyRows(months, monthlyContrib, eligible, null);
+    if (marriage) {
+      const altRows = ptcMonthlyRows(months, monthlyContrib, eligible, marriage);
+      const sum = (rs) => rs.reduce((s, r) => s + r.e, 0);
+      marriage.used = sum(altRows) > sum(rows);
+      if (marriage.used) rows = altRows;
+    }
+    maxPTC    = rows.reduce((s, r) => s + r.d, 0);
+    annualPTC = rows.reduce((s, r) => s + r.e, 0);            // Line 24
+  }
+  const netPTC = annualPTC - aptcPaid;                        // Line 26
+
+  return { magi, familySize: size, fpl, fplPct, applicablePct, annualContrib, monthlyContrib,
+    method, enrollPrem, slcspPrem, maxPTC, annualPTC, aptcPaid, netPTC, eligible,
+    months: rows, allocations, marriage };
+}
+
+// ============================================================
+//  FORM 8889 — HEALTH SAVINGS ACCOUNTS
+// ============================================================
+// One form per HSA owner. HDHP coverage is entered as month ranges; a
+// month with both self-only and family coverage counts as family.
+function normalizeHSA(h) {
+  const range = (start, stop) => {
+    const s = monthNum(start);
+    return { start: s, stop: s ? Math.max(s, monthNum(stop) || 12) : 0 };
+  };
+  const money = (v) => Math.max(0, Number(v) || 0);
+  return {
+    owner:         h.owner === 'spouse' ? 'spouse' : 'taxpayer',
+    self:          range(h.selfStart, h.selfStop),
+    family:        range(h.familyStart, h.familyStop),
+    lastMonthRule: !!h.lastMonthRule,
+    age55:         !!h.age55,
+    spouseFamilyShare: clamp(Number(h.spouseFamilyShare) || 0, 0, 100),
+    contributions:       money(h.contributions),        // Line 2
+    fundingDistribution: money(h.fundingDistribution),  // Line 10
+    distributions:       money(h.distributions),        // Line 14a (1099-SA box 1)
+    rolledOver:          money(h.rolledOver),           // Line 14b
+    medicalExpenses:     money(h.medicalExpenses),      // Line 15
+    exception:           !!h.exception,                 // Line 17a
+    testingIncome:       money(h.testingIncome),        // Line 18
+    fundingFailure:      money(h.fundingFailure),       // Line 19
+  };
+}
+
+// HDHP coverage for each month: 'family', 'self' or '' (not eligible)
+function hsaCoverageMonths(h) {
+  return MONTH_NAMES.map((_, i) =>
+    inMonths(i + 1, h.family.start, h.family.stop) ? 'family'
+      : inMonths(i + 1, h.self.start, h.self.stop) ? 'self' : '');
+}
+
+// `employerContributions` is the owner's W-2 box 12 code W (line 9).
+// Under the last-month rule someone eligible on December 1 gets the full
+// year's limit for their December coverage, but must stay eligible
+// through the testing period (December 31 of next year); the extra
+// deduction is income next year (Part III, line 18) if they don't.
+function calcForm8889(input, employerContributions = 0) {
+  const h = normalizeHSA(input);
+  const months  = hsaCoverageMonths(h);
+  const covered = months.filter(Boolean).length;
+  const line1   = months.includes('family') ? 'family' : covered ? 'self' : '';
+  const lastMonthRule = h.lastMonthRule && months[11] !== '';
+  const line2   = h.contributions;
+
+  // Line 3 Limitation Chart — one-twelfth of the limit for each month
+  const monthlyLine3 = months.reduce((s, m) => s + (m ? C.HSA_LIMIT[m] / 12 : 0), 0);
+  const monthlyLine7 = h.age55 ? C.HSA_CATCH_UP * covered / 12 : 0;
+  const line3 = lastMonthRule ? C.HSA_LIMIT[months[11]] : monthlyLine3;
+  const line4 = 0;                                   // Archer MSA contributions
+  const line5 = Math.max(0, line3 - line4);
+  // Spouses who both have family coverage divide the family limit
+  const share = line1 === 'family' ? 1 - h.spouseFamilyShare / 100 : 1;
+  const line6 = line5 * share;
+  const line7 = h.age55 ? (lastMonthRule ? C.HSA_CATCH_UP : monthlyLine7) : 0;
+  const line8 = line6 + line7;
+  const line9  = Math.max(0, employerContributions);
+  const line10 = h.fundingDistribution;
+  const line11 = line9 + line10;
+  const line12 = Math.max(0, line8 - line11);
+  const line13 = Math.min(line2, line12);            // → Schedule 1, line 13
+  // Contributions over the limit stay in the account and draw the 6%
+  // excise tax on Form 5329 unless withdrawn by the return's due date
+  const excessContributions = Math.max(0, line2 + line11 - line8);
+  const excessTax = excessContributions * C.HSA_EXCESS_TAX_RATE;
+
+  // Deduction the last-month rule adds over the monthly chart; included in
+  // income next year if coverage lapses during the testing period
+  const monthlyLine12 = Math.max(0, (monthlyLine3 * share + monthlyLine7) - line11);
+  const testingPeriodAmount = lastMonthRule ? Math.max(0, line13 - Math.min(line2, monthlyLine12)) : 0;
+
+  // Part II — distributions
+  const line14a = h.distributions;
+  const line14b = h.rolledOver;
+  const line14c = Math.max(0, line14a - line14b);
+  const line15  = h.medicalExpenses;
+  const line16  = Math.max(0, line14c - line15);     // → Schedule 1, line 8f
+  const line17b = h.exception ? 0 : line16 * C.HSA_ADDITIONAL_TAX_RATE;  // → Schedule 2, line 17c
+
+  // Part III — failure to stay eligible during an earlier testing period
+  const line18 = h.testingIncome;
+  const line19 = h.fundingFailure;
+  const line20 = line18 + line19;                    // → Schedule 1, line 8f
+  const line21 = line20 * C.HSA_TESTING_TAX_RATE;    // → Schedule 2, line 17d
+
+  return {
+    owner: h.owner, months, coveredMonths: covered, lastMonthRule, age55: h.age55, spouseFamilyShare: h.spouseFamilyShare,
+    line1, line2, line3, line4, line5, line6, line7, line8, line9, line10, line11, line12, line13,
+    excessContributions, excessTax, testingPeriodAmount,
+    line14a, line14b, line14c, line15, line16, exception: h.exception, line17b,
+    line18, line19, line20, line21,
+  };
+}
+
+// ============================================================
+//  IRAs — DEDUCTION, ROTH LIMIT AND FORM 8606
+// ============================================================
+// IRA Deduction Worksheet (Schedule 1, line 20) and Pub. 590-A
+// Worksheet 2-2 (Roth): inside the range the limit shrinks in
+// proportion, rounded up to the next $10, and is never less than $200
+// until the top of the range.
+function iraPhaseOut(limit, magi, range) {
+  if (!range || magi <= range[0]) return limit;
+  if (magi >= range[1]) return 0;
+  const reduced = limit * (range[1] - magi) / (range[1] - range[0]);
+  const rounded = Math.ceil(reduced / C.IRA_PHASE_OUT_ROUNDING) * C.IRA_PHASE_OUT_ROUNDING;
+  return Math.min(limit, Math.max(C.IRA_PHASE_OUT_MINIMUM, rounded));
+}
+
+// Form 8606 Parts I and II. `nondeductible` is line 1; `priorBasis` is
+// line 14 of last year's form. Lines 6–13 only apply with a distribution
+// or conversion; otherwise the whole basis carries forward. Without basis
+// a distribution is fully taxable and needs no Form 8606.
+function calcForm8606(p) {
+  const line1 = Math.max(0, p.nondeductible || 0);
+  const line2 = Math.max(0, p.priorBasis || 0);
+  const line3 = line1 + line2;
+  const line7 = Math.max(0, p.distributions || 0);
+  const line8 = Math.max(0, p.converted || 0);
+  if (line7 + line8 === 0) {
+    return { line1, line2, line3, line4: 0, line5: 0, line6: 0, line7, line8, line9: 0, line10: 0,
+      line11: 0, line12: 0, line13: 0, line14: line3, line15a: 0, line15c: 0,
+      line16: 0, line17: 0, line18: 0, taxable: 0, required: line1 > 0 };
+  }
+  const line4  = Math.min(line1, Math.max(0, p.lateContributions || 0));
+  const line5  = line3 - line4;
+  const line6  = Math.max(0, p.yearEndValue || 0);
+  const line9  = line6 + line7 + line8;
+  // Rounded to three places, and never more than 1.000
+  const line10 = line9 > 0 ? Math.min(1, Math.round(line5 / line9 * 1000) / 1000) : 0;
+  const line11 = line8 * line10;                  // basis in the conversion
+  const line12 = line7 * line10;                  // basis in the distributions
+  const line13 = line11 + line12;
+  const line14 = line3 - line13;                  // basis carried to next year
+  const line15a = line7 - line12;
+  const line15c = line15a;                        // → Form 1040, line 4b
+  const line16 = line8;
+  const line17 = line11;
+  const line18 = line16 - line17;                 // → Form 1040, line 4b
+  return { line1, line2, line3, line4, line5, line6, line7, line8, line9, line10,
+    line11, line12, line13, line14, line15a, line15c, line16, line17, line18,
+    taxable: line15c + line18,
+    // Part I for basis, Part II for any conversion
+    required: line1 > 0 || (line3 > 0 && line7 > 0) || line8 > 0 };
+}
+
+// One entry per IRA owner: { owner, dob, traditional, roth, covered,
+// spouseCovered, priorBasis, lateContributions, yearEndValue,
+// distributions, converted }. `ctx` carries what the rest of the return
+// knows: filing status, each spouse's compensation and W-2 box 13
+// coverage, and income before the IRA (total income without line 4b,
+// less the adjustments other than the IRA and student loan deductions).
+// Taxable distributions enter the deduction MAGI, and the deduction
+// decides how much is basis — so, as in Pub. 590-B Worksheet 1-1, the
+// MAGI is figured treating this year's contributions as basis.
+function calcIRAs(people, ctx) {
+  const { status, incomeBeforeIRA, compensation, w2Covered, senior } = ctx;
+  const isJoint = status === 'mfj';
+  const rows = people.filter((p) => isJoint || p.owner !== 'spouse').map((p) => {
+    const owner = p.owner === 'spouse' ? 'spouse' : 'taxpayer';
+    const age = ageAtYearEnd(p.dob);
+    const birthMonth = Number((/^\d{4}-(\d{2})/.exec(p.dob || '') || [])[1]) || 0;
+    return {
+      owner, age,
+      // Without a date of birth, 65 or older (Schedule 1-A) still means 50+
+      age50: age !== null ? age >= C.IRA_CATCH_UP_AGE : !!senior[owner],
+      under59Half: age !== null && (age < 59 || (age === 59 && birthMonth > 6)),
+      traditional: Math.max(0, Number(p.traditional) || 0),
+      roth:        Math.max(0, Number(p.roth) || 0),
+      covered:     !!p.covered || !!w2Covered[owner],
+      input: p,
+    };
+  });
+  const other = (owner) => (owner === 'spouse' ? 'taxpayer' : 'spouse');
+  const ownRow = (owner) => rows.find((r) => r.owner === owner);
+
+  const provisional = rows.map((r) => calcForm8606({ ...r.input, nondeductible: r.traditional }));
+  const magi = incomeBeforeIRA + provisional.reduce((s, f) => s + f.taxable, 0);
+  // Roth MAGI leaves out income from conversions
+  const rothMagi = magi - provisional.reduce((s, f) => s + f.line18, 0);
+
+  const results = rows.map((r) => {
+    const max = r.age50 ? C.IRA_MAX_50PLUS : C.IRA_MAX_UNDER50;
+    // A joint return can fund a spouse's IRA from the other's pay
+    const partner = ownRow(other(r.owner));
+    const spouseComp = isJoint
+      ? Math.max(0, compensation[other(r.owner)] - (partner ? partner.traditional + partner.roth : 0))
+      : 0;
+    const limit = Math.min(max, Math.max(0, compensation[r.owner]) + spouseComp);
+    const spouseCovered = isJoint
+      ? !!(partner && partner.covered) || !!w2Covered[other(r.owner)]
+      : status === 'mfs' && !!r.input.spouseCovered;
+    const range = r.covered ? C.IRA_PHASE_OUT[status]
+      : spouseCovered ? C.IRA_SPOUSE_COVERED_PHASE_OUT[status] : null;
+    const excessTraditional = Math.max(0, r.traditional - limit);
+    const allowed = r.traditional - excessTraditional;
+    const deductionLimit = Math.min(iraPhaseOut(max, magi, range), limit);
+    const deduction = Math.min(allowed, deductionLimit);       // → Schedule 1, line 20
+    const nondeductible = allowed - deduction;                 // → Form 8606, line 1
+
+    // Worksheet 2-2: the smaller of the phased-out limit and whatever
+    // traditional contributions leave of the full limit
+    const rothLimit = Math.min(iraPhaseOut(limit, rothMagi, C.ROTH_PHASE_OUT[status]),
+      Math.max(0, limit - r.traditional));
+    const excessRoth = Math.max(0, r.roth - rothLimit);
+
+    const f8606 = calcForm8606({ ...r.input, nondeductible });
+    return {
+      owner: r.owner, age: r.age, age50: r.age50, max, limit, covered: r.covered, spouseCovered, range,
+      traditional: r.traditional, roth: r.roth, excessTraditional, deductionLimit, deduction, nondeductible,
+      rothLimit, excessRoth,
+      // Excess contributions left in the account draw 6% on Form 5329
+      excessTax: (excessTraditional + excessRoth) * C.IRA_EXCESS_TAX_RATE,
+      f8606,
+      // Taxable distributions before 59½ may owe the 10% additional tax (Form 5329)
+      earlyDistribution: r.under59Half && f8606.line15c > 0,
+    };
+  });
+
+  return {
+    people: results, magi, rothMagi,
+    deduction:     results.reduce((s, r) => s + r.deduction, 0),
+    contributions: results.reduce((s, r) => s + r.traditional, 0),
+    distributions: results.reduce((s, r) => s + r.f8606.line7 + r.f8606.line8, 0),  // Line 4a
+    taxable:       results.reduce((s, r) => s + r.f8606.taxable, 0),                 // Line 4b
+  };
+}
+
+// ============================================================
+//  SCHEDULE 8812 — CHILD TAX CREDIT / CREDIT FOR OTHER DEPENDENTS
+// ============================================================
+// Relationships that can make someone a qualifying child (Pub. 501).
+// Anyone else is tested as a qualifying relative: relatives need no
+// residency; foster children and other household members need 12 months.
+const QUALIFYING_CHILD_RELATIONSHIPS = ['child', 'stepchild', 'foster', 'sibling', 'descendant'];
+const DEPENDENT_RELATIONSHIPS = {
+  child:      'Son / daughter',
+  stepchild:  'Stepchild',
+  foster:     'Foster child',
+  sibling:    'Brother / sister (incl. step / half)',
+  descendant: 'Grandchild / niece / nephew',
+  parent:     'Parent / grandparent',
+  relative:   'Other relative (aunt, uncle, in-law)',
+  other:      'Unrelated household member',
+};
+
+// Age on December 31 of the tax year; null when the date of birth is missing
+function ageAtYearEnd(dob, year = C.TAX_YEAR) {
+  const m = /^(\d{4})-\d{2}-\d{2}$/.exec(dob || '');
+  return m ? year - Number(m[1]) : null;
+}
+
+// Dependency tests for one roster entry. The gross income and support
+// tests for a qualifying relative are assumed to be met.
+function classifyDependent(d) {
+  const age    = ageAtYearEnd(d.dob);
+  const months = clamp(Number(d.months) || 0, 0, 12);
+  const ageTest = age !== null && (age < 19 || (!!d.student && age < 24) || !!d.disabled);
+  const qualifyingChild = QUALIFYING_CHILD_RELATIONSHIPS.includes(d.relationship)
+    && months > 6 && ageTest;
+  const livesAllYear = d.relationship === 'foster' || d.relationship === 'other';
+  const qualifyingRelative = !qualifyingChild && !!d.relationship && (!livesAllYear || months === 12);
+  const isDependent = qualifyingChild || qualifyingRelative;
+  // CTC needs a qualifying child under 17 with an SSN valid for employment;
+  // every other dependent (ITIN / ATIN holders included) gets the ODC instead
+  const ctc = qualifyingChild && age < 17 && d.tinType === 'ssn';
+  const odc = isDependent && !ctc;
+  // Form 2441 qualifying person: a qualifying child under 13, or a dependent
+  // who can't care for themselves and lived with you over half the year
+  const careQualifying = (qualifyingChild && age < 13) || (isDependent && !!d.disabled && months > 6);
+  return { age, months, qualifyingChild, qualifyingRelative, isDependent, ctc, odc, careQualifying };
+}
+
+// `creditLimit` is Credit Limit Worksheet A (Form 1040 line 18 less the
+// Schedule 3 credits taken first). `payrollTaxes` is Part II-B line 23
+// (social security and Medicare withheld plus the SE tax adjustments);
+// `eicAndExcessSS` is line 24.
+function calcSchedule8812(dependents, magi, creditLimit, earnedIncome, status = 'single', payrollTaxes = 0, eicAndExcessSS = 0) {
+  const people = (dependents || []).map((d) => ({ ...d, ...classifyDependent(d) }));
+
+  // Part I — credits after the MAGI phase-out
+  const line4  = people.filter((d) => d.ctc).length;
+  const line5  = line4 * C.CTC_PER_CHILD;
+  const line6  = people.filter((d) => d.odc).length;
+  const line7  = line6 * C.ODC_PER_DEPENDENT;
+  const line8  = line5 + line7;
+  const line9  = C.CTC_PHASE_OUT_THRESHOLD[status];
+  // Excess MAGI rounded up to the next multiple of $1,000
+  const line10 = Math.ceil(Math.max(0, magi - line9) / 1000) * 1000;
+  const line11 = line10 * C.CTC_PHASE_OUT_RATE;
+  const line12 = Math.max(0, line8 - line11);
+  const line13 = Math.max(0, creditLimit);
+  const line14 = Math.min(line12, line13);  // → Form 1040, line 19
+
+  // Part II-A — additional (refundable) child tax credit
+  const line16a = line12 - line14;
+  const line16b = line4 * C.ACTC_MAX_PER_CHILD;
+  const line17  = Math.min(line16a, line16b);
+  const line18a = Math.max(0, earnedIncome);
+  const line19  = Math.max(0, line18a - C.ACTC_EARNED_FLOOR);
+  const line20  = line19 * C.ACTC_RATE;
+
+  // Part II-B — three or more qualifying children may use payroll taxes instead
+  const usePartIIB = line4 >= 3 && line20 < line17;
+  const line25 = usePartIIB ? Math.max(0, payrollTaxes - eicAndExcessSS) : 0;
+  const line26 = usePartIIB ? Math.max(line20, line25) : 0;
+  const line27 = line17 <= 0 ? 0 : Math.min(line17, usePartIIB ? line26 : line20);  // → line 28
+
+  return {
+    dependents: people,
+    line4, line5, line6, line7, line8, line9, line10, line11, line12, line13, line14,
+    line16a, line16b, line17, line18a, line19, line20,
+    usePartIIB, line23: payrollTaxes, line24: eicAndExcessSS, line25, line26, line27,
+    credit: line14, actc: line27,
+  };
+}
+
+// ============================================================
+//  FORM 2441 — CHILD AND DEPENDENT CARE EXPENSES
+// ============================================================
+// Line 8 decimal: 35%, less 1% for each $2,000 (or part) of AGI over $15,000, floor 20%
+function cdccRate(agi) {
+  const steps = Math.ceil(Math.max(0, agi - C.CDCC_RATE_AGI) / C.CDCC_RATE_STEP);
+  return Math.max(C.CDCC_MIN_RATE, Math.round((C.CDCC_MAX_RATE - steps * 0.01) * 100) / 100);
+}
+
+// Part III — dependent care benefits. Runs before AGI because the
+// taxable part (line 26) is wages on Form 1040, line 1e.
+function calcDependentCareBenefits(benefits, expenses, earned, spouseEarned, status = 'single') {
+  const line12 = Math.max(0, benefits);
+  const line15 = line12;  // no carryover or forfeited amounts
+  const line16 = Math.max(0, expenses);
+  const line17 = Math.min(line15, line16);
+  const line18 = Math.max(0, earned);
+  const line19 = status === 'mfj' ? Math.max(0, spouseEarned) : line18;
+  const line20 = Math.min(line17, line18, line19);
+  const line21 = C.DCB_EXCLUSION[status];
+  const line25 = Math.min(line20, line21);      // excluded benefits
+  const line26 = Math.max(0, line15 - line25);  // taxable benefits → Form 1040, line 1e
+  return { line12, line15, line16, line17, line18, line19, line20, line21, line25, line26 };
+}
+
+// Part II — the credit. `excludedBenefits` is Part III line 25; `allowed`
+// is false for MFS filers who did not live apart from their spouse.
+function calcForm2441(expenses, persons, agi, earned, spouseEarned, excludedBenefits = 0, status = 'single', allowed = true) {
+  const limit  = C.CDCC_EXPENSE_LIMIT[clamp(persons, 0, 2)];
+  // Lines 27–31: the dollar limit and the expenses both shrink by the excluded benefits
+  const line27 = limit;
+  const line29 = Math.max(0, line27 - excludedBenefits);
+  const line30 = Math.min(line29, Math.max(0, expenses - excludedBenefits));
+  const line3  = excludedBenefits > 0 ? Math.min(line29, line30) : Math.min(Math.max(0, expenses), limit);
+  const line4  = Math.max(0, earned);
+  const line5  = status === 'mfj' ? Math.max(0, spouseEarned) : line4;
+  const line6  = Math.min(line3, line4, line5);
+  const line8  = cdccRate(agi);
+  const line9a = allowed && persons > 0 ? line6 * line8 : 0;
+  return { persons, expenses, limit, line27, line29, line30, line3, line4, line5, line6, line7: agi, line8, line9a, allowed };
+}
+
+// ============================================================
+//  FORM 8863 — EDUCATION CREDITS (AOTC / LIFETIME LEARNING)
+// ============================================================
+// Lines 6 and 17: the share of the credit left after the MAGI phase-out,
+// rounded to three places as the form instructs (null range → not allowed)
+function educationPhaseOutRatio(magi, range) {
+  if (!range) return 0;
+  const [start, end] = range;
+  const room = end - magi;              // Lines 4 / 15
+  if (room <= 0) return 0;
+  if (room >= end - start) return 1;    // Lines 5 / 16
+  return Math.round((room / (end - start)) * 1000) / 1000;
+}
+
+// Every student takes the AOTC when eligible (it is never smaller than
+// the LLC on the same expenses); everyone else goes to the LLC.
+function calcForm8863(students, magi, status = 'single') {
+  const rows = (students || []).map((st) => {
+    const box1 = Number(st.box1) || 0;
+    const box5 = Number(st.box5) || 0;
+    const aotcEligible = !!st.firstFourYears && !!st.halfTime && !st.felonyDrug
+      && (Number(st.priorAotcYears) || 0) < C.AOTC_MAX_YEARS;
+    // Scholarships and grants (Box 5) offset qualified expenses first
+    const line27 = aotcEligible
+      ? Math.min(Math.max(0, box1 + (Number(st.materials) || 0) - box5), C.AOTC_EXPENSE_MAX) : 0;
+    const line28 = Math.max(0, line27 - C.AOTC_FULL_EXPENSES);
+    const line29 = line28 * C.AOTC_PARTIAL_RATE;
+    const line30 = line28 === 0 ? line27 : C.AOTC_FULL_EXPENSES + line29;
+    const line31 = aotcEligible ? 0 : Math.max(0, box1 - box5);
+    return { ...st, aotcEligible, line27, line28, line29, line30, line31 };
+  });
+
+  const range = C.EDUCATION_PHASE_OUT[status];
+  const ratio = educationPhaseOutRatio(magi, range);
+
+  // Part I — American opportunity credit
+  const line1 = rows.reduce((sum, r) => sum + r.line30, 0);
+  const line6 = ratio;
+  const line7 = line1 * line6;
+  const line8 = line7 * C.AOTC_REFUNDABLE_RATE;  // → Form 1040, line 29
+  const line9 = line7 - line8;
+
+  // Part II — lifetime learning credit
+  const line10 = rows.reduce((sum, r) => sum + r.line31, 0);
+  const line11 = Math.min(line10, C.LLC_EXPENSE_MAX);
+  const line12 = line11 * C.LLC_RATE;
+  const line17 = ratio;
+  const line18 = line12 * line17;
+
+  return {
+    students: rows, range,
+    line1, line6, line7, line8, line9,
+    line10, line11, line12, line17, line18,
+    refundable: line8,
+    nonrefundable: line9 + line18,  // Credit Limit Worksheet, line 3
+  };
+}
+
+// ============================================================
+//  FORM 8880 — RETIREMENT SAVINGS CONTRIBUTIONS CREDIT
+// ============================================================
+// Line 9: the credit rate for the AGI tier
+function saversRate(agi, status = 'single') {
+  const tier = C.SAVERS_AGI_TIERS[status].findIndex((top) => agi <= top);
+  return tier === -1 ? 0 : C.SAVERS_RATES[tier];
+}
+
+// `people` holds one column per person — you, then your spouse on a joint
+// return: { ira, deferrals, distributions, eligible }. Line 10 is the credit
+// before the Credit Limit Worksheet.
+function calcForm8880(people, agi, status = 'single') {
+  const columns = (people || []).map((p) => {
+    const eligible = p.eligible !== false;
+    const line1 = Math.max(0, Number(p.ira) || 0);
+    const line2 = Math.max(0, Number(p.deferrals) || 0);
+    const line3 = line1 + line2;
+    const line4 = Math.max(0, Number(p.distributions) || 0);
+    const line5 = Math.max(0, line3 - line4);
+    const line6 = eligible ? Math.min(line5, C.SAVERS_CONTRIBUTION_MAX) : 0;
+    return { eligible, line1, line2, line3, line4, line5, line6 };
+  });
+  const line7  = columns.reduce((sum, c) => sum + c.line6, 0);
+  const line9  = saversRate(agi, status);
+  const line10 = line7 * line9;
+  return { columns, line7, line8: agi, line9, line10 };
+}
+
+// ============================================================
+//  EARNED INCOME CREDIT — EIC WORKSHEET A / EIC TABLE
+// ============================================================
+// The EIC Table amount for an income: the credit is figured at the
+// midpoint of the $50 row the income falls in, rounded to whole dollars.
+function eicTableAmount(income, kids, status = 'single') {
+  if (income <= 0) return 0;
+  const n    = clamp(kids, 0, 3);
+  const band = C.EIC_TABLE_BAND;
+  const mid  = Math.floor(income / band) * band + band / 2;
+  const phasedIn  = Math.min(mid * C.EIC_PHASE_IN_RATE[n], C.EIC_MAX_CREDIT[n]);
+  const reduction = Math.max(0, mid - C.EIC_PHASE_OUT_START[status][n]) * C.EIC_PHASE_OUT_RATE[n];
+  return Math.max(0, Math.round(phasedIn - reduction));
+}
+
+// `kids` counts qualifying children with a valid SSN; `eligibility` is the
+// `eic` block of the inputs plus `mfsLivedApart`. Returns the worksheet lines and, when the
+// credit is not allowed, the reason.
+function calcEIC(earnedIncome, agi, investmentIncome, kids, status = 'single', eligibility = {}) {
+  const n = clamp(kids, 0, 3);
+  const none = (reason) => ({ kids: n, earnedIncome, agi, investmentIncome, line2: 0, line6: 0, credit: 0, allowed: false, reason });
+
+  if (eligibility.claimableAsDependent) return none('You can be claimed as someone else\'s dependent or qualifying child.');
+  if (status === 'mfs' && !(eligibility.mfsLivedApart && n > 0)) {
+    return none('Married filing separately qualifies only with a qualifying child and if you lived apart from your spouse for the last 6 months of the year.');
+  }
+  if (investmentIncome > C.EIC_INVESTMENT_LIMIT) {
+    return none(`Investment income is over $${C.EIC_INVESTMENT_LIMIT.toLocaleString('en-US')}.`);
+  }
+  if (n === 0 && eligibility.ageEligible === false) {
+    return none('Without a qualifying child you (or your spouse) must be at least 25 and under 65.');
+  }
+  if (earnedIncome <= 0) return none('You have no earned income.');
+
+  const line2 = eicTableAmount(earnedIncome, n, status);
+  // Lines 4–6: when AGI differs from earned income and reaches the phase-out,
+  // the credit is the smaller of the two table amounts
+  const line6 = agi !== earnedIncome && agi >= C.EIC_PHASE_OUT_START[status][n]
+    ? eicTableAmount(agi, n, status) : line2;
+  const credit = Math.min(line2, line6);
+  return { kids: n, earnedIncome, agi, investmentIncome, line2, line6, credit,
+    allowed: credit > 0, reason: credit > 0 ? '' : 'Your income is above the limit for your family size.' };
+}
+
+// ============================================================
+//  MASTER CALCULATION  — returns a complete tax picture
+// ============================================================
+function computeReturn(rawInputs) {
+  const inp = normalizeInputs(rawInputs);
+
+  const status  = FILING_STATUSES.includes(inp.filingStatus) ? inp.filingStatus : 'single';
+  const isHOH   = status === 'hoh';
+  const isJoint = status === 'mfj';
+  const brackets = C.BRACKETS[status];
+  const ltcgBrackets = C.LTCG_BRACKETS[status];
+  const stdDeduction = status === 'mfs' && inp.mfsSpouseItemizes ? 0 : C.STD_DEDUCTION[status];
+
+  // ── Forms W-2 ── (spouse figures only enter the return on a joint filing)
+  const w2Forms = w2List(inp).map(normalizeW2).filter((w) => isJoint || w.owner === 'taxpayer');
+  const taxpayerW2s = w2Forms.filter((w) => w.owner === 'taxpayer');
+  const spouseW2s   = w2Forms.filter((w) => w.owner === 'spouse');
+  const w2       = sumW2s(taxpayerW2s);
+  const spouseW2 = sumW2s(spouseW2s);
+
+  // ── Income ──
+  const taxpayerWages = w2.box1;
+  const spouseWages   = spouseW2.box1;
+  const wages        = taxpayerWages + spouseWages;
+  const f1120s       = calc1120S(inp.scorp);
+  const k1           = f1120s.myK1;  // the K-1s on this return
+  const k1Box2       = k1.box2;
+  const k1Box16d     = k1.box16d;
+  // Form 7203 holds back losses beyond basis; distributions and loan
+  // repayments beyond basis are long-term capital gain. Untracked, every
+  // K-1 loss and deduction is taken in full.
+  const f7203 = inp.scorpBasis ? calcForm7203(k1, inp.scorpBasis) : null;
+  const payroll = inp.payroll ? calcPayroll(inp.payroll, inp.scorp) : null;
+  const k1Allowed = (key) => (f7203
+    ? f7203.allowed[key]
+    : Math.max(0, K1_LOSS_ITEMS.find((i) => i.key === key).amount(k1)));
+  // Schedule E, Part II: nonpassive income less the losses allowed
+  const skorpOrdinary = Math.max(0, k1.box1) - k1Allowed('ordinary');
+  const skorpSec179   = k1Allowed('section179');
+  const skorpK1      = skorpOrdinary + Math.max(0, k1Box2) - k1Allowed('rental')
+    + Math.max(0, k1.box10) - k1Allowed('other') - skorpSec179;
+  const basisGain    = f7203 ? f7203.capitalGain : 0;
+  // Boxes 7 and 8a go to Schedule D; losses pro rata to what basis allows
+  const k1CapLoss    = Math.max(0, -k1.box7) + Math.max(0, -k1.box8a);
+  const k1CapRatio   = k1CapLoss > 0 ? k1Allowed('capital') / k1CapLoss : 0;
+  const k1STGain     = Math.max(0, k1.box7) - Math.max(0, -k1.box7) * k1CapRatio;
+  // A net section 1231 gain is long-term (Form 4797 → Schedule D, line 11);
+  // a net loss is ordinary (Form 4797 → Schedule 1, line 4)
+  const k1LTGain     = Math.max(0, k1.box8a) - Math.max(0, -k1.box8a) * k1CapRatio;
+  const f4797Gain    = Math.max(0, k1.box9);
+  const f4797Loss    = k1Allowed('section1231');
+  // Schedule B — each 1099, then the unitemized totals and the K-1 as payers
+  const schB = calcScheduleB([
+    ...inp.interestPayers,
+    { payer: 'Other interest', box1: inp.interest.taxable, box3: inp.interest.usGovt },
+    { payer: 'Schedule K-1 (Form 1120-S), box 4', box1: k1.box4 },
+  ], [
+    ...inp.dividendPayers,
+    { payer: 'Other dividends', box1a: inp.dividends.ordinary, box1b: inp.dividends.qualified },
+    { payer: 'Schedule K-1 (Form 1120-S), box 5', box1a: k1.box5a, box1b: k1.box5b },
+  ]);
+  const interestTaxable = schB.taxableInterest;
+  const interestUsGovt  = schB.usGovtInterest;
+  const taxExemptInt = schB.taxExemptInterest;  // Line 2a
+  const taxableInt   = schB.line4;              // Line 2b
+  const ordDiv       = schB.line6;              // Line 3b
+  const qualDiv      = schB.qualifiedDividends; // Line 3a
+  const f8949        = calcForm8949(inp.capitalGains.transactions);
+  const schD         = calcScheduleD(f8949, {
+    shortTerm: inp.capitalGains.shortTerm, longTerm: inp.capitalGains.longTerm,
+    k1ShortTerm: k1STGain, k1LongTerm: k1LTGain, form4797: f4797Gain, basisGain,
+    distributions: schB.capitalGainDistributions,
+    shortTermCarryover: inp.capitalGains.shortTermCarryover,
+    longTermCarryover: inp.capitalGains.longTermCarryover,
+    collectibles: inp.capitalGains.collectibles + schB.collectibles,
+    unrecaptured1250: inp.capitalGains.unrecaptured1250 + schB.unrecaptured1250,
+  });
+  const longTerm     = schD.line15;
+  const ltcg         = Math.max(0, longTerm);
+  const stcg         = schD.line7;
+  const capGainNet   = schD.line16;
+  const capitalLossLimit = C.CAPITAL_LOSS_LIMIT[status];
+  const capGain1040  = Math.max(-capitalLossLimit, capGainNet);   // Schedule D line 21
+  const unemployment = inp.unemployment;
+  const stateTaxRefund = inp.stateTaxRefund;
+  const otherIncome  = inp.otherIncome;
+
+  // ── Schedule C / Schedule SE ──
+  // On a joint return the business may be the spouse's; its SE tax then
+  // shares the spouse's social security wage base
+  const schC       = calcScheduleC(inp.schC);
+  const schCSpouse = isJoint && inp.schC.owner === 'spouse';
+  const schSE      = calcScheduleSE(schC.line31,
+    (schCSpouse ? spouseW2s : taxpayerW2s).reduce((sum, w) => sum + ssWagesOf(w), 0));
+  const businessIncome = schC.line31;  // Schedule 1, line 3
+  const seTax          = schSE.line12;  // Schedule 2, line 4
+  const seDeduction    = schSE.line13;  // Schedule 1, line 15
+  // Net earnings from self-employment count as earned income (less the SE deduction)
+  const seEarned       = businessIncome - seDeduction;
+  const taxpayerEarned = taxpayerWages + (schCSpouse ? 0 : seEarned);
+  const spouseEarned   = spouseWages + (schCSpouse ? seEarned : 0);
+
+  // Dependent care benefits (W-2 box 10) over the exclusion are wages (line 1e)
+  const careExpenses = inp.careProviders.reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  const dcb = calcDependentCareBenefits(w2.box10 + spouseW2.box10, careExpenses,
+    taxpayerEarned, spouseEarned, status);
+  const dcbTaxable = dcb.line26;
+
+  // Form 8889 — a spouse's HSA only counts on a joint return. Employer
+  // contributions come from the owner's own W-2s.
+  const hsaInputs = inp.hsas.length ? inp.hsas
+    : inp.adjustments.hsaContribution > 0
+      ? [{ owner: 'taxpayer', selfStart: 1, selfStop: 12, contributions: inp.adjustments.hsaContribution }]
+      : [];
+  const f8889s = hsaInputs
+    .filter((h) => isJoint || h.owner !== 'spouse')
+    .map((h) => calcForm8889(h, (h.owner === 'spouse' ? spouseW2 : w2).box12.W));
+  const hsaIncome = f8889s.reduce((s, f) => s + f.line16 + f.line20, 0);  // Schedule 1, line 8f
+
+  // Schedule 1, line 10
+  const sch1PartI = stateTaxRefund + businessIncome - f4797Loss + skorpK1 + unemployment + hsaIncome + otherIncome;
+
+  const hsaRaw       = f8889s.reduce((s, f) => s + f.line2, 0);
+  const hsaDeduction = f8889s.reduce((s, f) => s + f.line13, 0);
+
+  // IRAs — Form 8606, Form 1040 lines 4a–4b and Schedule 1 line 20. The
+  // old single contribution is the taxpayer's, treated as plan-covered.
+  const iraInputs = inp.iras.length ? inp.iras
+    : inp.adjustments.iraContribution > 0
+      ? [{ owner: 'taxpayer', traditional: inp.adjustments.iraContribution, covered: true }]
+      : [];
+  const iras = calcIRAs(iraInputs, {
+    status,
+    incomeBeforeIRA: wages + dcbTaxable + taxableInt + ordDiv + capGain1040 + sch1PartI - hsaDeduction - seDeduction,
+    compensation: { taxpayer: taxpayerEarned, spouse: spouseEarned },
+    w2Covered: {
+      taxpayer: taxpayerW2s.some((w) => w.retirementPlan),
+      spouse:   spouseW2s.some((w) => w.retirementPlan),
+    },
+    senior: { taxpayer: inp.sch1a.isSenior, spouse: inp.sch1a.spouseIsSenior },
+  });
+  const iraDistributions = iras.distributions;  // Line 4a
+  const iraTaxable       = iras.taxable;        // Line 4b
+
+  const totalIncome = wages
+    + dcbTaxable
+    + taxableInt
+    + iraTaxable
+    + ordDiv
+    + capGain1040
+    + sch1PartI;
+
+  // ── Other adjustments (Schedule 1, Part II) ──
+  const sliRaw         = inp.adjustments.studentLoanInterest;
+  const iraRaw         = iras.contributions;
+
+  // Preliminary MAGI for phase-out checks (before the adjustments)
+  const magiPrelim = totalIncome;
+
+  const sliDeduction   = calcStudentLoanDeduction(sliRaw, magiPrelim, status);
+  const iraDeduction   = iras.deduction;
+
+  const sch1PartII = hsaDeduction + seDeduction + iraDeduction + sliDeduction;  // Schedule 1, line 26
+  const totalAdjustments = sch1PartII;  // Line 10
+
+  // ── AGI ──
+  const agi = totalIncome - totalAdjustments;
+
+  // ── Deductions ──
+  const itemPropertyTax  = inp.itemized.propertyTax;
+  const itemCharityCash  = inp.itemized.charityCash + k1Allowed('charitable');  // + K-1 box 12, code A
+  const itemCharityNC    = inp.itemized.charityNonCash;
+  const itemMedicalTotal = inp.itemized.medical;
+  const medicalFloor     = agi * 0.075;
+  const itemMedical      = Math.max(0, itemMedicalTotal - medicalFloor);
+  const saltCap          = C.SALT_CAP[status];
+  const saltActual       = Math.min(itemPropertyTax, saltCap);
+  const totalItemized    = saltActual + itemCharityCash + itemCharityNC + itemMedical;
+  // MFS with an itemizing spouse must itemize too, even when it is smaller
+  const useItemized      = totalItemized > stdDeduction || (status === 'mfs' && inp.mfsSpouseItemizes);
+  const deduction        = Math.max(totalItemized, stdDeduction);
+
+  // ── Schedule 1-A (new 2025 deductions, line 13b) ──
+  // Taken whether or not you itemize; phase-outs use MAGI (= AGI here)
+  const sch1a = calcSch1ADeductions(
+    agi,
+    inp.sch1a.tips,
+    inp.sch1a.overtime,
+    inp.sch1a.carLoanInterest,
+    inp.sch1a.isSenior,
+    status,
+    inp.sch1a.spouseIsSenior
+  );
+
+  // ── QBI deduction (Form 8995 / 8995-A, line 13a) ──
+  // S-corp: K-1 box 17, code V — box 1 (a loss only as far as basis
+  // allows) less section 179, with your share of W-2 wages (officer pay
+  // included) and UBIA. Schedule C: net profit less the deductible part of
+  // SE tax.
+  const qbiBusinesses = [
+    { name: 'S-corporation (K-1)', qbi: skorpOrdinary - skorpSec179,
+      w2Wages: k1.box17vWages, ubia: k1.box17vUBIA, sstb: inp.scorp.sstb },
+    { name: 'Schedule C', qbi: businessIncome - seDeduction,
+      w2Wages: schC.line26, ubia: inp.schC.ubia, sstb: inp.schC.sstb },
+  ].filter((b) => b.qbi !== 0);
+  const taxableBeforeQBI = Math.max(0, agi - deduction - sch1a.total);
+  const netCapitalGain   = qualDiv + Math.max(0, Math.min(ltcg, capGainNet));
+  const qbi = calcQBI(qbiBusinesses, taxableBeforeQBI, netCapitalGain, status, inp.qbiLossCarryforward,
+    schB.section199ADividends);
+  const qbiDeduction = qbi.deduction;
+
+  // ── Taxable Income ──
+  const totalDeductions = deduction + qbiDeduction + sch1a.total;  // Line 14
+  const taxableIncome   = Math.max(0, agi - totalDeductions);
+  const capLossCarryover = calcCapitalLossCarryover(schD, agi - totalDeductions, capitalLossLimit);
+
+  // ── Federal Tax (Form 1040 line 16) ──
+  // Qualified dividends and net capital gain take the QDCGT Worksheet, or the
+  // Schedule D Tax Worksheet when there is 28% or 25% gain (Schedule D line 20)
+  const hasPreferential = qualDiv > 0 || Math.min(schD.line15, schD.line16) > 0;
+  const capGainWorksheet = !hasPreferential ? null
+    : schD.line20 ? { form: 'qdcgt', ...calcQDCGTWorksheet(taxableIncome, qualDiv, Math.min(schD.line15, schD.line16), brackets, ltcgBrackets) }
+    : { form: 'schD', ...calcScheduleDTaxWorksheet(taxableIncome, qualDiv, schD, brackets, ltcgBrackets) };
+  const ordinaryTaxableIncome = capGainWorksheet ? capGainWorksheet.ordinaryIncome : taxableIncome;
+  const preferentialIncome    = taxableIncome - ordinaryTaxableIncome;
+  const ordinaryTax = capGainWorksheet ? capGainWorksheet.ordinaryTax : calcTax(taxableIncome, brackets);
+  const prefTax     = capGainWorksheet ? capGainWorksheet.tax - ordinaryTax : 0;
+  let federalTax = Math.max(0, ordinaryTax + prefTax);
+
+  // ── Net Investment Income Tax (3.8%) ──
+  const netInvestmentIncome = Math.max(0, taxableInt + ordDiv + capGain1040);
+  const niitThreshold = C.NIIT_THRESHOLD[status];
+  const niitBase = Math.min(netInvestmentIncome, Math.max(0, agi - niitThreshold));
+  const niit = niitBase * C.NIIT_RATE;
+
+  // ── Social Security / Medicare checks ──
+  const ssTaxed        = w2.box4 + spouseW2.box4;
+  const medicareTaxed  = w2.box6 + spouseW2.box6;
+  // Checked per person — each spouse has their own wage base
+  const excessSS = { taxpayer: calcExcessSocialSecurity(taxpayerW2s), spouse: calcExcessSocialSecurity(spouseW2s) };
+  const ssOverwithheld = excessSS.taxpayer.excess + excessSS.spouse.excess;
+
+  // Additional Medicare Tax — Form 8959, on both spouses' wages combined
+  const f8959 = calcForm8959({
+    medicareWages: w2Forms.reduce((sum, w) => sum + medicareWagesOf(w), 0),
+    seEarnings: schSE.line6, medicareWithheld: medicareTaxed, status,
+  });
+  const addlMedicareThreshold = f8959.line5;
+  const addlMedicareTax = f8959.line18;
+
+  // Premium Tax Credit — Form 8962 (calculated from 1095-A inputs + AGI)
+  const mkt = inp.marketplace;
+  // A joint tax family always counts both spouses
+  const ptc8962 = mkt
+    ? calcForm8962(agi + taxExemptInt, Math.max(mkt.familySize || 1, isJoint ? 2 : 1),
+        // The year-of-marriage alternative is only for a joint return
+        { ...mkt, marriage: isJoint ? mkt.marriage : null },
+        status !== 'mfs' || !!mkt.mfsException)
+    : null;
+  const ptcNet    = ptc8962 ? ptc8962.netPTC : 0;
+  const ptcCredit = Math.max(0, ptcNet);
+  const ptcRepay  = Math.max(0, -ptcNet);
+
+  // ── Alternative minimum tax (Form 6251 → Schedule 2, line 1) ──
+  const f6251 = calcForm6251({
+    taxableIncome: agi - totalDeductions,
+    addBack: useItemized ? saltActual : deduction,
+    taxRefund: stateTaxRefund,
+    adjustments: { ...inp.amt,
+      privateActivityBonds: ((inp.amt && inp.amt.privateActivityBonds) || 0) + schB.privateActivityBondInterest },
+    regularTax: federalTax,
+    ws: capGainWorksheet, schD, status, ltcgBrackets,
+  });
+  const amt = f6251.line11;
+
+  // ── Form 1040, lines 16–18 ──
+  // Schedule 2, Part I (→ line 17): AMT and excess advance PTC repayment
+  const sch2PartI        = amt + ptcRepay;
+  const taxBeforeCredits = federalTax + sch2PartI;  // Line 18
+
+  // ── Nonrefundable credits — applied in form order, never below $0 ──
+  let taxLeft = taxBeforeCredits;
+  const applyCredit = (amount) => {
+    const used = Math.min(Math.max(0, amount), taxLeft);
+    taxLeft -= used;
+    return used;
+  };
+
+  // Foreign tax credit (Schedule 3, line 1). Foreign tax shown on 1099s
+  // within the election limit is claimed directly; above it Form 1116 is
+  // required, which this return does not prepare.
+  const foreignTaxPaid = schB.foreignTax;
+  const foreignTaxNeeds1116 = foreignTaxPaid > C.FOREIGN_TAX_ELECTION_LIMIT[status];
+  const foreignTaxCredit = applyCredit(foreignTaxNeeds1116 ? 0 : foreignTaxPaid);
+
+  // Child & Dependent Care Credit (Form 2441) — the Credit Limit Worksheet
+  // is line 18 less the foreign tax credit
+  const careQualifying = inp.dependents.filter((d) => classifyDependent(d).careQualifying);
+  const f2441 = calcForm2441(careExpenses, careQualifying.length, agi, taxpayerEarned, spouseEarned,
+    dcb.line25, status, status !== 'mfs' || inp.mfsLivedApart);
+  const childCareCredit = applyCredit(f2441.line9a);  // Line 11 → Schedule 3, line 2
+
+  // Education credits (Form 8863) — the Credit Limit Worksheet caps the
+  // nonrefundable part at the tax left after the child care credit
+  const f8863 = calcForm8863(inp.students, agi, status);
+  const educationCredit = applyCredit(f8863.nonrefundable);  // Line 19 → Schedule 3, line 3
+  const aotcRefundable  = f8863.refundable;                  // Form 1040, line 29
+
+  // Saver's credit (Form 8880) — IRA contributions plus W-2 box 12
+  // deferrals, less distributions; limited to the tax still left
+  const box12Deferrals = (w2) => w2.box12.D + w2.box12.E + w2.box12.G + w2.box12.AA;
+  const sv = inp.savers;
+  // Line 1 counts traditional and Roth IRA contributions alike
+  const iraContributed = (owner) => iras.people
+    .filter((p) => p.owner === owner).reduce((sum, p) => sum + p.traditional + p.roth, 0);
+  const f8880 = sv ? calcForm8880([
+    { ira: iraContributed('taxpayer'), deferrals: box12Deferrals(w2),
+      distributions: sv.distributions, eligible: sv.eligible },
+    ...(isJoint ? [{ ira: iraContributed('spouse'), deferrals: box12Deferrals(spouseW2),
+      distributions: sv.spouseDistributions, eligible: sv.spouseEligible }] : []),
+  ], agi, status) : null;
+  const saversCredit = applyCredit(f8880 ? f8880.line10 : 0);  // Line 12 → Schedule 3, line 4
+
+  const sch3PartI = foreignTaxCredit + childCareCredit + educationCredit + saversCredit;  // → line 20
+
+  // Earned income credit (line 27) — qualifying children need an SSN
+  const earnedIncome     = wages + dcbTaxable + seEarned;
+  // Worksheet 1 in Pub. 596 counts tax-exempt interest (line 2a) too
+  const investmentIncome = taxableInt + taxExemptInt + ordDiv + Math.max(0, capGainNet);
+  const eicChildren = inp.dependents
+    .map((d) => ({ ...d, ...classifyDependent(d) }))
+    .filter((d) => d.qualifyingChild && d.tinType === 'ssn');
+  const eicResult = calcEIC(earnedIncome, agi, investmentIncome, eicChildren.length, status,
+    { ...inp.eic, mfsLivedApart: inp.mfsLivedApart });
+  const eic = eicResult.credit;
+
+  // Schedule 8812 — Credit Limit Worksheet A is whatever tax the
+  // Schedule 3 credits above left over
+  const sch8812 = calcSchedule8812(inp.dependents, agi, taxLeft, earnedIncome, status,
+    ssTaxed + medicareTaxed + seDeduction, eic + ssOverwithheld);
+  const ctcCredit = applyCredit(sch8812.credit);  // Line 19
+  const actc      = sch8812.actc;                 // Line 28
+
+  const nonrefundableCredits = ctcCredit + sch3PartI;                              // Line 21
+  const taxAfterCredits      = Math.max(0, taxBeforeCredits - nonrefundableCredits);  // Line 22
+
+  // Schedule 2, Part II (→ line 23)
+  // Schedule 2, lines 17c and 17d — additional taxes from Form 8889
+  const hsaAdditionalTax = f8889s.reduce((s, f) => s + f.line17b, 0);
+  const hsaTestingTax    = f8889s.reduce((s, f) => s + f.line21, 0);
+  const otherTaxes = seTax + addlMedicareTax + niit + hsaAdditionalTax + hsaTestingTax;
+  const totalTax   = taxAfterCredits + otherTaxes;  // Line 24
+
+  // ── Payments ──
+  const fedWithheld   = w2.box2 + spouseW2.box2;     // Line 25a
+  const withheld1099  = schB.withheld;               // Line 25b
+  const addlMedicareWithheld = f8959.line24;         // Line 25c
+  const totalWithheld = fedWithheld + withheld1099 + addlMedicareWithheld;  // Line 25d
+  const fedEstimated  = inp.fedEstimatedPayments;
+  // Schedule 3, Part II (→ line 31): net PTC and excess social security
+  const sch3PartII        = ptcCredit + ssOverwithheld;
+  const refundableCredits = eic + actc + aotcRefundable + ptcCredit;
+  const totalPayments = totalWithheld + fedEstimated + eic + actc + aotcRefundable + sch3PartII;  // Line 33
+
+  const totalCredits = nonrefundableCredits + refundableCredits;
+
+  // ── Federal Refund / Owe ──
+  const fedBalance = totalPayments - totalTax;
+  const fedRefund  = fedBalance >= 0 ?  fedBalance : 0;
+  const fedOwed    = fedBalance < 0  ? -fedBalance : 0;
+
+  // ── Colorado ──
+  // Box 17 for Colorado (a blank box 15 is taken as Colorado)
+  const coWithheld       = w2Forms.filter((w) => !w.box15 || w.box15 === 'CO').reduce((sum, w) => sum + w.box17, 0);
+  const coEstimated      = inp.colorado.estimatedPayments;
+  const coAdditions      = inp.colorado.additions;
+  const coUsInterest     = inp.colorado.usInterest;
+  const coPension        = inp.colorado.pension;
+  const coOtherSub       = inp.colorado.otherSubtractions;
+  const coOtherCredits   = inp.colorado.otherCredits;
+  const coTotalSub       = coUsInterest + coPension + coOtherSub;
+  const coEitc           = eic * C.CO_EITC_RATE;  // refundable
+
+  // Colorado starts from federal taxable income (Form 1040, Line 15)
+  const coTaxableIncome  = Math.max(0, taxableIncome + coAdditions - coTotalSub);
+  const coTax            = coTaxableIncome * C.CO_TAX_RATE;
+  const coTotalPayments  = coWithheld + coEstimated + coEitc + coOtherCredits;
+  const coBalance        = coTotalPayments - coTax;
+  const coRefund         = coBalance >= 0 ?  coBalance : 0;
+  const coOwed           = coBalance < 0  ? -coBalance : 0;
+
+  // ── Carryforward — the figures next year's return starts from ──
+  const { totalAssets, totalLiabilitiesEquity, difference, balances, ...balanceSheetEnd } = f1120s.schL.end;
+  const carryforward = {
+    aaaBegin: f1120s.m2.line8,
+    balanceSheetBegin: balanceSheetEnd,
+    qbiLossCarryforward: qbi.newCarryforward,
+    capitalGains: { shortTermCarryover: capLossCarryover.shortTerm, longTermCarryover: capLossCarryover.longTerm },
+    scorpBasis: f7203 ? {
+      stockBegin: f7203.stockEnd, debtBegin: f7203.debtEnd, loanBegin: f7203.loanEnd,
+      ...Object.fromEntries(f7203.lossItems.map((l) => [l.field, l.suspended])),
+    } : null,
+  };
+
+  return {
+    status, isHOH, isJoint, stdDeduction, brackets, ltcgBrackets,
+    // Income
+    w2Forms, w2, spouseW2, f1120s, wages, taxpayerWages, spouseWages, skorpK1, skorpOrdinary, skorpSec179, k1Box2, k1Box16d,
+    f7203, basisGain, f4797Gain, f4797Loss, k1STGain, k1LTGain, payroll, f8949, schD, capLossCarryover,
+    schB, interestTaxable, interestUsGovt, taxExemptInt, taxableInt, ordDiv, qualDiv,
+    ltcg, stcg, capGainNet, capGain1040,
+    unemployment, stateTaxRefund, otherIncome, sch1PartI, totalIncome,
+    // Schedule C / SE
+    schC, schCSpouse, schSE, businessIncome, seTax, seDeduction, seEarned,
+    // Sch 1-A
+    sch1a,
+    // Adjustments
+    sliDeduction, iraDeduction, hsaDeduction, iraRaw, sliRaw, hsaRaw, f8889s, hsaIncome,
+    iras, iraDistributions, iraTaxable,
+    hsaAdditionalTax, hsaTestingTax,
+    sch1PartII, totalAdjustments,
+    // AGI
+    agi,
+    // Deductions
+    useItemized, deduction, stdDeduction, totalItemized,
+    qbi, qbiDeduction, totalDeductions,
+    itemPropertyTax, saltCap, saltActual, itemCharityCash, itemCharityNC,
+    itemMedical, itemMedicalTotal, medicalFloor,
+    // Taxable Income
+    taxableIncome, ordinaryTaxableIncome, preferentialIncome,
+    // Tax
+    capGainWorksheet, ordinaryTax, prefTax, federalTax, niit, niitThreshold, netInvestmentIncome,
+    f8959, addlMedicareTax, addlMedicareThreshold,
+    // Credits
+    f6251, amt, sch2PartI, taxBeforeCredits,
+    careExpenses, careQualifying, dcb, dcbTaxable, f2441, childCareCredit, f8863, educationCredit, aotcRefundable,
+    foreignTaxPaid, foreignTaxNeeds1116, foreignTaxCredit,
+    f8880, saversCredit, sch3PartI,
+    sch8812, ctcCredit, actc, nonrefundableCredits,
+    earnedIncome, investmentIncome, eicChildren, eicResult, eic,
+    ptcCredit, ptcRepay, ptcNet, ptc8962, refundableCredits, totalCredits,
+    taxAfterCredits, otherTaxes, totalTax,
+    // Payments
+    fedWithheld, withheld1099, addlMedicareWithheld, totalWithheld, fedEstimated, ssTaxed, medicareTaxed,
+    excessSS, ssOverwithheld, sch3PartII, totalPayments,
+    // Federal result
+    fedBalance, fedRefund, fedOwed,
+    // Colorado
+    coWithheld, coEstimated, coAdditions, coUsInterest,
+    coPension, coOtherSub, coOtherCredits, coEitc, coTotalSub,
+    coTaxableIncome, coTax, coTotalPayments, coBalance, coRefund, coOwed,
+    carryforward,
+  };
+}
+
+// ============================================================
+//  REASONABLE COMPENSATION — SALARY VS. DISTRIBUTION
+// ============================================================
+// Each dollar of officer salary costs the corporation 7.65% employer FICA
+// and the owner another 7.65% (less above the social security wage base),
+// but it is deducted from K-1 box 1 and counts as W-2 wages for the QBI
+// limit. The sweep reruns the whole return at each salary — the owner's
+// W-2 and line 12 payroll taxes move with it — and compares the cash the
+// owner keeps from the S-corp after all income and payroll tax.
+
+// Social security and Medicare on a salary — one side (employee or employer)
+function ficaOnWages(wages) {
+  return Math.min(Math.max(0, wages), C.SS_WAGE_BASE) * C.SS_EMPLOYEE_RATE
+    + Math.max(0, wages) * C.MEDICARE_EMPLOYEE_RATE;
+}
+
+function calcSalaryComparison(rawInputs) {
+  const inp = normalizeInputs(rawInputs);
+  const s = inp.scorp;
+  const current = s.officerComp;
+  // Profit available for salary: page 1 income before officer pay and its
+  // employer FICA. The largest salary leaves line 21 at zero.
+  const profit = calc1120S(s).ordinaryIncome + current + ficaOnWages(current);
+  const ssBreak = C.SS_WAGE_BASE * (1 + C.SS_EMPLOYEE_RATE + C.MEDICARE_EMPLOYEE_RATE);
+  const maxSalary = Math.max(0, Math.floor(profit <= ssBreak
+    ? profit / (1 + C.SS_EMPLOYEE_RATE + C.MEDICARE_EMPLOYEE_RATE)
+    : (profit - C.SS_WAGE_BASE * C.SS_EMPLOYEE_RATE) / (1 + C.MEDICARE_EMPLOYEE_RATE)));
+  const floor = Math.max(0, s.reasonableComp);
+
+  // The owner's W-2 from the S-corp moves with the salary: the one marked
+  // as such, else a separate one at the full salary. Every other W-2 (an
+  // outside job, the spouse's) stays as entered.
+  const entered = w2List(inp);
+  const scorpW2 = entered.findIndex((w) => w.scorp);
+  const ssTax = (wages) => Math.min(Math.max(0, wages), C.SS_WAGE_BASE) * C.SS_EMPLOYEE_RATE;
+  const withSalary = (w, salary) => {
+    const delta = salary - current;
+    const box = (k) => Number(w[k]) || 0;
+    const moved = (k, by) => (box(k) > 0 ? Math.max(0, box(k) + by) : box(k));  // a blank box stays blank
+    return {
+      ...w,
+      box1: Math.max(0, box('box1') + delta),
+      box3: moved('box3', Math.min(salary, C.SS_WAGE_BASE) - Math.min(current, C.SS_WAGE_BASE)),
+      box4: Math.max(0, box('box4') + ssTax(salary) - ssTax(current)),
+      box5: moved('box5', delta),
+      box6: Math.max(0, box('box6') + delta * C.MEDICARE_EMPLOYEE_RATE),
+    };
+  };
+  const w2AtSalary = (salary) => (scorpW2 >= 0
+    ? entered.map((w, i) => (i === scorpW2 ? withSalary(w, salary) : w))
+    : [...entered, {
+      owner: 'taxpayer', scorp: true, box1: salary, box3: Math.min(salary, C.SS_WAGE_BASE),
+      box4: ssTax(salary), box5: salary, box6: salary * C.MEDICARE_EMPLOYEE_RATE,
+    }]);
+
+  const run = (salary) => {
+    const fica  = ficaOnWages(salary);  // each of employee and employer
+    const t = computeReturn({
+      ...inp,
+      scorp: { ...s, officerComp: salary, taxes: s.taxes + fica - ficaOnWages(current) },
+      w2s: w2AtSalary(salary),
+    });
+    const federalTax  = t.totalTax - t.refundableCredits;
+    const coloradoTax = t.coTax - t.coEitc - t.coOtherCredits;
+    return {
+      salary, employeeFica: fica, employerFica: fica,
+      k1Box1: t.f1120s.k1Box1, qbiDeduction: t.qbiDeduction, federalTax, coloradoTax,
+      w2Forms: t.w2Forms,
+      // Salary net of payroll tax plus your share of the profit, less income tax
+      afterTax: salary - fica + t.f1120s.k1Box1 - federalTax - coloradoTax,
+    };
+  };
+
+  const salaries = new Set([floor, Math.max(floor, maxSalary), Math.max(floor, current)]);
+  const step = Math.max(C.SALARY_SWEEP_MIN_STEP,
+    Math.ceil((maxSalary - floor) / C.SALARY_SWEEP_STEPS / C.SALARY_SWEEP_MIN_STEP) * C.SALARY_SWEEP_MIN_STEP);
+  for (let x = Math.ceil(floor / step) * step; x < maxSalary; x += step) salaries.add(x);
+  const pick = (list) => list.reduce((a, b) => (b.afterTax > a.afterTax + 0.005 ? b : a));
+  const rows = Array.from(salaries).sort((a, b) => a - b).map(run);
+  // Second pass in $1,000 steps around the best salary of the first
+  let best = pick(rows);
+  if (step > C.SALARY_SWEEP_MIN_STEP) {
+    const fine = [];
+    for (let x = Math.max(floor, best.salary - step); x <= Math.min(Math.max(floor, maxSalary), best.salary + step);
+      x += C.SALARY_SWEEP_MIN_STEP) {
+      if (!salaries.has(x)) fine.push(run(x));
+    }
+    best = pick([best, ...fine]);
+    if (!salaries.has(best.salary)) rows.splice(rows.findIndex((r) => r.salary > best.salary), 0, best);
+  }
+  const atCurrent = rows.find((r) => r.salary === current) || null;
+  return {
+    floor, maxSalary, current, rows, best, atCurrent,
+    belowFloor: current < floor,
+    gain: atCurrent ? best.afterTax - atCurrent.afterTax : 0,
+  };
+}
+
+// ============================================================
+//  EXPORTS  (Node — the browser picks these up as globals)
+// ============================================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    C, FILING_STATUSES, DEFAULT_INPUTS, normalizeInputs,
+    clamp, phaseOut, phaseOutRange,
+    calcFederalTax, taxTableRow, calcTax, calcStudentLoanDeduction, calcIRADeduction,
+    calcSch1ADeductions, calcQDCGTWorksheet, calcScheduleDTaxWorksheet, calcForm6251, calc1120S, calcShareholderAllocation, K1_BOXES,
+    calcScheduleL, calcScheduleM1, calcScheduleM2, K1_LOSS_ITEMS, calcForm7203, calcPayroll,
+    INT_1099_BOXES, DIV_1099_BOXES, calcScheduleB, F8949_BOXES, holdingTerm, calcForm8949, calcScheduleD, calcCapitalLossCarryover, parseBrokerCSV, calcScheduleC, calcScheduleSE, medicareWagesOf, calcForm8959,
+    W2_AMOUNT_BOXES, normalizeW2, sumW2s, calcExcessSocialSecurity, ssWagesOf,
+    calcQBI, ficaOnWages, calcSalaryComparison,
+    FPL_2025, FPL_2025_EXTRA, PTC_TABLE2, MONTH_NAMES, fplFor, applicableFigure,
+    normalize1095AMonths, normalizePolicyAllocation, calcMarriageAlternative, calcForm8962,
+    normalizeHSA, hsaCoverageMonths, calcForm8889,
+    iraPhaseOut, calcForm8606, calcIRAs,
+    QUALIFYING_CHILD_RELATIONSHIPS, DEPENDENT_RELATIONSHIPS,
+    ageAtYearEnd, classifyDependent, calcSchedule8812,
+    cdccRate, calcDependentCareBenefits, calcForm2441,
+    educationPhaseOutRatio, calcForm8863, saversRate, calcForm8880,
+    eicTableAmount, calcEIC,
+    computeReturn,
+  };
+}
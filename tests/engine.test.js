@@ -0,0 +1,1332 @@
+'use strict';
+
+// ============================================================
+//  GOLDEN TESTS — headless tax engine (js/engine.js)
+//  Run from the repo root with:  node --test tests/
+//  Expected values are worked by hand from the 2025 IRS
+//  worksheets cited on each case, never copied from engine output.
+// ============================================================
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeReturn, calcFederalTax, taxTableRow, calcTax, calcStudentLoanDeduction, calc1120S,
+  normalizeInputs, DEFAULT_INPUTS, C, classifyDependent, calcSchedule8812, calcScheduleSE,
+  eicTableAmount, cdccRate, saversRate, calcForm7203, calcScheduleM2, calcShareholderAllocation,
+  ficaOnWages, calcSalaryComparison, calcPayroll, calcQDCGTWorksheet, calcScheduleDTaxWorksheet, calcForm6251, holdingTerm, calcForm8949, calcScheduleD, calcCapitalLossCarryover, parseBrokerCSV,
+  calcExcessSocialSecurity, calcForm8889, calcIRAs, applicableFigure, calcSch1ADeductions,
+} = require('../js/engine.js');
+
+// Dollar amounts are compared to the cent
+const near = (actual, expected, msg) =>
+  assert.ok(Math.abs(actual - expected) < 0.005, `${msg || ''} expected ${expected}, got ${actual}`);
+
+test('Tax Computation Worksheet — Section A (Single)', () => {
+  // $150,000 × 24% − $7,153.00
+  near(calcFederalTax(150000, C.BRACKETS_SINGLE), 28847);
+  // $700,000 × 37% − $42,979.75
+  near(calcFederalTax(700000, C.BRACKETS_SINGLE), 216020.25);
+});
+
+test('Tax Table — rows and midpoint rounding below $100,000', () => {
+  const row = (n) => taxTableRow(n, C.BRACKETS_SINGLE);
+  // $5, $10 and $25 rows under $3,000: $2.50 × 10% rounds down, $37.50 × 10% up
+  assert.deepEqual(row(3), { atLeast: 0, lessThan: 5, tax: 0 });
+  assert.deepEqual(row(5), { atLeast: 5, lessThan: 15, tax: 1 });
+  assert.deepEqual(row(37), { atLeast: 25, lessThan: 50, tax: 4 });
+  // $50 rows from $3,000: $3,025 × 10% = $302.50 → $303
+  assert.deepEqual(row(3000), { atLeast: 3000, lessThan: 3050, tax: 303 });
+  // Last row: $99,975 × 22% − $5,086 = $16,908.50 → $16,909
+  assert.deepEqual(row(99999.99), { atLeast: 99950, lessThan: 100000, tax: 16909 });
+  // From $100,000 the Computation Worksheet applies: $100,000 × 22% − $5,086
+  assert.equal(row(100000), null);
+  near(calcTax(100000, C.BRACKETS_SINGLE), 16914);
+  near(calcTax(69250, C.BRACKETS_SINGLE), 10155);
+});
+
+test('Tax Computation Worksheet — Section D (Head of household)', () => {
+  // $150,000 × 24% − $8,892.00
+  near(calcFederalTax(150000, C.BRACKETS_HOH), 27108);
+  // $36,375 × 12% − $340.00
+  near(calcFederalTax(36375, C.BRACKETS_HOH), 4025);
+});
+
+test('Tax Computation Worksheet — Section B (MFJ / QSS)', () => {
+  // $128,500 × 22% − $10,172.00
+  near(calcFederalTax(128500, C.BRACKETS_MFJ), 18098);
+  // $800,000 × 37% − $75,937.50
+  near(calcFederalTax(800000, C.BRACKETS_MFJ), 220062.50);
+  assert.equal(C.BRACKETS.qss, C.BRACKETS_MFJ);
+});
+
+test('Tax Computation Worksheet — Section C (Married filing separately)', () => {
+  // 37% starts at $375,800: $400,000 × 37% − $37,968.75
+  near(calcFederalTax(400000, C.BRACKETS_MFS), 110031.25);
+  // Below that it matches Single
+  near(calcFederalTax(300000, C.BRACKETS_MFS), calcFederalTax(300000, C.BRACKETS_SINGLE));
+});
+
+test('bracket formula is continuous at every breakpoint', () => {
+  for (const brackets of [C.BRACKETS_SINGLE, C.BRACKETS_MFJ, C.BRACKETS_MFS, C.BRACKETS_HOH]) {
+    for (let i = 1; i < brackets.length; i++) {
+      const edge = brackets[i].min;
+      const below = edge * brackets[i - 1].rate - brackets[i - 1].subtraction;
+      const above = edge * brackets[i].rate - brackets[i].subtraction;
+      near(above, below, `breakpoint ${edge}`);
+    }
+  }
+});
+
+test('normalizeInputs fills every default and keeps caller values', () => {
+  const inp = normalizeInputs({ w2: { box1: 100 } });
+  assert.equal(inp.w2.box1, 100);
+  assert.equal(inp.w2.box2, 0);
+  assert.equal(inp.filingStatus, 'single');
+  assert.equal(inp.marketplace, null);
+  assert.deepEqual(Object.keys(inp), Object.keys(DEFAULT_INPUTS));
+});
+
+test('Single W-2 filer, standard deduction', () => {
+  const t = computeReturn({ w2: { box1: 85000, box2: 9000 } });
+  near(t.agi, 85000);
+  near(t.deduction, 15750);
+  near(t.taxableIncome, 69250);
+  // Tax Table row $69,250–$69,300: midpoint $69,275 × 22% − $5,086.00 = $10,154.50
+  near(t.federalTax, 10155);
+  near(t.fedOwed, 1155);
+  // Colorado: federal taxable income × 4.4%
+  near(t.coTax, 3047);
+});
+
+test('Head of household W-2 filer', () => {
+  const t = computeReturn({ filingStatus: 'hoh', w2: { box1: 60000 } });
+  near(t.stdDeduction, 23625);
+  near(t.taxableIncome, 36375);
+  near(t.federalTax, 4025);
+});
+
+test('Qualified Dividends and Capital Gain Tax Worksheet — Single', () => {
+  const t = computeReturn({
+    w2: { box1: 50000 },
+    dividends: { ordinary: 10000, qualified: 10000 },
+    capitalGains: { longTerm: 5000 },
+  });
+  near(t.taxableIncome, 49250);
+  near(t.preferentialIncome, 15000);
+  near(t.ordinaryTaxableIncome, 34250);
+  // Ordinary (Tax Table row $34,250–$34,300): $34,275 × 12% − $238.50 = $3,874.50
+  near(t.ordinaryTax, 3875);
+  // $14,100 fills the 0% band up to $48,350; the last $900 is taxed at 15%
+  near(t.prefTax, 135);
+  near(t.federalTax, 4010);
+});
+
+test('Capital loss deduction is limited to $3,000', () => {
+  const t = computeReturn({ w2: { box1: 40000 }, capitalGains: { shortTerm: -10000 } });
+  near(t.capGainNet, -10000);
+  near(t.capGain1040, -3000);
+  near(t.totalIncome, 37000);
+});
+
+test('Student Loan Interest Deduction Worksheet — mid phase-out', () => {
+  // ($92,500 − $85,000) ÷ $15,000 = 0.5 → half of $2,500
+  near(calcStudentLoanDeduction(2500, 92500), 1250);
+  const t = computeReturn({ w2: { box1: 92500 }, adjustments: { studentLoanInterest: 2500 } });
+  near(t.sliDeduction, 1250);
+  near(t.agi, 91250);
+});
+
+test('Form 1120-S page 1 flows to K-1 Box 1 by ownership', () => {
+  const s = calc1120S(normalizeInputs({
+    scorp: { grossReceipts: 200000, officerComp: 80000, otherDeductions: 20000, ownershipPct: 50 },
+  }).scorp);
+  near(s.totalIncome, 200000);
+  near(s.totalDeductions, 100000);
+  near(s.ordinaryIncome, 100000);
+  near(s.k1Box1, 50000);
+});
+
+test('Form 8960 NIIT and Additional Medicare Tax above $200,000', () => {
+  const t = computeReturn({ w2: { box1: 250000 }, interest: { taxable: 20000 } });
+  near(t.agi, 270000);
+  // Smaller of NII ($20,000) or MAGI over threshold ($70,000), × 3.8%
+  near(t.niit, 760);
+  // ($250,000 − $200,000) × 0.9%
+  near(t.addlMedicareTax, 450);
+});
+
+test('the engine runs without a DOM', () => {
+  assert.equal(typeof globalThis.document, 'undefined');
+  const t = computeReturn({});
+  near(t.totalTax, 0);
+  assert.equal(t.ptc8962, null);
+});
+
+test('Married filing jointly combines both W-2s', () => {
+  const t = computeReturn({
+    filingStatus: 'mfj',
+    w2:       { box1: 100000, box2: 10000, box17: 3000 },
+    spouseW2: { box1: 60000,  box2: 6000,  box17: 2000 },
+  });
+  near(t.wages, 160000);
+  near(t.stdDeduction, 31500);
+  near(t.taxableIncome, 128500);
+  near(t.federalTax, 18098);
+  near(t.fedWithheld, 16000);
+  near(t.coWithheld, 5000);
+});
+
+test('spouse W-2 is ignored unless filing jointly', () => {
+  const t = computeReturn({ filingStatus: 'mfs', w2: { box1: 50000 }, spouseW2: { box1: 90000 } });
+  near(t.wages, 50000);
+  near(t.stdDeduction, 15750);
+});
+
+test('W-2 list — totals per person and excess social security across employers', () => {
+  const t = computeReturn({
+    filingStatus: 'mfj',
+    w2s: [
+      { employer: 'Acme', ein: '12-3456789', box1: 120000, box2: 15000, box3: 120000, box4: 7440, box15: 'CO', box17: 4000 },
+      { employer: 'Globex', ein: '98-7654321', box1: 100000, box2: 12000, box3: 100000, box4: 6200, box15: 'CA', box17: 5000 },
+      { owner: 'spouse', employer: 'Initech', box1: 50000, box2: 4000, box4: 3100, box17: 1500,
+        box12: { D: 5000, W: 1000 } },
+    ],
+  });
+  near(t.wages, 270000);        // Line 1a
+  near(t.fedWithheld, 31000);   // Line 25a
+  near(t.coWithheld, 5500);     // Globex box 17 is California's
+  near(t.spouseW2.box12.D, 5000);
+  // $7,440 + $6,200 = $13,640 − $10,918.20 (6.2% of $176,100); the spouse had one employer
+  near(t.excessSS.taxpayer.excess, 2721.80);
+  near(t.excessSS.spouse.excess, 0);
+  near(t.ssOverwithheld, 2721.80);
+  near(t.sch3PartII, 2721.80);
+
+  // One employer over-withholding refunds it itself — no Schedule 3 credit
+  const one = calcExcessSocialSecurity([
+    { employer: 'Acme', ein: '123456789', box4: 6000 },
+    { employer: 'Acme', ein: '123456789', box4: 5000 },
+  ]);
+  assert.equal(one.employers, 1);
+  near(one.excess, 0);
+  near(one.employerOverwithheld, 81.80);
+  // Only each employer's first $10,918.20 counts toward the excess
+  near(calcExcessSocialSecurity([
+    { employer: 'Acme', ein: '', box4: 11000 }, { employer: 'Globex', ein: '', box4: 1000 },
+  ]).excess, 1000);
+
+  // A single W-2 that withheld on the full wages (not capped) is no longer a credit
+  near(computeReturn({ w2: { box1: 200000, box4: 12400 } }).ssOverwithheld, 0);
+});
+
+test('Schedule B — payer rows, and the 1099 boxes that feed the rest of the return', () => {
+  const t = computeReturn({
+    w2: { box1: 80000 },
+    interestPayers: [
+      { payer: 'First Bank', box1: 1200, box4: 100 },
+      { payer: 'TreasuryDirect', box3: 800 },
+      { payer: 'Muni Fund', box8: 500 },
+    ],
+    dividendPayers: [
+      { payer: 'Index Fund', box1a: 3000, box1b: 2000, box2a: 1500, box4: 200, box5: 400, box7: 50 },
+    ],
+  });
+  const b = t.schB;
+  assert.deepEqual(b.line1.map((r) => r.payer), ['First Bank', 'TreasuryDirect']);
+  near(b.line4, 2000);
+  near(t.taxableInt, 2000);       // Line 2b
+  near(t.taxExemptInt, 500);      // Line 2a — not taxed
+  near(t.ordDiv, 3000);           // Line 3b
+  near(t.qualDiv, 2000);          // Line 3a
+  near(t.schD.line13, 1500);      // Box 2a → Schedule D
+  near(t.capGainNet, 1500);
+  near(t.withheld1099, 300);      // Line 25b
+  near(t.totalWithheld, 300);
+  near(t.foreignTaxCredit, 50);   // Schedule 3, line 1 — under the $300 election limit
+  // Form 8995: $400 REIT dividends × 20%; taxable income before QBI is
+  // $86,500 − $15,750 = $70,750, far above the limit's reach
+  near(t.qbi.reitComponent, 80);
+  near(t.qbiDeduction, 80);
+  near(t.taxableIncome, 70670);
+
+  // Over $300 of foreign tax needs Form 1116 — no credit is taken
+  const over = computeReturn({ w2: { box1: 80000 }, dividendPayers: [{ payer: 'Intl Fund', box1a: 10000, box7: 350 }] });
+  assert.equal(over.foreignTaxNeeds1116, true);
+  near(over.foreignTaxCredit, 0);
+});
+
+test('Qualifying surviving spouse uses joint brackets and deduction', () => {
+  const t = computeReturn({ filingStatus: 'qss', w2: { box1: 80000 } });
+  near(t.taxableIncome, 48500);
+  // Tax Table row $48,500–$48,550: $48,525 × 12% − $477.00
+  near(t.federalTax, 5346);
+});
+
+test('QDCGT worksheet — MFJ 0% band runs to $96,700', () => {
+  const t = computeReturn({
+    filingStatus: 'mfj',
+    w2: { box1: 100000 },
+    capitalGains: { longTerm: 20000 },
+  });
+  near(t.taxableIncome, 88500);
+  near(t.ordinaryTaxableIncome, 68500);
+  // All $20,000 fits under the $96,700 joint 0% threshold
+  near(t.prefTax, 0);
+  // Tax Table row $68,500–$68,550: $68,525 × 12% − $477
+  near(t.federalTax, 7746);
+});
+
+test('NIIT and Additional Medicare thresholds follow filing status', () => {
+  const mfj = computeReturn({
+    filingStatus: 'mfj', w2: { box1: 140000 }, spouseW2: { box1: 100000 }, interest: { taxable: 30000 },
+  });
+  // MAGI $270,000 − $250,000 = $20,000 < NII $30,000
+  near(mfj.niit, 760);
+  // Combined wages $240,000 are under the $250,000 joint threshold
+  near(mfj.addlMedicareTax, 0);
+
+  const mfs = computeReturn({ filingStatus: 'mfs', w2: { box1: 150000 } });
+  // ($150,000 − $125,000) × 0.9%
+  near(mfs.addlMedicareTax, 225);
+});
+
+test('Married filing separately restrictions', () => {
+  const t = computeReturn({
+    filingStatus: 'mfs',
+    mfsSpouseItemizes: true,
+    w2: { box1: 60000 },
+    adjustments: { studentLoanInterest: 2000 },
+    sch1a: { overtime: 5000, isSenior: true },
+    itemized: { propertyTax: 30000 },
+  });
+  near(t.sliDeduction, 0);
+  near(t.sch1a.otDeduction, 0);
+  near(t.sch1a.seniorDeduction, 0);
+  near(t.stdDeduction, 0);
+  // SALT cap is $20,000 when filing separately
+  near(t.saltActual, 20000);
+  assert.equal(t.useItemized, true);
+});
+
+test('Schedule 1-A joint caps: $25,000 overtime and one senior deduction per spouse', () => {
+  const t = computeReturn({
+    filingStatus: 'mfj',
+    w2: { box1: 120000 },
+    sch1a: { overtime: 30000, isSenior: true, spouseIsSenior: true },
+  });
+  near(t.sch1a.otDeduction, 25000);
+  near(t.sch1a.seniorDeduction, 12000);
+});
+
+test('Form 8962 Table 2 — 2025 enhanced applicable percentages, one per band', () => {
+  // Compared in basis points, so a near() cent is 0.00005%
+  const pct = (fplPct, expected) => near(applicableFigure(fplPct) * 10000, expected * 10000, `${fplPct}% FPL`);
+  pct(140, 0);        // 0% up to 150%
+  pct(175, 0.01);     // 150–200: 0% → 2%, halfway
+  pct(225, 0.03);     // 200–250: 2% → 4%
+  pct(275, 0.05);     // 250–300: 4% → 6%
+  pct(350, 0.0725);   // 300–400: 6% → 8.5%
+  pct(400, 0.085);    // 8.5% at 400% and above, no cliff
+  pct(650, 0.085);
+});
+
+test('Form 8962 — married filing separately repays all advance PTC', () => {
+  const market = { familySize: 1, enrollPrem: 6000, slcsp: 7000, aptc: 4000 };
+  const t = computeReturn({ filingStatus: 'mfs', w2: { box1: 30000 }, marketplace: market });
+  near(t.ptc8962.annualPTC, 0);
+  near(t.ptcRepay, 4000);
+  const excepted = computeReturn({
+    filingStatus: 'mfs', w2: { box1: 30000 }, marketplace: { ...market, mfsException: true },
+  });
+  assert.ok(excepted.ptc8962.annualPTC > 0);
+});
+
+test('Form 8962 — monthly method for partial-year, shared and pre-marriage coverage', () => {
+  const month = (a, b, c) => ({ enrollPrem: a, slcsp: b, aptc: c });
+  const full  = Array.from({ length: 12 }, () => month(500, 450, 250));
+  // $31,300 is 200% of the single FPL → 2%; line 8b = $626 / 12 = $52.1667
+  const line8b = 626 / 12;
+  const annual = computeReturn({ w2: { box1: 31300 }, marketplace: { familySize: 1, months: full } });
+  assert.equal(annual.ptc8962.method, 'annual');
+  near(annual.ptc8962.annualPTC, 12 * (450 - line8b));
+
+  // Jan–Jun only: six months of min($500, $450 − $52.1667)
+  const half = full.map((m, i) => (i < 6 ? m : month(0, 0, 0)));
+  const partial = computeReturn({ w2: { box1: 31300 }, marketplace: { familySize: 1, months: half } });
+  assert.equal(partial.ptc8962.method, 'monthly');
+  near(partial.ptc8962.annualPTC, 6 * (450 - line8b));
+  near(partial.ptc8962.netPTC, 6 * (450 - line8b) - 1500);
+
+  // Part IV: half of the policy belongs to another tax family from July on
+  const shared = computeReturn({ w2: { box1: 31300 }, marketplace: {
+    familySize: 1, months: full,
+    allocations: [{ policy: 'P-1', start: 7, stop: 12, premiumPct: 50, slcspPct: 50, aptcPct: 50 }],
+  } });
+  near(shared.ptc8962.annualPTC, 6 * (450 - line8b) + 6 * (225 - line8b));
+  near(shared.ptc8962.aptcPaid, 6 * 250 + 6 * 125);
+
+  // Part V: married in July. Half of $46,950 is 150% of the single FPL → 0%,
+  // so Jan–Jun owe no contribution instead of line 8b
+  const married = computeReturn({ filingStatus: 'mfj', w2: { box1: 46950 }, marketplace: {
+    familySize: 2, months: half,
+    marriage: { month: 7, taxpayerFamilySize: 1, spouseFamilySize: 1, taxpayerStart: 1 },
+  } });
+  assert.equal(married.ptc8962.marriage.used, true);
+  near(married.ptc8962.annualPTC, 6 * 450);
+});
+
+test('Form 8889 — monthly limits, catch-up, employer offset and distributions', () => {
+  // Self-only Jan–Jun and family Jul–Dec: 6 × $4,300/12 + 6 × $8,550/12 = $6,425,
+  // plus the $1,000 catch-up, less $1,000 from the employer (line 9)
+  const t = computeReturn({
+    w2s: [{ box1: 60000, box12: { W: 1000 } }],
+    hsas: [{ selfStart: 1, selfStop: 6, familyStart: 7, age55: true,
+      contributions: 6000, distributions: 500, medicalExpenses: 200 }],
+  });
+  const f = t.f8889s[0];
+  assert.equal(f.line1, 'family');
+  near(f.line3, 6425);
+  near(f.line8, 7425);
+  near(f.line12, 6425);
+  near(t.hsaDeduction, 6000);
+  near(t.hsaIncome, 300);          // Schedule 1, line 8f
+  near(t.hsaAdditionalTax, 60);    // 20% of line 16
+
+  // Last-month rule: covered from October, eligible on December 1. The
+  // full $4,300 less $1,000 employer leaves $3,300; $700 is excess. The
+  // monthly chart would have allowed 3 × $4,300/12 − $1,000 = $75.
+  const last = calcForm8889({ selfStart: 10, lastMonthRule: true, contributions: 4000 }, 1000);
+  near(last.line13, 3300);
+  near(last.excessContributions, 700);
+  near(last.testingPeriodAmount, 3225);
+
+  // Without an HSA roster the old single contribution is a full self-only year
+  near(computeReturn({ w2: { box1: 50000 }, adjustments: { hsaContribution: 5000 } }).hsaDeduction, 4300);
+});
+
+test('IRA deduction — age, workplace coverage and the spouse-covered range', () => {
+  const covered = { box1: 84000, retirementPlan: true };
+  // Age 52, covered, MAGI $84,000 in the $79,000–$89,000 range:
+  // $8,000 × $5,000 / $10,000 = $4,000 deductible, the rest is basis
+  const t = computeReturn({ w2s: [covered],
+    iras: [{ dob: '1973-05-01', traditional: 8000 }] });
+  near(t.iraDeduction, 4000);
+  near(t.iras.people[0].nondeductible, 4000);
+  near(t.iras.people[0].f8606.line14, 4000);
+  // Not covered by a plan: no phase-out at all
+  near(computeReturn({ w2s: [{ ...covered, retirementPlan: false }],
+    iras: [{ dob: '1973-05-01', traditional: 8000 }] }).iraDeduction, 8000);
+  // Near the top of the range the reduced limit is rounded up to $200:
+  // $7,000 × $100 / $10,000 = $70
+  near(computeReturn({ w2s: [{ box1: 88900, retirementPlan: true }],
+    iras: [{ dob: '1995-01-01', traditional: 7000 }] }).iraDeduction, 200);
+
+  // Joint: only the spouse is covered, MAGI $240,000 in $236,000–$246,000:
+  // $7,000 × $6,000 / $10,000 = $4,200
+  const joint = computeReturn({ filingStatus: 'mfj',
+    w2s: [{ box1: 120000 }, { owner: 'spouse', box1: 120000, retirementPlan: true }],
+    iras: [{ dob: '1990-01-01', traditional: 7000 }] });
+  near(joint.iraDeduction, 4200);
+});
+
+test('Roth limit and Form 8606 — phase-out, backdoor conversion and pro-rata basis', () => {
+  // Roth phase-out at $160,000 (single, $150,000–$165,000):
+  // $7,000 × $5,000 / $15,000 = $2,333.33, rounded up to $2,340
+  const roth = calcIRAs([{ dob: '1985-01-01', roth: 7000 }], {
+    status: 'single', incomeBeforeIRA: 160000,
+    compensation: { taxpayer: 160000, spouse: 0 }, w2Covered: {}, senior: {},
+  }).people[0];
+  near(roth.rothLimit, 2340);
+  near(roth.excessRoth, 4660);
+  near(roth.excessTax, 279.60);
+
+  // With $2,000 traditional at $157,500 the phased-out $7,000 × $7,500 /
+  // $15,000 = $3,500 is smaller than the $5,000 left, so $3,500 is allowed
+  const mixed = (traditional) => calcIRAs([{ dob: '1985-01-01', traditional, roth: 3500 }], {
+    status: 'single', incomeBeforeIRA: 157500,
+    compensation: { taxpayer: 157500, spouse: 0 }, w2Covered: {}, senior: {},
+  }).people[0];
+  near(mixed(2000).rothLimit, 3500);
+  near(mixed(2000).excessRoth, 0);
+  near(mixed(2000).excessTax, 0);
+  // $5,000 traditional leaves only $2,000, which is now the smaller
+  near(mixed(5000).rothLimit, 2000);
+  near(mixed(5000).excessRoth, 1500);
+
+  // Backdoor Roth: nondeductible $7,000 converted with no other IRA money
+  const backdoor = computeReturn({ w2s: [{ box1: 200000, retirementPlan: true }],
+    iras: [{ dob: '1985-01-01', traditional: 7000, converted: 7000 }] });
+  near(backdoor.iraDistributions, 7000);
+  near(backdoor.iraTaxable, 0);
+
+  // Pro-rata rule: $6,000 basis, $54,000 left at year end, $6,000 converted.
+  // Line 10 = 6,000 / 60,000 = 0.100, so $600 of the conversion is basis
+  const proRata = computeReturn({ w2s: [{ box1: 90000, retirementPlan: true }],
+    iras: [{ dob: '1985-01-01', priorBasis: 6000, yearEndValue: 54000, converted: 6000 }] });
+  const f = proRata.iras.people[0].f8606;
+  near(f.line10, 0.1);
+  near(f.line18, 5400);
+  near(f.line14, 5400);
+  near(proRata.iraTaxable, 5400);
+  near(proRata.totalIncome, 95400);
+});
+
+// ── Schedule 8812 ──
+const kid = (dob, extra = {}) => ({ dob, tinType: 'ssn', relationship: 'child', months: 12, ...extra });
+
+test('Dependent tests — CTC under 17 with an SSN, ODC for everyone else', () => {
+  assert.equal(classifyDependent(kid('2009-01-01')).ctc, true);                  // 16 at year end
+  assert.equal(classifyDependent(kid('2008-12-31')).odc, true);                  // 17 → ODC
+  assert.equal(classifyDependent(kid('2012-06-01', { tinType: 'itin' })).odc, true);
+  assert.equal(classifyDependent(kid('2003-06-01', { student: true })).qualifyingChild, true);  // 22, student
+  assert.equal(classifyDependent(kid('2003-06-01')).qualifyingChild, false);     // 22, not a student
+  assert.equal(classifyDependent(kid('1995-06-01', { disabled: true })).qualifyingChild, true);
+  assert.equal(classifyDependent(kid('2015-06-01', { months: 6 })).qualifyingChild, false);  // not over half the year
+  assert.equal(classifyDependent({ relationship: 'parent', months: 0, tinType: 'ssn' }).odc, true);
+  assert.equal(classifyDependent(kid('2015-06-01', { relationship: 'foster', months: 5 })).isDependent, false);
+  assert.equal(classifyDependent(kid('2015-06-01', { relationship: '' })).isDependent, false);
+});
+
+test('Schedule 8812 — low income: nonrefundable credit limited to tax, rest refundable (ACTC)', () => {
+  const t = computeReturn({
+    filingStatus: 'hoh',
+    w2: { box1: 30000, box2: 500 },
+    dependents: [kid('2015-03-01'), kid('2006-05-01', { student: true }), { relationship: 'parent', tinType: 'ssn' }],
+  });
+  // Taxable $30,000 − $23,625 = $6,375; Tax Table row $6,350–$6,400: $6,375 × 10% = $637.50 → $638
+  near(t.sch8812.line8, 3200);            // $2,200 + 2 × $500
+  near(t.ctcCredit, 638);                 // Line 14 = Line 13
+  // 16a $2,562.50; 16b $1,700; Line 20 ($27,500 × 15%) = $4,125 → Line 27 = $1,700
+  near(t.actc, 1700);
+  near(t.totalTax, 0);
+  // $500 withheld + $1,700 ACTC + EIC for 2 children ($5,746, see EIC tests)
+  near(t.fedRefund, 2200 + 5746);
+});
+
+test('Schedule 8812 — MAGI phase-out rounds the excess up to the next $1,000', () => {
+  const t = computeReturn({
+    filingStatus: 'mfj',
+    w2: { box1: 420500 },
+    dependents: [kid('2014-01-01'), kid('2018-01-01')],
+  });
+  // $420,500 − $400,000 = $20,500 → $21,000 × 5% = $1,050
+  near(t.sch8812.line11, 1050);
+  near(t.ctcCredit, 4400 - 1050);
+  near(t.actc, 0);
+  // Same income filing single: $220,500 − $200,000 → $21,000 as well
+  const single = computeReturn({ w2: { box1: 220500 }, dependents: [kid('2014-01-01')] });
+  near(single.ctcCredit, 2200 - 1050);
+});
+
+test('Schedule 8812 Part II-B — three or more children may use payroll taxes', () => {
+  const s = calcSchedule8812(
+    [kid('2012-01-01'), kid('2014-01-01'), kid('2016-01-01')],
+    4000, 0, 4000, 'hoh', 248 + 58, 0);
+  near(s.line17, 5100);   // smaller of $6,600 and 3 × $1,700
+  near(s.line20, 225);    // ($4,000 − $2,500) × 15%
+  assert.equal(s.usePartIIB, true);
+  near(s.line27, 306);    // social security + Medicare withheld beats Line 20
+});
+
+// ── Earned income credit ──
+test('EIC Table — midpoint of the $50 row, phase-in and phase-out', () => {
+  // Phase-in capped at the maximum: $9,025 × 7.65% > $649
+  assert.equal(eicTableAmount(9000, 0), 649);
+  // 1 child, $35,000 row: $4,328 − ($35,025 − $23,350) × 15.98% = $2,462.34
+  assert.equal(eicTableAmount(35000, 1), 2462);
+  // 2 children, MFJ $40,000 row: $7,152 − ($40,025 − $30,470) × 21.06% = $5,139.72
+  assert.equal(eicTableAmount(40000, 2, 'mfj'), 5140);
+  // 2 children, HOH $30,000 row: $7,152 − ($30,025 − $23,350) × 21.06% = $5,746.25
+  assert.equal(eicTableAmount(30000, 2, 'hoh'), 5746);
+  // Past the end of the phase-out
+  assert.equal(eicTableAmount(62000, 3), 0);
+});
+
+test('EIC Worksheet A — AGI above earned income uses the smaller table amount', () => {
+  const t = computeReturn({
+    w2: { box1: 20000 },
+    interest: { taxable: 10000 },
+    dependents: [kid('2016-04-01')],
+  });
+  // Line 2 ($20,000) = $4,328; Line 6 ($30,000): $4,328 − $6,675 × 15.98% = $3,261.34
+  near(t.eicResult.line2, 4328);
+  near(t.eic, 3261);
+  // Colorado EITC is 35% of the federal credit for 2025
+  assert.equal(C.CO_EITC_RATE, 0.35);
+  near(t.coEitc, 1141.35);
+});
+
+test('EIC eligibility — investment income limit, age test, MFS and dependents', () => {
+  near(computeReturn({ w2: { box1: 9000 } }).eic, 649);
+  near(computeReturn({ w2: { box1: 9000 }, eic: { ageEligible: false } }).eic, 0);
+  near(computeReturn({ w2: { box1: 9000 }, eic: { claimableAsDependent: true } }).eic, 0);
+  near(computeReturn({ w2: { box1: 9000 }, dividends: { ordinary: 12000 } }).eic, 0);
+  // Tax-exempt interest counts toward the $11,950 limit
+  const muni = (box8) => computeReturn({ w2: { box1: 9000 }, interestPayers: [{ payer: 'City bonds', box8 }] }).eic;
+  near(muni(11950), 649);
+  near(muni(11951), 0);
+  // A child with an ITIN doesn't count, but the no-child credit still applies
+  near(computeReturn({ w2: { box1: 9000 }, dependents: [kid('2016-04-01', { tinType: 'itin' })] }).eic, 649);
+  // MFS needs a qualifying child and six months apart
+  const child = [kid('2016-04-01')];
+  near(computeReturn({ filingStatus: 'mfs', w2: { box1: 20000 }, dependents: child }).eic, 0);
+  near(computeReturn({
+    filingStatus: 'mfs', w2: { box1: 20000 }, dependents: child, mfsLivedApart: true,
+  }).eic, 4328);
+});
+
+// ── Form 8863 ──
+const student = (extra = {}) => ({
+  box1: 4000, box5: 0, materials: 0, priorAotcYears: 0,
+  firstFourYears: true, halfTime: true, felonyDrug: false, ...extra,
+});
+
+test('Form 8863 — AOTC tiers, phase-out ratio and 40% refundable part', () => {
+  const t = computeReturn({
+    w2: { box1: 85000 },
+    students: [student({ box1: 5000, box5: 500, materials: 300 })],
+  });
+  // Line 27: $5,000 + $300 − $500 = $4,800, capped at $4,000 → $2,000 + 25% × $2,000
+  near(t.f8863.line1, 2500);
+  // ($90,000 − $85,000) / $10,000 = 0.500
+  near(t.f8863.line6, 0.5);
+  near(t.aotcRefundable, 500);     // Line 8 → Form 1040, line 29
+  near(t.educationCredit, 750);    // Line 9 → Schedule 3, line 3
+});
+
+test('Form 8863 — LLC for students past the AOTC limits, $10,000 expense cap', () => {
+  const t = computeReturn({
+    filingStatus: 'mfj',
+    w2: { box1: 170000 },
+    students: [student({ box1: 6000, priorAotcYears: 4 }), student({ box1: 7000, firstFourYears: false })],
+  });
+  near(t.f8863.line1, 0);
+  near(t.f8863.line10, 13000);
+  near(t.f8863.line12, 2000);
+  // ($180,000 − $170,000) / $20,000 = 0.500
+  near(t.educationCredit, 1000);
+  near(t.aotcRefundable, 0);
+});
+
+test('Form 8863 — Credit Limit Worksheet and MFS', () => {
+  // Taxable $20,000 − $15,750 = $4,250 → Tax Table tax $428 ($4,275 × 10%) caps the nonrefundable $1,500
+  const t = computeReturn({ w2: { box1: 20000 }, students: [student()] });
+  near(t.aotcRefundable, 1000);
+  near(t.educationCredit, 428);
+  near(t.taxAfterCredits, 0);
+  const mfs = computeReturn({ filingStatus: 'mfs', w2: { box1: 20000 }, students: [student()] });
+  near(mfs.educationCredit + mfs.aotcRefundable, 0);
+});
+
+// ── Form 2441 ──
+test('Form 2441 line 8 — 35% less 1% per $2,000 of AGI over $15,000, floor 20%', () => {
+  near(cdccRate(15000), 0.35);
+  near(cdccRate(15001), 0.34);
+  near(cdccRate(17000), 0.34);
+  near(cdccRate(17001), 0.33);
+  near(cdccRate(43000), 0.21);
+  near(cdccRate(43001), 0.20);
+  near(cdccRate(250000), 0.20);
+});
+
+test('Form 2441 — two children, $6,000 limit reduced by excluded box 10 benefits', () => {
+  const t = computeReturn({
+    filingStatus: 'hoh',
+    w2: { box1: 40000, box10: 2000 },
+    dependents: [kid('2018-02-01'), kid('2020-02-01')],
+    careProviders: [{ name: 'Daycare', amount: 5000 }, { name: 'Camp', amount: 2000 }],
+  });
+  near(t.dcb.line25, 2000);        // all excluded
+  near(t.dcbTaxable, 0);
+  near(t.f2441.line3, 4000);       // $6,000 − $2,000
+  near(t.f2441.line8, 0.22);       // AGI $40,000: 13 steps
+  near(t.childCareCredit, 880);
+});
+
+test('Form 2441 Part III — benefits over expenses are taxable wages and use up the limit', () => {
+  const t = computeReturn({
+    w2: { box1: 50000, box10: 6000 },
+    dependents: [kid('2018-02-01')],
+    careProviders: [{ amount: 4000 }],
+  });
+  near(t.dcb.line25, 4000);
+  near(t.dcbTaxable, 2000);
+  near(t.agi, 52000);
+  near(t.childCareCredit, 0);      // $3,000 limit − $4,000 excluded
+});
+
+test('Form 2441 — earned income of the lower-earning spouse and qualifying persons', () => {
+  const twoKids = [kid('2018-02-01'), kid('2020-02-01')];
+  const providers = [{ amount: 6000 }];
+  // One spouse with no earned income → Line 5 is $0
+  near(computeReturn({ filingStatus: 'mfj', w2: { box1: 80000 }, dependents: twoKids, careProviders: providers }).childCareCredit, 0);
+  // Spouse earning $2,500 caps the expenses at $2,500 × 20%
+  near(computeReturn({
+    filingStatus: 'mfj', w2: { box1: 80000 }, spouseW2: { box1: 2500 }, dependents: twoKids, careProviders: providers,
+  }).childCareCredit, 500);
+  // A 14-year-old is not a qualifying person
+  near(computeReturn({ w2: { box1: 80000 }, dependents: [kid('2011-02-01')], careProviders: providers }).childCareCredit, 0);
+});
+
+test('Form 8880 line 9 — 50/20/10% AGI tiers by filing status', () => {
+  assert.equal(saversRate(23750, 'single'), 0.5);
+  assert.equal(saversRate(23751, 'single'), 0.2);
+  assert.equal(saversRate(39500, 'mfs'), 0.1);
+  assert.equal(saversRate(39501, 'single'), 0);
+  assert.equal(saversRate(51000, 'mfj'), 0.2);
+  assert.equal(saversRate(79000, 'qss'), 0);      // QSS uses the single column
+  assert.equal(saversRate(59250, 'hoh'), 0.1);
+});
+
+test('Form 8880 — both spouses, distributions reduce line 3, $2,000 cap per person', () => {
+  const inputs = {
+    filingStatus: 'mfj',
+    w2: { box1: 45000, box12: { D: 3000 } },
+    spouseW2: { box1: 5000, box12: { AA: 1000 } },
+    savers: { distributions: 500 },
+  };
+  const t = computeReturn(inputs);
+  // (a) $3,000 − $500 → $2,000 cap; (b) $1,000. AGI $50,000 MFJ → 20%
+  near(t.f8880.columns[0].line5, 2500);
+  near(t.f8880.line7, 3000);
+  near(t.saversCredit, 600);
+  near(t.sch3PartI, 600);
+  // A spouse who was a full-time student gets nothing for their column
+  near(computeReturn({ ...inputs, savers: { distributions: 500, spouseEligible: false } }).saversCredit, 400);
+  // No Form 8880 when the section is not answered
+  assert.equal(computeReturn({ ...inputs, savers: null }).f8880, null);
+});
+
+test('Form 8880 — Credit Limit Worksheet: limited to tax left, taken before the CTC', () => {
+  const t = computeReturn({
+    w2: { box1: 20000, box12: { D: 2000 } },
+    savers: {},
+  });
+  // AGI $20,000 → 50% of $2,000 = $1,000, but tax on $4,250 is $428 (Tax Table)
+  near(t.f8880.line10, 1000);
+  near(t.saversCredit, 428);
+  const withKid = computeReturn({
+    filingStatus: 'hoh',
+    w2: { box1: 30000, box12: { E: 2000 } },
+    dependents: [kid('2015-06-01')],
+    savers: {},
+  });
+  // HOH AGI $30,000 → 50%; tax on $6,375 is $638, all used by Form 8880
+  near(withKid.saversCredit, 638);
+  near(withKid.ctcCredit, 0);
+  near(withKid.actc, 1700);
+});
+
+test('Schedule C — COGS, mileage, 50% meals and a simplified home office', () => {
+  const t = computeReturn({
+    schC: {
+      grossReceipts: 60000, cogs: 10000,
+      expenses: { advertising: 1000, meals: 800, supplies: 600 },
+      vehicle: { businessMiles: 5000, parkingTolls: 100 },
+      homeOffice: { squareFeet: 200 },
+    },
+  });
+  near(t.schC.line7, 50000);
+  near(t.schC.line9, 3600);       // 5,000 × $0.70 + $100
+  near(t.schC.line24b, 400);
+  near(t.schC.line28, 5600);
+  near(t.schC.line30, 1000);      // 200 sq ft × $5
+  near(t.schC.line31, 43400);
+  // Schedule SE: $43,400 × 92.35% = $40,079.90 × 15.3%
+  near(t.schSE.line4a, 40079.9);
+  near(t.seTax, 6132.2247);
+  near(t.seDeduction, 3066.11235);
+  near(t.agi, 43400 - 3066.11235);
+  near(t.earnedIncome, 43400 - 3066.11235);
+  near(t.otherTaxes, 6132.2247);
+});
+
+test('Schedule C — a loss offsets other income, no SE tax, no home office deduction', () => {
+  const t = computeReturn({
+    w2: { box1: 30000, box4: 1860 },
+    schC: { grossReceipts: 1000, expenses: { other: 3000 }, homeOffice: { squareFeet: 300 } },
+  });
+  near(t.schC.line30, 0);
+  near(t.businessIncome, -2000);
+  near(t.seTax, 0);
+  near(t.totalIncome, 28000);
+});
+
+test('Schedule SE — W-2 social security wages use up the $176,100 base first', () => {
+  // Box 4 $9,300 → $150,000 of SS wages; $26,100 of base left
+  const se = calcScheduleSE(50000, 150000);
+  near(se.line6, 46175);
+  near(se.line9, 26100);
+  near(se.line10, 3236.4);
+  near(se.line11, 1339.075);
+  // Under $400 of net earnings → no SE tax
+  near(calcScheduleSE(400).line12, 0);
+  // On a joint return the spouse's business uses the spouse's own wage base
+  const joint = computeReturn({
+    filingStatus: 'mfj',
+    w2: { box1: 150000, box4: 9300 },
+    schC: { owner: 'spouse', grossReceipts: 50000 },
+  });
+  near(joint.seTax, 46175 * 0.153);
+});
+
+test('Form 8959 — SE earnings over the threshold left after wages owe 0.9%', () => {
+  const t = computeReturn({
+    w2: { box1: 180000, box4: 10918.2 },
+    schC: { grossReceipts: 50000 },
+  });
+  near(t.schSE.line10, 0);                    // wages already reached the base
+  near(t.addlMedicareTax, 26175 * 0.009);     // $46,175 − ($200,000 − $180,000)
+});
+
+test('Form 8959 — box 5 Medicare wages, and Part V credits the 0.9% the employer withheld', () => {
+  // Box 1 is reduced by a 401(k) deferral; box 5 is not. Box 6 is
+  // 1.45% of $260,000 = $3,770 plus 0.9% of the $60,000 over $200,000 = $540.
+  const t = computeReturn({
+    w2s: [{ employer: 'Acme', box1: 236500, box2: 50000, box5: 260000, box6: 4310, box12: { D: 23500 } }],
+  });
+  const m = t.f8959;
+  near(m.line1, 260000);
+  near(m.line6, 60000);
+  near(m.line7, 540);
+  near(m.line18, 540);
+  near(m.line21, 3770);
+  near(m.line22, 540);
+  near(t.addlMedicareWithheld, 540);   // Form 1040, line 25c
+  near(t.totalWithheld, 50540);        // Line 25d
+  near(t.totalPayments, 50540);
+
+  // Two joint earners at $150,000: neither employer withholds the extra
+  // 0.9%, but $300,000 is $50,000 over the joint threshold
+  const joint = computeReturn({
+    filingStatus: 'mfj',
+    w2s: [
+      { box1: 150000, box5: 150000, box6: 2175 },
+      { owner: 'spouse', box1: 150000, box5: 150000, box6: 2175 },
+    ],
+  });
+  near(joint.addlMedicareTax, 450);
+  near(joint.addlMedicareWithheld, 0);
+});
+
+test('Schedule 1-A reductions — statutory amount per $1,000 over the threshold', () => {
+  const tips = (magi, amount, status) => calcSch1ADeductions(magi, amount, 0, 0, false, status).tipsDeduction;
+  const ot   = (magi, amount, status) => calcSch1ADeductions(magi, 0, amount, 0, false, status).otDeduction;
+  const car  = (magi, amount, status) => calcSch1ADeductions(magi, 0, 0, amount, false, status).carDeduction;
+  // Tips: $100 per $1,000, so $25,000 runs out $250,000 over the threshold
+  near(tips(150000, 25000, 'single'), 25000);
+  near(tips(399000, 25000, 'single'), 100);
+  near(tips(400000, 25000, 'single'), 0);
+  near(tips(549000, 25000, 'mfj'), 100);
+  near(tips(550000, 25000, 'mfj'), 0);
+  // The reduction is a flat amount, not a share of what was earned
+  near(tips(160000, 10000, 'single'), 9000);
+  // Overtime: the joint cap doubles, single $12,500 ends at $275,000
+  near(ot(275000, 12500, 'single'), 0);
+  near(ot(549000, 25000, 'mfj'), 100);
+  near(ot(550000, 25000, 'mfj'), 0);
+  // Car loan interest: $200 per $1,000 or part of one; the $10,000 cap
+  // doesn't double, so a joint return runs out at $250,000
+  near(car(100000, 10000, 'single'), 10000);
+  near(car(100500, 10000, 'single'), 9800);
+  near(car(149000, 10000, 'single'), 200);
+  near(car(150000, 10000, 'single'), 0);
+  near(car(200000, 10000, 'mfj'), 10000);
+  near(car(249000, 10000, 'mfj'), 200);
+  near(car(250000, 10000, 'mfj'), 0);
+  // Senior: 6% of MAGI over $75,000 ($150,000 joint), per qualifying spouse
+  near(calcSch1ADeductions(125000, 0, 0, 0, true, 'single').seniorDeduction, 3000);
+  near(calcSch1ADeductions(175000, 0, 0, 0, true, 'single').seniorDeduction, 0);
+  near(calcSch1ADeductions(200000, 0, 0, 0, true, 'mfj', true).seniorDeduction, 6000);
+  near(calcSch1ADeductions(250000, 0, 0, 0, true, 'mfj', true).seniorDeduction, 0);
+});
+
+test('Schedule 1-A is line 13b — it lowers taxable income, not AGI', () => {
+  const t = computeReturn({ w2: { box1: 60000 }, sch1a: { overtime: 5000 } });
+  near(t.agi, 60000);
+  near(t.sch1a.otDeduction, 5000);
+  near(t.totalDeductions, 20750);
+  near(t.taxableIncome, 39250);
+});
+
+test('Form 8995 — 20% of K-1 box 1, limited to 20% of taxable income less net capital gain', () => {
+  const t = computeReturn({ w2: { box1: 50000 }, scorp: { grossReceipts: 40000 } });
+  assert.equal(t.qbi.form, '8995');
+  near(t.qbi.taxableIncome, 74250);
+  near(t.qbiDeduction, 8000);
+  near(t.taxableIncome, 66250);
+  // $30,000 of qualified dividends: ($54,250 − $30,000) × 20%
+  const capped = computeReturn({
+    scorp: { grossReceipts: 40000 },
+    dividends: { ordinary: 30000, qualified: 30000 },
+  });
+  near(capped.qbi.incomeLimit, 4850);
+  near(capped.qbiDeduction, 4850);
+});
+
+test('Form 8995-A — above the range the W-2 wage / UBIA limit applies and an SSTB gets nothing', () => {
+  const inputs = {
+    w2: { box1: 60000 },
+    scorp: { grossReceipts: 400000, officerComp: 60000, ubia: 200000 },
+  };
+  const t = computeReturn(inputs);
+  assert.equal(t.qbi.form, '8995-A');
+  near(t.qbi.phaseIn, 1);
+  // 20% × $340,000 = $68,000, capped at the greater of 50% × $60,000 and
+  // 25% × $60,000 + 2.5% × $200,000
+  near(t.qbi.businesses[0].line3, 68000);
+  near(t.qbi.businesses[0].line10, 30000);
+  near(t.qbiDeduction, 30000);
+  near(computeReturn({ ...inputs, scorp: { ...inputs.scorp, sstb: true } }).qbiDeduction, 0);
+});
+
+test('Form 8995-A Part III and Schedule A — phase-in range', () => {
+  const inputs = { w2: { box1: 60000 }, scorp: { grossReceipts: 230000, officerComp: 60000 } };
+  // Taxable income before QBI $214,250 → ($214,250 − $197,300) / $50,000 = 33.9%
+  const t = computeReturn(inputs);
+  near(t.qbi.phaseIn, 0.339);
+  near(t.qbiDeduction, 34000 - 0.339 * 4000);
+  // SSTB: 66.1% of QBI ($112,370) and wages ($39,660) count
+  const sstb = computeReturn({ ...inputs, scorp: { ...inputs.scorp, sstb: true } });
+  near(sstb.qbi.businesses[0].line3, 22474);
+  near(sstb.qbi.businesses[0].line10, 19830);
+  near(sstb.qbiDeduction, 22474 - 0.339 * 2644);
+});
+
+test('QBI loss netting — Schedule C loss and carryforward reduce K-1 QBI; any excess carries forward', () => {
+  const inputs = {
+    w2: { box1: 50000 },
+    scorp: { grossReceipts: 30000 },
+    schC: { expenses: { other: 5000 } },
+    qbiLossCarryforward: 10000,
+  };
+  const t = computeReturn(inputs);
+  near(t.qbi.totalQBI, 15000);
+  near(t.qbiDeduction, 3000);
+  near(t.qbi.newCarryforward, 0);
+  const loss = computeReturn({ ...inputs, qbiLossCarryforward: 40000 });
+  near(loss.qbiDeduction, 0);
+  near(loss.qbi.newCarryforward, 15000);
+});
+
+test('Form 7203 — losses use stock basis, then debt basis; the rest is suspended', () => {
+  const f = calcForm7203({ box1: -40000, box16c: 1000, box16d: 2000 }, {
+    stockBegin: 10000, contributions: 5000,
+    debtBegin: 8000, loanBegin: 8000, suspendedOrdinary: 3000,
+  });
+  // Stock: $15,000 − $2,000 distributions − $1,000 nondeductible = $12,000
+  near(f.line10, 12000);
+  near(f.fromStock, 12000);
+  near(f.fromDebt, 8000);
+  // $40,000 + $3,000 carryover − $20,000 allowed
+  near(f.suspendedLoss, 23000);
+  near(f.allowed.ordinary, 20000);
+  near(f.stockEnd, 0);
+  near(f.debtEnd, 0);
+  near(f.capitalGain, 0);
+});
+
+test('Form 7203 — net increase restores debt basis; repayment of a reduced loan is gain', () => {
+  const f = calcForm7203({ box1: 5000 }, {
+    debtBegin: 2000, loanBegin: 10000, repayments: 4000,
+  });
+  // All $5,000 of income restores debt basis (face $10,000, basis $2,000)
+  near(f.restoration, 5000);
+  near(f.stockEnd, 0);
+  // $4,000 × $7,000 / $10,000 returns basis; the other $1,200 is gain
+  near(f.line26, 2800);
+  near(f.repaymentGain, 1200);
+  near(f.debtEnd, 4200);
+  near(f.loanEnd, 6000);
+});
+
+test('Form 7203 feeds the return — limited K-1 loss, excess distributions to Schedule D', () => {
+  const loss = computeReturn({
+    w2: { box1: 80000 },
+    scorp: { grossReceipts: 10000, otherDeductions: 30000 },
+    scorpBasis: { stockBegin: 5000 },
+  });
+  near(loss.skorpK1, -5000);
+  near(loss.f7203.suspendedLoss, 15000);
+  near(loss.qbi.newCarryforward, 5000);
+  // Untracked, the whole loss is taken
+  near(computeReturn({ w2: { box1: 80000 }, scorp: { grossReceipts: 10000, otherDeductions: 30000 } }).skorpK1, -20000);
+
+  // $50,000 income + $5,000 basis covers $55,000 of a $70,000 distribution
+  const dist = computeReturn({
+    scorp: { grossReceipts: 50000, scheduleK: { distributions: 70000 } },
+    scorpBasis: { stockBegin: 5000 },
+  });
+  near(dist.skorpK1, 50000);
+  near(dist.ltcg, 15000);
+  near(dist.capGainNet, 15000);
+  near(dist.f7203.stockEnd, 0);
+});
+
+test('Form 7203 — every suspended item carries forward, §179 and charitable included', () => {
+  // $4,000 §179 + $1,000 carried over + $1,000 charitable against $2,000 of
+  // stock basis: a third is allowed, pro rata by item
+  const y1 = computeReturn({
+    scorp: { grossReceipts: 6000, otherDeductions: 6000, scheduleK: { section179: 4000, charitable: 1000 } },
+    scorpBasis: { stockBegin: 2000, suspendedSection179: 1000 },
+  });
+  near(y1.f7203.allowed.section179, 5000 / 3);
+  near(y1.carryforward.scorpBasis.suspendedSection179, 10000 / 3);
+  near(y1.carryforward.scorpBasis.suspendedCharitable, 2000 / 3);
+
+  // Next year's income frees both carryovers in full
+  const y2 = computeReturn({ scorp: { grossReceipts: 10000 }, scorpBasis: y1.carryforward.scorpBasis });
+  near(y2.f7203.allowed.section179, 10000 / 3);
+  near(y2.f7203.allowed.charitable, 2000 / 3);
+  near(y2.carryforward.scorpBasis.suspendedSection179, 0);
+  near(y2.carryforward.scorpBasis.suspendedCharitable, 0);
+});
+
+test('Form 1120-S Schedules L, M-1 and M-2 — balance sheet, book income and AAA', () => {
+  const t = computeReturn({
+    scorp: {
+      grossReceipts: 120000, officerComp: 50000, otherDeductions: 10000,
+      mealsNondeductible: 1500, otherNondeductible: 500, taxExemptIncome: 200,
+      aaaBegin: 8000,
+      scheduleK: { distributions: 38000 },
+      balanceSheet: {
+        begin: { cash: 20000, paidInCapital: 5000, retainedEarnings: 15000 },
+        end:   { cash: 41000, receivables: 2700, payables: 3000, paidInCapital: 5000, retainedEarnings: 35700 },
+      },
+    },
+  });
+  const { schL, m1, m2 } = t.f1120s;
+  // M-1: $60,000 on Schedule K − $2,000 nondeductible + $200 tax-exempt
+  near(m1.line1, 58200);
+  near(m1.line8, 60000);
+  // M-2: $8,000 + $60,000 − $2,000 − $38,000
+  near(m2.line6, 66000);
+  near(m2.line8, 28000);
+  assert.ok(schL.balances);
+  // $15,000 + $58,200 − $38,000
+  near(schL.expectedRetainedEarnings, 35200);
+  assert.equal(schL.retainedEarningsTie, false);
+  assert.equal(schL.required, false);
+  near(t.carryforward.aaaBegin, 28000);
+  near(t.carryforward.balanceSheetBegin.cash, 41000);
+});
+
+test('Schedule M-2 — distributions stop at zero AAA and come before a net negative adjustment', () => {
+  // Net negative year: $5,000 of AAA covers $5,000 of the $7,000 distribution,
+  // then the $12,000 loss and $1,000 nondeductible take AAA negative
+  const m2 = calcScheduleM2(5000, -12000, 1000, 7000);
+  near(m2.line7, 5000);
+  near(m2.line8, -13000);
+  near(m2.excessDistributions, 2000);
+  // A profitable year counts the income first
+  near(calcScheduleM2(5000, 12000, 1000, 20000).line7, 16000);
+});
+
+test('Shareholder register — per-share, per-day allocation into K-1s that add up to Schedule K', () => {
+  // A sells 20% to B on July 1 (day 182): A holds 60% for 181 days and 40% for 184
+  const t = computeReturn({
+    scorp: {
+      grossReceipts: 100000.01,
+      scheduleK: { interest: 1000, distributions: 30000 },
+      shareholders: [
+        { name: 'A', tin: '111-11-1111', pct: 60, to: '2025-06-30', mine: true },
+        { name: 'A', tin: '111-11-1111', pct: 40, from: '2025-07-01', mine: true },
+        { name: 'B', tin: '222-22-2222', pct: 20, from: '2025-07-01' },
+        { name: 'C', tin: '333-33-3333', pct: 40 },
+      ],
+    },
+  });
+  const fs = t.f1120s;
+  assert.equal(fs.k1s.length, 3);
+  assert.ok(fs.register.fullyAllocated);
+  const a = (60 * 181 + 40 * 184) / 100 / 365;
+  near(fs.k1s[0].fraction, a);
+  near(fs.k1s[1].fraction, 0.2 * 184 / 365);
+  near(fs.k1s[2].fraction, 0.4);
+  // Every box ties to Schedule K to the cent
+  assert.ok(fs.allocationsTie);
+  near(fs.k1s.reduce((sum, k) => sum + k.items.box1, 0), 100000.01);
+  // Your return carries A's K-1: box 1 to Schedule E, box 4 to Form 1040 line 2b
+  near(t.skorpK1, fs.k1s[0].items.box1);
+  near(t.taxableInt, fs.k1s[0].items.box4);
+  near(fs.ownershipPct, a * 100);
+});
+
+test('Shareholder register — gaps or overlaps in ownership are flagged and do not tie', () => {
+  const alloc = calcShareholderAllocation([
+    { name: 'A', pct: 50 },
+    { name: 'B', pct: 50, from: '2025-03-01' },
+  ]);
+  // January and February are only 50% owned
+  assert.equal(alloc.fullyAllocated, false);
+  assert.equal(alloc.badDays, 59);
+  assert.equal(alloc.firstBadDay, 0);
+  const t = computeReturn({ scorp: { grossReceipts: 10000, shareholders: [{ name: 'A', pct: 50, mine: true }] } });
+  assert.equal(t.f1120s.allocationsTie, false);
+});
+
+test('K-1 separately stated items — capital gain, section 179 and charity flow to the return', () => {
+  const t = computeReturn({
+    scorp: {
+      grossReceipts: 80000, otherDeductions: 20000,
+      scheduleK: { netLongTermGain: 5000, section179: 10000, charitable: 2000 },
+    },
+    itemized: { charityCash: 500 },
+  });
+  near(t.ltcg, 5000);
+  // Schedule E: $60,000 box 1 − $10,000 section 179
+  near(t.skorpK1, 50000);
+  near(t.qbi.businesses[0].qbi, 50000);
+  near(t.itemCharityCash, 2500);
+  // Schedule K line 18 and AAA pick up the separately stated items
+  near(t.f1120s.line18, 60000 + 5000 - 10000 - 2000);
+  near(t.f1120s.m2.line3, 5000);
+  near(t.f1120s.m2.line8, 60000 + 5000 - 12000);
+  // Form 7203: a $10,000 box 1 loss and $10,000 of section 179 share $5,000 of basis
+  const f = computeReturn({
+    scorp: { grossReceipts: 10000, otherDeductions: 20000, scheduleK: { section179: 10000 } },
+    scorpBasis: { stockBegin: 5000 },
+  });
+  // 25% of each is allowed
+  near(f.skorpK1, -2500 - 2500);
+  near(f.f7203.allowed.section179, 2500);
+});
+
+test('Salary comparison — payroll tax, sweep range and recommendation', () => {
+  // $176,100 × 6.2% + $200,000 × 1.45%
+  near(ficaOnWages(200000), 10918.2 + 2900);
+  // $100,000 of profit before salary: the largest salary is 100,000 ÷ 1.0765
+  const low = calcSalaryComparison({ scorp: { grossReceipts: 100000, reasonableComp: 40000 } });
+  assert.equal(low.maxSalary, 92893);
+  assert.equal(low.rows[0].salary, 40000);
+  // At the floor: Line 21 = 100,000 − 40,000 − 3,060 employer FICA
+  near(low.rows[0].k1Box1, 56940);
+  near(low.rows[0].employeeFica, 3060);
+  // Below the QBI threshold extra salary only adds payroll tax
+  assert.equal(low.best.salary, 40000);
+  assert.equal(low.belowFloor, true);
+  // Far above the threshold the 50%-of-wages limit rewards a higher salary
+  const high = calcSalaryComparison({ scorp: { grossReceipts: 900000, officerComp: 60000, reasonableComp: 50000 },
+    w2: { box1: 60000 } });
+  assert.ok(high.best.salary > 200000);
+  assert.ok(high.best.qbiDeduction > high.rows[0].qbiDeduction);
+  assert.ok(high.gain > 0);
+});
+
+test('Salary comparison — officer pay is its own W-2; an outside job stays as entered', () => {
+  const outside = { box1: 70000, box3: 70000, box4: 4340, box5: 70000, box6: 1015 };
+  const check = (cmp) => {
+    const first = cmp.rows[0].w2Forms.find((w) => !w.scorp);
+    near(first.box1, 70000);
+    cmp.rows.forEach((r) => {
+      const job = r.w2Forms.find((w) => !w.scorp);
+      near(job.box1, first.box1, `outside box 1 at ${r.salary}`);
+      near(job.box3, first.box3, `outside box 3 at ${r.salary}`);
+      near(r.w2Forms.find((w) => w.scorp).box1, r.salary, `S-corp box 1 at ${r.salary}`);
+    });
+  };
+  const scorp = { grossReceipts: 150000, officerComp: 40000, reasonableComp: 30000 };
+  // The single `w2` input and an unflagged W-2 in the list are both outside jobs
+  check(calcSalaryComparison({ scorp, w2: outside }));
+  check(calcSalaryComparison({ scorp, w2s: [{ ...outside, employer: 'Acme' }] }));
+  // A W-2 flagged as the S-corp's moves with the salary instead of a new one
+  const flagged = calcSalaryComparison({ scorp, w2s: [outside, { scorp: true, box1: 40000, box3: 40000, box5: 40000 }] });
+  check(flagged);
+  flagged.rows.forEach((r) => assert.equal(r.w2Forms.length, 2));
+});
+
+test('Payroll — Forms 941 and 940, W-2s and the 1120-S tie-out', () => {
+  const employees = [
+    { name: 'Owner', officer: true, q1: 60000, q2: 60000, q3: 60000, q4: 60000, deferrals: 23500, fedWithheld: 40000 },
+    { name: 'Staff', q1: 10000, q2: 10000, q3: 10000, q4: 10000, fedWithheld: 4000 },
+  ];
+  const p = calcPayroll({ employees }, { officerComp: 240000, wages: 40000, taxes: 18467 });
+  const q4 = p.f941[3];
+  // The owner passed the $176,100 social security base in Q3
+  near(q4.line5aWages, 10000);
+  near(q4.line5a, 1240);
+  // Q4 takes the owner from $180,000 to $240,000 — $40,000 over $200,000
+  near(q4.line5d, 360);
+  // Line 2 leaves out a quarter of the owner's $23,500 deferral
+  near(q4.line2, 70000 - 5875);
+  // FUTA: $7,000 × 2 × 0.6%, all in Q1; Colorado: $27,200 × 2 × 1.7%
+  near(p.f940.line8, 84);
+  near(p.f940.quarterly[0], 84);
+  near(p.suta, 924.8);
+  // Employer FICA: $216,100 × 6.2% + $280,000 × 1.45%
+  near(p.employerFica, 17458.2);
+  near(p.w2s[0].box1, 216500);
+  near(p.w2s[0].box6, 240000 * 0.0145 + 360);
+  near(p.w3.box3, 216100);
+  assert.equal(p.mismatches.length, 0);
+  // Line 12 short of the employer taxes is flagged
+  const short = calcPayroll({ employees }, { officerComp: 240000, wages: 40000, taxes: 10000 });
+  assert.deepEqual(short.mismatches.map((m) => m.label), ['1120-S line 12 — includes employer payroll taxes']);
+  // No employees listed: lines 7 and 8 paid evenly to one officer and one employee
+  const est = calcPayroll({}, { officerComp: 80000, wages: 0, taxes: 0 });
+  assert.equal(est.estimated, true);
+  near(est.f941[0].line2, 20000);
+  near(est.futa, 42);
+});
+
+test('Form 8949 — holding period, boxes and the Schedule D lines', () => {
+  // Long-term starts the day after the one-year anniversary
+  assert.equal(holdingTerm('2024-03-15', '2025-03-15'), 'short');
+  assert.equal(holdingTerm('2024-03-15', '2025-03-16'), 'long');
+  assert.equal(holdingTerm('', '2025-03-16'), null);
+
+  const f = calcForm8949([
+    { description: '10 sh AAA', acquired: '2025-01-02', sold: '2025-06-02', reported: 'basis', proceeds: 5000, basis: 4000 },
+    { description: '5 sh BBB', acquired: '2025-02-01', sold: '2025-03-01', reported: 'basis', proceeds: 1000, basis: 1500,
+      code: 'W', adjustment: 500 },
+    { description: 'Coins', acquired: '2015-05-01', sold: '2025-05-01', reported: 'none', proceeds: 3000, basis: 1000 },
+    { description: '20 sh CCC', term: 'long', reported: 'nobasis', proceeds: 2000, basis: 2600 },
+  ]);
+  // Box A with nothing to adjust skips Form 8949 for Schedule D line 1a
+  assert.equal(f.rows[0].direct, true);
+  near(f.line1a.gain, 1000);
+  assert.equal(f.rows[1].box, 'A');
+  near(f.boxes.A.gain, 0);
+  assert.equal(f.rows[2].box, 'F');
+  assert.equal(f.rows[3].box, 'E');
+  assert.equal(f.issues.length, 0);
+
+  const d = calcScheduleD(f, { k1ShortTerm: -200, k1LongTerm: 400, form4797: 1000, basisGain: 2500 });
+  near(d.line7, 1000 + 0 - 200);
+  near(d.line9, -600);
+  near(d.line10, 2000 + 2500);
+  near(d.line15, -600 + 4500 + 1000 + 400);
+  near(d.line16, 800 + 5300);
+});
+
+test('Form 8949 — a wash sale adjustment only disallows a loss', () => {
+  const sale = { acquired: '2025-01-02', sold: '2025-02-02', proceeds: 1000, basis: 1500, code: 'W' };
+  assert.equal(calcForm8949([{ ...sale, adjustment: 500 }]).issues.length, 0);
+  assert.equal(calcForm8949([{ ...sale, adjustment: 600 }]).issues.length, 1);
+  assert.equal(calcForm8949([{ ...sale, adjustment: -100 }]).issues.length, 1);
+  // An adjustment without a code is flagged too
+  assert.equal(calcForm8949([{ ...sale, code: '', adjustment: 100 }]).rows[0].issues.length, 1);
+});
+
+test('1099-B CSV import — broker headers, money formats and totals rows', () => {
+  const csv = [
+    'Realized Gain/Loss Report,,,,,,',
+    'Description,Date Acquired,Date Sold,Proceeds,Cost Basis,Wash Sale Loss Disallowed,Term',
+    '"ACME CORP, COMMON",01/15/2024,03/20/2025,"$1,234.56",$1000.00,,Long Term',
+    'XYZ INC,02/01/2025,02/20/2025,$800.00,"$1,000.00",(50.00),Short Term',
+    'Total,,,"$2,034.56","$2,000.00",,',
+  ].join('\n');
+  const { transactions, skipped } = parseBrokerCSV(csv);
+  assert.equal(transactions.length, 2);
+  assert.equal(skipped, 1);
+  assert.equal(transactions[0].description, 'ACME CORP, COMMON');
+  assert.equal(transactions[0].acquired, '2024-01-15');
+  assert.equal(transactions[0].term, 'long');
+  near(transactions[0].proceeds, 1234.56);
+  assert.equal(transactions[1].code, 'W');
+  near(transactions[1].adjustment, 50);
+  assert.equal(calcForm8949(transactions).boxes.A.count, 1);
+});
+
+test('Capital Loss Carryover Worksheet — carryover in and out', () => {
+  // $10,000 short-term loss, $2,000 long-term gain, $4,000 long-term loss carried in
+  const sales = [
+    { acquired: '2025-01-02', sold: '2025-02-03', proceeds: 5000, basis: 15000 },
+    { acquired: '2020-01-02', sold: '2025-02-03', proceeds: 6000, basis: 4000 },
+  ];
+  const d = calcScheduleD(calcForm8949(sales), { longTermCarryover: 4000 });
+  near(d.line14, 4000);
+  near(d.line15, -2000);
+  // Taxable income well above zero: $3,000 used, all from short-term first
+  const w = calcCapitalLossCarryover(d, 50000, 3000);
+  near(w.line21, -3000);
+  near(w.shortTerm, 10000 - 3000);   // line 5 − (line 4 + line 6 = 3,000 + 0)
+  near(w.longTerm, 2000);            // line 9 − (line 10 + line 11 = 0 + 0)
+  // Taxable income of −$1,000 with the loss: only $2,000 of it counts as used
+  const low = calcCapitalLossCarryover(d, -1000, 3000);
+  near(low.line4, 2000);
+  near(low.shortTerm, 8000);
+  // Married filing separately: $1,500 limit, through computeReturn
+  const t = computeReturn({ filingStatus: 'mfs', w2: { box1: 60000 },
+    capitalGains: { transactions: sales, longTermCarryover: 4000 } });
+  near(t.capGain1040, -1500);
+  near(t.carryforward.capitalGains.shortTermCarryover, 8500);
+  near(t.carryforward.capitalGains.longTermCarryover, 2000);
+});
+
+test('QDCGT Worksheet — a net capital loss leaves only qualified dividends preferential', () => {
+  const t = computeReturn({
+    w2: { box1: 50000 },
+    dividends: { ordinary: 10000, qualified: 10000 },
+    capitalGains: { longTerm: 5000, shortTerm: -8000 },
+  });
+  // $57,000 total income less the $15,750 standard deduction
+  near(t.taxableIncome, 41250);
+  assert.equal(t.capGainWorksheet.form, 'qdcgt');
+  near(t.capGainWorksheet.line3, 0);
+  near(t.preferentialIncome, 10000);
+  // Tax Table row $31,250–$31,300: $31,275 × 12% − $238.50; the dividends all fall in the 0% band
+  near(t.capGainWorksheet.line9, 10000);
+  near(t.federalTax, 3515);
+});
+
+test('Schedule D Tax Worksheet — 28% collectibles and 25% unrecaptured gain', () => {
+  const t = computeReturn({ w2: { box1: 200000 }, capitalGains: { transactions: [
+    { description: 'Gold coins', acquired: '2015-01-02', sold: '2025-06-02', proceeds: 80000, basis: 30000, collectible: true },
+  ] } });
+  near(t.schD.line18, 50000);
+  const ws = t.capGainWorksheet;
+  assert.equal(ws.form, 'schD');
+  // Ordinary rates through the top of the 24% bracket ($197,300), 28% above
+  near(ws.line21, 197300);
+  near(ws.line42, 36950);
+  // $197,300 × 24% − $7,153 + $36,950 × 28%
+  near(ws.line47, 40199 + 10346);
+
+  // $10,000 of 1250 gain inside the 22% bracket keeps the 22% rate
+  const w = calcScheduleDTaxWorksheet(100000, 0, { line15: 30000, line16: 30000, line18: 0, line19: 10000 },
+    C.BRACKETS_SINGLE, C.LTCG_BRACKETS_SINGLE);
+  near(w.line21, 80000);
+  near(w.line30, 20000);
+  near(w.line39, 0);
+  // Tax Table row $80,000–$80,050: $80,025 × 22% − $5,086 = $12,519.50, + $20,000 × 15%
+  near(w.line47, 12520 + 3000);
+  // Same income through the QDCGT Worksheet taxes all $30,000 at 15%
+  near(calcQDCGTWorksheet(100000, 0, 30000, C.BRACKETS_SINGLE, C.LTCG_BRACKETS_SINGLE).line25, 10320 + 4500);
+});
+
+test('Form 6251 — ISO bargain element, exemption phase-out and the MFS add-back', () => {
+  const t = computeReturn({ w2: { box1: 150000 }, amt: { iso: 200000 } });
+  // AMTI: $134,250 taxable + $15,750 standard deduction + $200,000 ISO
+  near(t.f6251.line4, 350000);
+  near(t.f6251.line5, 88100);
+  // $261,900 × 28% − $4,782 = $68,550, less regular tax of $134,250 × 24% − $7,153
+  near(t.f6251.line9, 68550);
+  near(t.amt, 68550 - 25067);
+  near(t.sch2PartI, t.amt);
+  // No preference items and a modest income: no AMT
+  assert.equal(computeReturn({ w2: { box1: 150000 } }).amt, 0);
+
+  // Joint AMTI $100,000 into the phase-out loses $25,000 of exemption
+  const mfj = calcForm6251({ taxableIncome: 1320000, addBack: 32700, regularTax: 0,
+    status: 'mfj', ltcgBrackets: C.LTCG_BRACKETS_MFJ });
+  near(mfj.line5, 112000);
+  near(mfj.line7, 1240700 * 0.28 - 4782);
+  // Separately, AMTI past $900,350 adds back 25% of the excess
+  const mfs = calcForm6251({ taxableIncome: 1000000, addBack: 0, regularTax: 0,
+    status: 'mfs', ltcgBrackets: C.LTCG_BRACKETS_MFS });
+  near(mfs.line4, 1000000 + 24912.5);
+  near(mfs.line5, 0);
+});
+
+test('Form 6251 Part III — long-term gain keeps its 15% rate under the AMT', () => {
+  const t = computeReturn({ w2: { box1: 100000 }, capitalGains: { longTerm: 100000 }, amt: { iso: 100000 } });
+  // Regular tax (QDCGT): Tax Table on $84,250 ($13,455) + $100,000 × 15%
+  near(t.federalTax, 28455);
+  const p3 = t.f6251.partIII;
+  near(p3.line12, 211900);
+  // $111,900 of ordinary AMTI × 26% + $100,000 × 15%
+  near(p3.line18, 29094);
+  near(p3.line31, 15000);
+  near(p3.line40, 44094);
+  near(t.amt, 44094 - 28455);
+});